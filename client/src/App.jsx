@@ -12,6 +12,7 @@ import Register from './pages/Register';
 import Chat from './pages/Chat';
 import Profile from './pages/Profile';
 import VerifyEmail from './pages/VerifyEmail';
+import SafetyNumber from './pages/SafetyNumber';
 
 // Protected route wrapper
 function ProtectedRoute({ children }) {
@@ -84,6 +85,14 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/safety/:friendId"
+        element={
+          <ProtectedRoute>
+            <SafetyNumber />
+          </ProtectedRoute>
+        }
+      />
       <Route path="/verify/:token" element={<VerifyEmail />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
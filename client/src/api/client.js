@@ -18,7 +18,28 @@ const getApiUrl = () => {
     return url;
 };
 
-const API_URL = getApiUrl();
+export const API_URL = getApiUrl();
+
+/**
+ * Random id of this browser, sent as x-device-id
+ * (a new one is created after local data is cleared)
+ * @returns {string}
+ */
+export function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = crypto.randomUUID();
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Forget this browser's device id (after its keys were wiped)
+ */
+export function clearDeviceId() {
+    localStorage.removeItem('deviceId');
+}
 
 const api = axios.create({
     baseURL: API_URL
@@ -31,6 +52,7 @@ api.interceptors.request.use(
         if (token) {
             config.headers.Authorization = `Bearer ${token}`;
         }
+        config.headers['x-device-id'] = getDeviceId();
         return config;
     },
     (error) => Promise.reject(error)
@@ -52,8 +74,11 @@ api.interceptors.response.use(
                     throw new Error('No refresh token');
                 }
 
+                // Tokens are bound to a device; revoked devices cannot refresh
                 const response = await axios.post(`${API_URL}/auth/refresh`, {
                     refreshToken
+                }, {
+                    headers: { 'x-device-id': getDeviceId() }
                 });
 
                 const { accessToken, refreshToken: newRefreshToken } = response.data;
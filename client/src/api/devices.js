@@ -0,0 +1,175 @@
+/**
+ * Device Management
+ * 
+ * Every browser is a device with its own key pair. This module
+ * registers the current device and encrypts a copy of each direct
+ * message for every other device of the recipient and of ourselves.
+ * Only devices whose keys the owner signed (crypto/deviceKeys.js) get a copy.
+ */
+
+import api, { getDeviceId } from './client';
+import {
+    initializeKeys,
+    initializeSigningKeys,
+    getStoredPublicKeyJwk,
+    getSigningKeyPair,
+    exportPublicKey
+} from '../crypto/keyManager';
+import { encryptMessage } from '../crypto/encryption';
+import { signDeviceKeys, verifyDeviceKeys, certifiedDevices } from '../crypto/deviceKeys';
+import { canonicalPublicKey } from '../crypto/utils';
+
+// Device lists are cached briefly so sending does not refetch them every time
+const DEVICE_CACHE_TTL = 60 * 1000;
+const deviceCache = new Map();
+
+/**
+ * Human readable name for this browser, e.g. "Firefox on Linux"
+ * @returns {string}
+ */
+export function getDeviceName() {
+    const ua = navigator.userAgent;
+    const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => ua.includes(name)) || 'Browser';
+    const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => ua.includes(name)) || 'Unknown OS';
+
+    return `${browser === 'Edg' ? 'Edge' : browser} on ${os === 'Mac OS' ? 'macOS' : os}`;
+}
+
+/**
+ * Register this browser as a device (creating its keys if needed)
+ * 
+ * @returns {Promise<{ publicKey: JsonWebKey, device: Object, otherDevices: number }>}
+ * @throws Axios error with code DEVICE_REVOKED if the device was revoked
+ */
+export async function registerDevice() {
+    const publicKey = await getStoredPublicKeyJwk() || await initializeKeys();
+    const signingKey = await initializeSigningKeys();
+
+    const response = await api.put('/devices/current', {
+        name: getDeviceName(),
+        publicKey,
+        signingKey
+    });
+
+    return { publicKey, ...response.data };
+}
+
+/**
+ * Whether this device holds the account's identity signing key
+ * (and can approve devices)
+ * 
+ * @param {JsonWebKey | null} accountSigningKey - The published signing key
+ */
+async function holdsSigningKey(accountSigningKey) {
+    const keyPair = await getSigningKeyPair();
+    if (!keyPair || !accountSigningKey) return false;
+
+    return canonicalPublicKey(await exportPublicKey(keyPair.publicKey)) === canonicalPublicKey(accountSigningKey);
+}
+
+/**
+ * Our active devices
+ * 
+ * @param {string} userId - Our user id
+ * @returns {Promise<{ devices: Array, canApprove: boolean }>} Devices with `approved`
+ *   (keys signed by our identity signing key); canApprove: this device can sign them
+ */
+export async function listDevices(userId) {
+    const [{ data: devices }, { data: published }] = await Promise.all([
+        api.get('/devices'),
+        api.get(`/devices/user/${userId}`)
+    ]);
+
+    const approved = await Promise.all(devices.map(device =>
+        verifyDeviceKeys(userId, device, published.signingKey)));
+
+    return {
+        devices: devices.map((device, i) => ({ ...device, approved: approved[i] })),
+        canApprove: await holdsSigningKey(published.signingKey)
+    };
+}
+
+/**
+ * Approve one of our devices by signing its keys
+ * 
+ * @param {string} userId - Our user id
+ * @param {{ deviceId, publicKey, signingKey }} device
+ */
+export async function approveDevice(userId, device) {
+    const signature = await signDeviceKeys(userId, device);
+    await api.put(`/devices/${device.deviceId}/signature`, { signature });
+    deviceCache.clear();
+}
+
+/**
+ * Approve the current device if it holds the identity signing key
+ * and its keys are not signed yet
+ * 
+ * @param {string} userId - Our user id
+ * @param {Object} device - The device as registered (registerDevice)
+ */
+export async function certifyCurrentDevice(userId, device) {
+    const { data: published } = await api.get(`/devices/user/${userId}`);
+    if (!(await holdsSigningKey(published.signingKey))) return;
+    if (await verifyDeviceKeys(userId, device, published.signingKey)) return;
+
+    await approveDevice(userId, device);
+}
+
+/**
+ * Revoke one of our devices
+ * @param {string} deviceId
+ */
+export async function revokeDevice(deviceId) {
+    await api.delete(`/devices/${deviceId}`);
+    deviceCache.clear();
+}
+
+/**
+ * Active devices of a user (friend or ourselves) whose keys the
+ * user signed; unsigned devices are left out
+ * 
+ * @param {string} userId
+ * @returns {Promise<Array<{ deviceId, publicKey, signingKey, signature }>>}
+ */
+export async function getUserDevices(userId) {
+    const cached = deviceCache.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < DEVICE_CACHE_TTL) {
+        return cached.devices;
+    }
+
+    const response = await api.get(`/devices/user/${userId}`);
+    const devices = await certifiedDevices(userId, response.data?.devices, response.data?.signingKey);
+    deviceCache.set(userId, { devices, fetchedAt: Date.now() });
+    return devices;
+}
+
+/**
+ * Encrypt a direct message for every approved device of the
+ * recipient and every other approved device of ours
+ * 
+ * @param {string} content - Plaintext
+ * @param {string} recipientId
+ * @param {string} ownUserId
+ * @returns {Promise<Array<{ userId, deviceId, payload }>>}
+ */
+export async function buildDeviceEnvelopes(content, recipientId, ownUserId) {
+    const [recipientDevices, ownDevices] = await Promise.all([
+        getUserDevices(recipientId),
+        getUserDevices(ownUserId)
+    ]);
+    const currentDeviceId = getDeviceId();
+
+    const targets = [
+        ...recipientDevices.map(d => ({ ...d, userId: recipientId })),
+        ...ownDevices
+            .filter(d => d.deviceId !== currentDeviceId)
+            .map(d => ({ ...d, userId: ownUserId }))
+    ];
+
+    return Promise.all(targets.map(async (device) => ({
+        userId: device.userId,
+        deviceId: device.deviceId,
+        payload: await encryptMessage(content, device.publicKey)
+    })));
+}
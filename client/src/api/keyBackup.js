@@ -0,0 +1,53 @@
+/**
+ * Key Vault Backup
+ *
+ * Uploads our keys encrypted with a recovery passphrase and
+ * restores them on a fresh device. The server only releases the
+ * encrypted blob for the right authToken and locks restores after
+ * too many wrong passphrases.
+ */
+
+import api from './client';
+import { createVaultBackup, deriveVaultKeys, openVaultBackup } from '../crypto/keyVault';
+
+/**
+ * Whether we have a vault backup (and its KDF parameters)
+ * @returns {Promise<{ exists: boolean, kdf?: Object, updatedAt?: string, lockedUntil?: string | null, attemptsRemaining?: number }>}
+ */
+export async function getKeyBackupStatus() {
+    const response = await api.get('/keys/backup');
+    return response.data;
+}
+
+/**
+ * Encrypt our keys and upload them (replaces an existing backup)
+ * @param {string} passphrase
+ */
+export async function uploadKeyBackup(passphrase) {
+    await api.put('/keys/backup', await createVaultBackup(passphrase));
+}
+
+/**
+ * Restore our keys from the vault
+ *
+ * @param {string} passphrase
+ * @throws Axios error with code WRONG_PASSPHRASE / BACKUP_LOCKED
+ */
+export async function restoreKeyBackup(passphrase) {
+    const status = await getKeyBackupStatus();
+    if (!status.exists) {
+        throw new Error('No key backup found');
+    }
+
+    const { encKey, authToken } = await deriveVaultKeys(passphrase, status.kdf);
+    const response = await api.post('/keys/backup/restore', { authToken });
+
+    await openVaultBackup(encKey, response.data);
+}
+
+/**
+ * Delete our vault backup
+ */
+export async function deleteKeyBackup() {
+    await api.delete('/keys/backup');
+}
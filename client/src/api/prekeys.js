@@ -0,0 +1,61 @@
+/**
+ * Prekey Maintenance
+ * 
+ * Keeps the server stocked with the keys friends need to start
+ * ratchet sessions with us while we are offline:
+ * signing key, signed prekey (rotated) and one-time prekeys
+ */
+
+import api from './client';
+import { initializeSigningKeys } from '../crypto/keyManager';
+import { maintainSignedPreKey, replenishOneTimePreKeys } from '../crypto/session';
+
+/**
+ * Upload one-time prekeys until the server holds its maximum
+ * @param {Object} status - Response of GET /keys/status
+ */
+async function topUpOneTimePreKeys(status) {
+    if (status.oneTimePreKeyCount >= status.lowWatermark) return;
+
+    await replenishOneTimePreKeys(
+        status.oneTimePreKeyCount,
+        status.maxOneTimePreKeys,
+        (preKeys) => api.post('/keys/one-time-prekeys', { preKeys })
+    );
+}
+
+/**
+ * Publish signing key, signed prekey and one-time prekeys as needed
+ * Called after login / session restore.
+ */
+export async function publishSessionKeys() {
+    try {
+        const signingKey = await initializeSigningKeys();
+        const { data: status } = await api.get('/keys/status');
+
+        await maintainSignedPreKey(
+            status.hasSigningKey ? status.signedPreKeyId : null,
+            (signedPreKey) => api.put('/keys/signed-prekey', { signingKey, signedPreKey })
+        );
+
+        await topUpOneTimePreKeys(status);
+    } catch (error) {
+        console.error('Failed to publish session keys:', error);
+    }
+}
+
+// Only one replenish request in flight at a time
+let replenishing = null;
+
+/**
+ * Replenish one-time prekeys (server sent `prekeys_low`)
+ */
+export function replenishPreKeys() {
+    if (!replenishing) {
+        replenishing = api.get('/keys/status')
+            .then(({ data: status }) => topUpOneTimePreKeys(status))
+            .catch(error => console.error('Failed to replenish prekeys:', error))
+            .finally(() => { replenishing = null; });
+    }
+    return replenishing;
+}
@@ -0,0 +1,251 @@
+/**
+ * Sealed Sender
+ *
+ * Optional mode where direct text messages are delivered without
+ * telling the server who sent them. The client fetches short-lived,
+ * single-use delivery tokens for its friends and posts sealed messages
+ * without its access token or device id. A sealed copy is also sent to
+ * ourselves so our devices can show the conversation.
+ *
+ * Read receipts and reactions for a sealed message carry a token for
+ * its sender (scope 'receipt' / 'reaction'), as the server does not
+ * know who that is. The receipt token comes inside the message, from
+ * the sender, and only works for that message.
+ */
+
+import axios from 'axios';
+import api, { API_URL } from './client';
+import { getUserDevices } from './devices';
+import { getStoredPublicKeyJwk } from '../crypto/keyManager';
+import {
+    createSealedContent,
+    sealMessage,
+    openSealedPayload,
+    verifySealedSender,
+    receiptTokenHash
+} from '../crypto/sealedSender';
+
+const SEALED_SENDER_SETTING = 'sealedSender';
+
+// Delivery tokens are not used this close to their expiry
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
+
+// Tokens fetched per recipient at a time (each works once)
+const TOKENS_PER_FETCH = 5;
+
+// `${scope}:${recipientId}` -> unused [{ token, expiresAt }]
+const tokenPool = new Map();
+
+/**
+ * Whether sealed sender is turned on for this browser
+ * @returns {boolean}
+ */
+export function isSealedSenderEnabled() {
+    return localStorage.getItem(SEALED_SENDER_SETTING) === 'true';
+}
+
+/**
+ * Turn sealed sender on or off for this browser
+ * @param {boolean} enabled
+ */
+export function setSealedSenderEnabled(enabled) {
+    localStorage.setItem(SEALED_SENDER_SETTING, enabled ? 'true' : 'false');
+}
+
+/**
+ * Unused, unexpired tokens of a recipient and scope
+ */
+function pooledTokens(recipientId, scope) {
+    const usable = (tokenPool.get(`${scope}:${recipientId}`) || [])
+        .filter(t => new Date(t.expiresAt).getTime() - Date.now() >= TOKEN_REFRESH_MARGIN);
+    tokenPool.set(`${scope}:${recipientId}`, usable);
+    return usable;
+}
+
+/**
+ * Fetch tokens for the recipients whose pool is empty (in one request)
+ *
+ * @param {string[]} recipientIds
+ * @param {'message' | 'receipt' | 'reaction'} scope
+ */
+async function fillTokenPool(recipientIds, scope) {
+    const missing = recipientIds.filter(id => pooledTokens(id, scope).length === 0);
+    if (missing.length === 0) return;
+
+    const response = await api.post('/sealed/tokens', { recipientIds: missing, scope, count: TOKENS_PER_FETCH });
+    Object.entries(response.data.tokens).forEach(([id, tokens]) => tokenPool.set(`${scope}:${id}`, tokens));
+}
+
+/**
+ * Take a delivery token for a recipient (each token is used once)
+ *
+ * @param {string} recipientId
+ * @param {'message' | 'receipt' | 'reaction'} scope - 'receipt' / 'reaction': for the sender of a sealed message
+ * @returns {Promise<string>}
+ */
+export async function takeDeliveryToken(recipientId, scope) {
+    await fillTokenPool([recipientId], scope);
+
+    const next = pooledTokens(recipientId, scope).shift();
+    if (!next) throw new Error('Cannot send sealed messages to this user');
+    return next.token;
+}
+
+/**
+ * Post a sealed message
+ * Plain axios: no Authorization or x-device-id header may identify us.
+ * A token refused by the server (revoked by a block / unfriend, or
+ * expired) is replaced once.
+ *
+ * @param {string | null} [receiptHash] - Hash of the receipt token inside the message
+ */
+async function deliverSealed(recipientId, encryptedForRecipient, deviceEnvelopes, receiptHash = null) {
+    const post = async () => axios.post(`${API_URL}/sealed/messages`, {
+        deliveryToken: await takeDeliveryToken(recipientId, 'message'),
+        encryptedForRecipient,
+        deviceEnvelopes,
+        ...(receiptHash && { receiptTokenHash: receiptHash })
+    });
+
+    try {
+        return (await post()).data;
+    } catch (error) {
+        if (error.response?.data?.code !== 'INVALID_DELIVERY_TOKEN') throw error;
+        tokenPool.delete(`message:${recipientId}`);
+        return (await post()).data;
+    }
+}
+
+/**
+ * Seal content for the identity key and every device of a user
+ */
+async function sealForUser(sealedContent, userId, publicKey) {
+    const devices = await getUserDevices(userId);
+
+    const [payload, deviceEnvelopes] = await Promise.all([
+        sealMessage(sealedContent, publicKey),
+        Promise.all(devices.map(async (device) => ({
+            userId,
+            deviceId: device.deviceId,
+            payload: await sealMessage(sealedContent, device.publicKey)
+        })))
+    ]);
+
+    return { payload, deviceEnvelopes };
+}
+
+/**
+ * Message as shown in the chat
+ */
+function toMessageView(sealedContent, serverMessage, signatureStatus) {
+    return {
+        _id: serverMessage._id,
+        sealed: true,
+        sealedId: sealedContent.id,
+        senderId: sealedContent.senderId,
+        recipientId: sealedContent.recipientId,
+        content: sealedContent.content,
+        replyTo: sealedContent.replyTo || null,
+        replyPreview: sealedContent.replyPreview || null,
+        messageType: 'text',
+        createdAt: serverMessage.createdAt,
+        delivered: !!serverMessage.delivered,
+        read: false,
+        signatureStatus
+    };
+}
+
+/**
+ * Send a sealed text message
+ *
+ * @param {Object} message - { content, replyTo?, replyPreview? }
+ * @param {Object} options
+ * @param {string} options.recipientId
+ * @param {JsonWebKey} options.recipientPublicKey
+ * @param {string} options.ownUserId
+ * @param {JsonWebKey} options.ownPublicKey
+ * @returns {Promise<Object>} The sent message (chat view)
+ */
+export async function sendSealedMessage(message, { recipientId, recipientPublicKey, ownUserId, ownPublicKey }) {
+    // The recipient reports reading this message with a token for us
+    let receiptToken = null;
+    try {
+        receiptToken = await takeDeliveryToken(ownUserId, 'receipt');
+    } catch (error) {
+        console.warn('Sending sealed message without read receipts:', error);
+    }
+
+    const sealedContent = createSealedContent({
+        senderId: ownUserId,
+        recipientId,
+        ...message,
+        ...(receiptToken && { receiptToken })
+    });
+    await fillTokenPool([recipientId, ownUserId], 'message');
+
+    const forRecipient = await sealForUser(sealedContent, recipientId, recipientPublicKey);
+    const delivered = await deliverSealed(
+        recipientId,
+        forRecipient.payload,
+        forRecipient.deviceEnvelopes,
+        receiptToken && await receiptTokenHash(receiptToken)
+    );
+
+    // Our own copy - losing it does not undo the delivery
+    try {
+        const forSelf = await sealForUser(sealedContent, ownUserId, ownPublicKey);
+        await deliverSealed(ownUserId, forSelf.payload, forSelf.deviceEnvelopes);
+    } catch (error) {
+        console.warn('Failed to store own copy of sealed message:', error);
+    }
+
+    return toMessageView(sealedContent, delivered);
+}
+
+/**
+ * Sealed messages addressed to us (not yet decrypted)
+ * @returns {Promise<Array>}
+ */
+export async function fetchSealedMessages() {
+    const response = await api.get('/sealed/messages');
+    return response.data;
+}
+
+/**
+ * Decrypt a sealed message and verify its sender
+ *
+ * Our own copies (sent from any of our devices) are checked against our
+ * device signing keys, everything else against the claimed sender's keys.
+ *
+ * @param {Object} message - Sealed message from the server
+ * @param {string} ownUserId
+ * @param {(userId: string) => Promise<JsonWebKey[] | null>} getSigningKey
+ * @returns {Promise<Object>} Chat view with `peerId` (the other side of the conversation)
+ *   and `receiptToken` (for reporting it read; messages from others only)
+ */
+export async function openSealedMessage(message, ownUserId, getSigningKey) {
+    let sealedContent;
+    try {
+        sealedContent = await openSealedPayload(message.encryptedForRecipient);
+    } catch (error) {
+        if (!message.encryptedForDevice) throw error;
+        sealedContent = await openSealedPayload(message.encryptedForDevice);
+    }
+
+    const isOwnCopy = sealedContent.senderId === ownUserId;
+    const signerKeys = isOwnCopy
+        ? (await getUserDevices(ownUserId)).map(d => d.signingKey).filter(Boolean)
+        : await getSigningKey(sealedContent.senderId);
+
+    let signatureStatus = await verifySealedSender(sealedContent, await getStoredPublicKeyJwk(), signerKeys);
+    // Someone else's message must be addressed to us
+    if (!isOwnCopy && sealedContent.recipientId !== ownUserId) {
+        signatureStatus = 'invalid';
+    }
+
+    return {
+        ...toMessageView(sealedContent, message, signatureStatus),
+        peerId: isOwnCopy ? sealedContent.recipientId : sealedContent.senderId,
+        receiptToken: !isOwnCopy && typeof sealedContent.receiptToken === 'string' ? sealedContent.receiptToken : null
+    };
+}
@@ -5,6 +5,7 @@
  */
 
 import { io } from 'socket.io-client';
+import { getDeviceId } from './client';
 
 // Helper to get socket URL from env
 const getSocketUrl = () => {
@@ -31,7 +32,7 @@ export function connectSocket(token) {
     }
 
     socket = io(SOCKET_URL, {
-        auth: { token },
+        auth: { token, deviceId: getDeviceId() },
         transports: ['websocket', 'polling'],
         reconnection: true,
         reconnectionAttempts: 5,
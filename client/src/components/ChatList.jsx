@@ -24,8 +24,16 @@ function formatLastSeen(lastSeen) {
     return seen.toLocaleDateString();
 }
 
-export default function ChatList({ friends, selectedFriend, onSelectFriend, onlineUsers }) {
-    if (friends.length === 0) {
+export default function ChatList({
+    friends,
+    selectedFriend,
+    onSelectFriend,
+    onlineUsers,
+    groups = [],
+    selectedGroup,
+    onSelectGroup
+}) {
+    if (friends.length === 0 && groups.length === 0) {
         return (
             <div className="chat-list-empty">
                 <span className="empty-icon">👋</span>
@@ -37,6 +45,25 @@ export default function ChatList({ friends, selectedFriend, onSelectFriend, onli
 
     return (
         <div className="chat-list">
+            {groups.map(group => (
+                <div
+                    key={group.id}
+                    className={`chat-item ${selectedGroup?.id === group.id ? 'active' : ''}`}
+                    onClick={() => onSelectGroup(group)}
+                >
+                    <div className="chat-item-avatar group-avatar">
+                        👥
+                    </div>
+                    <div className="chat-item-info">
+                        <div className="chat-item-name">{group.name}</div>
+                        <div className="chat-item-status">
+                            <span className="status-offline">
+                                {group.members.map(m => m.username).join(', ')}
+                            </span>
+                        </div>
+                    </div>
+                </div>
+            ))}
             {friends.map(friend => (
                 <div
                     key={friend.id}
@@ -4,15 +4,41 @@
  * The main message area with header, messages, and input
  */
 
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useLayoutEffect } from 'react';
 import MessageBubble from './MessageBubble';
 import WallpaperPicker from './WallpaperPicker';
 import FileAttachment from './FileAttachment';
 import VoiceRecorder from './VoiceRecorder';
 import CallScreen from './CallScreen';
 import { getWallpaper, PRESET_WALLPAPERS } from '../utils/wallpaperManager';
+import { MESSAGE_TIMER_OPTIONS, formatTimer } from '../utils/messageTimers';
 import './ChatWindow.css';
 
+// Messages in the DOM at once - the rest of the loaded history is not rendered
+const MAX_RENDERED_MESSAGES = 150;
+
+// Messages the rendered window moves by when scrolling past its edge
+const RENDER_STEP = 50;
+
+// Distance (px) from the top / bottom at which more history is shown
+const EDGE_THRESHOLD_PX = 300;
+
+// Distance (px) from the bottom that still counts as at the bottom
+const BOTTOM_THRESHOLD_PX = 40;
+
+/**
+ * First message at least partly in view, with its offset from the container top
+ * (kept in place when history is added or removed above it)
+ */
+function findScrollAnchor(container) {
+    const top = container.getBoundingClientRect().top;
+    for (const element of container.querySelectorAll('[id^="message-"]')) {
+        const rect = element.getBoundingClientRect();
+        if (rect.bottom > top) return { id: element.id, offset: rect.top - top };
+    }
+    return null;
+}
+
 // Format last seen time as relative string
 function formatLastSeen(lastSeen) {
     if (!lastSeen) return 'offline';
@@ -43,23 +69,114 @@ export default function ChatWindow({
     onBack,
     showBackButton,
     onReact,
+    onEditMessage, // Direct chats only
+    onLoadEditHistory,
+    onDeleteMessage, // Direct chats only
+    messageTimer, // Disappearing message timer { seconds, proposal } (direct chats)
+    onSetMessageTimer,
+    onRespondToMessageTimer,
+    onOpenViewOnce,
+    onOpenSearch,
+    focusMessageId, // Message opened from search (scrolled to and highlighted)
+    hasOlderMessages, // More history on the server before / after the loaded messages
+    hasNewerMessages,
+    onLoadOlder,
+    onLoadNewer,
+    onJumpToDate, // (date) => Promise - loads the history around the date
+    onJumpToLatest,
+    onRetrySend, // (message) => retry a message that could not be sent (direct chats)
+    onCancelSend,
     currentUserId,
     socket,
     onDownloadFile, // Add download handler prop
     replyingTo,
-    setReplyingTo
+    setReplyingTo,
+    onOpenGroupSettings,
+    trust, // Identity key trust record (direct chats)
+    keyLog, // Key transparency check result (direct chats)
+    encryptionWarning, // 'no-prekeys' | 'downgrade-refused' (direct chats)
+    onVerifyKey,
+    onDismissKeyWarning,
+    onDismissDeviceChange
 }) {
     const [input, setInput] = useState('');
     const [typingTimeout, setTypingTimeout] = useState(null);
-    const [searchQuery, setSearchQuery] = useState('');
-    const [showSearch, setShowSearch] = useState(false);
     const [wallpaper, setWallpaper] = useState(PRESET_WALLPAPERS[0]);
     const [showWallpaperPicker, setShowWallpaperPicker] = useState(false);
     // replyingTo state lifted to parent
     const [showFileAttachment, setShowFileAttachment] = useState(false);
     const [isRecordingVoice, setIsRecordingVoice] = useState(false);
     const [activeCall, setActiveCall] = useState(null); // { isVideo: boolean, isIncoming: boolean }
-    const messagesEndRef = useRef(null);
+    const [showTimerMenu, setShowTimerMenu] = useState(false);
+    const [showDatePicker, setShowDatePicker] = useState(false);
+    const [jumpDate, setJumpDate] = useState('');
+    // Rendered part of the loaded messages: null ends at the last one,
+    // { align: 'start' } starts at the first, { id, align: 'end' | 'center' } is around a message
+    const [renderWindow, setRenderWindow] = useState(null);
+    // Message to scroll into view { id, block }
+    const [scrollTarget, setScrollTarget] = useState(null);
+    // Date jumped to, until its history has loaded
+    const [dateTarget, setDateTarget] = useState(null);
+    // History page being loaded ('older' | 'newer')
+    const [loadingHistory, setLoadingHistory] = useState(null);
+    const [shownChatId, setShownChatId] = useState(friend.id);
+    const [shownFocusId, setShownFocusId] = useState(null);
+    const containerRef = useRef(null);
+    const atBottomRef = useRef(true);
+    const scrollAnchorRef = useRef(null);
+    const loadingHistoryRef = useRef(false);
+    const isGroup = !!friend.isGroup;
+    const timerSeconds = messageTimer?.seconds || 0;
+    const timerProposal = messageTimer?.proposal || null;
+
+    // Another chat opened: show its latest messages
+    if (friend.id !== shownChatId) {
+        setShownChatId(friend.id);
+        setRenderWindow(null);
+        setShowDatePicker(false);
+    }
+
+    // Message opened from search: render the history around it
+    if (focusMessageId !== shownFocusId) {
+        setShownFocusId(focusMessageId);
+        if (focusMessageId) {
+            setRenderWindow({ id: focusMessageId, align: 'center' });
+            setScrollTarget({ id: focusMessageId, block: 'center' });
+        }
+    }
+
+    // History around a date loaded: the first message since then (or the last before it)
+    if (dateTarget) {
+        setDateTarget(null);
+        const target = messages.find(m => new Date(m.createdAt) >= dateTarget) || messages[messages.length - 1];
+        if (target?._id) {
+            setRenderWindow({ id: target._id, align: 'center' });
+            setScrollTarget({ id: target._id, block: 'start' });
+        }
+    }
+
+    // Loaded messages in the DOM: a window of at most MAX_RENDERED_MESSAGES
+    const lastIndex = messages.length - 1;
+    let endIndex = lastIndex;
+    if (renderWindow?.align === 'start') {
+        endIndex = Math.min(lastIndex, MAX_RENDERED_MESSAGES - 1);
+    } else if (renderWindow) {
+        const index = messages.findIndex(m => m._id === renderWindow.id);
+        if (index >= 0) {
+            endIndex = renderWindow.align === 'center'
+                ? Math.min(lastIndex, index + MAX_RENDERED_MESSAGES / 2)
+                : index;
+        }
+    }
+    const startIndex = Math.max(0, endIndex + 1 - MAX_RENDERED_MESSAGES);
+    const renderedMessages = messages.slice(startIndex, endIndex + 1);
+    const showsLatest = !renderWindow && !hasNewerMessages;
+
+    // Resolve a sender's display name (group chats show who sent each message)
+    const getSenderName = (senderId) => {
+        if (!isGroup) return null;
+        return friend.members?.find(m => m.id === senderId)?.username || 'Former member';
+    };
 
     // Load wallpaper for this chat
     useEffect(() => {
@@ -68,10 +185,33 @@ export default function ChatWindow({
         }
     }, [friend?.id]);
 
-    // Auto-scroll to bottom on new messages
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages]);
+    // A newly opened chat starts at the bottom
+    useLayoutEffect(() => {
+        atBottomRef.current = true;
+        scrollAnchorRef.current = null;
+    }, [friend.id]);
+
+    // Follow new messages at the bottom; otherwise keep the messages in
+    // view in place when history is added or removed above them
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        if (atBottomRef.current && showsLatest) {
+            container.scrollTop = container.scrollHeight;
+            return;
+        }
+
+        const anchor = scrollAnchorRef.current;
+        const element = anchor && document.getElementById(anchor.id);
+        if (element) {
+            container.scrollTop += element.getBoundingClientRect().top - container.getBoundingClientRect().top - anchor.offset;
+        }
+    }, [messages, renderWindow, showsLatest, loadingHistory]);
+
+    // Scroll to a message opened from search or jumped to by date
+    useLayoutEffect(() => {
+        if (!scrollTarget) return;
+        document.getElementById(`message-${scrollTarget.id}`)?.scrollIntoView({ behavior: 'smooth', block: scrollTarget.block });
+    }, [scrollTarget]);
 
     // Listen for incoming calls
     useEffect(() => {
@@ -87,14 +227,86 @@ export default function ChatWindow({
         return () => socket.off('call_offer', handleIncomingCall);
     }, [socket, friend?.id]);
 
-    const handleSend = (e) => {
+    // Load a history page (one at a time)
+    const loadHistoryPage = async (direction, load) => {
+        if (loadingHistoryRef.current || !load) return;
+        loadingHistoryRef.current = true;
+        setLoadingHistory(direction);
+        try {
+            await load();
+        } finally {
+            loadingHistoryRef.current = false;
+            setLoadingHistory(null);
+        }
+    };
+
+    // Render older loaded messages, or load the previous page
+    const showOlder = () => {
+        if (startIndex > 0) {
+            const end = Math.min(lastIndex, Math.max(0, startIndex - RENDER_STEP) + MAX_RENDERED_MESSAGES - 1);
+            setRenderWindow(end === lastIndex ? null : { id: messages[end]._id, align: 'end' });
+        } else if (hasOlderMessages) {
+            // Keep the window at the start if the page will not fit
+            if (endIndex + 1 + RENDER_STEP > MAX_RENDERED_MESSAGES) setRenderWindow({ align: 'start' });
+            loadHistoryPage('older', onLoadOlder);
+        }
+    };
+
+    // Render newer loaded messages, or load the next page
+    const showNewer = () => {
+        if (endIndex < lastIndex) {
+            const end = Math.min(lastIndex, endIndex + RENDER_STEP);
+            setRenderWindow(end === lastIndex ? null : { id: messages[end]._id, align: 'end' });
+        } else {
+            setRenderWindow(null);
+            if (hasNewerMessages) loadHistoryPage('newer', onLoadNewer);
+        }
+    };
+
+    const handleScroll = () => {
+        const container = containerRef.current;
+        const fromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+        atBottomRef.current = fromBottom < BOTTOM_THRESHOLD_PX;
+        scrollAnchorRef.current = findScrollAnchor(container);
+
+        if (container.scrollTop < EDGE_THRESHOLD_PX) {
+            showOlder();
+        } else if (fromBottom < EDGE_THRESHOLD_PX) {
+            showNewer();
+        }
+    };
+
+    // Back to the latest messages (reloaded if history further back is shown)
+    const jumpToLatest = async () => {
+        atBottomRef.current = true;
+        setRenderWindow(null);
+        if (hasNewerMessages) await onJumpToLatest?.();
+    };
+
+    const handleJumpToDate = async (e) => {
+        e.preventDefault();
+        if (!jumpDate) return;
+
+        const date = new Date(`${jumpDate}T00:00:00`);
+        setShowDatePicker(false);
+        atBottomRef.current = false;
+        await onJumpToDate?.(date);
+        setDateTarget(date);
+    };
+
+    const handleSend = async (e) => {
         e.preventDefault();
         if (!input.trim()) return;
 
-        onSendMessage(input, replyingTo);
+        const text = input;
+        const replyTo = replyingTo;
         setInput('');
         setReplyingTo(null);
         onTyping(false);
+
+        // Sent messages appear after the latest ones
+        await jumpToLatest();
+        onSendMessage(text, replyTo);
     };
 
     const handleInputChange = (e) => {
@@ -127,17 +339,19 @@ export default function ChatWindow({
         setReplyingTo(message);
     };
 
-    const handleFileAttach = (file) => {
+    const handleFileAttach = async (file, options) => {
         if (onSendFile) {
-            onSendFile(file);
+            await jumpToLatest();
+            onSendFile(file, options);
         }
     };
 
-    const handleVoiceRecord = (voiceData) => {
+    const handleVoiceRecord = async (voiceData) => {
+        setIsRecordingVoice(false);
         if (onSendVoice) {
+            await jumpToLatest();
             onSendVoice(voiceData);
         }
-        setIsRecordingVoice(false);
     };
 
     const startCall = (isVideo) => {
@@ -175,6 +389,8 @@ export default function ChatWindow({
                     <div className="chat-header-status">
                         {isTyping ? (
                             <span className="typing-indicator">typing...</span>
+                        ) : isGroup ? (
+                            <span>{friend.members?.length || 0} members</span>
                         ) : isOnline ? (
                             <span className="online-status">online</span>
                         ) : (
@@ -183,20 +399,46 @@ export default function ChatWindow({
                     </div>
                 </div>
                 <div className="chat-header-actions">
-                    <button
-                        className="header-action-btn"
-                        onClick={() => startCall(false)}
-                        title="Voice call"
-                    >
-                        📞
-                    </button>
-                    <button
-                        className="header-action-btn"
-                        onClick={() => startCall(true)}
-                        title="Video call"
-                    >
-                        📹
-                    </button>
+                    {isGroup ? (
+                        <button
+                            className="header-action-btn"
+                            onClick={onOpenGroupSettings}
+                            title="Group info"
+                        >
+                            ⚙️
+                        </button>
+                    ) : (
+                        <>
+                            <button
+                                className="header-action-btn"
+                                onClick={onVerifyKey}
+                                title={trust?.verified ? 'Safety number verified' : 'Verify safety number'}
+                            >
+                                {trust?.verified ? '✅' : '🛡️'}
+                            </button>
+                            <button
+                                className={`header-action-btn ${timerSeconds ? 'active' : ''}`}
+                                onClick={() => setShowTimerMenu(!showTimerMenu)}
+                                title={`Disappearing messages: ${formatTimer(timerSeconds)}`}
+                            >
+                                ⏱️
+                            </button>
+                            <button
+                                className="header-action-btn"
+                                onClick={() => startCall(false)}
+                                title="Voice call"
+                            >
+                                📞
+                            </button>
+                            <button
+                                className="header-action-btn"
+                                onClick={() => startCall(true)}
+                                title="Video call"
+                            >
+                                📹
+                            </button>
+                        </>
+                    )}
                     <button
                         className="header-action-btn"
                         onClick={() => setShowWallpaperPicker(true)}
@@ -205,8 +447,15 @@ export default function ChatWindow({
                         🎨
                     </button>
                     <button
-                        className={`search-toggle ${showSearch ? 'active' : ''}`}
-                        onClick={() => { setShowSearch(!showSearch); setSearchQuery(''); }}
+                        className="search-toggle"
+                        onClick={() => setShowDatePicker(!showDatePicker)}
+                        title="Jump to date"
+                    >
+                        📅
+                    </button>
+                    <button
+                        className="search-toggle"
+                        onClick={onOpenSearch}
                         title="Search messages"
                     >
                         🔍
@@ -217,56 +466,208 @@ export default function ChatWindow({
                 </div>
             </header>
 
-            {/* Search bar */}
-            {showSearch && (
-                <div className="search-bar">
+            {/* Verified friend's identity key changed */}
+            {!isGroup && trust?.verificationBroken && (
+                <div className="key-change-warning" role="alert">
+                    <span className="key-change-icon">⚠️</span>
+                    <p>
+                        <strong>{friend.username}&apos;s security key has changed.</strong>{' '}
+                        This can mean they reinstalled Secreta - or that someone is intercepting
+                        your messages. Verify the new safety number before sharing anything sensitive.
+                    </p>
+                    <div className="key-change-actions">
+                        <button onClick={onVerifyKey}>Verify</button>
+                        <button onClick={onDismissKeyWarning}>Dismiss</button>
+                    </div>
+                </div>
+            )}
+
+            {/* Key log failed verification - the server may be swapping keys */}
+            {!isGroup && ['invalid', 'inconsistent', 'mismatch'].includes(keyLog?.status) && (
+                <div className="key-change-warning" role="alert">
+                    <span className="key-change-icon">🚨</span>
+                    <p>
+                        <strong>{friend.username}&apos;s key history failed verification.</strong>{' '}
+                        The server may be tampering with encryption keys. Compare safety numbers
+                        with {friend.username} through another channel before continuing.
+                    </p>
+                    <div className="key-change-actions">
+                        <button onClick={onVerifyKey}>Verify</button>
+                    </div>
+                </div>
+            )}
+
+            {/* Unverified friend's key was replaced */}
+            {!isGroup && keyLog?.status === 'replaced' && !trust?.verificationBroken && (
+                <div className="key-change-warning notice" role="status">
+                    <span className="key-change-icon">🔑</span>
+                    <p>
+                        {friend.username}&apos;s security key changed
+                        {keyLog.alert?.detectedAt ? ` (noticed ${new Date(keyLog.alert.detectedAt).toLocaleDateString()})` : ''}.
+                        Verify the safety number to be sure it was them.
+                    </p>
+                    <div className="key-change-actions">
+                        <button onClick={onVerifyKey}>Verify</button>
+                        <button onClick={onDismissKeyWarning}>Dismiss</button>
+                    </div>
+                </div>
+            )}
+
+            {/* Friend signed in on a new device (or one got new keys) */}
+            {!isGroup && trust?.devicesChanged && (
+                <div className="key-change-warning notice" role="status">
+                    <span className="key-change-icon">📱</span>
+                    <p>
+                        {friend.username} approved a new device
+                        {` (noticed ${new Date(trust.devicesChanged.detectedAt).toLocaleDateString()})`}.
+                        Your messages to them are encrypted for it too. If you did not expect this,
+                        ask {friend.username} to check the devices in their profile.
+                    </p>
+                    <div className="key-change-actions">
+                        <button onClick={onDismissDeviceChange}>Dismiss</button>
+                    </div>
+                </div>
+            )}
+
+            {/* The server has no prekeys for a friend we have a session with */}
+            {!isGroup && encryptionWarning === 'downgrade-refused' && (
+                <div className="key-change-warning" role="alert">
+                    <span className="key-change-icon">🚨</span>
+                    <p>
+                        <strong>Messages to {friend.username} were not sent.</strong>{' '}
+                        The server stopped offering their session keys, which would downgrade this
+                        conversation to encryption without forward secrecy. Compare safety numbers
+                        with {friend.username} before trying again.
+                    </p>
+                    <div className="key-change-actions">
+                        <button onClick={onVerifyKey}>Verify</button>
+                    </div>
+                </div>
+            )}
+
+            {/* Friend has not published prekeys: messages use the older encryption */}
+            {!isGroup && encryptionWarning === 'no-prekeys' && (
+                <div className="key-change-warning notice" role="status">
+                    <span className="key-change-icon">🔓</span>
+                    <p>
+                        {friend.username} has not set up session keys yet, so your messages use the
+                        older encryption without forward secrecy.
+                    </p>
+                </div>
+            )}
+
+            {/* Jump to date */}
+            {showDatePicker && (
+                <form className="timer-bar" onSubmit={handleJumpToDate}>
+                    <span className="timer-bar-label">Jump to date</span>
                     <input
-                        type="text"
-                        placeholder="Search messages..."
-                        value={searchQuery}
-                        onChange={(e) => setSearchQuery(e.target.value)}
-                        autoFocus
+                        type="date"
+                        className="history-date-input"
+                        value={jumpDate}
+                        onChange={(e) => setJumpDate(e.target.value)}
                     />
-                    {searchQuery && (
-                        <span className="search-count">
-                            {messages.filter(m => m.content?.toLowerCase().includes(searchQuery.toLowerCase())).length} found
-                        </span>
+                    <button type="submit" className="timer-option" disabled={!jumpDate}>
+                        Go
+                    </button>
+                </form>
+            )}
+
+            {/* Disappearing message timer */}
+            {!isGroup && showTimerMenu && (
+                <div className="timer-bar">
+                    <span className="timer-bar-label">Disappearing messages</span>
+                    {MESSAGE_TIMER_OPTIONS.map(option => (
+                        <button
+                            key={option.seconds}
+                            className={`timer-option ${option.seconds === timerSeconds ? 'active' : ''}`}
+                            onClick={() => { onSetMessageTimer?.(option.seconds); setShowTimerMenu(false); }}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* Timer changes need both friends to agree */}
+            {!isGroup && timerProposal && (
+                <div className="key-change-warning notice" role="status">
+                    <span className="key-change-icon">⏱️</span>
+                    {timerProposal.proposedBy === friend.id ? (
+                        <>
+                            <p>
+                                {friend.username} wants to {timerProposal.seconds
+                                    ? `set disappearing messages to ${formatTimer(timerProposal.seconds)}`
+                                    : 'turn off disappearing messages'}.
+                            </p>
+                            <div className="key-change-actions">
+                                <button onClick={() => onRespondToMessageTimer?.(true)}>Accept</button>
+                                <button onClick={() => onRespondToMessageTimer?.(false)}>Decline</button>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <p>
+                                Waiting for {friend.username} to accept disappearing messages
+                                ({formatTimer(timerProposal.seconds)}).
+                            </p>
+                            <div className="key-change-actions">
+                                <button onClick={() => onSetMessageTimer?.(timerSeconds)}>Cancel</button>
+                            </div>
+                        </>
                     )}
                 </div>
             )}
 
             {/* Messages with wallpaper */}
-            <div className="messages-container" style={getWallpaperStyle()}>
+            <div className="messages-container" style={getWallpaperStyle()} ref={containerRef} onScroll={handleScroll}>
                 {messages.length === 0 ? (
                     <div className="no-messages">
                         <span className="encryption-badge">🔐</span>
                         <p>Messages are end-to-end encrypted</p>
-                        <p className="encryption-hint">Only you and {friend.username} can read them</p>
+                        <p className="encryption-hint">
+                            {isGroup
+                                ? `Only members of ${friend.username} can read them`
+                                : `Only you and ${friend.username} can read them`}
+                        </p>
                     </div>
                 ) : (
                     <>
-                        <div className="encryption-notice">
-                            <span>🔐</span>
-                            Messages are end-to-end encrypted
-                        </div>
-                        {messages
-                            .filter(m => !searchQuery || m.content?.toLowerCase().includes(searchQuery.toLowerCase()))
+                        {loadingHistory === 'older' && <div className="history-loading">Loading messages...</div>}
+                        {startIndex === 0 && !hasOlderMessages && (
+                            <div className="encryption-notice">
+                                <span>🔐</span>
+                                Messages are end-to-end encrypted
+                            </div>
+                        )}
+                        {renderedMessages
                             .map((message, index) => (
                                 <MessageBubble
-                                    key={message._id || index}
+                                    key={message.clientMessageId || message._id || startIndex + index}
                                     message={message}
-                                    isMine={message.senderId !== friend.id}
+                                    isMine={isGroup ? message.senderId === currentUserId : message.senderId !== friend.id}
+                                    highlighted={!!focusMessageId && message._id === focusMessageId}
                                     onReact={onReact}
                                     currentUserId={currentUserId}
-                                    searchQuery={searchQuery}
                                     onReply={handleReply}
+                                    onEdit={onEditMessage}
+                                    onLoadEditHistory={onLoadEditHistory}
+                                    onDelete={onDeleteMessage}
+                                    onRetrySend={onRetrySend}
+                                    onCancelSend={onCancelSend}
+                                    onOpenViewOnce={onOpenViewOnce}
                                     onDownloadFile={onDownloadFile}
-                                    friendName={friend.username}
+                                    friendName={isGroup ? getSenderName(message.replyPreview?.senderId) : friend.username}
+                                    senderName={message.senderId !== currentUserId ? getSenderName(message.senderId) : null}
                                 />
                             ))}
+                        {loadingHistory === 'newer' && <div className="history-loading">Loading messages...</div>}
                     </>
                 )}
-                <div ref={messagesEndRef} />
+                {!showsLatest && (
+                    <button className="jump-latest-btn" onClick={jumpToLatest} title="Latest messages">
+                        ↓
+                    </button>
+                )}
             </div>
 
             {/* Reply preview */}
@@ -275,7 +676,7 @@ export default function ChatWindow({
                     <div className="reply-bar" />
                     <div className="reply-input-info">
                         <span className="reply-to-name">
-                            Replying to {replyingTo.senderId === currentUserId ? 'yourself' : friend.username}
+                            Replying to {replyingTo.senderId === currentUserId ? 'yourself' : (getSenderName(replyingTo.senderId) || friend.username)}
                         </span>
                         <span className="reply-to-text">{replyingTo.content}</span>
                     </div>
@@ -291,14 +692,16 @@ export default function ChatWindow({
                 />
             ) : (
                 <form className="message-input-form" onSubmit={handleSend}>
-                    <button
-                        type="button"
-                        className="input-action-btn"
-                        onClick={() => setShowFileAttachment(true)}
-                        title="Attach file"
-                    >
-                        📎
-                    </button>
+                    {!isGroup && (
+                        <button
+                            type="button"
+                            className="input-action-btn"
+                            onClick={() => setShowFileAttachment(true)}
+                            title="Attach file"
+                        >
+                            📎
+                        </button>
+                    )}
                     <input
                         type="text"
                         value={input}
@@ -307,8 +710,8 @@ export default function ChatWindow({
                         placeholder="Type a message..."
                         className="message-input"
                     />
-                    {input.trim() ? (
-                        <button type="submit" className="send-button">
+                    {input.trim() || isGroup ? (
+                        <button type="submit" className="send-button" disabled={!input.trim()}>
                             <span>➤</span>
                         </button>
                     ) : (
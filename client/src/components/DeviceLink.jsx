@@ -0,0 +1,231 @@
+/**
+ * Device Link Modal
+ *
+ * Moves keys from an existing device to a new one:
+ * - new device shows a QR code / short code and waits
+ * - existing device pastes the scanned code (or types the short code)
+ *   and sends its keys encrypted through the server relay
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import QRCode from 'qrcode';
+import { getSocket } from '../api/socket';
+import { createLinkRequest, parseLinkPayload, sealLinkBundle, openLinkBundle } from '../crypto/deviceLink';
+import { canonicalPublicKey } from '../crypto/utils';
+import './Modal.css';
+
+/**
+ * Emit a socket event and wait for its acknowledgement
+ */
+const emitWithAck = (socket, event, data) => new Promise((resolve, reject) => {
+    socket.emit(event, data, (response) => {
+        if (response?.error) {
+            reject(new Error(response.error));
+        } else {
+            resolve(response);
+        }
+    });
+});
+
+export default function DeviceLink({ onClose, onLinked }) {
+    // choose | waiting | receiving | send | sending | done
+    const [step, setStep] = useState('choose');
+    const [request, setRequest] = useState(null);
+    const [qrDataUrl, setQrDataUrl] = useState(null);
+    const [codeInput, setCodeInput] = useState('');
+    const [error, setError] = useState('');
+    const openChannelRef = useRef(null);
+
+    // New device: wait for the existing device and its sealed bundle
+    useEffect(() => {
+        const socket = getSocket();
+        if (!socket || !request) return;
+
+        const handleJoined = ({ channel }) => {
+            if (channel === request.channel) setStep('receiving');
+        };
+
+        const handleBundle = async ({ channel, sealed }) => {
+            if (channel !== request.channel) return;
+            openChannelRef.current = null;
+
+            try {
+                await openLinkBundle(sealed, request.keyPair, request.secret);
+                setStep('done');
+                onLinked();
+            } catch (err) {
+                console.error('Failed to open link bundle:', err);
+                setError('The received keys could not be decrypted. Linking aborted - try again.');
+                setStep('choose');
+            }
+        };
+
+        const handleCancelled = ({ channel }) => {
+            if (channel !== request.channel) return;
+            openChannelRef.current = null;
+            setError('Linking was cancelled on the other device');
+            setStep('choose');
+        };
+
+        socket.on('link_joined', handleJoined);
+        socket.on('link_bundle', handleBundle);
+        socket.on('link_cancelled', handleCancelled);
+
+        return () => {
+            socket.off('link_joined', handleJoined);
+            socket.off('link_bundle', handleBundle);
+            socket.off('link_cancelled', handleCancelled);
+        };
+    }, [request, onLinked]);
+
+    // Close any channel we left open
+    useEffect(() => () => {
+        if (openChannelRef.current) {
+            getSocket()?.emit('link_cancel', { channel: openChannelRef.current });
+        }
+    }, []);
+
+    const handleShowCode = async () => {
+        const socket = getSocket();
+        if (!socket) {
+            setError('Not connected to the server');
+            return;
+        }
+
+        setError('');
+        try {
+            const linkRequest = await createLinkRequest();
+            await emitWithAck(socket, 'link_open', {
+                channel: linkRequest.channel,
+                publicKey: linkRequest.keyPair.publicKey
+            });
+            openChannelRef.current = linkRequest.channel;
+
+            setQrDataUrl(await QRCode.toDataURL(linkRequest.qrPayload, { margin: 1, width: 220 }));
+            setRequest(linkRequest);
+            setStep('waiting');
+        } catch (err) {
+            console.error('Failed to open link channel:', err);
+            setError(err.message || 'Failed to start linking');
+        }
+    };
+
+    const handleSendKeys = async (e) => {
+        e.preventDefault();
+        const socket = getSocket();
+        if (!socket || !codeInput.trim()) return;
+
+        setError('');
+        let link;
+        try {
+            link = parseLinkPayload(codeInput);
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+
+        setStep('sending');
+        try {
+            const { publicKey } = await emitWithAck(socket, 'link_join', { channel: link.channel });
+            openChannelRef.current = link.channel;
+
+            // A scanned code carries the new device's key - the relay must not swap it
+            if (link.publicKey && canonicalPublicKey(link.publicKey) !== canonicalPublicKey(publicKey)) {
+                throw new Error('The relayed key does not match the QR code. Linking aborted.');
+            }
+
+            const sealed = await sealLinkBundle(publicKey, link.secret);
+            await emitWithAck(socket, 'link_transfer', { channel: link.channel, sealed });
+            openChannelRef.current = null;
+            setStep('done');
+        } catch (err) {
+            console.error('Failed to send keys:', err);
+            if (openChannelRef.current) {
+                socket.emit('link_cancel', { channel: openChannelRef.current });
+                openChannelRef.current = null;
+            }
+            setError(err.message || 'Failed to send keys');
+            setStep('send');
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={e => e.stopPropagation()}>
+                <header className="modal-header">
+                    <h2>Link Device</h2>
+                    <button className="modal-close" onClick={onClose}>×</button>
+                </header>
+
+                {error && <div className="modal-error">{error}</div>}
+
+                <div className="modal-body device-link">
+                    {step === 'choose' && (
+                        <>
+                            <p className="device-link-hint">
+                                Copy your keys from a device you already use, so this account can read
+                                its conversations here too.
+                            </p>
+                            <button className="add-friend-btn" onClick={handleShowCode}>
+                                This is the new device
+                            </button>
+                            <button className="add-friend-btn" onClick={() => setStep('send')}>
+                                Send my keys to a new device
+                            </button>
+                        </>
+                    )}
+
+                    {(step === 'waiting' || step === 'receiving') && request && (
+                        <>
+                            <p className="device-link-hint">
+                                On your other device open Profile → Link Device → &quot;Send my keys&quot;
+                                and paste the scanned code, or type the code below. It expires in 2 minutes.
+                            </p>
+                            {qrDataUrl && (
+                                <div className="device-link-qr">
+                                    <img src={qrDataUrl} alt="Device link QR code" />
+                                </div>
+                            )}
+                            <div className="device-link-code">{request.shortCode}</div>
+                            <p className="device-link-status">
+                                {step === 'waiting' ? 'Waiting for your other device...' : 'Receiving keys...'}
+                            </p>
+                        </>
+                    )}
+
+                    {(step === 'send' || step === 'sending') && (
+                        <form onSubmit={handleSendKeys} className="device-link-form">
+                            <p className="device-link-hint">
+                                Your identity key and sessions are encrypted for the new device only -
+                                the server just relays them.
+                            </p>
+                            <input
+                                type="text"
+                                value={codeInput}
+                                onChange={(e) => setCodeInput(e.target.value)}
+                                placeholder="Paste the scanned code or type XXXX-XXXX-XXXX"
+                                className="search-input"
+                                disabled={step === 'sending'}
+                                autoFocus
+                            />
+                            <button
+                                type="submit"
+                                className="add-friend-btn"
+                                disabled={step === 'sending' || !codeInput.trim()}
+                            >
+                                {step === 'sending' ? 'Sending...' : 'Send Keys'}
+                            </button>
+                        </form>
+                    )}
+
+                    {step === 'done' && (
+                        <div className="empty-state">
+                            <span className="empty-icon">✅</span>
+                            <p>{request ? 'Keys received. Reloading...' : 'Keys sent to your new device.'}</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
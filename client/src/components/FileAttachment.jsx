@@ -40,6 +40,7 @@ export default function FileAttachment({ onAttach, onClose }) {
     const [selectedFile, setSelectedFile] = useState(null);
     const [preview, setPreview] = useState(null);
     const [error, setError] = useState('');
+    const [viewOnce, setViewOnce] = useState(false);
     const fileInputRef = useRef(null);
 
     const handleFileSelect = (e) => {
@@ -67,7 +68,7 @@ export default function FileAttachment({ onAttach, onClose }) {
 
     const handleAttach = () => {
         if (selectedFile) {
-            onAttach(selectedFile);
+            onAttach(selectedFile, { viewOnce });
             onClose();
         }
     };
@@ -119,6 +120,17 @@ export default function FileAttachment({ onAttach, onClose }) {
                         style={{ display: 'none' }}
                     />
 
+                    {selectedFile && (
+                        <label className="view-once-toggle">
+                            <input
+                                type="checkbox"
+                                checked={viewOnce}
+                                onChange={(e) => setViewOnce(e.target.checked)}
+                            />
+                            View once - removed after it is opened
+                        </label>
+                    )}
+
                     {error && <div className="file-error">{error}</div>}
                 </div>
 
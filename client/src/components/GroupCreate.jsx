@@ -0,0 +1,106 @@
+/**
+ * Create Group Modal
+ * 
+ * Name a new group and pick friends to add
+ */
+
+import { useState } from 'react';
+import api from '../api/client';
+import './Modal.css';
+
+export default function GroupCreate({ friends, onClose, onCreated }) {
+    const [name, setName] = useState('');
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const toggleMember = (friendId) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(friendId)) {
+                next.delete(friendId);
+            } else {
+                next.add(friendId);
+            }
+            return next;
+        });
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!name.trim() || selectedIds.size === 0) return;
+
+        setLoading(true);
+        setError('');
+
+        try {
+            const response = await api.post('/groups', {
+                name: name.trim(),
+                memberIds: [...selectedIds]
+            });
+            onCreated(response.data);
+            onClose();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create group');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={e => e.stopPropagation()}>
+                <header className="modal-header">
+                    <h2>New Group</h2>
+                    <button className="modal-close" onClick={onClose}>×</button>
+                </header>
+
+                <form onSubmit={handleCreate} className="search-form">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Group name"
+                        className="search-input"
+                        maxLength={50}
+                        autoFocus
+                    />
+                </form>
+
+                {error && <div className="modal-error">{error}</div>}
+
+                <div className="search-results">
+                    {friends.length === 0 && (
+                        <p className="no-results">Add friends before creating a group</p>
+                    )}
+
+                    {friends.map(friend => (
+                        <label key={friend.id} className="result-item group-member-option">
+                            <div className="result-avatar">
+                                {friend.username[0].toUpperCase()}
+                            </div>
+                            <div className="result-info">
+                                <span className="result-username">{friend.username}</span>
+                            </div>
+                            <input
+                                type="checkbox"
+                                checked={selectedIds.has(friend.id)}
+                                onChange={() => toggleMember(friend.id)}
+                            />
+                        </label>
+                    ))}
+                </div>
+
+                <div className="modal-footer">
+                    <button
+                        className="add-friend-btn"
+                        onClick={handleCreate}
+                        disabled={loading || !name.trim() || selectedIds.size === 0}
+                    >
+                        {loading ? 'Creating...' : `Create (${selectedIds.size + 1} members)`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
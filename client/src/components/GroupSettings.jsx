@@ -0,0 +1,141 @@
+/**
+ * Group Settings Modal
+ * 
+ * Rename the group, manage members and leave.
+ * Membership changes rotate everyone's sender keys server-side.
+ */
+
+import { useState } from 'react';
+import api from '../api/client';
+import './Modal.css';
+
+export default function GroupSettings({ group, friends, currentUserId, onClose, onLeft }) {
+    const [name, setName] = useState(group.name);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const isAdmin = group.admins.includes(currentUserId);
+    const memberIds = new Set(group.members.map(m => m.id));
+    const addableFriends = friends.filter(f => !memberIds.has(f.id));
+
+    const run = async (action) => {
+        setLoading(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Something went wrong');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        if (!name.trim() || name.trim() === group.name) return;
+        run(() => api.put(`/groups/${group.id}`, { name: name.trim() }));
+    };
+
+    const handleAdd = (userId) => {
+        run(() => api.post(`/groups/${group.id}/members`, { userIds: [userId] }));
+    };
+
+    const handleRemove = (userId) => {
+        run(() => api.delete(`/groups/${group.id}/members/${userId}`));
+    };
+
+    const handleLeave = () => {
+        if (!confirm(`Leave ${group.name}?`)) return;
+        run(async () => {
+            await api.delete(`/groups/${group.id}/members/${currentUserId}`);
+            onLeft();
+            onClose();
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={e => e.stopPropagation()}>
+                <header className="modal-header">
+                    <h2>Group Info</h2>
+                    <button className="modal-close" onClick={onClose}>×</button>
+                </header>
+
+                {isAdmin && (
+                    <form onSubmit={handleRename} className="search-form">
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className="search-input"
+                            maxLength={50}
+                        />
+                    </form>
+                )}
+
+                {error && <div className="modal-error">{error}</div>}
+
+                <div className="search-results">
+                    {group.members.map(member => (
+                        <div key={member.id} className="result-item">
+                            <div className="result-avatar">
+                                {member.avatar ? (
+                                    <img src={member.avatar} alt={member.username} className="avatar-img" />
+                                ) : (
+                                    member.username[0].toUpperCase()
+                                )}
+                            </div>
+                            <div className="result-info">
+                                <span className="result-username">
+                                    {member.id === currentUserId ? 'You' : member.username}
+                                </span>
+                                {group.admins.includes(member.id) && (
+                                    <span className="pending-badge">Admin</span>
+                                )}
+                            </div>
+                            {isAdmin && member.id !== currentUserId && (
+                                <button
+                                    className="reject-btn"
+                                    onClick={() => handleRemove(member.id)}
+                                    disabled={loading}
+                                    title="Remove from group"
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </div>
+                    ))}
+
+                    {isAdmin && addableFriends.length > 0 && (
+                        <>
+                            <p className="loading-text">Add friends</p>
+                            {addableFriends.map(friend => (
+                                <div key={friend.id} className="result-item">
+                                    <div className="result-avatar">
+                                        {friend.username[0].toUpperCase()}
+                                    </div>
+                                    <div className="result-info">
+                                        <span className="result-username">{friend.username}</span>
+                                    </div>
+                                    <button
+                                        className="add-friend-btn"
+                                        onClick={() => handleAdd(friend.id)}
+                                        disabled={loading}
+                                    >
+                                        Add
+                                    </button>
+                                </div>
+                            ))}
+                        </>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <button className="unblock-btn" onClick={handleLeave} disabled={loading}>
+                        Leave Group
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -6,23 +6,57 @@ import { useState, useRef } from 'react';
 import ReplyPreview from './ReplyPreview';
 import { FileMessage } from './FileAttachment';
 import { VoiceMessage } from './VoiceRecorder';
+import { formatTimer } from '../utils/messageTimers';
+import { firstEmoji } from '../utils/emoji';
 import './MessageBubble.css';
 
+// Quick picks; any other emoji can be typed or pasted with "+"
 const EMOJI_OPTIONS = ['❤️', '👍', '😂', '😮', '😢', '🔥'];
 
+// How long after sending a message can be edited / deleted for everyone (same as the server)
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DELETE_FOR_EVERYONE_WINDOW_MS = 60 * 60 * 1000;
+
+// Status marks of our messages that the server has not stored yet
+const SEND_STATUS_MARKS = {
+    pending: { mark: '🕓', title: 'Sending' },
+    failed: { mark: '⚠️', title: 'Not sent' }
+};
+
+// Labels for messages whose sender signature did not verify
+const SIGNATURE_WARNINGS = {
+    unsigned: '⚠️ Unverified sender',
+    unverifiable: '⚠️ Unverified sender',
+    invalid: '❌ Signature invalid'
+};
+
 export default function MessageBubble({
     message,
     isMine,
     onReact,
     currentUserId,
     onReply,
+    onEdit,
+    onLoadEditHistory,
+    onDelete,
+    onRetrySend,
+    onCancelSend,
+    onOpenViewOnce,
     onScrollToMessage,
+    highlighted,
     onDownloadFile,
-    friendName
+    friendName,
+    senderName
 }) {
     const [showPicker, setShowPicker] = useState(false);
     const [swipeOffset, setSwipeOffset] = useState(0);
     const [isDownloading, setIsDownloading] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [editText, setEditText] = useState('');
+    const [editHistory, setEditHistory] = useState(null); // Decrypted earlier versions while shown
+    const [showDeleteMenu, setShowDeleteMenu] = useState(false);
+    const [showInfo, setShowInfo] = useState(false);
+    const [showEmojiInput, setShowEmojiInput] = useState(false);
     const touchStartX = useRef(0);
 
     const formatTime = (date) => {
@@ -32,9 +66,32 @@ export default function MessageBubble({
         });
     };
 
+    const formatDateTime = (date) => new Date(date).toLocaleString([], {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+
+    // Messages delivered / read before receipts had times only have the flag
+    const receiptTime = (done, at) => (at ? formatDateTime(at) : done ? 'Yes' : 'Not yet');
+
     const handleReaction = (emoji) => {
-        onReact?.(message._id, emoji);
+        onReact?.(message, emoji);
         setShowPicker(false);
+        setShowEmojiInput(false);
+    };
+
+    // React with the first emoji typed or pasted
+    const handleEmojiInput = (e) => {
+        const emoji = firstEmoji(e.target.value);
+        if (emoji) handleReaction(emoji);
+    };
+
+    // Messages that are not sent yet cannot be reacted to, replied to or deleted
+    const handleDoubleClick = () => {
+        if (message.sendStatus) return;
+        setShowPicker(!showPicker);
+        setShowDeleteMenu(false);
+        setShowEmojiInput(false);
     };
 
     // Handle swipe to reply
@@ -51,25 +108,69 @@ export default function MessageBubble({
     };
 
     const handleTouchEnd = () => {
-        if (swipeOffset > 50) {
+        if (swipeOffset > 50 && !message.sendStatus) {
             onReply?.(message);
         }
         setSwipeOffset(0);
     };
 
-    // Group reactions by emoji with count
+    // Decrypted reactions are { userId, emojis } per user; views cached
+    // before reactions were encrypted have one { userId, emoji } per emoji
+    const emojisOf = (r) => r.emojis || (r.emoji ? [r.emoji] : []);
+
+    // Count reactions by emoji
     const groupedReactions = (message.reactions || []).reduce((acc, r) => {
-        acc[r.emoji] = (acc[r.emoji] || 0) + 1;
+        emojisOf(r).forEach(emoji => {
+            acc[emoji] = (acc[emoji] || 0) + 1;
+        });
         return acc;
     }, {});
 
     // Check if current user reacted with specific emoji
     const userReacted = (emoji) => {
         return (message.reactions || []).some(
-            r => r.emoji === emoji && r.userId === currentUserId
+            r => r.userId === currentUserId && emojisOf(r).includes(emoji)
         );
     };
 
+    const isDeleted = !!message.deletedAt;
+    const messageAge = Date.now() - new Date(message.createdAt).getTime();
+
+    // Only our own direct text messages, for a while after sending
+    const canEdit = isMine && !!onEdit && !message.sealed && !isDeleted &&
+        (message.messageType || 'text') === 'text' &&
+        messageAge < EDIT_WINDOW_MS;
+    const canDeleteForEveryone = isMine && !message.sealed && !isDeleted &&
+        messageAge < DELETE_FOR_EVERYONE_WINDOW_MS;
+    // Delivery and read times are kept for our direct messages (sealed ones are not tracked as delivered)
+    const hasReceipts = isMine && !message.groupId && !message.sealed;
+
+    const handleDelete = (scope) => {
+        setShowDeleteMenu(false);
+        setShowPicker(false);
+        onDelete?.(message, scope);
+    };
+
+    const startEditing = () => {
+        setEditText(message.content);
+        setIsEditing(true);
+        setShowPicker(false);
+    };
+
+    const handleEditSubmit = async (e) => {
+        e.preventDefault();
+        await onEdit(message, editText.trim());
+        setIsEditing(false);
+    };
+
+    const toggleEditHistory = async () => {
+        if (editHistory) {
+            setEditHistory(null);
+            return;
+        }
+        setEditHistory(await onLoadEditHistory?.(message) || []);
+    };
+
     // URL regex pattern
     const URL_REGEX = /(https?:\/\/[^\s]+)/g;
 
@@ -107,7 +208,7 @@ export default function MessageBubble({
         if (!message.fileAttachment || !onDownloadFile) return;
         setIsDownloading(true);
         try {
-            await onDownloadFile(message.fileAttachment);
+            await onDownloadFile(message.fileAttachment, message.senderId);
         } finally {
             setIsDownloading(false);
         }
@@ -115,7 +216,26 @@ export default function MessageBubble({
 
     // Render content based on message type
     const renderMessageContent = () => {
-        const msgType = message.messageType || 'text';
+        const msgType = isDeleted ? 'text' : message.messageType || 'text';
+
+        // View-once attachments: only the recipient can open them, a single time
+        if (message.viewOnce && !isDeleted) {
+            const canOpen = !isMine && !message.consumedAt && !!onOpenViewOnce && !!message.fileAttachment;
+            return (
+                <button
+                    className={`view-once-message ${canOpen ? '' : 'consumed'}`}
+                    onClick={() => canOpen && onOpenViewOnce(message)}
+                    disabled={!canOpen}
+                >
+                    <span className="view-once-icon">{message.consumedAt ? '◌' : '①'}</span>
+                    <span>
+                        {message.content}
+                        {' · '}
+                        {message.consumedAt ? 'Opened' : isMine ? 'View once' : 'Tap to view'}
+                    </span>
+                </button>
+            );
+        }
 
         switch (msgType) {
             case 'file':
@@ -138,12 +258,15 @@ export default function MessageBubble({
                     <VoiceMessage
                         audioUrl={message.audioUrl}
                         duration={message.voiceDuration || 0}
-                        waveformData={message.waveformData}
+                        waveformData={message.voiceWaveform || message.waveformData}
                         isMine={isMine}
                     />
                 );
 
             default:
+                if (isDeleted) {
+                    return <div className="message-content message-deleted">{message.content}</div>;
+                }
                 return (
                     <div className="message-content">
                         {renderContent(message.content)}
@@ -152,11 +275,17 @@ export default function MessageBubble({
         }
     };
 
+    // Conversation events (e.g. timer changes) are not bubbles
+    if (message.systemEvent) {
+        return <div className="system-message">{message.content}</div>;
+    }
+
     return (
         <div
-            className={`message-bubble ${isMine ? 'mine' : 'theirs'}`}
+            id={message._id ? `message-${message._id}` : undefined}
+            className={`message-bubble ${isMine ? 'mine' : 'theirs'} ${highlighted ? 'highlighted' : ''}`}
             style={{ transform: `translateX(${swipeOffset}px)` }}
-            onDoubleClick={() => setShowPicker(!showPicker)}
+            onDoubleClick={handleDoubleClick}
             onTouchStart={handleTouchStart}
             onTouchMove={handleTouchMove}
             onTouchEnd={handleTouchEnd}
@@ -168,6 +297,11 @@ export default function MessageBubble({
                 </div>
             )}
 
+            {/* Sender name (group chats) */}
+            {senderName && !isMine && (
+                <div className="message-sender">{senderName}</div>
+            )}
+
             {/* Reply preview if this is a reply */}
             {message.replyPreview && (
                 <ReplyPreview
@@ -180,7 +314,42 @@ export default function MessageBubble({
                 />
             )}
 
-            {renderMessageContent()}
+            {isEditing ? (
+                <form className="message-edit-form" onSubmit={handleEditSubmit}>
+                    <input
+                        type="text"
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+                        autoFocus
+                    />
+                    <button type="submit" disabled={!editText.trim()}>Save</button>
+                    <button type="button" onClick={() => setIsEditing(false)}>Cancel</button>
+                </form>
+            ) : renderMessageContent()}
+
+            {/* Earlier versions of an edited message */}
+            {editHistory && (
+                <div className="message-edit-history">
+                    {editHistory.length === 0 && <div className="edit-history-entry">No earlier versions</div>}
+                    {editHistory.map((version, i) => (
+                        <div key={i} className="edit-history-entry">
+                            <span className="edit-history-time">{formatTime(version.replacedAt)}</span>
+                            {version.content}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Sender signature warning */}
+            {!isMine && SIGNATURE_WARNINGS[message.signatureStatus] && (
+                <div
+                    className={`signature-warning ${message.signatureStatus}`}
+                    title="This message could not be verified as coming from the sender"
+                >
+                    {SIGNATURE_WARNINGS[message.signatureStatus]}
+                </div>
+            )}
 
             {/* Reaction display */}
             {Object.keys(groupedReactions).length > 0 && (
@@ -197,28 +366,108 @@ export default function MessageBubble({
                 </div>
             )}
 
-            {/* Reaction picker */}
-            {showPicker && (
+            {/* Reaction picker (tombstones can only be removed) */}
+            {showPicker && showDeleteMenu && (
+                <div className="reaction-picker delete-menu">
+                    <button onClick={() => handleDelete('me')}>Delete for me</button>
+                    {canDeleteForEveryone && (
+                        <button onClick={() => handleDelete('everyone')}>Delete for everyone</button>
+                    )}
+                    <button onClick={() => setShowDeleteMenu(false)}>Cancel</button>
+                </div>
+            )}
+            {showPicker && !showDeleteMenu && (
                 <div className="reaction-picker">
-                    {EMOJI_OPTIONS.map(emoji => (
+                    {!isDeleted && EMOJI_OPTIONS.map(emoji => (
                         <button key={emoji} onClick={() => handleReaction(emoji)}>
                             {emoji}
                         </button>
                     ))}
-                    <button onClick={() => { onReply?.(message); setShowPicker(false); }}>
-                        ↩️
-                    </button>
+                    {!isDeleted && (showEmojiInput ? (
+                        <input
+                            className="reaction-emoji-input"
+                            autoFocus
+                            placeholder="😀"
+                            aria-label="React with any emoji"
+                            onChange={handleEmojiInput}
+                            onKeyDown={(e) => e.key === 'Escape' && setShowEmojiInput(false)}
+                        />
+                    ) : (
+                        <button onClick={() => setShowEmojiInput(true)} title="Other emoji">
+                            ➕
+                        </button>
+                    ))}
+                    {!isDeleted && (
+                        <button onClick={() => { onReply?.(message); setShowPicker(false); }}>
+                            ↩️
+                        </button>
+                    )}
+                    {canEdit && (
+                        <button onClick={startEditing} title="Edit message">
+                            ✏️
+                        </button>
+                    )}
+                    {onDelete && (
+                        <button onClick={() => setShowDeleteMenu(true)} title="Delete message">
+                            🗑️
+                        </button>
+                    )}
+                    {hasReceipts && (
+                        <button onClick={() => { setShowInfo(!showInfo); setShowPicker(false); }} title="Message info">
+                            ℹ️
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {/* Message info: when it was sent, delivered and read */}
+            {showInfo && (
+                <div className="message-info" onClick={() => setShowInfo(false)}>
+                    <div><span>Sent</span>{formatDateTime(message.createdAt)}</div>
+                    <div><span>Delivered</span>{receiptTime(message.delivered, message.deliveredAt)}</div>
+                    <div><span>Read</span>{receiptTime(message.read, message.readAt)}</div>
                 </div>
             )}
 
             <div className="message-meta">
+                {message.editedAt && (
+                    <button
+                        className="message-edited"
+                        onClick={toggleEditHistory}
+                        title={`Edited ${new Date(message.editedAt).toLocaleString()}`}
+                    >
+                        edited
+                    </button>
+                )}
+                {(message.expiresAt || message.timerSeconds > 0) && (
+                    <span
+                        className="message-timer"
+                        title={message.expiresAt
+                            ? `Disappears ${new Date(message.expiresAt).toLocaleString()}`
+                            : `Disappears ${formatTimer(message.timerSeconds)} after it is read`}
+                    >
+                        ⏱️
+                    </span>
+                )}
                 <span className="message-time">{formatTime(message.createdAt)}</span>
-                {isMine && (
+                {isMine && (message.sendStatus ? (
+                    <span className="message-status" title={SEND_STATUS_MARKS[message.sendStatus].title}>
+                        {SEND_STATUS_MARKS[message.sendStatus].mark}
+                    </span>
+                ) : (
                     <span className="message-status">
                         {message.read ? '✓✓' : message.delivered ? '✓' : '○'}
                     </span>
-                )}
+                ))}
             </div>
+
+            {message.sendStatus === 'failed' && (
+                <div className="message-send-failed">
+                    <span>Not sent</span>
+                    <button onClick={() => onRetrySend?.(message)}>Retry</button>
+                    <button onClick={() => onCancelSend?.(message)}>Cancel</button>
+                </div>
+            )}
         </div>
     );
 }
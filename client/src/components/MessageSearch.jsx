@@ -0,0 +1,170 @@
+/**
+ * Message Search Modal
+ *
+ * Searches the local encrypted index (all decrypted history, not just
+ * the loaded messages) with conversation, sender and date filters.
+ */
+
+import { useState, useEffect } from 'react';
+import { tokenize } from '../crypto/searchIndex';
+import './Modal.css';
+
+// Wait for typing to pause before searching
+const SEARCH_DELAY_MS = 250;
+
+// Characters of context shown around the first match
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Part of a message around the first query word
+ */
+function snippet(text, query) {
+    if (text.length <= SNIPPET_LENGTH) return text;
+
+    const lower = text.toLowerCase();
+    const index = tokenize(query).map(word => lower.indexOf(word)).find(i => i >= 0) ?? 0;
+    const start = Math.max(0, Math.min(index - SNIPPET_LENGTH / 3, text.length - SNIPPET_LENGTH));
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + SNIPPET_LENGTH)}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+export default function MessageSearch({
+    conversations, // [{ id, name, members? }] - friend id or 'group:<id>'
+    initialConversationId,
+    currentUserId,
+    onSearch,
+    onOpenResult,
+    onClose
+}) {
+    const [query, setQuery] = useState('');
+    const [conversationId, setConversationId] = useState(initialConversationId || '');
+    const [senderId, setSenderId] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [results, setResults] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const conversationsById = new Map(conversations.map(c => [c.id, c]));
+    const selectedConversation = conversationsById.get(conversationId);
+
+    // People who may have sent a matching message
+    const senders = selectedConversation
+        ? (selectedConversation.members || [{ id: selectedConversation.id, username: selectedConversation.name }])
+        : conversations.filter(c => !c.members).map(c => ({ id: c.id, username: c.name }));
+
+    const getSenderName = (result) => {
+        if (result.senderId === currentUserId) return 'You';
+        const conversation = conversationsById.get(result.conversationId);
+        return conversation?.members
+            ? conversation.members.find(m => m.id === result.senderId)?.username || 'Former member'
+            : conversation?.name || 'Unknown';
+    };
+
+    useEffect(() => {
+        if (tokenize(query).length === 0) {
+            setResults([]);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const found = await onSearch(query, {
+                    conversationId: conversationId || undefined,
+                    senderId: senderId || undefined,
+                    from: from ? new Date(`${from}T00:00:00`) : undefined,
+                    to: to ? new Date(`${to}T23:59:59.999`) : undefined
+                });
+                if (!cancelled) setResults(found);
+            } catch (err) {
+                console.error('Message search failed:', err);
+                if (!cancelled) setError('Search failed');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        }, SEARCH_DELAY_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query, conversationId, senderId, from, to, onSearch]);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content message-search" onClick={e => e.stopPropagation()}>
+                <header className="modal-header">
+                    <h2>Search Messages</h2>
+                    <button className="modal-close" onClick={onClose}>×</button>
+                </header>
+
+                <div className="search-form">
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search messages..."
+                        className="search-input"
+                        autoFocus
+                    />
+                    <div className="message-search-filters">
+                        <select
+                            value={conversationId}
+                            onChange={(e) => { setConversationId(e.target.value); setSenderId(''); }}
+                        >
+                            <option value="">All conversations</option>
+                            {conversations.map(c => (
+                                <option key={c.id} value={c.id}>{c.name}</option>
+                            ))}
+                        </select>
+                        <select value={senderId} onChange={(e) => setSenderId(e.target.value)}>
+                            <option value="">Anyone</option>
+                            <option value={currentUserId}>You</option>
+                            {senders.filter(s => s.id !== currentUserId).map(s => (
+                                <option key={s.id} value={s.id}>{s.username}</option>
+                            ))}
+                        </select>
+                        <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} title="From" />
+                        <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} title="To" />
+                    </div>
+                </div>
+
+                {error && <div className="modal-error">{error}</div>}
+
+                <div className="search-results">
+                    {loading && results.length === 0 && <p className="loading-text">Searching...</p>}
+                    {!loading && results.length === 0 && tokenize(query).length > 0 && (
+                        <p className="no-results">No messages found</p>
+                    )}
+
+                    {results.map(result => (
+                        <button
+                            key={result.messageId}
+                            className="result-item message-search-result"
+                            onClick={() => onOpenResult(result)}
+                        >
+                            <div className="message-search-meta">
+                                <span className="result-username">
+                                    {conversationsById.get(result.conversationId)?.name || 'Unknown chat'}
+                                </span>
+                                <span className="message-search-date">
+                                    {new Date(result.createdAt).toLocaleDateString()}
+                                </span>
+                            </div>
+                            <div className="message-search-text">
+                                <strong>{getSenderName(result)}:</strong> {snippet(result.text, query)}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+
+                <p className="message-search-hint">
+                    🔐 Searches messages decrypted on this device. Disappearing and view-once messages are not indexed.
+                </p>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,54 @@
+/**
+ * View Once Viewer Component
+ *
+ * Shows a decrypted view-once attachment a single time.
+ * No download or save options; the parent revokes the blob URL on close.
+ */
+
+import './Modal.css';
+
+export default function ViewOnceViewer({ media, onClose }) {
+    const { url, mimeType = '', name } = media;
+
+    // Keep the browser's own save options out of the way
+    const blockSave = (e) => e.preventDefault();
+
+    const renderMedia = () => {
+        if (mimeType.startsWith('image/')) {
+            return <img src={url} alt={name} className="view-once-media" draggable={false} onContextMenu={blockSave} />;
+        }
+        if (mimeType.startsWith('audio/')) {
+            return <audio src={url} controls autoPlay controlsList="nodownload" onContextMenu={blockSave} />;
+        }
+        if (mimeType.startsWith('video/')) {
+            return (
+                <video
+                    src={url}
+                    controls
+                    autoPlay
+                    controlsList="nodownload"
+                    disablePictureInPicture
+                    className="view-once-media"
+                    onContextMenu={blockSave}
+                />
+            );
+        }
+        return <p className="view-once-unsupported">This file type cannot be previewed.</p>;
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content view-once-viewer" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>View once</h2>
+                    <button className="modal-close" onClick={onClose}>×</button>
+                </div>
+
+                <div className="view-once-body">
+                    {renderMedia()}
+                    <p className="view-once-hint">This can only be opened once. Closing it removes it.</p>
+                </div>
+            </div>
+        </div>
+    );
+}
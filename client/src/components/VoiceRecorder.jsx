@@ -13,6 +13,7 @@ export default function VoiceRecorder({ onRecord, onCancel }) {
     const [duration, setDuration] = useState(0);
     const [audioBlob, setAudioBlob] = useState(null);
     const [waveformData, setWaveformData] = useState([]);
+    const [viewOnce, setViewOnce] = useState(false);
 
     const mediaRecorderRef = useRef(null);
     const audioContextRef = useRef(null);
@@ -118,7 +119,8 @@ export default function VoiceRecorder({ onRecord, onCancel }) {
             onRecord({
                 blob: audioBlob,
                 duration: duration,
-                waveformData: waveformData.map(v => Math.round(v * 100) / 100)
+                waveformData: waveformData.map(v => Math.round(v * 100) / 100),
+                viewOnce
             });
         }
     };
@@ -176,9 +178,18 @@ export default function VoiceRecorder({ onRecord, onCancel }) {
                     ⏹️
                 </button>
             ) : audioBlob ? (
-                <button className="send-btn" onClick={handleSend}>
-                    ➤
-                </button>
+                <>
+                    <button
+                        className={`view-once-btn ${viewOnce ? 'active' : ''}`}
+                        onClick={() => setViewOnce(!viewOnce)}
+                        title={viewOnce ? 'View once: on' : 'View once: off'}
+                    >
+                        1
+                    </button>
+                    <button className="send-btn" onClick={handleSend}>
+                        ➤
+                    </button>
+                </>
             ) : null}
         </div>
     );
@@ -6,15 +6,82 @@
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
-import api from '../api/client';
+import api, { clearDeviceId } from '../api/client';
 import { connectSocket, disconnectSocket } from '../api/socket';
-import { initializeKeys, clearKeys, getStoredPublicKeyJwk } from '../crypto/keyManager';
+import { initializeKeys, clearKeys, clearPinnedKeyLogs, hasStoredKeys } from '../crypto/keyManager';
+import { clearSessions } from '../crypto/sessionStore';
+import { clearTrust } from '../crypto/trustStore';
+import { clearSearchIndex } from '../crypto/searchIndex';
+import { clearMessageCache } from '../crypto/messageCache';
+import { clearQueue } from '../utils/messageQueue';
+import { canonicalPublicKey } from '../crypto/utils';
+import { publishSessionKeys } from '../api/prekeys';
+import { registerDevice, certifyCurrentDevice } from '../api/devices';
+import { getKeyBackupStatus, restoreKeyBackup as restoreFromVault } from '../api/keyBackup';
 
 const AuthContext = createContext(null);
 
+/**
+ * Delete all local keys, sessions, trust records, the search index and message cache
+ */
+async function clearLocalData() {
+    await clearKeys();
+    await clearSessions();
+    await clearTrust();
+    await clearSearchIndex();
+    await clearMessageCache();
+    await clearQueue();
+    await clearPinnedKeyLogs();
+    clearDeviceId();
+}
+
+/**
+ * Whether a request failed because this browser's device was revoked
+ */
+const isDeviceRevoked = (error) => error.response?.data?.code === 'DEVICE_REVOKED';
+
+/**
+ * Register this browser as a device and publish keys
+ * 
+ * The account identity key (User.publicKey) is only replaced when the
+ * account has none or this is its only device - a second device keeps
+ * its own key and reads messages through its device envelopes.
+ * Prekeys are published, and the device's keys signed, by the device
+ * that holds the identity key; other devices wait for its approval.
+ * 
+ * @param {string} userId
+ * @param {JsonWebKey | null} accountPublicKey - Identity key the server has for us
+ */
+async function setupDevice(userId, accountPublicKey) {
+    let registration;
+    try {
+        registration = await registerDevice();
+    } catch (error) {
+        if (!isDeviceRevoked(error)) throw error;
+        // This browser was revoked (session from before tokens named their device): start over as a new device
+        await clearLocalData();
+        registration = await registerDevice();
+    }
+
+    const { publicKey, device, otherDevices } = registration;
+    const holdsIdentity = accountPublicKey &&
+        canonicalPublicKey(accountPublicKey) === canonicalPublicKey(publicKey);
+
+    if (!holdsIdentity && (!accountPublicKey || otherDevices === 0)) {
+        await api.put('/auth/public-key', { publicKey });
+        await publishSessionKeys();
+    } else if (holdsIdentity) {
+        await publishSessionKeys();
+    }
+
+    await certifyCurrentDevice(userId, device);
+}
+
 export function AuthProvider({ children }) {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
+    // Logged in on a fresh device that can restore its keys from the vault
+    const [pendingLogin, setPendingLogin] = useState(null);
 
     // Check for existing session on mount
     useEffect(() => {
@@ -28,21 +95,25 @@ export function AuthProvider({ children }) {
                     const response = await api.get('/auth/me');
                     setUser(response.data);
 
+                    // Make sure this device has keys and is registered
+                    await setupDevice(response.data.id, response.data.publicKey);
+
                     // Connect socket
                     connectSocket(token);
-
-                    // Check if we have encryption keys
-                    const publicKey = await getStoredPublicKeyJwk();
-                    if (!publicKey) {
-                        // Generate and upload keys
-                        const newPublicKey = await initializeKeys();
-                        await api.put('/auth/public-key', { publicKey: newPublicKey });
-                    }
                 } catch (error) {
                     console.error('Auth check failed:', error);
+                    if (error.code === 'ERR_NETWORK') {
+                        // Offline: stay signed in to read cached history (socket reconnects)
+                        setUser(JSON.parse(storedUser));
+                        connectSocket(token);
+                        setLoading(false);
+                        return;
+                    }
                     localStorage.removeItem('accessToken');
                     localStorage.removeItem('refreshToken');
                     localStorage.removeItem('user');
+                    // Revoked from another device: its keys must not stay here
+                    if (isDeviceRevoked(error)) await clearLocalData();
                 }
             }
             setLoading(false);
@@ -83,32 +154,77 @@ export function AuthProvider({ children }) {
         return userData;
     };
 
+    /**
+     * Register this device and finish logging in
+     */
+    const completeLogin = async (userData, accessToken) => {
+        localStorage.setItem('user', JSON.stringify(userData));
+
+        // Register this device (new devices get their own keys)
+        await setupDevice(userData.id, userData.publicKey);
+
+        setPendingLogin(null);
+        setUser(userData);
+        connectSocket(accessToken);
+
+        return userData;
+    };
+
     /**
      * Log in existing user
+     * 
+     * On a device without keys, if the account has a key vault backup,
+     * login stops here and returns keyBackupAvailable - the caller then
+     * calls restoreKeyBackup() or skipKeyRestore().
+     * A browser whose device was revoked wipes its data and logs in as a new device.
      */
     const login = async (email, password) => {
-        const response = await api.post('/auth/login', { email, password });
+        let response;
+        try {
+            response = await api.post('/auth/login', { email, password });
+        } catch (error) {
+            if (!isDeviceRevoked(error)) throw error;
+            await clearLocalData();
+            response = await api.post('/auth/login', { email, password });
+        }
         const { user: userData, accessToken, refreshToken } = response.data;
 
         localStorage.setItem('accessToken', accessToken);
         localStorage.setItem('refreshToken', refreshToken);
-        localStorage.setItem('user', JSON.stringify(userData));
-
-        setUser(userData);
-        connectSocket(accessToken);
 
-        // Check if we have encryption keys
-        const publicKey = await getStoredPublicKeyJwk();
-        if (!publicKey) {
-            // Generate new keys (new device)
-            const newPublicKey = await initializeKeys();
-            await api.put('/auth/public-key', { publicKey: newPublicKey });
-        } else if (!userData.publicKey) {
-            // User has local keys but none on server
-            await api.put('/auth/public-key', { publicKey });
+        if (!(await hasStoredKeys())) {
+            try {
+                const backup = await getKeyBackupStatus();
+                if (backup.exists) {
+                    setPendingLogin({ userData, accessToken });
+                    return { ...userData, keyBackupAvailable: true };
+                }
+            } catch (error) {
+                console.error('Failed to check key backup:', error);
+            }
         }
 
-        return userData;
+        return completeLogin(userData, accessToken);
+    };
+
+    /**
+     * Restore keys from the vault, then finish logging in
+     * @param {string} passphrase - Recovery passphrase or recovery key
+     */
+    const restoreKeyBackup = async (passphrase) => {
+        if (!pendingLogin) throw new Error('No login in progress');
+
+        await restoreFromVault(passphrase);
+        return completeLogin(pendingLogin.userData, pendingLogin.accessToken);
+    };
+
+    /**
+     * Finish logging in with new keys instead of restoring the vault
+     */
+    const skipKeyRestore = async () => {
+        if (!pendingLogin) throw new Error('No login in progress');
+
+        return completeLogin(pendingLogin.userData, pendingLogin.accessToken);
     };
 
     /**
@@ -134,7 +250,7 @@ export function AuthProvider({ children }) {
      */
     const clearAllData = async () => {
         await logout();
-        await clearKeys();
+        await clearLocalData();
     };
 
     const value = {
@@ -142,6 +258,8 @@ export function AuthProvider({ children }) {
         loading,
         register,
         login,
+        restoreKeyBackup,
+        skipKeyRestore,
         logout,
         clearAllData,
         isAuthenticated: !!user
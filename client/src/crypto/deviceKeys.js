@@ -0,0 +1,81 @@
+/**
+ * Secreta - Device Key Signatures
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * The server lists every device of a user, and direct messages are
+ * encrypted for each of them. Without a check the server could add a
+ * device of its own and receive a copy of every message.
+ *
+ * A device's keys are therefore only used once the account's identity
+ * signing key (the one safety numbers and the key log cover) signed
+ *
+ *   [v, userId, deviceId, publicKey, signingKey]
+ *
+ * The device holding the identity key signs itself when it registers
+ * and approves other devices from the profile page.
+ */
+
+import { signData, verifySignature } from './keyManager.js';
+import { stringToArrayBuffer, canonicalPublicKey } from './utils.js';
+
+// Mirrored in server/src/services/devices.js, which checks signatures on upload
+const DEVICE_KEYS_VERSION = 'secreta-device-v1';
+
+/**
+ * Bytes covered by a device signature
+ */
+function signedBytes(userId, { deviceId, publicKey, signingKey }) {
+    return stringToArrayBuffer(JSON.stringify([
+        DEVICE_KEYS_VERSION,
+        String(userId),
+        deviceId,
+        canonicalPublicKey(publicKey),
+        signingKey ? canonicalPublicKey(signingKey) : null
+    ]));
+}
+
+/**
+ * Sign a device's keys with our identity signing key
+ *
+ * @param {string} userId - Our user id
+ * @param {{ deviceId: string, publicKey: JsonWebKey, signingKey: JsonWebKey | null }} device
+ * @returns {Promise<string>} Base64 signature
+ */
+export function signDeviceKeys(userId, device) {
+    return signData(signedBytes(userId, device));
+}
+
+/**
+ * Whether a device's keys were signed by its owner's identity signing key
+ *
+ * @param {string} userId - Owner
+ * @param {{ deviceId, publicKey, signingKey, signature }} device
+ * @param {JsonWebKey | null} identitySigningKey - Owner's signing key
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDeviceKeys(userId, device, identitySigningKey) {
+    if (!identitySigningKey || !device.signature) return false;
+
+    try {
+        return await verifySignature(identitySigningKey, signedBytes(userId, device), device.signature);
+    } catch (error) {
+        console.warn('Unreadable device signature:', error);
+        return false;
+    }
+}
+
+/**
+ * The devices of a user whose keys their owner signed
+ *
+ * @param {string} userId - Owner
+ * @param {Array | null | undefined} devices - Missing for users without registered devices
+ * @param {JsonWebKey | null} identitySigningKey - Owner's signing key
+ * @returns {Promise<Array>}
+ */
+export async function certifiedDevices(userId, devices, identitySigningKey) {
+    const list = Array.isArray(devices) ? devices : [];
+    const checked = await Promise.all(list.map(device =>
+        verifyDeviceKeys(userId, device, identitySigningKey)));
+    return list.filter((_, i) => checked[i]);
+}
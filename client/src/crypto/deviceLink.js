@@ -0,0 +1,170 @@
+/**
+ * Secreta - Device Linking
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * Moves the identity key, signing key and session state from an
+ * existing device to a new one through the server's link relay.
+ *
+ * 1. New device: creates an ephemeral ECDH key, a relay channel id and a
+ *    secret code, and shows them as a QR code (or as a short code)
+ * 2. Existing device: scans / types it, fetches the new device's key from
+ *    the relay and seals the bundle with its own ephemeral key
+ * 3. New device: opens the bundle and imports it
+ *
+ * Transfer key = HKDF(ECDH(ephemeral keys), salt = secret code,
+ *                     info = version + both public keys)
+ *
+ * The server only learns the channel id, never the secret code, so it can
+ * neither read the bundle nor swap in its own keys without guessing the code.
+ */
+
+import { exportIdentityKeys, importIdentityKeys } from './keyManager.js';
+import { exportSessionState, importSessionState } from './sessionStore.js';
+import { dh, hkdf, generateRatchetKeyPair } from './ratchet.js';
+import {
+    arrayBufferToBase64,
+    base64ToArrayBuffer,
+    stringToArrayBuffer,
+    arrayBufferToString,
+    generateIV,
+    canonicalPublicKey
+} from './utils.js';
+
+const LINK_VERSION = 'secreta-link-v1';
+// No 0/O/1/I so codes can be typed
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CHANNEL_LENGTH = 4;
+const SECRET_LENGTH = 8;
+
+/**
+ * Random string over CODE_ALPHABET
+ */
+function randomCode(length) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(length)), b => CODE_ALPHABET[b % 32]).join('');
+}
+
+/**
+ * Start linking on the new device
+ *
+ * @returns {Promise<{ channel: string, secret: string, keyPair: Object, shortCode: string, qrPayload: string }>}
+ */
+export async function createLinkRequest() {
+    const channel = randomCode(CHANNEL_LENGTH);
+    const secret = randomCode(SECRET_LENGTH);
+    const keyPair = await generateRatchetKeyPair();
+
+    return {
+        channel,
+        secret,
+        keyPair,
+        shortCode: `${channel}-${secret.slice(0, 4)}-${secret.slice(4)}`,
+        qrPayload: JSON.stringify({ v: LINK_VERSION, channel, secret, key: keyPair.publicKey })
+    };
+}
+
+/**
+ * Parse a scanned QR payload or a typed short code
+ *
+ * @param {string} text
+ * @returns {{ channel: string, secret: string, publicKey: JsonWebKey | null }}
+ * @throws {Error} If the input is not a link code
+ */
+export function parseLinkPayload(text) {
+    const input = text.trim();
+
+    if (input.startsWith('{')) {
+        const payload = JSON.parse(input);
+        if (payload.v !== LINK_VERSION || !payload.channel || !payload.secret || !payload.key) {
+            throw new Error('Not a Secreta link code');
+        }
+        return { channel: payload.channel, secret: payload.secret, publicKey: payload.key };
+    }
+
+    const code = input.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (code.length !== CHANNEL_LENGTH + SECRET_LENGTH || [...code].some(c => !CODE_ALPHABET.includes(c))) {
+        throw new Error('Link code must have 12 characters');
+    }
+
+    return { channel: code.slice(0, CHANNEL_LENGTH), secret: code.slice(CHANNEL_LENGTH), publicKey: null };
+}
+
+/**
+ * AES-GCM key for the transfer
+ */
+async function deriveTransferKey(privateKey, remotePublicKey, secret, senderKey, receiverKey) {
+    const bits = await hkdf(
+        await dh(privateKey, remotePublicKey),
+        stringToArrayBuffer(secret),
+        `${LINK_VERSION}|${canonicalPublicKey(senderKey)}|${canonicalPublicKey(receiverKey)}`,
+        256
+    );
+
+    return crypto.subtle.importKey('raw', bits, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Seal our keys and session state for the new device (existing device)
+ *
+ * @param {JsonWebKey} newDeviceKey - New device's ephemeral public key
+ * @param {string} secret - Secret part of the link code
+ * @returns {Promise<{ ephemeralPublicKey, iv, ciphertext }>}
+ */
+export async function sealLinkBundle(newDeviceKey, secret) {
+    const bundle = {
+        version: LINK_VERSION,
+        keys: await exportIdentityKeys(),
+        sessionState: await exportSessionState(),
+        createdAt: new Date().toISOString()
+    };
+
+    const ephemeral = await generateRatchetKeyPair();
+    const key = await deriveTransferKey(ephemeral.privateKey, newDeviceKey, secret, ephemeral.publicKey, newDeviceKey);
+    const iv = generateIV();
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        stringToArrayBuffer(JSON.stringify(bundle))
+    );
+
+    return {
+        ephemeralPublicKey: ephemeral.publicKey,
+        iv: arrayBufferToBase64(iv),
+        ciphertext: arrayBufferToBase64(ciphertext)
+    };
+}
+
+/**
+ * Open a sealed bundle and import it (new device)
+ *
+ * Replaces this device's keys and session state.
+ *
+ * @param {Object} sealed - Output of sealLinkBundle
+ * @param {Object} keyPair - Our ephemeral key pair from createLinkRequest
+ * @param {string} secret
+ * @throws {DOMException} OperationError if the bundle was not sealed for this code / key
+ */
+export async function openLinkBundle(sealed, keyPair, secret) {
+    const key = await deriveTransferKey(
+        keyPair.privateKey,
+        sealed.ephemeralPublicKey,
+        secret,
+        sealed.ephemeralPublicKey,
+        keyPair.publicKey
+    );
+
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: new Uint8Array(base64ToArrayBuffer(sealed.iv)) },
+        key,
+        base64ToArrayBuffer(sealed.ciphertext)
+    );
+
+    const bundle = JSON.parse(arrayBufferToString(plaintext));
+    if (bundle.version !== LINK_VERSION) {
+        throw new Error('Unsupported link bundle');
+    }
+
+    await importIdentityKeys(bundle.keys);
+    await importSessionState(bundle.sessionState);
+}
@@ -21,6 +21,7 @@
 
 import { getStoredKeyPair, importPublicKey, generateKeyPair, exportPublicKey } from './keyManager.js';
 import { arrayBufferToBase64, base64ToArrayBuffer, stringToArrayBuffer, arrayBufferToString, generateIV } from './utils.js';
+import { signPayload, keyAudience } from './signing.js';
 
 /**
  * Derive AES-GCM key from ECDH shared secret
@@ -113,11 +114,12 @@ export async function encryptMessage(plaintext, recipientPublicKeyJwk) {
     // The ephemeral private key is now discarded (not stored)
     // This provides forward secrecy
 
-    return {
+    // Sign with our identity signing key so the recipient knows who sent it
+    return signPayload({
         ephemeralPublicKey: ephemeralPublicKeyJwk,
         iv: arrayBufferToBase64(iv),
         ciphertext: arrayBufferToBase64(ciphertextBuffer)
-    };
+    }, keyAudience(recipientPublicKeyJwk));
 }
 
 /**
@@ -2,74 +2,77 @@
  * File Encryption Utilities
  * 
  * Client-side encryption/decryption for file attachments.
- * Uses the same E2EE approach as messages.
+ * Attachments are encrypted with a random key that travels inside
+ * the encrypted message content (see messageContent.js).
  */
 
-import { getPrivateKey, importPublicKey } from './keyManager';
+import { getPrivateKey } from './keyManager';
+import { paddedLength } from './messageContent';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './utils';
 
 /**
- * Encrypt a file for a recipient using their public key
+ * Encrypt a file attachment with a fresh random key
+ *
+ * The file is padded to its size bucket first. The key, IV and
+ * ciphertext digest go into the (encrypted) message content, so every
+ * device that can read the message can open the file.
+ *
+ * @param {Blob} file
+ * @returns {Promise<{ encryptedData: Uint8Array, key: string, iv: string, digest: string }>}
  */
-export async function encryptFile(file, recipientPublicKeyJwk, senderPublicKeyJwk) {
-    // Read file as ArrayBuffer
-    const fileBuffer = await file.arrayBuffer();
+export async function encryptAttachment(file) {
+    const fileBuffer = new Uint8Array(await file.arrayBuffer());
 
-    // Generate ephemeral key pair for ECDH
-    const ephemeralKeyPair = await crypto.subtle.generateKey(
-        { name: 'ECDH', namedCurve: 'P-256' },
-        true,
-        ['deriveBits']
-    );
+    const padded = new Uint8Array(paddedLength(fileBuffer.byteLength));
+    padded.set(fileBuffer);
 
-    // Import recipient's public key
-    const recipientPublicKey = await importPublicKey(recipientPublicKeyJwk);
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    const aesKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
 
-    // Derive shared secret
-    const sharedBits = await crypto.subtle.deriveBits(
-        { name: 'ECDH', public: recipientPublicKey },
-        ephemeralKeyPair.privateKey,
-        256
-    );
+    const encryptedData = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, padded);
+
+    return {
+        encryptedData: new Uint8Array(encryptedData),
+        key: arrayBufferToBase64(rawKey),
+        iv: arrayBufferToBase64(iv),
+        digest: arrayBufferToBase64(await crypto.subtle.digest('SHA-256', encryptedData))
+    };
+}
+
+/**
+ * Decrypt an attachment described by a message content envelope
+ *
+ * @param {ArrayBuffer} encryptedData
+ * @param {{ key: string, iv: string, digest: string, size: number }} file
+ * @returns {Promise<Uint8Array>} File bytes without padding
+ */
+export async function decryptAttachment(encryptedData, file) {
+    const digest = arrayBufferToBase64(await crypto.subtle.digest('SHA-256', encryptedData));
+    if (digest !== file.digest) {
+        throw new Error('Attachment does not match its message');
+    }
 
-    // Derive AES key from shared secret
     const aesKey = await crypto.subtle.importKey(
         'raw',
-        sharedBits,
+        base64ToArrayBuffer(file.key),
         { name: 'AES-GCM' },
         false,
-        ['encrypt']
+        ['decrypt']
     );
 
-    // Generate IV
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-
-    // Encrypt file data
-    const encryptedData = await crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv },
+    const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: new Uint8Array(base64ToArrayBuffer(file.iv)) },
         aesKey,
-        fileBuffer
-    );
-
-    // Export ephemeral public key
-    const ephemeralPublicKey = await crypto.subtle.exportKey(
-        'jwk',
-        ephemeralKeyPair.publicKey
+        encryptedData
     );
 
-    return {
-        encryptedData: new Uint8Array(encryptedData),
-        ephemeralPublicKey,
-        iv: Array.from(iv),
-        metadata: {
-            name: file.name,
-            type: file.type,
-            size: file.size
-        }
-    };
+    return new Uint8Array(decrypted, 0, file.size);
 }
 
 /**
- * Decrypt a file using our private key
+ * Decrypt a legacy file attachment using our private key
+ * (files sent before attachments moved into the message content)
  */
 export async function decryptFile(encryptedData, ephemeralPublicKeyJwk, iv) {
     // Get our private key
@@ -135,7 +138,8 @@ export function downloadFile(blob, filename) {
 }
 
 export default {
-    encryptFile,
+    encryptAttachment,
+    decryptAttachment,
     decryptFile,
     createDownloadBlob,
     downloadFile
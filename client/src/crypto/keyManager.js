@@ -6,14 +6,29 @@
  * Manages ECDH key pair generation and secure storage using IndexedDB.
  * Private keys NEVER leave the client browser.
  * 
- * Key Algorithm: ECDH with P-256 curve
+ * Key Algorithm: ECDH with P-256 curve (identity key)
+ *                ECDSA with P-256 curve (identity signing key)
  * Storage: IndexedDB (browser local storage)
  */
 
+import {
+    arrayBufferToBase64,
+    base64ToArrayBuffer,
+    stringToArrayBuffer,
+    arrayBufferToString,
+    canonicalPublicKey
+} from './utils.js';
+import { clearSessions } from './sessionStore.js';
+
 const DB_NAME = 'secreta_keys';
 const DB_VERSION = 2;
 const STORE_NAME = 'keystore';
 const KEY_ID = 'identity_keypair';
+const SIGNING_KEY_ID = 'identity_signing_keypair';
+// Pinned key log heads of other users: `keylog_<userId>`
+const KEYLOG_PREFIX = 'keylog_';
+// The server's key that signs key log tree heads (cleared with the pins)
+const LOG_KEY_ID = `${KEYLOG_PREFIX}server`;
 
 /**
  * Open IndexedDB connection
@@ -215,13 +230,242 @@ export async function clearKeys() {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction(STORE_NAME, 'readwrite');
         const store = transaction.objectStore(STORE_NAME);
-        const request = store.delete(KEY_ID);
+        store.delete(KEY_ID);
+        store.delete(SIGNING_KEY_ID);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Read a raw record from the keystore
+ * @param {string} id
+ * @returns {Promise<Object | null>}
+ */
+async function getRecord(id) {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readonly');
+        const store = transaction.objectStore(STORE_NAME);
+        const request = store.get(id);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Write a raw record to the keystore
+ * @param {Object} record - Must contain an `id`
+ */
+async function putRecord(record) {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const request = store.put(record);
 
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
     });
 }
 
+/**
+ * Get the key log head we pinned for a user
+ * 
+ * @param {string} userId
+ * @returns {Promise<Object | null>} { seq, entryHash, identityKeyHash, alert }
+ */
+export async function getPinnedKeyLog(userId) {
+    const record = await getRecord(`${KEYLOG_PREFIX}${userId}`);
+    return record ? record.pin : null;
+}
+
+/**
+ * Pin the key log head we have seen for a user
+ * 
+ * @param {string} userId
+ * @param {Object} pin - { seq, entryHash, identityKeyHash, alert }
+ */
+export async function pinKeyLog(userId, pin) {
+    await putRecord({
+        id: `${KEYLOG_PREFIX}${userId}`,
+        pin,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Get the tree head signing key we pinned for the server
+ * 
+ * @returns {Promise<JsonWebKey | null>}
+ */
+export async function getPinnedLogKey() {
+    const record = await getRecord(LOG_KEY_ID);
+    return record ? record.publicKey : null;
+}
+
+/**
+ * Pin the server's tree head signing key (first one we see)
+ * 
+ * @param {JsonWebKey} publicKey
+ */
+export async function pinLogKey(publicKey) {
+    await putRecord({
+        id: LOG_KEY_ID,
+        publicKey,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Delete all pinned key logs (for logout)
+ */
+export async function clearPinnedKeyLogs() {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        store.delete(IDBKeyRange.bound(KEYLOG_PREFIX, `${KEYLOG_PREFIX}\uffff`));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Generate a new ECDSA identity signing key pair
+ * 
+ * The signing key proves which account produced a signature
+ * (e.g. over signed prekeys). ECDH keys cannot sign.
+ * 
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export async function generateSigningKeyPair() {
+    return crypto.subtle.generateKey(
+        {
+            name: 'ECDSA',
+            namedCurve: 'P-256'
+        },
+        true,
+        ['sign', 'verify']
+    );
+}
+
+/**
+ * Store signing key pair in IndexedDB
+ * 
+ * @param {CryptoKeyPair} keyPair
+ */
+export async function storeSigningKeyPair(keyPair) {
+    await putRecord({
+        id: SIGNING_KEY_ID,
+        publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+        privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Retrieve stored signing key pair
+ * 
+ * @returns {Promise<CryptoKeyPair | null>}
+ */
+export async function getSigningKeyPair() {
+    const record = await getRecord(SIGNING_KEY_ID);
+    if (!record) return null;
+
+    try {
+        const publicKey = await crypto.subtle.importKey(
+            'jwk',
+            record.publicKey,
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            true,
+            ['verify']
+        );
+
+        const privateKey = await crypto.subtle.importKey(
+            'jwk',
+            record.privateKey,
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            true,
+            ['sign']
+        );
+
+        return { publicKey, privateKey };
+    } catch (error) {
+        console.error('Error importing signing keys:', error);
+        return null;
+    }
+}
+
+/**
+ * Initialize signing keys - generates new if none exist
+ * Returns the signing public key JWK for publishing
+ * 
+ * @returns {Promise<JsonWebKey>}
+ */
+export async function initializeSigningKeys() {
+    let keyPair = await getSigningKeyPair();
+
+    if (!keyPair) {
+        keyPair = await generateSigningKeyPair();
+        await storeSigningKeyPair(keyPair);
+    }
+
+    return exportPublicKey(keyPair.publicKey);
+}
+
+/**
+ * Sign data with our identity signing key
+ * 
+ * @param {ArrayBuffer | Uint8Array} data
+ * @returns {Promise<string>} Base64 encoded signature
+ */
+export async function signData(data) {
+    const keyPair = await getSigningKeyPair();
+    if (!keyPair) {
+        throw new Error('No signing key found. Please log in again.');
+    }
+
+    const signature = await crypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        keyPair.privateKey,
+        data
+    );
+
+    return arrayBufferToBase64(signature);
+}
+
+/**
+ * Verify a signature made with someone's identity signing key
+ * 
+ * @param {JsonWebKey} publicKeyJwk - Signer's signing public key
+ * @param {ArrayBuffer | Uint8Array} data
+ * @param {string} signature - Base64 encoded signature
+ * @returns {Promise<boolean>}
+ */
+export async function verifySignature(publicKeyJwk, data, signature) {
+    const publicKey = await crypto.subtle.importKey(
+        'jwk',
+        publicKeyJwk,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+    );
+
+    return crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        publicKey,
+        base64ToArrayBuffer(signature),
+        data
+    );
+}
+
 /**
  * Initialize keys - generates new if none exist
  * Returns the public key JWK for server registration
@@ -241,13 +485,65 @@ export async function initializeKeys() {
     return exportPublicKey(keyPair.publicKey);
 }
 
+/**
+ * Export the identity and signing key pairs (as stored JWK records)
+ * Only used to hand keys to a linked device over an encrypted channel.
+ * 
+ * @returns {Promise<{ identity: Object, signing: Object | null }>}
+ */
+export async function exportIdentityKeys() {
+    const identity = await getRecord(KEY_ID);
+    if (!identity) {
+        throw new Error('No keys to export');
+    }
+
+    return { identity, signing: await getRecord(SIGNING_KEY_ID) };
+}
+
+/**
+ * Replace our key pairs with ones exported by exportIdentityKeys()
+ * 
+ * @param {{ identity: Object, signing: Object | null }} keys
+ */
+export async function importIdentityKeys(keys) {
+    // Make sure the keys are usable before overwriting ours
+    await crypto.subtle.importKey('jwk', keys.identity.privateKey, { name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+
+    await putRecord({ ...keys.identity, id: KEY_ID });
+    if (keys.signing) {
+        await putRecord({ ...keys.signing, id: SIGNING_KEY_ID });
+    }
+}
+
+// Key backup files (exportKeyBackup / importKeyBackup)
+const BACKUP_VERSION = 2;
+const BACKUP_KDF_ITERATIONS = 600000;
+// Bounds for iteration counts read from a file
+const MIN_BACKUP_KDF_ITERATIONS = 100000;
+const MAX_BACKUP_KDF_ITERATIONS = 10000000;
+// Fixed by the v1 format
+const LEGACY_BACKUP_KDF_ITERATIONS = 100000;
+
+/**
+ * Error with a machine-readable code for backup import failures
+ * (BACKUP_INVALID, BACKUP_UNSUPPORTED_VERSION, BACKUP_ACCOUNT_MISMATCH,
+ * BACKUP_WRONG_PASSWORD, BACKUP_CORRUPTED)
+ */
+function backupError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
 /**
  * Derive an encryption key from password using PBKDF2
  * @param {string} password 
  * @param {Uint8Array} salt 
+ * @param {number} iterations
+ * @param {string} hash
  * @returns {Promise<CryptoKey>}
  */
-async function deriveKeyFromPassword(password, salt) {
+async function deriveKeyFromPassword(password, salt, iterations = LEGACY_BACKUP_KDF_ITERATIONS, hash = 'SHA-256') {
     const enc = new TextEncoder();
     const keyMaterial = await crypto.subtle.importKey(
         'raw',
@@ -261,8 +557,8 @@ async function deriveKeyFromPassword(password, salt) {
         {
             name: 'PBKDF2',
             salt,
-            iterations: 100000,
-            hash: 'SHA-256'
+            iterations,
+            hash
         },
         keyMaterial,
         { name: 'AES-GCM', length: 256 },
@@ -272,98 +568,246 @@ async function deriveKeyFromPassword(password, salt) {
 }
 
 /**
- * Export keys as password-protected backup
- * @param {string} password - User-provided password for encryption
- * @returns {Promise<string>} - JSON backup string
+ * SHA-256 fingerprint of an identity public key (hex)
+ * @param {JsonWebKey} publicKeyJwk
+ * @returns {Promise<string>}
  */
-export async function exportKeyBackup(password) {
-    const keyPair = await getStoredKeyPair();
-    if (!keyPair) {
-        throw new Error('No keys to export');
+export async function getKeyFingerprint(publicKeyJwk) {
+    const digest = await crypto.subtle.digest('SHA-256', stringToArrayBuffer(canonicalPublicKey(publicKeyJwk)));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Derive a key for protecting data stored on this device from the
+ * identity key (ECDH with our own public key, then HKDF)
+ *
+ * @param {string} info - HKDF info, one per purpose
+ * @param {AesKeyGenParams | HmacKeyGenParams} algorithm
+ * @param {KeyUsage[]} usages
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+export async function deriveLocalKey(info, algorithm, usages) {
+    const privateKey = await getPrivateKey();
+    const publicKeyJwk = await getStoredPublicKeyJwk();
+    if (!privateKey || !publicKeyJwk) {
+        throw new Error('No identity key');
     }
 
-    // Export both keys as JWK
-    const publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
-    const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+    const secret = await crypto.subtle.deriveBits(
+        { name: 'ECDH', public: await importPublicKey(publicKeyJwk) },
+        privateKey,
+        256
+    );
+    const baseKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
 
-    const data = JSON.stringify({ publicKey: publicJwk, privateKey: privateJwk });
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: stringToArrayBuffer(info) },
+        baseKey,
+        algorithm,
+        false,
+        usages
+    );
+}
+
+/**
+ * Plaintext header of a v2 backup, authenticated as AES-GCM additional data
+ * so none of the metadata can be changed without breaking decryption
+ */
+function backupHeaderBytes(backup) {
+    return stringToArrayBuffer(JSON.stringify({
+        version: backup.version,
+        kdf: {
+            name: backup.kdf.name,
+            hash: backup.kdf.hash,
+            iterations: backup.kdf.iterations,
+            salt: backup.kdf.salt
+        },
+        accountId: backup.accountId,
+        fingerprint: backup.fingerprint,
+        createdAt: backup.createdAt,
+        contents: backup.contents
+    }));
+}
+
+/**
+ * Export keys as password-protected backup (v2)
+ * 
+ * The file records the KDF parameters, the account it belongs to, the
+ * fingerprint of the identity key and what it contains. Extras (avatar,
+ * wallpapers, verified contacts...) are encrypted along with the keys.
+ * 
+ * @param {string} password - User-provided password for encryption
+ * @param {Object} options
+ * @param {string} options.accountId - Our user id
+ * @param {Object} [options.extras] - Extra data to include, e.g. { avatar, wallpapers, verifiedContacts }
+ * @param {number} [options.iterations] - PBKDF2 iterations
+ * @returns {Promise<string>} - JSON backup string
+ */
+export async function exportKeyBackup(password, { accountId, extras = {}, iterations = BACKUP_KDF_ITERATIONS } = {}) {
+    const keys = await exportIdentityKeys();
+    const includedExtras = Object.fromEntries(
+        Object.entries(extras).filter(([, value]) => value !== null && value !== undefined)
+    );
 
-    // Generate salt and IV
     const salt = crypto.getRandomValues(new Uint8Array(16));
     const iv = crypto.getRandomValues(new Uint8Array(12));
 
-    // Derive encryption key from password
-    const encKey = await deriveKeyFromPassword(password, salt);
+    const backup = {
+        version: BACKUP_VERSION,
+        kdf: {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations,
+            salt: arrayBufferToBase64(salt)
+        },
+        accountId,
+        fingerprint: await getKeyFingerprint(keys.identity.publicKey),
+        createdAt: new Date().toISOString(),
+        contents: ['keys', ...Object.keys(includedExtras)]
+    };
 
-    // Encrypt the key data
-    const enc = new TextEncoder();
+    const encKey = await deriveKeyFromPassword(password, salt, iterations);
     const encrypted = await crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv },
+        { name: 'AES-GCM', iv, additionalData: backupHeaderBytes(backup) },
         encKey,
-        enc.encode(data)
+        stringToArrayBuffer(JSON.stringify({ keys, extras: includedExtras }))
     );
 
-    // Return base64-encoded backup
-    const backup = {
-        version: 1,
-        salt: btoa(String.fromCharCode(...salt)),
-        iv: btoa(String.fromCharCode(...iv)),
-        data: btoa(String.fromCharCode(...new Uint8Array(encrypted)))
-    };
+    return JSON.stringify({
+        ...backup,
+        iv: arrayBufferToBase64(iv),
+        data: arrayBufferToBase64(encrypted)
+    }, null, 2);
+}
+
+/**
+ * Delete ratchet sessions, prekeys and cached plaintexts after an
+ * import replaced our identity key
+ */
+async function clearSessionsIfKeyChanged(previousKey) {
+    const currentKey = await getStoredPublicKeyJwk();
+    if (previousKey && canonicalPublicKey(previousKey) !== canonicalPublicKey(currentKey)) {
+        await clearSessions();
+    }
+}
+
+/**
+ * Import a v1 backup (fixed 100k iterations, keys only, no metadata)
+ * v1 files do not name their account, so the key inside must be the
+ * identity key the server publishes for us.
+ */
+async function importLegacyKeyBackup(backup, password, publishedKey) {
+    const salt = new Uint8Array(base64ToArrayBuffer(backup.salt));
+    const iv = new Uint8Array(base64ToArrayBuffer(backup.iv));
+    const decKey = await deriveKeyFromPassword(password, salt);
+
+    let decrypted;
+    try {
+        decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, decKey, base64ToArrayBuffer(backup.data));
+    } catch {
+        throw backupError('Wrong password or damaged backup', 'BACKUP_WRONG_PASSWORD');
+    }
+
+    const data = JSON.parse(arrayBufferToString(decrypted));
 
-    return JSON.stringify(backup, null, 2);
+    if (!publishedKey || !data.publicKey ||
+        canonicalPublicKey(data.publicKey) !== canonicalPublicKey(publishedKey)) {
+        throw backupError('This backup belongs to a different account', 'BACKUP_ACCOUNT_MISMATCH');
+    }
+
+    await importIdentityKeys({
+        identity: {
+            publicKey: data.publicKey,
+            privateKey: data.privateKey,
+            createdAt: new Date().toISOString()
+        },
+        signing: data.signingPublicKey && data.signingPrivateKey ? {
+            publicKey: data.signingPublicKey,
+            privateKey: data.signingPrivateKey,
+            createdAt: new Date().toISOString()
+        } : null
+    });
 }
 
 /**
  * Import keys from password-protected backup
+ * 
+ * Reads v2 and v1 files. Extras are returned for the caller to apply.
+ * Ratchet sessions and prekeys made with a different identity key are
+ * deleted (they cannot be used with the imported one).
+ * 
  * @param {string} backupJson - JSON backup string
  * @param {string} password - Password used during export
+ * @param {Object} [options]
+ * @param {string} [options.accountId] - Our user id; v2 backups of other accounts are rejected
+ * @param {JsonWebKey} [options.publishedKey] - Identity key the server publishes for us;
+ *   v1 backups holding another key are rejected
+ * @returns {Promise<{ version: number, createdAt: string | null, extras: Object }>}
+ * @throws Error with a `code` (see backupError)
  */
-export async function importKeyBackup(backupJson, password) {
-    const backup = JSON.parse(backupJson);
+export async function importKeyBackup(backupJson, password, { accountId, publishedKey } = {}) {
+    let backup;
+    try {
+        backup = JSON.parse(backupJson);
+    } catch {
+        throw backupError('Not a Secreta key backup', 'BACKUP_INVALID');
+    }
+
+    const previousKey = await getStoredPublicKeyJwk();
 
-    if (backup.version !== 1) {
-        throw new Error('Unsupported backup version');
+    if (backup?.version === 1) {
+        await importLegacyKeyBackup(backup, password, publishedKey);
+        await clearSessionsIfKeyChanged(previousKey);
+        console.log('✓ Keys restored from backup');
+        return { version: 1, createdAt: null, extras: {} };
     }
 
-    // Decode from base64
-    const salt = new Uint8Array([...atob(backup.salt)].map(c => c.charCodeAt(0)));
-    const iv = new Uint8Array([...atob(backup.iv)].map(c => c.charCodeAt(0)));
-    const encryptedData = new Uint8Array([...atob(backup.data)].map(c => c.charCodeAt(0)));
+    if (backup?.version !== BACKUP_VERSION) {
+        throw backupError('Unsupported backup version', 'BACKUP_UNSUPPORTED_VERSION');
+    }
 
-    // Derive decryption key from password
-    const decKey = await deriveKeyFromPassword(password, salt);
+    const { kdf } = backup;
+    if (kdf?.name !== 'PBKDF2' || !['SHA-256', 'SHA-512'].includes(kdf.hash) ||
+        !Number.isInteger(kdf.iterations) ||
+        kdf.iterations < MIN_BACKUP_KDF_ITERATIONS || kdf.iterations > MAX_BACKUP_KDF_ITERATIONS) {
+        throw backupError('Unsupported backup key derivation settings', 'BACKUP_INVALID');
+    }
 
-    // Decrypt
-    const decrypted = await crypto.subtle.decrypt(
-        { name: 'AES-GCM', iv },
-        decKey,
-        encryptedData
+    if (accountId && backup.accountId !== accountId) {
+        throw backupError('This backup belongs to a different account', 'BACKUP_ACCOUNT_MISMATCH');
+    }
+
+    const decKey = await deriveKeyFromPassword(
+        password,
+        new Uint8Array(base64ToArrayBuffer(kdf.salt)),
+        kdf.iterations,
+        kdf.hash
     );
 
-    const dec = new TextDecoder();
-    const data = JSON.parse(dec.decode(decrypted));
+    let decrypted;
+    try {
+        decrypted = await crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: new Uint8Array(base64ToArrayBuffer(backup.iv)),
+                additionalData: backupHeaderBytes(backup)
+            },
+            decKey,
+            base64ToArrayBuffer(backup.data)
+        );
+    } catch {
+        throw backupError('Wrong password or damaged backup', 'BACKUP_WRONG_PASSWORD');
+    }
 
-    // Import the keys
-    const publicKey = await crypto.subtle.importKey(
-        'jwk',
-        data.publicKey,
-        { name: 'ECDH', namedCurve: 'P-256' },
-        true,
-        []
-    );
+    const data = JSON.parse(arrayBufferToString(decrypted));
 
-    const privateKey = await crypto.subtle.importKey(
-        'jwk',
-        data.privateKey,
-        { name: 'ECDH', namedCurve: 'P-256' },
-        true,
-        ['deriveKey', 'deriveBits']
-    );
+    if (await getKeyFingerprint(data.keys.identity.publicKey) !== backup.fingerprint) {
+        throw backupError('Backup keys do not match their fingerprint', 'BACKUP_CORRUPTED');
+    }
 
-    // Store the imported keys
-    await storeKeyPair({ publicKey, privateKey });
+    await importIdentityKeys(data.keys);
+    await clearSessionsIfKeyChanged(previousKey);
 
     console.log('✓ Keys restored from backup');
-    return true;
+    return { version: BACKUP_VERSION, createdAt: backup.createdAt, extras: data.extras || {} };
 }
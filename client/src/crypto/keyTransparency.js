@@ -0,0 +1,216 @@
+/**
+ * Secreta - Key Transparency
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * Verifies a friend's append-only key log served by
+ * GET /api/users/:userId/key-history and compares it with the log
+ * head we pinned last time. Hashing rules mirror
+ * server/src/services/keyTransparency.js:
+ *
+ * - keyHash   = SHA-256(canonical JWK)
+ * - entryHash = SHA-256(JSON [prevHash, seq, userId, keyType, keyHash, createdAt])
+ * - leaf      = SHA-256("leaf:" + entryHash)
+ * - node      = SHA-256("node:" + left + ":" + right)
+ * - tree head = ECDSA signature over JSON [version, userId, treeSize, rootHash, signedAt]
+ *
+ * Every entry must be proven against the tree head, signed with the
+ * server's log key: VITE_KEY_LOG_PUBLIC_KEY (JWK JSON) if the client was
+ * built with it, else the first key we saw (pinned). A signed head is
+ * evidence if the server shows someone else a different log.
+ *
+ * Results:
+ * - ok:           log valid and consistent with what we saw before
+ * - replaced:     identity key changed since we pinned the log
+ * - invalid:      hashes, proofs or the tree head signature do not check out
+ * - inconsistent: the log was rewritten (our pinned entry is gone or different)
+ * - mismatch:     the key we are told to use is not the latest logged key
+ */
+
+import { getPinnedKeyLog, pinKeyLog, getPinnedLogKey, pinLogKey, verifySignature } from './keyManager.js';
+import { stringToArrayBuffer, canonicalPublicKey } from './utils.js';
+
+// Mirrored in server/src/services/keyTransparency.js
+const TREE_HEAD_VERSION = 'secreta-tree-head-v1';
+
+// Log key shipped with the client (the server cannot swap it)
+const CONFIGURED_LOG_KEY = import.meta.env.VITE_KEY_LOG_PUBLIC_KEY
+    ? JSON.parse(import.meta.env.VITE_KEY_LOG_PUBLIC_KEY)
+    : null;
+
+/**
+ * SHA-256 of a string as hex
+ */
+async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', stringToArrayBuffer(value));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash of a public key as recorded in the key log
+ * @param {JsonWebKey} jwk
+ * @returns {Promise<string>}
+ */
+export function hashPublicKey(jwk) {
+    return sha256Hex(canonicalPublicKey(jwk));
+}
+
+/**
+ * Fold an inclusion proof up to a root
+ */
+async function rootFromProof(entryHash, proof) {
+    let hash = await sha256Hex(`leaf:${entryHash}`);
+
+    for (const step of proof) {
+        hash = step.position === 'left'
+            ? await sha256Hex(`node:${step.hash}:${hash}`)
+            : await sha256Hex(`node:${hash}:${step.hash}`);
+    }
+
+    return hash;
+}
+
+/**
+ * Whether a tree head was signed with the server's log key
+ */
+async function verifyTreeHead(treeHead, userId, logKey) {
+    if (!treeHead?.signature || !logKey) return false;
+
+    const data = stringToArrayBuffer(JSON.stringify([
+        TREE_HEAD_VERSION,
+        userId,
+        treeHead.treeSize,
+        treeHead.rootHash,
+        treeHead.signedAt
+    ]));
+    try {
+        return await verifySignature(logKey, data, treeHead.signature);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Verify the hash chain and inclusion proofs of a key log
+ *
+ * @param {Object} history - { entries, treeHead }
+ * @param {string} userId - Owner of the log
+ * @param {JsonWebKey} logKey - Server's tree head signing key
+ * @returns {Promise<{ valid: boolean, error?: string, head?: Object, identityKeyHash?: string }>}
+ */
+export async function verifyKeyHistory(history, userId, logKey) {
+    const { treeHead } = history;
+    if (!await verifyTreeHead(treeHead, userId, logKey)) {
+        return { valid: false, error: 'Tree head is not signed by the log key' };
+    }
+    if (treeHead.treeSize !== history.entries.length) {
+        return { valid: false, error: 'Tree head does not cover the log' };
+    }
+
+    let prevHash = '';
+    let identityKeyHash = null;
+
+    for (const [index, entry] of history.entries.entries()) {
+        if (entry.seq !== index || entry.prevHash !== prevHash) {
+            return { valid: false, error: `Broken hash chain at entry ${index}` };
+        }
+
+        if (entry.keyHash !== await hashPublicKey(entry.publicKey)) {
+            return { valid: false, error: `Key hash mismatch at entry ${index}` };
+        }
+
+        const entryHash = await sha256Hex(JSON.stringify([
+            entry.prevHash,
+            entry.seq,
+            userId,
+            entry.keyType,
+            entry.keyHash,
+            new Date(entry.createdAt).toISOString()
+        ]));
+        if (entryHash !== entry.entryHash) {
+            return { valid: false, error: `Entry hash mismatch at entry ${index}` };
+        }
+
+        if (await rootFromProof(entry.entryHash, entry.proof || []) !== treeHead.rootHash) {
+            return { valid: false, error: `Inclusion proof failed for entry ${index}` };
+        }
+
+        if (entry.keyType === 'identity') {
+            identityKeyHash = entry.keyHash;
+        }
+        prevHash = entry.entryHash;
+    }
+
+    const head = history.entries[history.entries.length - 1] || null;
+
+    return { valid: true, head, identityKeyHash };
+}
+
+/**
+ * Check a friend's key log against our pin and the key we were served
+ *
+ * @param {string} userId
+ * @param {Object} history - Response of /users/:userId/key-history
+ * @param {JsonWebKey} servedKey - Key from /users/:userId/public-key
+ * @returns {Promise<{ status: string, error?: string, alert?: Object }>}
+ */
+export async function checkKeyLog(userId, history, servedKey) {
+    // The server's log key may only change with a new client build
+    let logKey = CONFIGURED_LOG_KEY || await getPinnedLogKey();
+    if (!logKey && history.logKey) {
+        logKey = history.logKey;
+        await pinLogKey(logKey);
+    }
+    if (history.logKey && canonicalPublicKey(history.logKey) !== canonicalPublicKey(logKey)) {
+        return { status: 'inconsistent', error: 'Key log is signed with a different server key' };
+    }
+
+    const result = await verifyKeyHistory(history, userId, logKey);
+    if (!result.valid) {
+        return { status: 'invalid', error: result.error };
+    }
+
+    if (!result.head) {
+        return { status: 'ok' };
+    }
+
+    if (result.identityKeyHash !== await hashPublicKey(servedKey)) {
+        return { status: 'mismatch', error: 'Served key is not the latest logged identity key' };
+    }
+
+    const pin = await getPinnedKeyLog(userId);
+
+    if (pin) {
+        // Append-only: the entry we pinned must still be there, unchanged
+        const pinnedEntry = history.entries[pin.seq];
+        if (!pinnedEntry || pinnedEntry.entryHash !== pin.entryHash) {
+            return { status: 'inconsistent', error: 'Key log was rewritten since we last saw it' };
+        }
+    }
+
+    let alert = pin?.alert || null;
+    if (pin && pin.identityKeyHash !== result.identityKeyHash) {
+        alert = { type: 'replaced', previousKeyHash: pin.identityKeyHash, detectedAt: new Date().toISOString() };
+    }
+
+    await pinKeyLog(userId, {
+        seq: result.head.seq,
+        entryHash: result.head.entryHash,
+        identityKeyHash: result.identityKeyHash,
+        alert
+    });
+
+    return alert ? { status: 'replaced', alert } : { status: 'ok' };
+}
+
+/**
+ * Dismiss a "key replaced" alert for a friend
+ *
+ * @param {string} userId
+ */
+export async function acknowledgeKeyLogAlert(userId) {
+    const pin = await getPinnedKeyLog(userId);
+    if (pin) {
+        await pinKeyLog(userId, { ...pin, alert: null });
+    }
+}
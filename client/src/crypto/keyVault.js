@@ -0,0 +1,158 @@
+/**
+ * Secreta - Key Vault
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * Opt-in server-side backup of the identity and signing keys, so a
+ * fresh device can restore them at login.
+ *
+ * The keys are encrypted on this device with a key stretched from a
+ * recovery passphrase (or a generated high-entropy recovery key):
+ *
+ *   PBKDF2-SHA-256(passphrase, salt, iterations) -> 512 bits
+ *     first 256 bits:  AES-256-GCM key for the vault (never leaves the device)
+ *     last 256 bits:   authToken - proves knowledge of the passphrase to the
+ *                      server, which stores it bcrypt-hashed and limits attempts
+ *
+ * The server only stores an opaque blob and cannot decrypt it.
+ */
+
+import { exportIdentityKeys, importIdentityKeys } from './keyManager.js';
+import {
+    arrayBufferToBase64,
+    base64ToArrayBuffer,
+    stringToArrayBuffer,
+    arrayBufferToString,
+    generateIV
+} from './utils.js';
+
+const VAULT_VERSION = 'secreta-vault-v1';
+const KDF_ITERATIONS = 600000;
+// No 0/O/1/I so recovery keys can be typed
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// 32 characters * 5 bits = 160 bits
+const RECOVERY_KEY_LENGTH = 32;
+const RECOVERY_KEY_PATTERN = /^[A-Z2-9]{4}([- ]?[A-Z2-9]{4}){7}$/i;
+
+/**
+ * Generate a random recovery key (XXXX-XXXX-... , 8 groups)
+ * @returns {string}
+ */
+export function generateRecoveryKey() {
+    const chars = Array.from(
+        crypto.getRandomValues(new Uint8Array(RECOVERY_KEY_LENGTH)),
+        b => RECOVERY_ALPHABET[b % 32]
+    ).join('');
+    return chars.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize what the user typed (recovery keys ignore case and separators)
+ */
+function normalizePassphrase(passphrase) {
+    const trimmed = passphrase.trim().normalize('NFKC');
+    if (RECOVERY_KEY_PATTERN.test(trimmed)) {
+        return trimmed.replace(/[- ]/g, '').toUpperCase();
+    }
+    return trimmed;
+}
+
+/**
+ * Derive the vault encryption key and the server auth token
+ *
+ * @param {string} passphrase
+ * @param {{ name: string, hash: string, iterations: number, salt: string }} kdf
+ * @returns {Promise<{ encKey: CryptoKey, authToken: string }>}
+ */
+export async function deriveVaultKeys(passphrase, kdf) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        stringToArrayBuffer(normalizePassphrase(passphrase)),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        {
+            name: 'PBKDF2',
+            salt: base64ToArrayBuffer(kdf.salt),
+            iterations: kdf.iterations,
+            hash: kdf.hash
+        },
+        keyMaterial,
+        512
+    ));
+
+    const encKey = await crypto.subtle.importKey(
+        'raw',
+        bits.slice(0, 32),
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt', 'decrypt']
+    );
+
+    return { encKey, authToken: arrayBufferToBase64(bits.slice(32)) };
+}
+
+/**
+ * Encrypt our keys for upload to the vault
+ *
+ * @param {string} passphrase - Recovery passphrase or recovery key
+ * @returns {Promise<{ kdf: Object, authToken: string, iv: string, ciphertext: string }>}
+ */
+export async function createVaultBackup(passphrase) {
+    const kdf = {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: KDF_ITERATIONS,
+        salt: arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+
+    const { encKey, authToken } = await deriveVaultKeys(passphrase, kdf);
+    const keys = await exportIdentityKeys();
+    const iv = generateIV();
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: stringToArrayBuffer(VAULT_VERSION) },
+        encKey,
+        stringToArrayBuffer(JSON.stringify({ version: VAULT_VERSION, keys }))
+    );
+
+    return {
+        kdf,
+        authToken,
+        iv: arrayBufferToBase64(iv),
+        ciphertext: arrayBufferToBase64(ciphertext)
+    };
+}
+
+/**
+ * Decrypt a vault backup and import its keys
+ *
+ * @param {CryptoKey} encKey - From deriveVaultKeys()
+ * @param {{ iv: string, ciphertext: string }} backup
+ */
+export async function openVaultBackup(encKey, backup) {
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: new Uint8Array(base64ToArrayBuffer(backup.iv)),
+                additionalData: stringToArrayBuffer(VAULT_VERSION)
+            },
+            encKey,
+            base64ToArrayBuffer(backup.ciphertext)
+        );
+    } catch {
+        throw new Error('Key backup could not be decrypted');
+    }
+
+    const vault = JSON.parse(arrayBufferToString(plaintext));
+    if (vault.version !== VAULT_VERSION) {
+        throw new Error('Unsupported key backup version');
+    }
+
+    await importIdentityKeys(vault.keys);
+}
@@ -0,0 +1,415 @@
+/**
+ * Secreta - Message Cache
+ *
+ * Encrypted local copy of direct conversations, so history opens
+ * instantly, only changes are fetched and it can be read offline:
+ * - messages:    decrypted chat views by message id (indexed by
+ *                conversation and createdAt)
+ * - attachments: decrypted image / voice data
+ * - usage:       { size, lastUsed } per attachment, for LRU eviction
+ * - meta:        key check, sync cursors and the friends list
+ *
+ * Records are AES-GCM encrypted with a key derived from the identity key
+ * (deriveLocalKey) and conversation ids are blinded with HMAC. The cache
+ * is dropped when the identity key changes. Disappearing messages are
+ * never written here.
+ */
+
+import { getStoredPublicKeyJwk, deriveLocalKey } from './keyManager.js';
+import { stringToArrayBuffer, arrayBufferToString, generateIV } from './utils.js';
+
+const DB_NAME = 'secreta_cache';
+const DB_VERSION = 1;
+const MESSAGE_STORE = 'messages';
+const ATTACHMENT_STORE = 'attachments';
+const USAGE_STORE = 'usage';
+const META_STORE = 'meta';
+
+const KDF_INFO = 'secreta-cache-v1';
+const KEY_CHECK = 'secreta-cache-key-check';
+
+// Decrypted attachments kept before the least recently used are evicted
+const MAX_ATTACHMENT_BYTES = 50 * 1024 * 1024;
+
+let db = null;
+
+// { publicKeyX, encKey, macKey } for the current identity key
+let cacheKeys = null;
+
+// Attachment writes and evictions run one at a time
+let attachmentQueue = Promise.resolve();
+
+/**
+ * Open IndexedDB connection
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        if (db) {
+            resolve(db);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            db = request.result;
+            resolve(db);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            if (!database.objectStoreNames.contains(MESSAGE_STORE)) {
+                const store = database.createObjectStore(MESSAGE_STORE, { keyPath: 'id' });
+                store.createIndex('conversation', ['conversation', 'createdAt'], { unique: false });
+            }
+            if (!database.objectStoreNames.contains(ATTACHMENT_STORE)) {
+                database.createObjectStore(ATTACHMENT_STORE, { keyPath: 'id' });
+            }
+            if (!database.objectStoreNames.contains(USAGE_STORE)) {
+                const store = database.createObjectStore(USAGE_STORE, { keyPath: 'id' });
+                store.createIndex('lastUsed', 'lastUsed', { unique: false });
+            }
+            if (!database.objectStoreNames.contains(META_STORE)) {
+                database.createObjectStore(META_STORE, { keyPath: 'id' });
+            }
+        };
+    });
+}
+
+/**
+ * Run a single request against a store
+ */
+async function withStore(storeName, mode, fn) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run several requests in one transaction
+ * @param {string[]} storeNames
+ * @param {(tx: IDBTransaction) => void} fn
+ */
+async function withTransaction(storeNames, mode, fn) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeNames, mode);
+        fn(tx);
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Read records by id (missing ones are skipped)
+ * @returns {Promise<Object[]>}
+ */
+async function getRecords(storeName, ids) {
+    const records = [];
+    await withTransaction([storeName], 'readonly', tx => {
+        const store = tx.objectStore(storeName);
+        ids.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) records.push(request.result);
+            };
+        });
+    });
+    return records;
+}
+
+/**
+ * Empty every store
+ */
+function clearCacheStores() {
+    return withTransaction([MESSAGE_STORE, ATTACHMENT_STORE, USAGE_STORE, META_STORE], 'readwrite', tx => {
+        [MESSAGE_STORE, ATTACHMENT_STORE, USAGE_STORE, META_STORE].forEach(name => tx.objectStore(name).clear());
+    });
+}
+
+/**
+ * Cache keys derived from the identity key
+ * Drops the cache if it was written with a different identity key.
+ *
+ * @returns {Promise<{ encKey: CryptoKey, macKey: CryptoKey }>}
+ */
+async function getCacheKeys() {
+    const publicKeyJwk = await getStoredPublicKeyJwk();
+    if (cacheKeys && cacheKeys.publicKeyX === publicKeyJwk?.x) {
+        return cacheKeys;
+    }
+
+    if (!publicKeyJwk) {
+        throw new Error('No identity key');
+    }
+
+    const encKey = await deriveLocalKey(`${KDF_INFO} encryption`, { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']);
+    const macKey = await deriveLocalKey(`${KDF_INFO} ids`, { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']);
+
+    const check = await blind(macKey, KEY_CHECK);
+    const stored = await withStore(META_STORE, 'readonly', store => store.get('key'));
+    if (stored?.check !== check) {
+        await clearCacheStores();
+        await withStore(META_STORE, 'readwrite', store => store.put({ id: 'key', check }));
+    }
+
+    cacheKeys = { publicKeyX: publicKeyJwk.x, encKey, macKey };
+    return cacheKeys;
+}
+
+/**
+ * Hex HMAC of a string
+ */
+async function blind(macKey, value) {
+    const mac = await crypto.subtle.sign('HMAC', macKey, stringToArrayBuffer(value));
+    return Array.from(new Uint8Array(mac), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * AES-GCM encrypt bytes
+ * @returns {Promise<{ iv: Uint8Array, ciphertext: ArrayBuffer }>}
+ */
+async function seal(encKey, data) {
+    const iv = generateIV();
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, encKey, data);
+    return { iv, ciphertext };
+}
+
+/**
+ * Decrypt a record from seal()
+ * @returns {Promise<ArrayBuffer>}
+ */
+function unseal(encKey, record) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, encKey, record.ciphertext);
+}
+
+/**
+ * Decrypt message records into chat views (unreadable ones are skipped)
+ */
+async function openMessages(encKey, records) {
+    const views = await Promise.all(records.map(async (record) => {
+        try {
+            return JSON.parse(arrayBufferToString(await unseal(encKey, record)));
+        } catch {
+            return null;
+        }
+    }));
+    return views.filter(Boolean);
+}
+
+/**
+ * Latest cached messages of a conversation (oldest first)
+ *
+ * @param {string} conversationId - Friend id
+ * @param {number} [limit=50]
+ * @returns {Promise<Object[]>} Chat views (without blob URLs)
+ */
+export async function loadCachedMessages(conversationId, limit = 50) {
+    const { encKey, macKey } = await getCacheKeys();
+    const conversation = await blind(macKey, conversationId);
+
+    const records = [];
+    await withTransaction([MESSAGE_STORE], 'readonly', tx => {
+        const range = IDBKeyRange.bound([conversation, ''], [conversation, '\uffff']);
+        const request = tx.objectStore(MESSAGE_STORE).index('conversation').openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || records.length >= limit) return;
+            records.push(cursor.value);
+            cursor.continue();
+        };
+    });
+
+    return openMessages(encKey, records.reverse());
+}
+
+/**
+ * Cached messages by id
+ *
+ * @param {string[]} messageIds
+ * @returns {Promise<Map<string, Object>>} Chat views by message id
+ */
+export async function getCachedMessages(messageIds) {
+    const { encKey } = await getCacheKeys();
+    const views = await openMessages(encKey, await getRecords(MESSAGE_STORE, messageIds));
+    return new Map(views.map(view => [view._id, view]));
+}
+
+/**
+ * Write chat views to the cache
+ * A tombstone (deletedAt) replaces the message and drops its attachment.
+ *
+ * @param {Array<{ conversationId: string, message: Object }>} entries
+ */
+export async function cacheMessages(entries) {
+    if (entries.length === 0) return;
+    const { encKey, macKey } = await getCacheKeys();
+
+    const deletedIds = entries.filter(e => e.message.deletedAt).map(e => e.message._id);
+    const replaced = deletedIds.length > 0 ? await getCachedMessages(deletedIds) : new Map();
+    const attachmentIds = [...replaced.values()].map(view => view.fileAttachment?.fileId).filter(Boolean);
+
+    const records = await Promise.all(entries.map(async ({ conversationId, message }) => {
+        // Blob URLs only live as long as the page
+        const view = { ...message, audioUrl: null, previewUrl: null };
+        return {
+            id: message._id,
+            conversation: await blind(macKey, conversationId),
+            createdAt: message.createdAt,
+            ...await seal(encKey, stringToArrayBuffer(JSON.stringify(view)))
+        };
+    }));
+
+    await withTransaction([MESSAGE_STORE], 'readwrite', tx => {
+        records.forEach(record => tx.objectStore(MESSAGE_STORE).put(record));
+    });
+    await removeCachedAttachments(attachmentIds);
+}
+
+/**
+ * Remove messages (and their attachments) from the cache
+ * @param {string[]} messageIds
+ */
+export async function uncacheMessages(messageIds) {
+    if (messageIds.length === 0) return;
+
+    const removed = await getCachedMessages(messageIds);
+    await withTransaction([MESSAGE_STORE], 'readwrite', tx => {
+        messageIds.forEach(id => tx.objectStore(MESSAGE_STORE).delete(id));
+    });
+    await removeCachedAttachments([...removed.values()].map(view => view.fileAttachment?.fileId).filter(Boolean));
+}
+
+/**
+ * Delta sync cursor of a conversation (latest updatedAt seen)
+ *
+ * @param {string} conversationId
+ * @returns {Promise<string | null>}
+ */
+export async function getSyncCursor(conversationId) {
+    const { macKey } = await getCacheKeys();
+    const id = `sync:${await blind(macKey, conversationId)}`;
+    const record = await withStore(META_STORE, 'readonly', store => store.get(id));
+    return record?.cursor || null;
+}
+
+/**
+ * Save the delta sync cursor of a conversation
+ *
+ * @param {string} conversationId
+ * @param {string} cursor
+ */
+export async function setSyncCursor(conversationId, cursor) {
+    const { macKey } = await getCacheKeys();
+    const id = `sync:${await blind(macKey, conversationId)}`;
+    await withStore(META_STORE, 'readwrite', store => store.put({ id, cursor }));
+}
+
+/**
+ * Decrypted attachment data from the cache (marks it as recently used)
+ *
+ * @param {string} fileId
+ * @returns {Promise<ArrayBuffer | null>}
+ */
+export async function getCachedAttachment(fileId) {
+    const { encKey } = await getCacheKeys();
+    const record = await withStore(ATTACHMENT_STORE, 'readonly', store => store.get(fileId));
+    if (!record) return null;
+
+    withStore(USAGE_STORE, 'readwrite', store => store.put({ id: fileId, size: record.size, lastUsed: Date.now() }))
+        .catch(() => {});
+    return unseal(encKey, record);
+}
+
+/**
+ * Cache decrypted attachment data, evicting the least recently used
+ * attachments beyond MAX_ATTACHMENT_BYTES
+ *
+ * @param {string} fileId
+ * @param {ArrayBuffer} data
+ */
+export function cacheAttachment(fileId, data) {
+    const size = data.byteLength;
+    if (size > MAX_ATTACHMENT_BYTES / 4) return Promise.resolve();
+
+    const run = attachmentQueue.then(async () => {
+        const { encKey } = await getCacheKeys();
+        const sealed = await seal(encKey, data);
+
+        await withTransaction([ATTACHMENT_STORE, USAGE_STORE], 'readwrite', tx => {
+            tx.objectStore(ATTACHMENT_STORE).put({ id: fileId, size, ...sealed });
+            tx.objectStore(USAGE_STORE).put({ id: fileId, size, lastUsed: Date.now() });
+        });
+
+        // Newest first: keep until the budget is used up
+        const usage = (await withStore(USAGE_STORE, 'readonly', store => store.getAll()))
+            .sort((a, b) => b.lastUsed - a.lastUsed);
+        let total = 0;
+        const evicted = usage.filter(entry => (total += entry.size) > MAX_ATTACHMENT_BYTES).map(entry => entry.id);
+        await deleteAttachments(evicted);
+    });
+
+    attachmentQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Delete attachment data and usage records
+ */
+function deleteAttachments(fileIds) {
+    if (fileIds.length === 0) return Promise.resolve();
+    return withTransaction([ATTACHMENT_STORE, USAGE_STORE], 'readwrite', tx => {
+        fileIds.forEach(id => {
+            tx.objectStore(ATTACHMENT_STORE).delete(id);
+            tx.objectStore(USAGE_STORE).delete(id);
+        });
+    });
+}
+
+/**
+ * Remove attachments from the cache (deleted or expired messages)
+ * @param {string[]} fileIds
+ */
+export function removeCachedAttachments(fileIds) {
+    const run = attachmentQueue.then(() => deleteAttachments(fileIds));
+    attachmentQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Friends list saved for offline use
+ * @returns {Promise<Object[] | null>}
+ */
+export async function loadCachedFriends() {
+    const { encKey } = await getCacheKeys();
+    const record = await withStore(META_STORE, 'readonly', store => store.get('friends'));
+    return record ? JSON.parse(arrayBufferToString(await unseal(encKey, record))) : null;
+}
+
+/**
+ * Save the friends list for offline use
+ * @param {Object[]} friends
+ */
+export async function cacheFriends(friends) {
+    const { encKey } = await getCacheKeys();
+    const sealed = await seal(encKey, stringToArrayBuffer(JSON.stringify(friends)));
+    await withStore(META_STORE, 'readwrite', store => store.put({ id: 'friends', ...sealed }));
+}
+
+/**
+ * Delete the whole cache
+ */
+export async function clearMessageCache() {
+    cacheKeys = null;
+    await clearCacheStores();
+}
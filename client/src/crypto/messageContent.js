@@ -0,0 +1,79 @@
+/**
+ * Secreta - Message Content Envelope
+ *
+ * Everything about a message except who it is for goes inside the
+ * encrypted payload as a content envelope:
+ *
+ *   { v, type: 'text' | 'file' | 'image' | 'voice', text?, file?, voice?, viewOnce?, reply? }
+ *
+ *   file:     { fileId, name, mimeType, size, key, iv, digest }
+ *   voice:    { duration, waveform }
+ *   viewOnce: attachment is only fetched when the recipient opens it, once
+ *   reply:    { senderId, text } preview of the message replied to
+ *
+ * The serialized envelope is padded with whitespace (ignored by
+ * JSON.parse) and attachments are padded before encryption, so
+ * ciphertext sizes only reveal a size bucket.
+ *
+ * Older messages have plain text as their plaintext and plaintext
+ * metadata fields on the message; decodeContent() reads those as text.
+ */
+
+const CONTENT_VERSION = 'secreta-content-v1';
+
+// Smallest padded size in bytes
+const MIN_PADDED_LENGTH = 256;
+
+/**
+ * Size bucket for a plaintext length (Padmé: at most ~12% overhead,
+ * leaks O(log log n) bits of the length)
+ *
+ * @param {number} length - Bytes
+ * @returns {number}
+ */
+export function paddedLength(length) {
+    if (length <= MIN_PADDED_LENGTH) return MIN_PADDED_LENGTH;
+
+    const exponent = Math.floor(Math.log2(length));
+    const bitsOfExponent = Math.floor(Math.log2(exponent)) + 1;
+    const step = 2 ** (exponent - bitsOfExponent);
+    return Math.ceil(length / step) * step;
+}
+
+/**
+ * Pad a string with spaces to its size bucket (UTF-8 bytes)
+ *
+ * @param {string} text - Usually JSON, which ignores trailing whitespace
+ * @returns {string}
+ */
+export function padText(text) {
+    const length = new TextEncoder().encode(text).byteLength;
+    return text + ' '.repeat(paddedLength(length) - length);
+}
+
+/**
+ * Serialize and pad a content envelope for encryption
+ *
+ * @param {{ type: string, text?: string, file?: Object, voice?: Object, viewOnce?: boolean, reply?: Object }} content
+ * @returns {string}
+ */
+export function encodeContent(content) {
+    return padText(JSON.stringify({ v: CONTENT_VERSION, ...content }));
+}
+
+/**
+ * Parse decrypted plaintext into a content envelope
+ *
+ * @param {string} plaintext
+ * @returns {{ type: string, text?: string, file?: Object, voice?: Object, reply?: Object }}
+ */
+export function decodeContent(plaintext) {
+    if (plaintext.startsWith(`{"v":"${CONTENT_VERSION}"`)) {
+        try {
+            return JSON.parse(plaintext);
+        } catch {
+            // Not an envelope after all - show it as text
+        }
+    }
+    return { type: 'text', text: plaintext };
+}
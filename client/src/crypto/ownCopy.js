@@ -0,0 +1,74 @@
+/**
+ * Secreta - Own Copies
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * The sender's own copy of a direct message (`encryptedForSender`) is
+ * only ever read by the sender, so it is not encrypted to the identity
+ * key (static ECIES, no forward secrecy) but with a symmetric key
+ * derived from it (deriveLocalKey). Linked devices share the identity
+ * key and derive the same key.
+ *
+ * Wire format:
+ *   { version: 'secreta-own-v1', iv, ciphertext }
+ */
+
+import { deriveLocalKey } from './keyManager.js';
+import { arrayBufferToBase64, base64ToArrayBuffer, stringToArrayBuffer, arrayBufferToString, generateIV } from './utils.js';
+
+export const OWN_COPY_VERSION = 'secreta-own-v1';
+
+const KDF_INFO = 'secreta-own-v1 encryption';
+
+/**
+ * Check whether a payload is an own copy
+ * @param {Object} payload
+ * @returns {boolean}
+ */
+export function isOwnCopyPayload(payload) {
+    return payload?.version === OWN_COPY_VERSION;
+}
+
+/**
+ * Key for own copies
+ */
+function getOwnCopyKey() {
+    return deriveLocalKey(KDF_INFO, { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt our own copy of a message
+ *
+ * @param {string} plaintext
+ * @returns {Promise<{ version: string, iv: string, ciphertext: string }>}
+ */
+export async function encryptOwnCopy(plaintext) {
+    const iv = generateIV();
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        await getOwnCopyKey(),
+        stringToArrayBuffer(plaintext)
+    );
+
+    return {
+        version: OWN_COPY_VERSION,
+        iv: arrayBufferToBase64(iv),
+        ciphertext: arrayBufferToBase64(ciphertext)
+    };
+}
+
+/**
+ * Decrypt our own copy of a message
+ *
+ * @param {Object} payload - From encryptOwnCopy()
+ * @returns {Promise<string>}
+ * @throws {DOMException} OperationError if it was encrypted under another identity key
+ */
+export async function decryptOwnCopy(payload) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToArrayBuffer(payload.iv) },
+        await getOwnCopyKey(),
+        base64ToArrayBuffer(payload.ciphertext)
+    );
+    return arrayBufferToString(plaintext);
+}
@@ -0,0 +1,340 @@
+/**
+ * Secreta - Double Ratchet
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * Implements the Double Ratchet algorithm over WebCrypto primitives:
+ * - DH ratchet: ECDH (P-256), a new ratchet key pair per turn of the conversation
+ * - Root / chain KDF: HKDF-SHA-256 and HMAC-SHA-256
+ * - Message encryption: AES-256-GCM, header bound as associated data
+ *
+ * Every message uses a fresh message key that is deleted after use, so
+ * compromise of the current state does not reveal earlier messages
+ * (forward secrecy), and the DH ratchet heals the session after a
+ * compromise (post-compromise security).
+ *
+ * State objects are plain JSON (JWK keys, Base64 secrets) so they can be
+ * persisted in IndexedDB. Functions never mutate the state they are
+ * given; they return the next state, which the caller persists only
+ * once the operation has succeeded.
+ */
+
+import { arrayBufferToBase64, base64ToArrayBuffer, stringToArrayBuffer, arrayBufferToString, concatBytes } from './utils.js';
+
+const ROOT_INFO = 'secreta-dr-root-v1';
+const MESSAGE_INFO = 'secreta-dr-msg-v1';
+
+// Maximum number of message keys we will skip (and keep) in one chain
+const MAX_SKIP = 1000;
+
+/**
+ * Import an ECDH public key from JWK
+ * @param {JsonWebKey} jwk
+ * @returns {Promise<CryptoKey>}
+ */
+function importECDHPublic(jwk) {
+    return crypto.subtle.importKey(
+        'jwk',
+        jwk,
+        { name: 'ECDH', namedCurve: 'P-256' },
+        true,
+        []
+    );
+}
+
+/**
+ * Import an ECDH private key from JWK
+ * @param {JsonWebKey} jwk
+ * @returns {Promise<CryptoKey>}
+ */
+function importECDHPrivate(jwk) {
+    return crypto.subtle.importKey(
+        'jwk',
+        jwk,
+        { name: 'ECDH', namedCurve: 'P-256' },
+        true,
+        ['deriveKey', 'deriveBits']
+    );
+}
+
+/**
+ * ECDH between a private and a public key
+ *
+ * Accepts either CryptoKeys or JWKs.
+ *
+ * @param {CryptoKey | JsonWebKey} privateKey
+ * @param {CryptoKey | JsonWebKey} publicKey
+ * @returns {Promise<ArrayBuffer>} 32 bytes of shared secret
+ */
+export async function dh(privateKey, publicKey) {
+    const priv = privateKey instanceof CryptoKey ? privateKey : await importECDHPrivate(privateKey);
+    const pub = publicKey instanceof CryptoKey ? publicKey : await importECDHPublic(publicKey);
+
+    return crypto.subtle.deriveBits({ name: 'ECDH', public: pub }, priv, 256);
+}
+
+/**
+ * HKDF-SHA-256 returning raw bits
+ * @param {ArrayBuffer | Uint8Array} ikm - Input key material
+ * @param {ArrayBuffer | Uint8Array} salt
+ * @param {string} info
+ * @param {number} length - Output length in bits
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function hkdf(ikm, salt, info, length) {
+    const keyMaterial = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+
+    return crypto.subtle.deriveBits(
+        {
+            name: 'HKDF',
+            salt,
+            info: stringToArrayBuffer(info),
+            hash: 'SHA-256'
+        },
+        keyMaterial,
+        length
+    );
+}
+
+/**
+ * HMAC-SHA-256
+ * @param {ArrayBuffer} key
+ * @param {Uint8Array} data
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function hmac(key, data) {
+    const hmacKey = await crypto.subtle.importKey(
+        'raw',
+        key,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    return crypto.subtle.sign('HMAC', hmacKey, data);
+}
+
+/**
+ * Generate a new ratchet key pair as JWKs
+ * @returns {Promise<{ publicKey: JsonWebKey, privateKey: JsonWebKey }>}
+ */
+export async function generateRatchetKeyPair() {
+    const keyPair = await crypto.subtle.generateKey(
+        { name: 'ECDH', namedCurve: 'P-256' },
+        true,
+        ['deriveKey', 'deriveBits']
+    );
+
+    return {
+        publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+        privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+    };
+}
+
+/**
+ * Root KDF: mix a DH output into the root key
+ * @param {string} rootKey - Base64
+ * @param {ArrayBuffer} dhOut
+ * @returns {Promise<[string, string]>} [new root key, new chain key] (Base64)
+ */
+async function kdfRoot(rootKey, dhOut) {
+    const out = new Uint8Array(await hkdf(dhOut, base64ToArrayBuffer(rootKey), ROOT_INFO, 512));
+
+    return [arrayBufferToBase64(out.slice(0, 32)), arrayBufferToBase64(out.slice(32))];
+}
+
+/**
+ * Chain KDF: step a chain key
+ * @param {string} chainKey - Base64
+ * @returns {Promise<[string, string]>} [next chain key, message key] (Base64)
+ */
+async function kdfChain(chainKey) {
+    const ck = base64ToArrayBuffer(chainKey);
+    const messageKey = await hmac(ck, new Uint8Array([0x01]));
+    const nextChainKey = await hmac(ck, new Uint8Array([0x02]));
+
+    return [arrayBufferToBase64(nextChainKey), arrayBufferToBase64(messageKey)];
+}
+
+/**
+ * Expand a message key into an AES-GCM key and IV
+ * @param {string} messageKey - Base64
+ * @returns {Promise<{ key: CryptoKey, iv: Uint8Array }>}
+ */
+async function expandMessageKey(messageKey) {
+    const out = new Uint8Array(await hkdf(base64ToArrayBuffer(messageKey), new Uint8Array(32), MESSAGE_INFO, 352));
+
+    const key = await crypto.subtle.importKey(
+        'raw',
+        out.slice(0, 32),
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt', 'decrypt']
+    );
+
+    return { key, iv: out.slice(32, 44) };
+}
+
+/**
+ * Associated data bound to every message: session AD + header
+ */
+function associatedData(state, header) {
+    return concatBytes(base64ToArrayBuffer(state.ad), stringToArrayBuffer(JSON.stringify(header)));
+}
+
+/**
+ * Identify a ratchet public key inside the skipped-keys map
+ */
+function ratchetKeyId(jwk) {
+    return `${jwk.x}.${jwk.y}`;
+}
+
+/**
+ * Initialize the state of the session initiator ("Alice")
+ *
+ * @param {ArrayBuffer} sharedSecret - X3DH output
+ * @param {JsonWebKey} remoteRatchetKey - Responder's signed prekey
+ * @param {ArrayBuffer | Uint8Array} ad - Associated data (both identity keys)
+ * @returns {Promise<Object>} Ratchet state
+ */
+export async function initInitiatorState(sharedSecret, remoteRatchetKey, ad) {
+    const dhs = await generateRatchetKeyPair();
+    const [rk, cks] = await kdfRoot(arrayBufferToBase64(sharedSecret), await dh(dhs.privateKey, remoteRatchetKey));
+
+    return {
+        dhs,
+        dhr: remoteRatchetKey,
+        rk,
+        cks,
+        ckr: null,
+        ns: 0,
+        nr: 0,
+        pn: 0,
+        skipped: {},
+        ad: arrayBufferToBase64(ad)
+    };
+}
+
+/**
+ * Initialize the state of the session responder ("Bob")
+ *
+ * @param {ArrayBuffer} sharedSecret - X3DH output
+ * @param {{ publicKey: JsonWebKey, privateKey: JsonWebKey }} signedPreKey - Our signed prekey pair
+ * @param {ArrayBuffer | Uint8Array} ad - Associated data (both identity keys)
+ * @returns {Object} Ratchet state
+ */
+export function initResponderState(sharedSecret, signedPreKey, ad) {
+    return {
+        dhs: { publicKey: signedPreKey.publicKey, privateKey: signedPreKey.privateKey },
+        dhr: null,
+        rk: arrayBufferToBase64(sharedSecret),
+        cks: null,
+        ckr: null,
+        ns: 0,
+        nr: 0,
+        pn: 0,
+        skipped: {},
+        ad: arrayBufferToBase64(ad)
+    };
+}
+
+/**
+ * Encrypt a message with the sending chain
+ *
+ * @param {Object} state - Ratchet state
+ * @param {string} plaintext
+ * @returns {Promise<{ state: Object, header: Object, ciphertext: string }>}
+ */
+export async function ratchetEncrypt(state, plaintext) {
+    const next = structuredClone(state);
+
+    const [cks, mk] = await kdfChain(next.cks);
+    const header = { dh: next.dhs.publicKey, pn: next.pn, n: next.ns };
+    next.cks = cks;
+    next.ns += 1;
+
+    const { key, iv } = await expandMessageKey(mk);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: associatedData(next, header), tagLength: 128 },
+        key,
+        stringToArrayBuffer(plaintext)
+    );
+
+    return { state: next, header, ciphertext: arrayBufferToBase64(ciphertext) };
+}
+
+/**
+ * Store message keys for messages we have not received yet
+ */
+async function skipMessageKeys(state, until) {
+    if (!state.ckr) return;
+
+    if (until - state.nr > MAX_SKIP) {
+        throw new Error('Too many skipped messages');
+    }
+
+    const keyId = ratchetKeyId(state.dhr);
+    while (state.nr < until) {
+        const [ckr, mk] = await kdfChain(state.ckr);
+        state.ckr = ckr;
+        state.skipped[`${keyId}:${state.nr}`] = mk;
+        state.nr += 1;
+    }
+
+    // Bound the total number of stored keys, dropping the oldest
+    const ids = Object.keys(state.skipped);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_SKIP))) {
+        delete state.skipped[id];
+    }
+}
+
+/**
+ * Perform a DH ratchet step on receiving a new ratchet public key
+ */
+async function dhRatchet(state, header) {
+    state.pn = state.ns;
+    state.ns = 0;
+    state.nr = 0;
+    state.dhr = header.dh;
+
+    [state.rk, state.ckr] = await kdfRoot(state.rk, await dh(state.dhs.privateKey, state.dhr));
+
+    state.dhs = await generateRatchetKeyPair();
+    [state.rk, state.cks] = await kdfRoot(state.rk, await dh(state.dhs.privateKey, state.dhr));
+}
+
+/**
+ * Decrypt a message and advance the receiving chain
+ *
+ * @param {Object} state - Ratchet state
+ * @param {Object} header - { dh, pn, n }
+ * @param {string} ciphertext - Base64
+ * @returns {Promise<{ state: Object, plaintext: string }>}
+ */
+export async function ratchetDecrypt(state, header, ciphertext) {
+    const next = structuredClone(state);
+    const skippedId = `${ratchetKeyId(header.dh)}:${header.n}`;
+
+    let mk = next.skipped[skippedId];
+    if (mk) {
+        delete next.skipped[skippedId];
+    } else {
+        if (!next.dhr || ratchetKeyId(header.dh) !== ratchetKeyId(next.dhr)) {
+            await skipMessageKeys(next, header.pn);
+            await dhRatchet(next, header);
+        }
+
+        await skipMessageKeys(next, header.n);
+        [next.ckr, mk] = await kdfChain(next.ckr);
+        next.nr += 1;
+    }
+
+    const { key, iv } = await expandMessageKey(mk);
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: associatedData(next, header), tagLength: 128 },
+        key,
+        base64ToArrayBuffer(ciphertext)
+    );
+
+    return { state: next, plaintext: arrayBufferToString(plaintext) };
+}
@@ -0,0 +1,115 @@
+/**
+ * Secreta - Encrypted Reactions
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * A user's reactions to a direct message are one small event:
+ *
+ *   { v, messageId, userId, emojis }
+ *
+ * padded to a size bucket and encrypted (v1 payload, signed) for the
+ * other participant and as an own copy (ownCopy.js) for the reacting user. The server
+ * stores the two copies per user and message without learning the
+ * emojis. The message and user ids inside the event stop the server
+ * from moving a reaction to another message or attributing it to the
+ * other user.
+ *
+ * Reactions stored before encryption ({ emoji, userId }) are still read.
+ */
+
+import { encryptMessage, decryptMessage } from './encryption.js';
+import { encryptOwnCopy, decryptOwnCopy, isOwnCopyPayload } from './ownCopy.js';
+import { verifyPayload } from './signing.js';
+import { padText } from './messageContent.js';
+import { isEmoji } from '../utils/emoji.js';
+
+const REACTION_VERSION = 'secreta-reaction-v1';
+
+// Most different emojis one user can put on a message
+export const MAX_REACTIONS_PER_USER = 10;
+
+/**
+ * Encrypt a user's reactions to a message for both participants
+ *
+ * @param {{ messageId: string, userId: string, emojis: string[] }} reaction
+ * @param {JsonWebKey} peerPublicKey - The other participant's public key
+ * @returns {Promise<{ encryptedForPeer: Object, encryptedForSelf: Object }>}
+ */
+export async function encryptReaction({ messageId, userId, emojis }, peerPublicKey) {
+    const plaintext = padText(JSON.stringify({ v: REACTION_VERSION, messageId, userId, emojis }));
+    const [encryptedForPeer, encryptedForSelf] = await Promise.all([
+        encryptMessage(plaintext, peerPublicKey),
+        encryptOwnCopy(plaintext)
+    ]);
+    return { encryptedForPeer, encryptedForSelf };
+}
+
+/**
+ * Emojis of one stored reaction entry
+ */
+async function openReaction(entry, messageId, userId, audience, signerKey) {
+    if (entry.emoji) return [entry.emoji];
+
+    const isMine = entry.userId === userId;
+    const payload = isMine ? entry.encryptedForSelf : entry.encryptedForPeer;
+    if (!payload) return [];
+
+    // The other participant's reactions must be signed by them
+    if (!isMine && await verifyPayload(payload, audience, signerKey) !== 'verified') return [];
+
+    // Own entries written before own copies existed are v1 payloads to our identity key
+    const plaintext = isOwnCopyPayload(payload) ? await decryptOwnCopy(payload) : await decryptMessage(payload);
+    const event = JSON.parse(plaintext);
+    if (event.v !== REACTION_VERSION || event.messageId !== messageId ||
+        event.userId !== entry.userId || !Array.isArray(event.emojis)) {
+        return [];
+    }
+    return event.emojis.filter(isEmoji);
+}
+
+/**
+ * Decrypt the stored reactions of a message
+ * Unreadable or misplaced reactions are left out.
+ *
+ * @param {Array<Object>} entries - Message.reactions from the server
+ * @param {Object} context
+ * @param {string} context.messageId - Message the reactions are on
+ * @param {string} context.userId - Our user id
+ * @param {string | null} context.audience - keyAudience() of our public key
+ * @param {JsonWebKey[] | null} context.signerKey - The other participant's signing keys
+ * @returns {Promise<Array<{ userId: string, emojis: string[] }>>} One entry per user
+ */
+export async function decryptReactions(entries, { messageId, userId, audience, signerKey }) {
+    const byUser = new Map();
+
+    await Promise.all((entries || []).map(async (raw) => {
+        const entry = { ...raw, userId: String(raw.userId) };
+        try {
+            const emojis = await openReaction(entry, messageId, userId, audience, signerKey);
+            byUser.set(entry.userId, [...new Set([...(byUser.get(entry.userId) || []), ...emojis])]);
+        } catch (error) {
+            console.warn('Skipping unreadable reaction:', error);
+        }
+    }));
+
+    return [...byUser]
+        .map(([reactorId, emojis]) => ({ userId: reactorId, emojis: emojis.slice(0, MAX_REACTIONS_PER_USER) }))
+        .filter(r => r.emojis.length > 0);
+}
+
+/**
+ * Our emojis on a message after toggling one
+ *
+ * @param {Array<{ userId: string, emojis: string[] }>} reactions - Decrypted reactions
+ * @param {string} userId - Our user id
+ * @param {string} emoji
+ * @returns {string[]}
+ */
+export function toggleReaction(reactions, userId, emoji) {
+    // Cached views may still hold plaintext { userId, emoji } reactions
+    const own = (reactions || [])
+        .filter(r => r.userId === userId)
+        .flatMap(r => r.emojis || [r.emoji]);
+    if (own.includes(emoji)) return own.filter(e => e !== emoji);
+    return [...own, emoji].slice(-MAX_REACTIONS_PER_USER);
+}
@@ -0,0 +1,109 @@
+/**
+ * Secreta - Safety Numbers
+ *
+ * Deterministic fingerprints that two users compare (in person or
+ * over another channel) to confirm they see each other's real
+ * identity keys and no one is in the middle.
+ *
+ * Per user: SHA-256 iterated over (version || key || userId), the
+ * first 30 bytes are rendered as six 5-digit groups. The safety number
+ * is both users' fingerprints concatenated in a fixed order, so both
+ * sides see the same 60 digits.
+ */
+
+import { stringToArrayBuffer, concatBytes, canonicalPublicKey } from './utils.js';
+
+const FINGERPRINT_VERSION = 0;
+const ITERATIONS = 5200;
+
+// Prefix of the QR code payload
+const QR_PREFIX = 'secreta-verify';
+
+/**
+ * Compute the 30-digit fingerprint of one user's identity key
+ *
+ * @param {string} userId
+ * @param {JsonWebKey} publicKeyJwk
+ * @returns {Promise<string>}
+ */
+async function computeFingerprint(userId, publicKeyJwk) {
+    const keyBytes = stringToArrayBuffer(canonicalPublicKey(publicKeyJwk));
+
+    let hash = concatBytes(
+        new Uint8Array([0, FINGERPRINT_VERSION]),
+        keyBytes,
+        stringToArrayBuffer(userId)
+    );
+
+    for (let i = 0; i < ITERATIONS; i++) {
+        hash = new Uint8Array(await crypto.subtle.digest('SHA-256', concatBytes(hash, keyBytes)));
+    }
+
+    let digits = '';
+    for (let chunk = 0; chunk < 6; chunk++) {
+        // 5 bytes -> 40-bit integer -> 5 decimal digits
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+            value = value * 256 + hash[chunk * 5 + i];
+        }
+        digits += String(value % 100000).padStart(5, '0');
+    }
+
+    return digits;
+}
+
+/**
+ * Compute the safety number for a conversation
+ *
+ * @param {string} localUserId
+ * @param {JsonWebKey} localKey - Our identity public key
+ * @param {string} remoteUserId
+ * @param {JsonWebKey} remoteKey - Friend's identity public key
+ * @returns {Promise<string>} 60 digits
+ */
+export async function computeSafetyNumber(localUserId, localKey, remoteUserId, remoteKey) {
+    const local = await computeFingerprint(localUserId, localKey);
+    const remote = await computeFingerprint(remoteUserId, remoteKey);
+
+    // Same order on both sides
+    return localUserId < remoteUserId ? local + remote : remote + local;
+}
+
+/**
+ * Split a safety number into 5-digit groups for display
+ *
+ * @param {string} safetyNumber
+ * @returns {string[]}
+ */
+export function formatSafetyNumber(safetyNumber) {
+    return safetyNumber.match(/\d{5}/g) || [];
+}
+
+/**
+ * Payload rendered into the QR code
+ *
+ * @param {string} safetyNumber
+ * @returns {string}
+ */
+export function safetyNumberQrPayload(safetyNumber) {
+    return `${QR_PREFIX}:${FINGERPRINT_VERSION}:${safetyNumber}`;
+}
+
+/**
+ * Compare a scanned / typed code with our safety number
+ *
+ * Accepts the raw QR payload or the digits (spaces ignored).
+ *
+ * @param {string} safetyNumber
+ * @param {string} input
+ * @returns {boolean}
+ */
+export function matchesSafetyNumber(safetyNumber, input) {
+    const value = input.trim();
+
+    if (value.startsWith(`${QR_PREFIX}:`)) {
+        return value === safetyNumberQrPayload(safetyNumber);
+    }
+
+    return value.replace(/\s+/g, '') === safetyNumber;
+}
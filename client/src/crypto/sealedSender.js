@@ -0,0 +1,97 @@
+/**
+ * Secreta - Sealed Sender
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * A sealed message names its sender only inside the encrypted
+ * payload, so the server stores and delivers it knowing just the
+ * recipient. The sealed content is:
+ *
+ *   { v, id, senderId, recipientId, content, replyTo?, replyPreview?, receiptToken?, sentAt, signature }
+ *
+ * signed with the sender's identity signing key (audience: the key it
+ * is encrypted to), padded to a size bucket and encrypted as a v1
+ * payload. The outer payload carries no signature - anyone holding all
+ * signing keys could match it against each of them and learn the sender.
+ *
+ * The recipient trusts `senderId` only if the inner signature verifies
+ * with that user's signing keys.
+ *
+ * `receiptToken` is a delivery token (scope 'receipt') for the sender
+ * itself. The server only gets its hash with the message, so the read
+ * receipt sent with it can report nothing but this message.
+ */
+
+import { encryptMessage, decryptMessage } from './encryption.js';
+import { signPayload, verifyPayload, keyAudience } from './signing.js';
+import { padText } from './messageContent.js';
+import { stringToArrayBuffer, arrayBufferToBase64 } from './utils.js';
+
+const SEALED_VERSION = 'secreta-sealed-v1';
+
+/**
+ * Sealed content for a message
+ *
+ * @param {Object} message - { senderId, recipientId, content, replyTo?, replyPreview?, receiptToken? }
+ * @returns {Object}
+ */
+export function createSealedContent(message) {
+    return {
+        v: SEALED_VERSION,
+        id: crypto.randomUUID(),
+        ...message,
+        sentAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Hash of a receipt token as the server stores it with the message
+ * (base64url SHA-256, server/src/services/sealedSender.js)
+ *
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+export async function receiptTokenHash(token) {
+    const digest = await crypto.subtle.digest('SHA-256', stringToArrayBuffer(token));
+    return arrayBufferToBase64(digest).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Sign and encrypt sealed content for one key (identity or device key)
+ *
+ * @param {Object} sealedContent - From createSealedContent()
+ * @param {JsonWebKey} publicKeyJwk
+ * @returns {Promise<Object>} v1 payload without an outer signature
+ */
+export async function sealMessage(sealedContent, publicKeyJwk) {
+    const signed = await signPayload(sealedContent, keyAudience(publicKeyJwk));
+    const payload = await encryptMessage(padText(JSON.stringify(signed)), publicKeyJwk);
+    delete payload.signature;
+    return payload;
+}
+
+/**
+ * Decrypt a sealed payload
+ *
+ * @param {Object} payload
+ * @returns {Promise<Object>} Sealed content (sender not yet verified)
+ */
+export async function openSealedPayload(payload) {
+    const content = JSON.parse(await decryptMessage(payload));
+    if (content?.v !== SEALED_VERSION || typeof content.senderId !== 'string') {
+        throw new Error('Not a sealed message');
+    }
+    return content;
+}
+
+/**
+ * Check the sealed content was signed by its claimed sender
+ *
+ * @param {Object} sealedContent
+ * @param {JsonWebKey} ourPublicKey - Key the payload was encrypted to
+ * @param {JsonWebKey[] | null} signerKeys - Claimed sender's signing keys
+ * @returns {Promise<'verified' | 'unsigned' | 'unverifiable' | 'invalid'>}
+ */
+export function verifySealedSender(sealedContent, ourPublicKey, signerKeys) {
+    return verifyPayload(sealedContent, keyAudience(ourPublicKey), signerKeys);
+}
@@ -0,0 +1,458 @@
+/**
+ * Secreta - Encrypted Search Index
+ *
+ * Full-text index over decrypted messages, kept in IndexedDB so the
+ * whole history can be searched without asking the server:
+ * - terms: blinded term -> encrypted posting list { messageId: count }
+ * - docs:  messageId    -> encrypted { conversationId, senderId, createdAt, text, terms }
+ * - meta:  key check (the index is dropped when the identity key changes)
+ *
+ * Both keys are derived from the identity key (deriveLocalKey). Terms
+ * are blinded with HMAC so the stored index only reveals how many
+ * distinct terms and messages it holds.
+ *
+ * Terms are lowercase words ('w:') and their prefixes of at least
+ * MIN_PREFIX_LENGTH characters ('p:'), so partial words match.
+ */
+
+import { getStoredPublicKeyJwk, deriveLocalKey } from './keyManager.js';
+import { arrayBufferToBase64, base64ToArrayBuffer, stringToArrayBuffer, arrayBufferToString, generateIV } from './utils.js';
+
+const DB_NAME = 'secreta_search';
+const DB_VERSION = 1;
+const TERM_STORE = 'terms';
+const DOC_STORE = 'docs';
+const META_STORE = 'meta';
+
+const KDF_INFO = 'secreta-search-v1';
+const KEY_CHECK = 'secreta-search-key-check';
+
+const MIN_PREFIX_LENGTH = 3;
+const MAX_TERM_LENGTH = 32;
+
+// Prefix matches count for less than whole words
+const PREFIX_WEIGHT = 0.5;
+
+let db = null;
+
+// { publicKeyX, encKey, macKey } for the current identity key
+let searchKeys = null;
+
+// Index writes run one at a time (posting lists are read-modify-write)
+let writeQueue = Promise.resolve();
+
+/**
+ * Open IndexedDB connection
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        if (db) {
+            resolve(db);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            db = request.result;
+            resolve(db);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            [TERM_STORE, DOC_STORE, META_STORE].forEach(name => {
+                if (!database.objectStoreNames.contains(name)) {
+                    database.createObjectStore(name, { keyPath: 'id' });
+                }
+            });
+        };
+    });
+}
+
+/**
+ * Run a single request against a store
+ */
+async function withStore(storeName, mode, fn) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read several records of a store in one transaction
+ * @returns {Promise<Map<string, Object>>} Found records by id
+ */
+async function getRecords(storeName, ids) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, 'readonly');
+        const store = tx.objectStore(storeName);
+        const records = new Map();
+
+        ids.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) records.set(id, request.result);
+            };
+        });
+
+        tx.oncomplete = () => resolve(records);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Put and delete records across stores in one transaction
+ * @param {Object<string, { put?: Object[], remove?: string[] }>} changes - By store name
+ */
+async function writeRecords(changes) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(Object.keys(changes), 'readwrite');
+        Object.entries(changes).forEach(([storeName, { put = [], remove = [] }]) => {
+            const store = tx.objectStore(storeName);
+            put.forEach(record => store.put(record));
+            remove.forEach(id => store.delete(id));
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Empty the term and document stores
+ */
+async function clearIndexStores() {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction([TERM_STORE, DOC_STORE], 'readwrite');
+        tx.objectStore(TERM_STORE).clear();
+        tx.objectStore(DOC_STORE).clear();
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Hex HMAC of a string
+ */
+async function blind(macKey, value) {
+    const mac = await crypto.subtle.sign('HMAC', macKey, stringToArrayBuffer(value));
+    return Array.from(new Uint8Array(mac), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Index keys derived from the identity key
+ * Drops the index if it was built with a different identity key.
+ *
+ * @returns {Promise<{ encKey: CryptoKey, macKey: CryptoKey }>}
+ */
+async function getSearchKeys() {
+    const publicKeyJwk = await getStoredPublicKeyJwk();
+    if (searchKeys && searchKeys.publicKeyX === publicKeyJwk?.x) {
+        return searchKeys;
+    }
+
+    if (!publicKeyJwk) {
+        throw new Error('No identity key');
+    }
+
+    const encKey = await deriveLocalKey(`${KDF_INFO} encryption`, { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']);
+    const macKey = await deriveLocalKey(`${KDF_INFO} terms`, { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']);
+
+    const check = await blind(macKey, KEY_CHECK);
+    const stored = await withStore(META_STORE, 'readonly', store => store.get('key'));
+    if (stored?.check !== check) {
+        await clearIndexStores();
+        await withStore(META_STORE, 'readwrite', store => store.put({ id: 'key', check }));
+    }
+
+    searchKeys = { publicKeyX: publicKeyJwk.x, encKey, macKey };
+    return searchKeys;
+}
+
+/**
+ * Encrypt a JSON value into a record
+ */
+async function sealRecord(encKey, id, value) {
+    const iv = generateIV();
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        encKey,
+        stringToArrayBuffer(JSON.stringify(value))
+    );
+    return { id, iv: arrayBufferToBase64(iv), ciphertext: arrayBufferToBase64(ciphertext) };
+}
+
+/**
+ * Decrypt a record from sealRecord()
+ */
+async function openRecord(encKey, record) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToArrayBuffer(record.iv) },
+        encKey,
+        base64ToArrayBuffer(record.ciphertext)
+    );
+    return JSON.parse(arrayBufferToString(plaintext));
+}
+
+/**
+ * Lowercase words of a text, accents removed
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const words = text
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => word.slice(0, MAX_TERM_LENGTH));
+}
+
+/**
+ * Term counts for a text (words and their prefixes)
+ * @returns {Map<string, number>}
+ */
+function countTerms(text) {
+    const counts = new Map();
+    const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+
+    tokenize(text).forEach(word => {
+        add(`w:${word}`);
+        for (let length = MIN_PREFIX_LENGTH; length < word.length; length++) {
+            add(`p:${word.slice(0, length)}`);
+        }
+    });
+
+    return counts;
+}
+
+/**
+ * Run an index write after the ones already queued
+ */
+function queueWrite(fn) {
+    const run = writeQueue.then(fn);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Apply posting changes and document changes in one pass
+ *
+ * @param {Object} keys - From getSearchKeys()
+ * @param {Map<string, Object<string, number>>} postingChanges - Blinded term -> { messageId: count | 0 }
+ * @param {Object[]} docPuts - Sealed doc records
+ * @param {string[]} docRemoves - Message ids
+ */
+async function applyChanges({ encKey }, postingChanges, docPuts, docRemoves) {
+    const termIds = [...postingChanges.keys()];
+    const existing = await getRecords(TERM_STORE, termIds);
+
+    const put = [];
+    const remove = [];
+    for (const termId of termIds) {
+        const record = existing.get(termId);
+        const postings = record ? await openRecord(encKey, record) : {};
+
+        Object.entries(postingChanges.get(termId)).forEach(([messageId, count]) => {
+            if (count > 0) postings[messageId] = count;
+            else delete postings[messageId];
+        });
+
+        if (Object.keys(postings).length > 0) {
+            put.push(await sealRecord(encKey, termId, postings));
+        } else if (record) {
+            remove.push(termId);
+        }
+    }
+
+    await writeRecords({
+        [TERM_STORE]: { put, remove },
+        [DOC_STORE]: { put: docPuts, remove: docRemoves }
+    });
+}
+
+/**
+ * Record that a message's postings should be removed
+ */
+function removePostings(postingChanges, messageId, termIds) {
+    termIds.forEach(termId => {
+        if (!postingChanges.has(termId)) postingChanges.set(termId, {});
+        postingChanges.get(termId)[messageId] = 0;
+    });
+}
+
+/**
+ * Add (or re-index) decrypted messages
+ * Messages whose text did not change are skipped.
+ *
+ * @param {Array<{ messageId: string, conversationId: string, senderId: string, createdAt: string, text: string }>} entries
+ * @returns {Promise<void>}
+ */
+export function indexMessages(entries) {
+    const valid = entries.filter(e => e.messageId && typeof e.text === 'string' && e.text.trim());
+    if (valid.length === 0) return Promise.resolve();
+
+    return queueWrite(async () => {
+        const keys = await getSearchKeys();
+        const existing = await getRecords(DOC_STORE, valid.map(e => e.messageId));
+
+        const postingChanges = new Map();
+        const docPuts = [];
+
+        for (const entry of valid) {
+            const record = existing.get(entry.messageId);
+            const previous = record ? await openRecord(keys.encKey, record) : null;
+            if (previous?.text === entry.text) continue;
+            if (previous) removePostings(postingChanges, entry.messageId, previous.terms);
+
+            const terms = [];
+            for (const [term, count] of countTerms(entry.text)) {
+                const termId = await blind(keys.macKey, term);
+                terms.push(termId);
+                if (!postingChanges.has(termId)) postingChanges.set(termId, {});
+                postingChanges.get(termId)[entry.messageId] = count;
+            }
+
+            docPuts.push(await sealRecord(keys.encKey, entry.messageId, {
+                conversationId: entry.conversationId,
+                senderId: entry.senderId,
+                createdAt: entry.createdAt,
+                text: entry.text,
+                terms
+            }));
+        }
+
+        if (docPuts.length > 0) {
+            await applyChanges(keys, postingChanges, docPuts, []);
+        }
+    });
+}
+
+/**
+ * Remove messages from the index (deleted or expired)
+ *
+ * @param {string[]} messageIds
+ * @returns {Promise<void>}
+ */
+export function removeFromIndex(messageIds) {
+    if (messageIds.length === 0) return Promise.resolve();
+
+    return queueWrite(async () => {
+        const keys = await getSearchKeys();
+        const existing = await getRecords(DOC_STORE, messageIds);
+        if (existing.size === 0) return;
+
+        const postingChanges = new Map();
+        for (const [messageId, record] of existing) {
+            const doc = await openRecord(keys.encKey, record);
+            removePostings(postingChanges, messageId, doc.terms);
+        }
+
+        await applyChanges(keys, postingChanges, [], [...existing.keys()]);
+    });
+}
+
+/**
+ * Search the index
+ *
+ * Every query word must match a word or word prefix. Results are ranked
+ * by term frequency weighted by rarity (whole words above prefixes),
+ * newest first on ties.
+ *
+ * @param {string} query
+ * @param {Object} [filters]
+ * @param {string} [filters.conversationId]
+ * @param {string} [filters.senderId]
+ * @param {string | Date} [filters.from] - Oldest createdAt (inclusive)
+ * @param {string | Date} [filters.to] - Newest createdAt (inclusive)
+ * @param {number} [filters.limit=50]
+ * @returns {Promise<Array<{ messageId, conversationId, senderId, createdAt, text, score }>>}
+ */
+export async function searchMessages(query, { conversationId, senderId, from, to, limit = 50 } = {}) {
+    const words = [...new Set(tokenize(query))];
+    if (words.length === 0) return [];
+
+    const keys = await getSearchKeys();
+    const totalDocs = await withStore(DOC_STORE, 'readonly', store => store.count());
+
+    // messageId -> score, narrowed to messages matching every word so far
+    let scores = null;
+    for (const word of words) {
+        const [wordId, prefixId] = await Promise.all([
+            blind(keys.macKey, `w:${word}`),
+            blind(keys.macKey, `p:${word}`)
+        ]);
+        const records = await getRecords(TERM_STORE, [wordId, prefixId]);
+
+        const wordScores = new Map();
+        for (const [termId, weight] of [[wordId, 1], [prefixId, PREFIX_WEIGHT]]) {
+            if (!records.has(termId)) continue;
+
+            const postings = await openRecord(keys.encKey, records.get(termId));
+            const ids = Object.keys(postings);
+            const idf = Math.log(1 + totalDocs / ids.length);
+            ids.forEach(id => {
+                const score = weight * (1 + Math.log(postings[id])) * idf;
+                wordScores.set(id, (wordScores.get(id) || 0) + score);
+            });
+        }
+
+        scores = scores === null
+            ? wordScores
+            : new Map([...scores].filter(([id]) => wordScores.has(id)).map(([id, s]) => [id, s + wordScores.get(id)]));
+        if (scores.size === 0) return [];
+    }
+
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const docs = await getRecords(DOC_STORE, [...scores.keys()]);
+    const results = [];
+    for (const [messageId, record] of docs) {
+        const doc = await openRecord(keys.encKey, record);
+        const time = new Date(doc.createdAt).getTime();
+
+        if (conversationId && doc.conversationId !== conversationId) continue;
+        if (senderId && doc.senderId !== senderId) continue;
+        if (time < fromTime || time > toTime) continue;
+
+        results.push({
+            messageId,
+            conversationId: doc.conversationId,
+            senderId: doc.senderId,
+            createdAt: doc.createdAt,
+            text: doc.text,
+            score: scores.get(messageId)
+        });
+    }
+
+    return results
+        .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+/**
+ * Delete the whole index (logout)
+ */
+export async function clearSearchIndex() {
+    searchKeys = null;
+    await queueWrite(async () => {
+        await clearIndexStores();
+        await withStore(META_STORE, 'readwrite', store => store.clear());
+    });
+}
@@ -0,0 +1,290 @@
+/**
+ * Secreta - Group Sender Keys
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * Implements sender keys for group conversations:
+ * - Each member generates a random 256-bit sender key per group key epoch
+ * - The sender key is distributed to every other member individually,
+ *   encrypted with the regular ECDH message encryption (encryptMessage)
+ * - Group messages are encrypted ONCE with a per-message AES-GCM key
+ *   derived from the sender key via HKDF with a random salt
+ *
+ * The server bumps the group's key epoch on every membership change,
+ * so members rotate their sender key and removed members never
+ * receive keys for new messages.
+ *
+ * Storage: IndexedDB (own and received sender keys)
+ */
+
+import { encryptMessage, decryptMessage } from './encryption.js';
+import { arrayBufferToBase64, base64ToArrayBuffer, stringToArrayBuffer, arrayBufferToString, generateIV } from './utils.js';
+import { signPayload, groupAudience } from './signing.js';
+
+const DB_NAME = 'secreta_sender_keys';
+const STORE_NAME = 'sender_keys';
+const DB_VERSION = 1;
+
+let db = null;
+
+/**
+ * Open IndexedDB connection
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        if (db) {
+            resolve(db);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            db = request.result;
+            resolve(db);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            if (!database.objectStoreNames.contains(STORE_NAME)) {
+                const store = database.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('groupId', 'groupId', { unique: false });
+            }
+        };
+    });
+}
+
+/**
+ * Build the storage id for a sender key
+ */
+function senderKeyId(groupId, senderId, keyId) {
+    return `${groupId}:${senderId}:${keyId}`;
+}
+
+/**
+ * Store a sender key record
+ * @param {Object} record - { groupId, senderId, keyId, epoch, key }
+ */
+async function putSenderKey(record) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        const request = store.put({
+            id: senderKeyId(record.groupId, record.senderId, record.keyId),
+            ...record,
+            createdAt: new Date().toISOString()
+        });
+
+        request.onsuccess = () => resolve(record);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get all sender keys stored for a group
+ * @param {string} groupId
+ * @returns {Promise<Object[]>}
+ */
+async function getGroupSenderKeys(groupId) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, 'readonly');
+        const store = tx.objectStore(STORE_NAME);
+        const request = store.index('groupId').getAll(groupId);
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get a specific sender key
+ * @returns {Promise<Object | null>}
+ */
+async function getSenderKey(groupId, senderId, keyId) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, 'readonly');
+        const store = tx.objectStore(STORE_NAME);
+        const request = store.get(senderKeyId(groupId, senderId, keyId));
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get our own sender key for a group's current epoch
+ *
+ * @param {string} groupId
+ * @param {string} userId - Our user ID
+ * @param {number} epoch - Group key epoch
+ * @returns {Promise<Object | null>}
+ */
+export async function getOwnSenderKey(groupId, userId, epoch) {
+    const keys = await getGroupSenderKeys(groupId);
+    return keys.find(k => k.senderId === userId && k.epoch === epoch) || null;
+}
+
+/**
+ * Generate and store a new sender key for a group epoch
+ *
+ * @param {string} groupId
+ * @param {string} userId - Our user ID
+ * @param {number} epoch - Group key epoch
+ * @returns {Promise<Object>} Sender key record
+ */
+export async function createSenderKey(groupId, userId, epoch) {
+    const keyBytes = crypto.getRandomValues(new Uint8Array(32));
+    const keyIdBytes = crypto.getRandomValues(new Uint8Array(8));
+
+    return putSenderKey({
+        groupId,
+        senderId: userId,
+        keyId: Array.from(keyIdBytes, b => b.toString(16).padStart(2, '0')).join(''),
+        epoch,
+        key: arrayBufferToBase64(keyBytes)
+    });
+}
+
+/**
+ * Encrypt our sender key for each member
+ *
+ * @param {Object} senderKey - Our sender key record
+ * @param {Array<{ userId: string, publicKey: JsonWebKey }>} members - Recipients (excluding us)
+ * @returns {Promise<Array<{ recipientId: string, encryptedKey: Object }>>}
+ */
+export async function buildSenderKeyDistributions(senderKey, members) {
+    const message = JSON.stringify({
+        groupId: senderKey.groupId,
+        keyId: senderKey.keyId,
+        epoch: senderKey.epoch,
+        key: senderKey.key
+    });
+
+    return Promise.all(members
+        .filter(m => m.publicKey)
+        .map(async (m) => ({
+            recipientId: m.userId,
+            encryptedKey: await encryptMessage(message, m.publicKey)
+        })));
+}
+
+/**
+ * Decrypt and store a sender key another member distributed to us
+ *
+ * @param {Object} distribution - { groupId, senderId, keyId, epoch, encryptedKey }
+ * @returns {Promise<boolean>} true if a new key was stored
+ */
+export async function importSenderKeyDistribution(distribution) {
+    const { groupId, senderId, keyId, encryptedKey } = distribution;
+
+    const existing = await getSenderKey(groupId, senderId, keyId);
+    if (existing) return false;
+
+    const data = JSON.parse(await decryptMessage(encryptedKey));
+
+    // The encrypted content must match the envelope the server gave us
+    if (data.groupId !== groupId || data.keyId !== keyId) {
+        throw new Error('Sender key distribution does not match its envelope');
+    }
+
+    await putSenderKey({
+        groupId,
+        senderId,
+        keyId,
+        epoch: data.epoch,
+        key: data.key
+    });
+
+    return true;
+}
+
+/**
+ * Derive a per-message AES-GCM key from a sender key
+ *
+ * @param {string} senderKeyBase64 - Raw sender key (Base64)
+ * @param {Uint8Array} salt - Random per-message salt
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveMessageKey(senderKeyBase64, salt) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        base64ToArrayBuffer(senderKeyBase64),
+        'HKDF',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        {
+            name: 'HKDF',
+            salt,
+            info: stringToArrayBuffer('secreta-group-v1'),
+            hash: 'SHA-256'
+        },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt a group message with our sender key
+ *
+ * @param {string} plaintext
+ * @param {Object} senderKey - Our sender key record
+ * @returns {Promise<Object>} { senderKeyId, salt, iv, ciphertext, signature }
+ */
+export async function encryptGroupMessage(plaintext, senderKey) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = generateIV();
+    const aesKey = await deriveMessageKey(senderKey.key, salt);
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, tagLength: 128 },
+        aesKey,
+        stringToArrayBuffer(plaintext)
+    );
+
+    return signPayload({
+        senderKeyId: senderKey.keyId,
+        salt: arrayBufferToBase64(salt),
+        iv: arrayBufferToBase64(iv),
+        ciphertext: arrayBufferToBase64(ciphertext)
+    }, groupAudience(senderKey.groupId));
+}
+
+/**
+ * Decrypt a group message
+ *
+ * @param {Object} payload - { senderKeyId, salt, iv, ciphertext }
+ * @param {string} groupId
+ * @param {string} senderId
+ * @returns {Promise<string>} Decrypted plaintext
+ */
+export async function decryptGroupMessage(payload, groupId, senderId) {
+    const senderKey = await getSenderKey(groupId, senderId, payload.senderKeyId);
+    if (!senderKey) {
+        const error = new Error('Sender key not available');
+        error.code = 'MISSING_SENDER_KEY';
+        throw error;
+    }
+
+    const aesKey = await deriveMessageKey(senderKey.key, new Uint8Array(base64ToArrayBuffer(payload.salt)));
+
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToArrayBuffer(payload.iv), tagLength: 128 },
+        aesKey,
+        base64ToArrayBuffer(payload.ciphertext)
+    );
+
+    return arrayBufferToString(plaintext);
+}
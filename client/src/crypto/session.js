@@ -0,0 +1,282 @@
+/**
+ * Secreta - Session Layer
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * Pairwise sessions between two users:
+ * - The first message to a peer runs X3DH against the peer's prekey
+ *   bundle and carries the handshake (`prekey`) until the peer replies
+ * - A handshake is only accepted with the identity key we know for the
+ *   peer (the logged key the trust store pinned)
+ * - Every message is encrypted with the Double Ratchet
+ * - Session state is persisted in IndexedDB (sessionStore.js)
+ *
+ * Wire format of `encryptedForRecipient` for session messages:
+ *   { version: 'secreta-dr-v1', header: { dh, pn, n }, ciphertext, prekey? }
+ *
+ * Payloads without a `version` are legacy `secreta-e2ee-v1` messages
+ * (encryption.js) and keep decrypting with the identity key. Our own
+ * copies of sent messages are `secreta-own-v1` payloads (ownCopy.js).
+ */
+
+import { decryptMessage } from './encryption.js';
+import { isOwnCopyPayload, decryptOwnCopy } from './ownCopy.js';
+import { initInitiatorState, initResponderState, ratchetEncrypt, ratchetDecrypt } from './ratchet.js';
+import { x3dhInitiate, x3dhRespond, generateSignedPreKey, generateOneTimePreKeys } from './x3dh.js';
+import { signPayload, keyAudience } from './signing.js';
+import { canonicalPublicKey } from './utils.js';
+import {
+    loadSession,
+    saveSession,
+    deletePreKey,
+    loadPreKeysByType,
+    loadPlaintext,
+    savePlaintext,
+    deletePlaintext,
+    deleteMessagePlaintexts
+} from './sessionStore.js';
+
+export const SESSION_VERSION = 'secreta-dr-v1';
+
+// Previous session states kept around for in-flight messages
+const MAX_ARCHIVED_STATES = 3;
+
+// Signed prekey rotation period, and how long replaced keys stay usable
+const SIGNED_PREKEY_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const SIGNED_PREKEY_GRACE = 30 * 24 * 60 * 60 * 1000;
+
+// Session state is read-modify-write: serialize all session operations
+let sessionLock = Promise.resolve();
+
+function withSessionLock(fn) {
+    const run = sessionLock.then(fn, fn);
+    sessionLock = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Check whether a payload uses the session wire format
+ * @param {Object} payload
+ * @returns {boolean}
+ */
+export function isSessionPayload(payload) {
+    return payload?.version === SESSION_VERSION;
+}
+
+/**
+ * Local cache id of a ratchet message
+ */
+function plaintextId(peerId, header) {
+    return `${peerId}:${header.dh.x}.${header.dh.y}:${header.n}`;
+}
+
+/**
+ * Whether we have a ratchet session with a peer
+ * @param {string} peerId
+ * @returns {Promise<boolean>}
+ */
+export async function hasSession(peerId) {
+    return !!(await loadSession(peerId));
+}
+
+/**
+ * Encrypt a message for a peer, starting a session if needed
+ *
+ * @param {string} peerId - Peer's user ID
+ * @param {string} plaintext
+ * @param {(peerId: string) => Promise<Object>} fetchBundle - Fetches the peer's prekey bundle
+ * @returns {Promise<Object>} Session payload for `encryptedForRecipient`
+ */
+export function encryptForPeer(peerId, plaintext, fetchBundle) {
+    return withSessionLock(async () => {
+        let session = await loadSession(peerId);
+
+        if (!session) {
+            const bundle = await fetchBundle(peerId);
+            const { sharedSecret, ad, prekeyMessage } = await x3dhInitiate(bundle);
+
+            session = {
+                peerId,
+                remoteIdentityKey: bundle.identityKey,
+                state: await initInitiatorState(sharedSecret, bundle.signedPreKey.publicKey, ad),
+                archived: [],
+                pendingPreKey: prekeyMessage
+            };
+        }
+
+        const { state, header, ciphertext } = await ratchetEncrypt(session.state, plaintext);
+        await saveSession({ ...session, state });
+
+        return signPayload({
+            version: SESSION_VERSION,
+            header,
+            ciphertext,
+            ...(session.pendingPreKey ? { prekey: session.pendingPreKey } : {})
+        }, keyAudience(session.remoteIdentityKey));
+    });
+}
+
+/**
+ * Decrypt a session message from a peer
+ *
+ * @param {string} peerId - Sender's user ID
+ * @param {Object} payload - Session payload
+ * @param {string} [messageId] - Server id of the message (to purge its plaintext later)
+ * @param {(peerId: string) => Promise<JsonWebKey>} [fetchIdentityKey] - The peer's known identity key;
+ *   without it new sessions are refused
+ * @returns {Promise<string>} Decrypted plaintext
+ */
+export function decryptFromPeer(peerId, payload, messageId, fetchIdentityKey) {
+    return withSessionLock(async () => {
+        const cacheId = plaintextId(peerId, payload.header);
+        const cached = await loadPlaintext(cacheId);
+        if (cached !== null) return cached;
+
+        const session = await loadSession(peerId);
+        const candidates = session ? [session.state, ...(session.archived || [])] : [];
+
+        let result = null;
+        let next = null;
+
+        for (let i = 0; i < candidates.length && !result; i++) {
+            try {
+                result = await ratchetDecrypt(candidates[i], payload.header, payload.ciphertext);
+                next = {
+                    ...session,
+                    state: result.state,
+                    archived: candidates.filter((_, j) => j !== i).slice(0, MAX_ARCHIVED_STATES)
+                };
+            } catch {
+                // Try the next state
+            }
+        }
+
+        // Not part of any session we know: the peer started a new one.
+        // Anyone can make a handshake, so it must name the peer's own key.
+        if (!result && payload.prekey) {
+            const knownKey = fetchIdentityKey ? await fetchIdentityKey(peerId) : null;
+            if (!knownKey || canonicalPublicKey(knownKey) !== canonicalPublicKey(payload.prekey.identityKey)) {
+                throw new Error('Session handshake does not use the peer\'s identity key');
+            }
+
+            const { sharedSecret, ad, signedPreKey, oneTimePreKey } = await x3dhRespond(payload.prekey);
+            const state = initResponderState(sharedSecret, signedPreKey, ad);
+
+            result = await ratchetDecrypt(state, payload.header, payload.ciphertext);
+            if (oneTimePreKey) {
+                await deletePreKey(oneTimePreKey.id);
+            }
+
+            next = {
+                peerId,
+                remoteIdentityKey: payload.prekey.identityKey,
+                state: result.state,
+                archived: candidates.slice(0, MAX_ARCHIVED_STATES)
+            };
+        }
+
+        if (!result) {
+            throw new Error('Unable to decrypt session message');
+        }
+
+        // The peer has a working session with us: stop sending the handshake
+        await saveSession({ ...next, pendingPreKey: null });
+        await savePlaintext(cacheId, result.plaintext, messageId);
+
+        return result.plaintext;
+    });
+}
+
+/**
+ * Drop the cached plaintext of a session message (disappearing messages)
+ * The message key is already gone, so it cannot be decrypted again.
+ *
+ * @param {string} peerId - The other participant's user ID
+ * @param {Object} payload - Session payload
+ */
+export function forgetPlaintext(peerId, payload) {
+    if (!isSessionPayload(payload)) return Promise.resolve();
+    return deletePlaintext(plaintextId(peerId, payload.header));
+}
+
+/**
+ * Drop the cached plaintexts of messages by id, for messages that are
+ * not loaded (e.g. expired in another conversation)
+ *
+ * @param {string[]} messageIds
+ */
+export function forgetMessagePlaintexts(messageIds) {
+    return deleteMessagePlaintexts(messageIds);
+}
+
+/**
+ * Decrypt any one-to-one payload (session, own copy or legacy v1)
+ *
+ * @param {Object} payload - encryptedForRecipient / encryptedForSender
+ * @param {string} peerId - The other participant's user ID
+ * @param {string} [messageId] - Server id of the message
+ * @param {(peerId: string) => Promise<JsonWebKey>} [fetchIdentityKey] - See decryptFromPeer()
+ * @returns {Promise<string>} Decrypted plaintext
+ */
+export function decryptPayload(payload, peerId, messageId, fetchIdentityKey) {
+    if (isSessionPayload(payload)) {
+        return decryptFromPeer(peerId, payload, messageId, fetchIdentityKey);
+    }
+    if (isOwnCopyPayload(payload)) {
+        return decryptOwnCopy(payload);
+    }
+    return decryptMessage(payload);
+}
+
+/**
+ * Make sure the server has a current signed prekey
+ *
+ * Rotates the signed prekey once it is older than SIGNED_PREKEY_MAX_AGE.
+ * Replaced keys are kept for SIGNED_PREKEY_GRACE so handshakes that were
+ * started against them (by offline initiators) can still complete.
+ *
+ * @param {number | null} publishedKeyId - Signed prekey id the server currently has
+ * @param {(signedPreKey: Object) => Promise<void>} publish - Uploads a signed prekey
+ */
+export async function maintainSignedPreKey(publishedKeyId, publish) {
+    const signedPreKeys = (await loadPreKeysByType('signed'))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const current = signedPreKeys[0];
+    const now = Date.now();
+
+    const isStale = !current || now - new Date(current.createdAt).getTime() > SIGNED_PREKEY_MAX_AGE;
+
+    if (!isStale && current.keyId === publishedKeyId) return;
+
+    const signedPreKey = isStale
+        ? await generateSignedPreKey()
+        : { keyId: current.keyId, publicKey: current.publicKey, signature: current.signature };
+
+    await publish(signedPreKey);
+
+    // Drop replaced keys whose grace period is over
+    for (const old of signedPreKeys) {
+        if (old.keyId === signedPreKey.keyId) continue;
+        if (now - new Date(old.createdAt).getTime() > SIGNED_PREKEY_MAX_AGE + SIGNED_PREKEY_GRACE) {
+            await deletePreKey(old.id);
+        }
+    }
+}
+
+/**
+ * Top up our one-time prekeys on the server
+ *
+ * @param {number} serverCount - One-time prekeys the server still holds
+ * @param {number} target - How many the server should hold
+ * @param {(preKeys: Object[]) => Promise<void>} upload - Uploads a batch
+ * @returns {Promise<number>} Number of keys uploaded
+ */
+export async function replenishOneTimePreKeys(serverCount, target, upload) {
+    const missing = target - serverCount;
+    if (missing <= 0) return 0;
+
+    const preKeys = await generateOneTimePreKeys(missing);
+    await upload(preKeys);
+
+    return preKeys.length;
+}
@@ -0,0 +1,340 @@
+/**
+ * Secreta - Session Store
+ *
+ * IndexedDB persistence for the session layer:
+ * - sessions:   Double Ratchet state per peer
+ * - prekeys:    our signed prekey (and one-time prekey) private keys
+ * - plaintexts: plaintexts of ratchet messages we already decrypted
+ *                (indexed by message id, so expired messages can be
+ *                purged without their payload)
+ *
+ * Ratchet message keys are deleted once used, so a message can only be
+ * decrypted once. History is re-fetched from the server on every load,
+ * so the plaintext of each decrypted ratchet message is kept locally,
+ * AES-GCM encrypted with a key derived from the identity key
+ * (deriveLocalKey). Records that cannot be opened with the current
+ * identity key read as missing.
+ */
+
+import { getStoredPublicKeyJwk, deriveLocalKey } from './keyManager.js';
+import { arrayBufferToBase64, base64ToArrayBuffer, stringToArrayBuffer, arrayBufferToString, generateIV } from './utils.js';
+
+const DB_NAME = 'secreta_sessions';
+const DB_VERSION = 2;
+const SESSION_STORE = 'sessions';
+const PREKEY_STORE = 'prekeys';
+const PLAINTEXT_STORE = 'plaintexts';
+
+const KDF_INFO = 'secreta-plaintexts-v1 encryption';
+
+let db = null;
+
+// { publicKeyX, key } for the current identity key
+let plaintextKey = null;
+
+// Encrypts records written before plaintexts were encrypted (once per load)
+let legacyMigration = null;
+
+/**
+ * Open IndexedDB connection
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        if (db) {
+            resolve(db);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            db = request.result;
+            resolve(db);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            if (!database.objectStoreNames.contains(SESSION_STORE)) {
+                database.createObjectStore(SESSION_STORE, { keyPath: 'peerId' });
+            }
+            if (!database.objectStoreNames.contains(PREKEY_STORE)) {
+                const store = database.createObjectStore(PREKEY_STORE, { keyPath: 'id' });
+                store.createIndex('type', 'type', { unique: false });
+            }
+            if (!database.objectStoreNames.contains(PLAINTEXT_STORE)) {
+                database.createObjectStore(PLAINTEXT_STORE, { keyPath: 'id' });
+            }
+            // Version 2 records the message id of each plaintext
+            const plaintexts = event.target.transaction.objectStore(PLAINTEXT_STORE);
+            if (!plaintexts.indexNames.contains('messageId')) {
+                plaintexts.createIndex('messageId', 'messageId', { unique: false });
+            }
+        };
+    });
+}
+
+/**
+ * Run a single request against a store
+ */
+async function withStore(storeName, mode, fn) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get the session record for a peer
+ * @param {string} peerId
+ * @returns {Promise<Object | null>}
+ */
+export async function loadSession(peerId) {
+    return (await withStore(SESSION_STORE, 'readonly', store => store.get(peerId))) || null;
+}
+
+/**
+ * Save the session record for a peer
+ * @param {Object} session - Must contain `peerId`
+ */
+export async function saveSession(session) {
+    await withStore(SESSION_STORE, 'readwrite', store => store.put({
+        ...session,
+        updatedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Delete the session with a peer (forces a new handshake)
+ * @param {string} peerId
+ */
+export async function deleteSession(peerId) {
+    await withStore(SESSION_STORE, 'readwrite', store => store.delete(peerId));
+}
+
+/**
+ * Store a prekey pair
+ * @param {Object} prekey - { id, type, keyId, publicKey, privateKey, ... }
+ */
+export async function savePreKey(prekey) {
+    await withStore(PREKEY_STORE, 'readwrite', store => store.put(prekey));
+}
+
+/**
+ * Get a prekey pair by storage id
+ * @param {string} id
+ * @returns {Promise<Object | null>}
+ */
+export async function loadPreKey(id) {
+    return (await withStore(PREKEY_STORE, 'readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Get all prekeys of a type
+ * @param {string} type - 'signed' | 'one-time'
+ * @returns {Promise<Object[]>}
+ */
+export async function loadPreKeysByType(type) {
+    return (await withStore(PREKEY_STORE, 'readonly', store => store.index('type').getAll(type))) || [];
+}
+
+/**
+ * Delete a prekey pair
+ * @param {string} id
+ */
+export async function deletePreKey(id) {
+    await withStore(PREKEY_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Key for cached plaintexts
+ * @returns {Promise<CryptoKey>}
+ */
+async function getPlaintextKey() {
+    const publicKeyJwk = await getStoredPublicKeyJwk();
+    if (plaintextKey && plaintextKey.publicKeyX === publicKeyJwk?.x) {
+        return plaintextKey.key;
+    }
+
+    const key = await deriveLocalKey(KDF_INFO, { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']);
+    plaintextKey = { publicKeyX: publicKeyJwk.x, key };
+    return key;
+}
+
+/**
+ * Encrypt a plaintext into a record (the id is authenticated, so
+ * records cannot be swapped between messages)
+ */
+async function sealPlaintext(key, { id, plaintext, messageId }) {
+    const iv = generateIV();
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: stringToArrayBuffer(id) },
+        key,
+        stringToArrayBuffer(plaintext)
+    );
+    return { id, messageId, iv: arrayBufferToBase64(iv), ciphertext: arrayBufferToBase64(ciphertext) };
+}
+
+/**
+ * Decrypt a record from sealPlaintext()
+ * @returns {Promise<string | null>} null if it was written under another identity key
+ */
+async function openPlaintext(key, record) {
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToArrayBuffer(record.iv), additionalData: stringToArrayBuffer(record.id) },
+            key,
+            base64ToArrayBuffer(record.ciphertext)
+        );
+        return arrayBufferToString(plaintext);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Encrypt records stored unencrypted by earlier versions
+ */
+function migrateLegacyPlaintexts() {
+    legacyMigration ??= (async () => {
+        const legacy = (await getAllRecords(PLAINTEXT_STORE)).filter(record => typeof record.plaintext === 'string');
+        if (legacy.length === 0) return;
+
+        const key = await getPlaintextKey();
+        const sealed = await Promise.all(legacy.map(record => sealPlaintext(key, record)));
+        const database = await openDB();
+
+        await new Promise((resolve, reject) => {
+            const tx = database.transaction(PLAINTEXT_STORE, 'readwrite');
+            sealed.forEach(record => tx.objectStore(PLAINTEXT_STORE).put(record));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    })().catch((error) => {
+        legacyMigration = null;
+        throw error;
+    });
+    return legacyMigration;
+}
+
+/**
+ * Get a cached plaintext
+ * @param {string} id
+ * @returns {Promise<string | null>}
+ */
+export async function loadPlaintext(id) {
+    await migrateLegacyPlaintexts();
+    const record = await withStore(PLAINTEXT_STORE, 'readonly', store => store.get(id));
+    return record ? openPlaintext(await getPlaintextKey(), record) : null;
+}
+
+/**
+ * Cache a decrypted plaintext
+ * @param {string} id
+ * @param {string} plaintext
+ * @param {string} [messageId] - Server id of the message it belongs to
+ */
+export async function savePlaintext(id, plaintext, messageId) {
+    const record = await sealPlaintext(await getPlaintextKey(), { id, plaintext, messageId });
+    await withStore(PLAINTEXT_STORE, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Remove a cached plaintext (disappearing messages)
+ * @param {string} id
+ */
+export async function deletePlaintext(id) {
+    await withStore(PLAINTEXT_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Remove the cached plaintexts of messages by message id
+ * @param {string[]} messageIds
+ */
+export async function deleteMessagePlaintexts(messageIds) {
+    if (messageIds.length === 0) return;
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(PLAINTEXT_STORE, 'readwrite');
+        const store = tx.objectStore(PLAINTEXT_STORE);
+        messageIds.forEach((messageId) => {
+            const request = store.index('messageId').getAllKeys(messageId);
+            request.onsuccess = () => request.result.forEach(id => store.delete(id));
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Read every record of a store
+ */
+async function getAllRecords(storeName) {
+    return (await withStore(storeName, 'readonly', store => store.getAll())) || [];
+}
+
+/**
+ * Snapshot of sessions, prekeys and recent plaintexts (for device linking)
+ * Plaintexts stay encrypted: the linked device gets the same identity
+ * key, so it derives the same key for them.
+ * 
+ * @param {number} plaintextLimit - Most plaintexts to include
+ * @returns {Promise<{ sessions: Object[], prekeys: Object[], plaintexts: Object[] }>}
+ */
+export async function exportSessionState(plaintextLimit = 500) {
+    await migrateLegacyPlaintexts();
+    const plaintexts = await getAllRecords(PLAINTEXT_STORE);
+
+    return {
+        sessions: await getAllRecords(SESSION_STORE),
+        prekeys: await getAllRecords(PREKEY_STORE),
+        plaintexts: plaintexts.slice(-plaintextLimit)
+    };
+}
+
+/**
+ * Replace local session data with a snapshot from exportSessionState()
+ * 
+ * @param {{ sessions: Object[], prekeys: Object[], plaintexts: Object[] }} state
+ */
+export async function importSessionState(state) {
+    await clearSessions();
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction([SESSION_STORE, PREKEY_STORE, PLAINTEXT_STORE], 'readwrite');
+        (state.sessions || []).forEach(record => tx.objectStore(SESSION_STORE).put(record));
+        (state.prekeys || []).forEach(record => tx.objectStore(PREKEY_STORE).put(record));
+        (state.plaintexts || [])
+            .filter(record => record.ciphertext)
+            .forEach(record => tx.objectStore(PLAINTEXT_STORE).put(record));
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Delete all session data (for logout)
+ */
+export async function clearSessions() {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction([SESSION_STORE, PREKEY_STORE, PLAINTEXT_STORE], 'readwrite');
+        tx.objectStore(SESSION_STORE).clear();
+        tx.objectStore(PREKEY_STORE).clear();
+        tx.objectStore(PLAINTEXT_STORE).clear();
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
@@ -0,0 +1,145 @@
+/**
+ * Secreta - Payload Signatures
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * AES-GCM only proves a ciphertext was made by someone who knew the
+ * message key - for v1 payloads that is anyone holding the recipient's
+ * public key. Every outgoing payload is therefore signed with the
+ * sender's ECDSA identity signing key (keyManager.js).
+ *
+ * The signature covers the payload fields plus the intended
+ * recipient (its identity key, or the group id), so a signed payload
+ * cannot be replayed to someone else.
+ *
+ * Verification results:
+ * - 'verified':     valid signature by the claimed sender
+ * - 'unsigned':     no signature (older client / older message); session
+ *                   payloads are always signed, so theirs count as 'invalid'
+ * - 'unverifiable': sender's signing key unknown
+ * - 'invalid':      signature does not match - do not trust the sender
+ */
+
+import { getSigningKeyPair, signData, verifySignature } from './keyManager.js';
+import { stringToArrayBuffer, arrayBufferToBase64, canonicalPublicKey } from './utils.js';
+
+const SIGNATURE_VERSION = 'secreta-sig-v1';
+
+// Session payloads (SESSION_VERSION in session.js, which imports this module)
+const SESSION_PAYLOAD_VERSION = 'secreta-dr-v1';
+
+/**
+ * JSON.stringify with sorted object keys (stable across clients)
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Bytes covered by a payload signature
+ *
+ * @param {Object} payload - Payload without its signature
+ * @param {string} audience - Who the payload is for (recipient key or group id)
+ */
+function signedBytes(payload, audience) {
+    const fields = { ...payload };
+    delete fields.signature;
+    return stringToArrayBuffer(stableStringify({ v: SIGNATURE_VERSION, audience, payload: fields }));
+}
+
+/**
+ * Audience string for a recipient identity key
+ * @param {JsonWebKey} recipientPublicKeyJwk
+ */
+export function keyAudience(recipientPublicKeyJwk) {
+    return `key:${canonicalPublicKey(recipientPublicKeyJwk)}`;
+}
+
+/**
+ * Audience string for a group
+ * @param {string} groupId
+ */
+export function groupAudience(groupId) {
+    return `group:${groupId}`;
+}
+
+/**
+ * Sign a payload if we have a signing key
+ *
+ * @param {Object} payload
+ * @param {string} audience - keyAudience(...) or groupAudience(...)
+ * @returns {Promise<Object>} Payload with `signature` (unchanged if we cannot sign)
+ */
+export async function signPayload(payload, audience) {
+    if (!(await getSigningKeyPair())) return payload;
+
+    return {
+        ...payload,
+        signature: await signData(signedBytes(payload, audience))
+    };
+}
+
+/**
+ * Verify a payload signature
+ *
+ * @param {Object} payload - Payload including `signature`
+ * @param {string} audience - Must match what the sender signed
+ * @param {JsonWebKey | JsonWebKey[] | null} signerKey - Claimed sender's signing public key(s),
+ *   one per device
+ * @returns {Promise<'verified' | 'unsigned' | 'unverifiable' | 'invalid'>}
+ */
+export async function verifyPayload(payload, audience, signerKey) {
+    if (!payload?.signature) {
+        // Clients that send session payloads sign them: the signature was stripped
+        return payload?.version === SESSION_PAYLOAD_VERSION ? 'invalid' : 'unsigned';
+    }
+
+    const signerKeys = [].concat(signerKey || []);
+    if (signerKeys.length === 0) return 'unverifiable';
+
+    const data = signedBytes(payload, audience);
+    for (const key of signerKeys) {
+        try {
+            if (await verifySignature(key, data, payload.signature)) return 'verified';
+        } catch {
+            // Malformed key or signature - try the next key
+        }
+    }
+    return 'invalid';
+}
+
+/**
+ * Signed fields of a legacy encrypted file (the data is covered by its hash)
+ */
+async function fileSignatureFields(encryptedData, ephemeralPublicKey, iv) {
+    return {
+        ephemeralPublicKey,
+        iv,
+        dataHash: arrayBufferToBase64(await crypto.subtle.digest('SHA-256', encryptedData))
+    };
+}
+
+/**
+ * Verify the signature of a downloaded legacy encrypted file
+ * (current attachments are covered by the message signature via their digest)
+ *
+ * @param {ArrayBuffer} encryptedData
+ * @param {Object} metadata - { ephemeralPublicKey, iv (Base64), signature }
+ * @param {string} audience
+ * @param {JsonWebKey | JsonWebKey[] | null} signerKey
+ * @returns {Promise<'verified' | 'unsigned' | 'unverifiable' | 'invalid'>}
+ */
+export async function verifyFile(encryptedData, metadata, audience, signerKey) {
+    const fields = await fileSignatureFields(encryptedData, metadata.ephemeralPublicKey, metadata.iv);
+    return verifyPayload({ ...fields, signature: metadata.signature }, audience, signerKey);
+}
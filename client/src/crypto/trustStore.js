@@ -0,0 +1,264 @@
+/**
+ * Secreta - Trust Store
+ *
+ * Remembers, per friend, the identity key we have seen and whether
+ * the user verified it by comparing safety numbers.
+ *
+ * If a verified friend's key changes, the verification is revoked and
+ * `verificationBroken` is set until the user verifies the new key or
+ * dismisses the warning.
+ *
+ * It also pins the keys of a friend's (signed) devices: a device that
+ * appears or changes keys sets `devicesChanged` until dismissed.
+ *
+ * Storage: IndexedDB
+ */
+
+import { canonicalPublicKey } from './utils.js';
+
+const DB_NAME = 'secreta_trust';
+const STORE_NAME = 'contacts';
+const DB_VERSION = 1;
+
+let db = null;
+
+/**
+ * Open IndexedDB connection
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        if (db) {
+            resolve(db);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            db = request.result;
+            resolve(db);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            if (!database.objectStoreNames.contains(STORE_NAME)) {
+                database.createObjectStore(STORE_NAME, { keyPath: 'userId' });
+            }
+        };
+    });
+}
+
+/**
+ * Get the trust record for a friend
+ * @param {string} userId
+ * @returns {Promise<Object | null>}
+ */
+export async function getTrust(userId) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, 'readonly');
+        const request = tx.objectStore(STORE_NAME).get(userId);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Write a trust record
+ * @param {Object} record
+ */
+async function putTrust(record) {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, 'readwrite');
+        const request = tx.objectStore(STORE_NAME).put(record);
+
+        request.onsuccess = () => resolve(record);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Record the identity key the server gave us for a friend
+ *
+ * @param {string} userId
+ * @param {JsonWebKey} publicKeyJwk
+ * @returns {Promise<Object>} Trust record after the update
+ */
+export async function recordIdentityKey(userId, publicKeyJwk) {
+    const existing = await getTrust(userId);
+
+    if (!existing) {
+        return putTrust({
+            userId,
+            identityKey: publicKeyJwk,
+            verified: false,
+            verificationBroken: false,
+            firstSeenAt: new Date().toISOString()
+        });
+    }
+
+    if (canonicalPublicKey(existing.identityKey) === canonicalPublicKey(publicKeyJwk)) {
+        return existing;
+    }
+
+    // Key changed: a verified contact loses its verification
+    return putTrust({
+        ...existing,
+        identityKey: publicKeyJwk,
+        previousKey: existing.identityKey,
+        verified: false,
+        verificationBroken: existing.verified || existing.verificationBroken,
+        keyChangedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Mark (or unmark) a friend's key as verified
+ *
+ * @param {string} userId
+ * @param {JsonWebKey} publicKeyJwk - The key the user compared
+ * @param {boolean} verified
+ * @returns {Promise<Object>}
+ */
+export async function setVerified(userId, publicKeyJwk, verified) {
+    const existing = await getTrust(userId);
+
+    return putTrust({
+        ...existing,
+        userId,
+        identityKey: publicKeyJwk,
+        verified,
+        verificationBroken: false,
+        verifiedAt: verified ? new Date().toISOString() : null
+    });
+}
+
+/**
+ * Dismiss the key change warning without verifying
+ *
+ * @param {string} userId
+ * @returns {Promise<Object | null>}
+ */
+export async function acknowledgeKeyChange(userId) {
+    const existing = await getTrust(userId);
+    if (!existing) return null;
+
+    return putTrust({ ...existing, verificationBroken: false });
+}
+
+/**
+ * Record the devices a friend's messages are encrypted for
+ * The first list is pinned silently; later new or re-keyed devices are
+ * flagged. Devices that disappear are just forgotten.
+ *
+ * @param {string} userId
+ * @param {Array<{ deviceId: string, publicKey: JsonWebKey }>} devices - Signed devices (api/devices.js)
+ * @returns {Promise<Object | null>} Trust record after the update (null without one)
+ */
+export async function recordDeviceKeys(userId, devices) {
+    const existing = await getTrust(userId);
+    if (!existing) return null;
+
+    const deviceKeys = Object.fromEntries(devices.map(d => [d.deviceId, canonicalPublicKey(d.publicKey)]));
+    if (!existing.deviceKeys) {
+        return putTrust({ ...existing, deviceKeys });
+    }
+
+    const added = Object.keys(deviceKeys).filter(id => existing.deviceKeys[id] !== deviceKeys[id]);
+    const removed = Object.keys(existing.deviceKeys).filter(id => !(id in deviceKeys));
+    if (added.length === 0 && removed.length === 0) {
+        return existing;
+    }
+    if (added.length === 0) {
+        return putTrust({ ...existing, deviceKeys });
+    }
+
+    return putTrust({
+        ...existing,
+        deviceKeys,
+        devicesChanged: {
+            added: [...new Set([...(existing.devicesChanged?.added || []), ...added])],
+            detectedAt: new Date().toISOString()
+        }
+    });
+}
+
+/**
+ * Dismiss the device change notice
+ *
+ * @param {string} userId
+ * @returns {Promise<Object | null>}
+ */
+export async function acknowledgeDeviceChange(userId) {
+    const existing = await getTrust(userId);
+    if (!existing) return null;
+
+    return putTrust({ ...existing, devicesChanged: null });
+}
+
+/**
+ * Friends whose key we verified (for key backups)
+ * @returns {Promise<Array<{ userId: string, identityKey: JsonWebKey, verifiedAt: string }>>}
+ */
+export async function exportVerifiedContacts() {
+    const database = await openDB();
+
+    const records = await new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, 'readonly');
+        const request = tx.objectStore(STORE_NAME).getAll();
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    return records
+        .filter(record => record.verified)
+        .map(({ userId, identityKey, verifiedAt }) => ({ userId, identityKey, verifiedAt }));
+}
+
+/**
+ * Restore verifications from a key backup
+ * 
+ * A contact whose key changed since the backup is not marked verified.
+ * 
+ * @param {Array<{ userId: string, identityKey: JsonWebKey, verifiedAt: string }>} contacts
+ */
+export async function importVerifiedContacts(contacts) {
+    for (const contact of contacts) {
+        const existing = await getTrust(contact.userId);
+        if (existing && canonicalPublicKey(existing.identityKey) !== canonicalPublicKey(contact.identityKey)) {
+            continue;
+        }
+
+        await putTrust({
+            firstSeenAt: new Date().toISOString(),
+            ...existing,
+            userId: contact.userId,
+            identityKey: contact.identityKey,
+            verified: true,
+            verificationBroken: false,
+            verifiedAt: contact.verifiedAt
+        });
+    }
+}
+
+/**
+ * Delete all trust records (for logout)
+ */
+export async function clearTrust() {
+    const database = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(STORE_NAME, 'readwrite');
+        const request = tx.objectStore(STORE_NAME).clear();
+
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -58,3 +58,29 @@ export function arrayBufferToString(buffer) {
 export function generateIV() {
     return crypto.getRandomValues(new Uint8Array(12));
 }
+
+/**
+ * Concatenate byte arrays / ArrayBuffers into one Uint8Array
+ * @param {...(ArrayBuffer|Uint8Array)} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(...parts) {
+    const arrays = parts.map(p => new Uint8Array(p));
+    const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.byteLength, 0));
+    let offset = 0;
+    for (const a of arrays) {
+        result.set(a, offset);
+        offset += a.byteLength;
+    }
+    return result;
+}
+
+/**
+ * Canonical string form of an EC public key (JWK)
+ * Used wherever a public key is compared, signed or hashed.
+ * @param {JsonWebKey} jwk
+ * @returns {string}
+ */
+export function canonicalPublicKey(jwk) {
+    return JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+}
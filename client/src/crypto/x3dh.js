@@ -0,0 +1,220 @@
+/**
+ * Secreta - X3DH Handshake
+ *
+ * SECURITY-CRITICAL MODULE
+ *
+ * Extended Triple Diffie-Hellman key agreement used to start a
+ * Double Ratchet session with a peer who may be offline:
+ *
+ *   DH1 = DH(IK_a, SPK_b)
+ *   DH2 = DH(EK_a, IK_b)
+ *   DH3 = DH(EK_a, SPK_b)
+ *   DH4 = DH(EK_a, OPK_b)   (only if a one-time prekey was available)
+ *   SK  = HKDF(F || DH1 || DH2 || DH3 [|| DH4])
+ *
+ * IK = identity key (ECDH, keyManager.js), SPK = signed prekey (signed
+ * with the identity signing key), OPK = one-time prekey, EK = ephemeral key.
+ */
+
+import { getStoredKeyPair, exportPublicKey, signData, verifySignature } from './keyManager.js';
+import { dh, hkdf, generateRatchetKeyPair } from './ratchet.js';
+import { savePreKey, loadPreKey } from './sessionStore.js';
+import { stringToArrayBuffer, concatBytes, canonicalPublicKey } from './utils.js';
+
+const X3DH_INFO = 'secreta-x3dh-v1';
+
+/**
+ * Storage id of a prekey in the session store
+ * @param {'signed' | 'one-time'} type
+ * @param {number} keyId
+ */
+export function preKeyStorageId(type, keyId) {
+    return `${type}:${keyId}`;
+}
+
+/**
+ * Random 31-bit prekey id
+ */
+export function generatePreKeyId() {
+    return crypto.getRandomValues(new Uint32Array(1))[0] & 0x7fffffff;
+}
+
+/**
+ * Generate, sign and store a new signed prekey
+ *
+ * @returns {Promise<{ keyId: number, publicKey: JsonWebKey, signature: string }>}
+ *          The public part to publish
+ */
+export async function generateSignedPreKey() {
+    const keyPair = await generateRatchetKeyPair();
+    const keyId = generatePreKeyId();
+    const signature = await signData(stringToArrayBuffer(canonicalPublicKey(keyPair.publicKey)));
+
+    await savePreKey({
+        id: preKeyStorageId('signed', keyId),
+        type: 'signed',
+        keyId,
+        publicKey: keyPair.publicKey,
+        privateKey: keyPair.privateKey,
+        signature,
+        createdAt: new Date().toISOString()
+    });
+
+    return { keyId, publicKey: keyPair.publicKey, signature };
+}
+
+/**
+ * Generate and store a batch of one-time prekeys
+ *
+ * @param {number} count
+ * @returns {Promise<Array<{ keyId: number, publicKey: JsonWebKey }>>}
+ *          The public parts to upload
+ */
+export async function generateOneTimePreKeys(count) {
+    const preKeys = [];
+
+    for (let i = 0; i < count; i++) {
+        const keyPair = await generateRatchetKeyPair();
+        const keyId = generatePreKeyId();
+
+        await savePreKey({
+            id: preKeyStorageId('one-time', keyId),
+            type: 'one-time',
+            keyId,
+            publicKey: keyPair.publicKey,
+            privateKey: keyPair.privateKey,
+            createdAt: new Date().toISOString()
+        });
+
+        preKeys.push({ keyId, publicKey: keyPair.publicKey });
+    }
+
+    return preKeys;
+}
+
+/**
+ * Verify the signature on a peer's signed prekey
+ *
+ * @param {Object} bundle - Prekey bundle from the server
+ * @returns {Promise<boolean>}
+ */
+export async function verifySignedPreKey(bundle) {
+    if (!bundle.signingKey || !bundle.signedPreKey?.signature) return false;
+
+    try {
+        return await verifySignature(
+            bundle.signingKey,
+            stringToArrayBuffer(canonicalPublicKey(bundle.signedPreKey.publicKey)),
+            bundle.signedPreKey.signature
+        );
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Derive the shared secret from the DH outputs
+ */
+async function deriveSharedSecret(dhOutputs) {
+    const padding = new Uint8Array(32).fill(0xff);
+    return hkdf(concatBytes(padding, ...dhOutputs), new Uint8Array(32), X3DH_INFO, 256);
+}
+
+/**
+ * Associated data: initiator identity key || responder identity key
+ */
+function buildAssociatedData(initiatorIdentityKey, responderIdentityKey) {
+    return concatBytes(
+        stringToArrayBuffer(canonicalPublicKey(initiatorIdentityKey)),
+        stringToArrayBuffer(canonicalPublicKey(responderIdentityKey))
+    );
+}
+
+/**
+ * Start a session with a peer (initiator side)
+ *
+ * @param {Object} bundle - { identityKey, signingKey, signedPreKey, oneTimePreKey? }
+ * @returns {Promise<{ sharedSecret: ArrayBuffer, ad: Uint8Array, prekeyMessage: Object }>}
+ */
+export async function x3dhInitiate(bundle) {
+    if (!(await verifySignedPreKey(bundle))) {
+        throw new Error('Invalid signed prekey signature');
+    }
+
+    const identity = await getStoredKeyPair();
+    if (!identity) {
+        throw new Error('No private key found. Please log in again.');
+    }
+
+    const ourIdentityKey = await exportPublicKey(identity.publicKey);
+    const ephemeral = await generateRatchetKeyPair();
+    const signedPreKey = bundle.signedPreKey.publicKey;
+
+    const dhOutputs = [
+        await dh(identity.privateKey, signedPreKey),
+        await dh(ephemeral.privateKey, bundle.identityKey),
+        await dh(ephemeral.privateKey, signedPreKey)
+    ];
+    if (bundle.oneTimePreKey) {
+        dhOutputs.push(await dh(ephemeral.privateKey, bundle.oneTimePreKey.publicKey));
+    }
+
+    return {
+        sharedSecret: await deriveSharedSecret(dhOutputs),
+        ad: buildAssociatedData(ourIdentityKey, bundle.identityKey),
+        prekeyMessage: {
+            identityKey: ourIdentityKey,
+            ephemeralKey: ephemeral.publicKey,
+            signedPreKeyId: bundle.signedPreKey.keyId,
+            ...(bundle.oneTimePreKey ? { oneTimePreKeyId: bundle.oneTimePreKey.keyId } : {})
+        }
+    };
+}
+
+/**
+ * Accept a session started by a peer (responder side)
+ *
+ * @param {Object} prekeyMessage - { identityKey, ephemeralKey, signedPreKeyId, oneTimePreKeyId? }
+ * @returns {Promise<{ sharedSecret: ArrayBuffer, ad: Uint8Array, signedPreKey: Object, oneTimePreKey: Object | null }>}
+ */
+export async function x3dhRespond(prekeyMessage) {
+    const identity = await getStoredKeyPair();
+    if (!identity) {
+        throw new Error('No private key found. Please log in again.');
+    }
+
+    const signedPreKey = await loadPreKey(preKeyStorageId('signed', prekeyMessage.signedPreKeyId));
+    if (!signedPreKey) {
+        const error = new Error('Signed prekey not found');
+        error.code = 'MISSING_PREKEY';
+        throw error;
+    }
+
+    let oneTimePreKey = null;
+    if (prekeyMessage.oneTimePreKeyId !== undefined) {
+        oneTimePreKey = await loadPreKey(preKeyStorageId('one-time', prekeyMessage.oneTimePreKeyId));
+        if (!oneTimePreKey) {
+            const error = new Error('One-time prekey not found');
+            error.code = 'MISSING_PREKEY';
+            throw error;
+        }
+    }
+
+    const ourIdentityKey = await exportPublicKey(identity.publicKey);
+
+    const dhOutputs = [
+        await dh(signedPreKey.privateKey, prekeyMessage.identityKey),
+        await dh(identity.privateKey, prekeyMessage.ephemeralKey),
+        await dh(signedPreKey.privateKey, prekeyMessage.ephemeralKey)
+    ];
+    if (oneTimePreKey) {
+        dhOutputs.push(await dh(oneTimePreKey.privateKey, prekeyMessage.ephemeralKey));
+    }
+
+    return {
+        sharedSecret: await deriveSharedSecret(dhOutputs),
+        ad: buildAssociatedData(prekeyMessage.identityKey, ourIdentityKey),
+        signedPreKey,
+        oneTimePreKey
+    };
+}
@@ -5,22 +5,518 @@
  * and message conversation
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../api/client';
 import { getSocket } from '../api/socket';
-import { encryptMessage, decryptMessage } from '../crypto/encryption';
+import { replenishPreKeys } from '../api/prekeys';
+import { getUserDevices, buildDeviceEnvelopes } from '../api/devices';
+import { certifiedDevices } from '../crypto/deviceKeys';
+import {
+    isSealedSenderEnabled,
+    sendSealedMessage,
+    fetchSealedMessages,
+    openSealedMessage,
+    takeDeliveryToken
+} from '../api/sealed';
+import { encryptMessage } from '../crypto/encryption';
 import { getStoredPublicKeyJwk } from '../crypto/keyManager';
-import { encryptFile, decryptFile, createDownloadBlob, downloadFile } from '../crypto/fileEncryption';
+import { encryptForPeer, decryptPayload, isSessionPayload, hasSession, forgetPlaintext, forgetMessagePlaintexts } from '../crypto/session';
+import { encryptOwnCopy, isOwnCopyPayload } from '../crypto/ownCopy';
+import { keyAudience, groupAudience, verifyPayload, verifyFile } from '../crypto/signing';
+import { recordIdentityKey, acknowledgeKeyChange, recordDeviceKeys, acknowledgeDeviceChange } from '../crypto/trustStore';
+import { checkKeyLog, acknowledgeKeyLogAlert } from '../crypto/keyTransparency';
+import {
+    encryptAttachment,
+    decryptAttachment,
+    decryptFile,
+    createDownloadBlob,
+    downloadFile
+} from '../crypto/fileEncryption';
+import { encodeContent, decodeContent } from '../crypto/messageContent';
+import {
+    getOwnSenderKey,
+    createSenderKey,
+    buildSenderKeyDistributions,
+    importSenderKeyDistribution,
+    encryptGroupMessage,
+    decryptGroupMessage
+} from '../crypto/senderKeys';
+import { indexMessages, removeFromIndex, searchMessages } from '../crypto/searchIndex';
+import { encryptReaction, decryptReactions, toggleReaction } from '../crypto/reactions';
+import {
+    loadCachedMessages,
+    getCachedMessages,
+    cacheMessages,
+    uncacheMessages,
+    getSyncCursor,
+    setSyncCursor,
+    getCachedAttachment,
+    cacheAttachment,
+    loadCachedFriends,
+    cacheFriends
+} from '../crypto/messageCache';
 import ChatList from '../components/ChatList';
 import ChatWindow from '../components/ChatWindow';
 import FriendSearch from '../components/FriendSearch';
 import FriendRequests from '../components/FriendRequests';
+import GroupCreate from '../components/GroupCreate';
+import GroupSettings from '../components/GroupSettings';
+import ViewOnceViewer from '../components/ViewOnceViewer';
+import MessageSearch from '../components/MessageSearch';
+import { formatTimer } from '../utils/messageTimers';
+import {
+    queueMessage,
+    getPendingMessages,
+    getPendingMessagesFor,
+    removeFromQueue,
+    updateMessageStatus,
+    retryDelay,
+    MAX_SEND_ATTEMPTS
+} from '../utils/messageQueue';
+import useOnlineStatus from '../hooks/useOnlineStatus';
 import './Chat.css';
 
+/**
+ * Decrypt a group message with the sender's sender key
+ *
+ * @param {Object} msg
+ * @param {JsonWebKey[] | null | undefined} signerKey - Sender's signing keys (undefined: own message, not checked)
+ */
+const decryptGroupForView = async (msg, signerKey) => {
+    try {
+        const content = decodeContent(await decryptGroupMessage(msg.encryptedForGroup, msg.groupId, msg.senderId))
+            .text ?? '📎 Attachment';
+        const signatureStatus = signerKey === undefined
+            ? undefined
+            : await verifyPayload(msg.encryptedForGroup, groupAudience(msg.groupId), signerKey);
+        return { ...msg, content, signatureStatus };
+    } catch (error) {
+        if (error.code === 'MISSING_SENDER_KEY') {
+            return { ...msg, content: '🔑 Waiting for sender key' };
+        }
+        return { ...msg, content: '🔒 Unreadable' };
+    }
+};
+
+/**
+ * A friend's identity key as the server publishes (and logs) it, pinned
+ * in the trust store - a change shows up as a key change warning.
+ * New ratchet sessions from the friend must use this key.
+ */
+const fetchIdentityKey = async (friendId) => {
+    const response = await api.get(`/users/${friendId}/public-key`);
+    await recordIdentityKey(friendId, response.data.publicKey);
+    return response.data.publicKey;
+};
+
+/**
+ * Decrypt a direct message, falling back to the copy encrypted for
+ * this device (needed when the message was sent to / from another of
+ * our devices)
+ *
+ * @param {string} [messageId] - Message the copies belong to (defaults to message._id)
+ * @returns {Promise<{ content: string, payload: Object }>} Plaintext and the payload that decrypted
+ */
+const decryptDirectMessage = async (encryptedData, message, peerId, messageId = message._id) => {
+    try {
+        return { content: await decryptPayload(encryptedData, peerId, messageId, fetchIdentityKey), payload: encryptedData };
+    } catch (error) {
+        if (!message.encryptedForDevice) throw error;
+        const content = await decryptPayload(message.encryptedForDevice, peerId, messageId, fetchIdentityKey);
+        return { content, payload: message.encryptedForDevice };
+    }
+};
+
+/**
+ * Decrypt one version of a direct message (current or from its edit history)
+ * Each version carries its own sender / recipient / device copies.
+ */
+const decryptMessageVersion = (version, isMine, peerId, messageId) => {
+    const encryptedData = isMine
+        ? version.encryptedForSender
+        : version.encryptedForRecipient || version.encrypted;
+    return decryptDirectMessage(encryptedData, version, peerId, messageId);
+};
+
+// Longest setTimeout delay (larger values fire immediately)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Chat view of a server-generated conversation event
+ */
+const systemView = (message) => ({
+    _id: message._id,
+    senderId: message.senderId,
+    recipientId: message.recipientId,
+    createdAt: message.createdAt,
+    systemEvent: message.systemEvent,
+    content: message.systemEvent.timerSeconds
+        ? `Disappearing messages set to ${formatTimer(message.systemEvent.timerSeconds)}`
+        : 'Disappearing messages turned off'
+});
+
+/**
+ * Chat view of a message deleted for everyone (tombstone)
+ */
+const deletedView = (message) => ({
+    _id: message._id,
+    senderId: message.senderId,
+    recipientId: message.recipientId,
+    createdAt: message.createdAt,
+    delivered: message.delivered,
+    read: message.read,
+    deletedAt: message.deletedAt,
+    messageType: 'text',
+    content: '🚫 This message was deleted'
+});
+
+const REJECTED_CONTENT = '❌ Message hidden: invalid signature';
+
+/**
+ * Chat view of a message with an invalid signature: it may not come from
+ * the sender, so nothing of its content is shown
+ */
+const rejectedView = (view) => {
+    [view.audioUrl, view.previewUrl].filter(Boolean).forEach(url => URL.revokeObjectURL(url));
+    return {
+        _id: view._id,
+        senderId: view.senderId,
+        recipientId: view.recipientId,
+        createdAt: view.createdAt,
+        delivered: view.delivered,
+        read: view.read,
+        messageType: 'text',
+        content: REJECTED_CONTENT,
+        signatureStatus: 'invalid'
+    };
+};
+
+/**
+ * Chat view fields for an attachment from a content envelope
+ */
+const attachmentView = (type, file) => ({
+    messageType: type,
+    content: { voice: '🎤 Voice Message', image: '📷 Image' }[type] || '📎 File',
+    fileAttachment: {
+        fileId: file.fileId,
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.mimeType,
+        // Key, IV and digest to download and decrypt the file
+        encryptedContent: file
+    }
+});
+
+/**
+ * Decrypted data of an image or voice attachment, from the local cache
+ * when possible (downloads are decrypted and cached)
+ *
+ * @param {Object} fileAttachment - Chat view attachment with encryptedContent (or legacy encryptedMetadata)
+ * @param {(data: ArrayBuffer) => Promise<void>} [onDownload] - Called with the downloaded encrypted file
+ * @returns {Promise<ArrayBuffer>}
+ */
+const loadAttachmentData = async (fileAttachment, onDownload) => {
+    const cached = await getCachedAttachment(fileAttachment.fileId).catch(() => null);
+    if (cached) return cached;
+
+    const response = await api.get(`/files/${fileAttachment.fileId}`, { responseType: 'arraybuffer' });
+    await onDownload?.(response.data);
+
+    let data;
+    if (fileAttachment.encryptedContent) {
+        data = await decryptAttachment(response.data, fileAttachment.encryptedContent);
+    } else {
+        const { ephemeralPublicKey, iv } = fileAttachment.encryptedMetadata;
+        data = await decryptFile(response.data, ephemeralPublicKey, Uint8Array.from(atob(iv), c => c.charCodeAt(0)));
+    }
+
+    cacheAttachment(fileAttachment.fileId, data).catch(error => console.warn('Failed to cache attachment:', error));
+    return data;
+};
+
+/**
+ * Blob URL for a cached message's image or voice attachment
+ * (cached views are stored without them)
+ */
+const withAttachmentUrls = async (view) => {
+    if (view.viewOnce || view.deletedAt || !['image', 'voice'].includes(view.messageType) || !view.fileAttachment?.fileId) {
+        return view;
+    }
+
+    try {
+        const data = await loadAttachmentData(view.fileAttachment);
+        const type = view.fileAttachment.mimeType || (view.messageType === 'voice' ? 'audio/webm' : '');
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        return view.messageType === 'voice' ? { ...view, audioUrl: url } : { ...view, previewUrl: url };
+    } catch (error) {
+        console.warn('Failed to load cached attachment:', error);
+        return view;
+    }
+};
+
+/**
+ * Chat view fields for decrypted plaintext (type, text, attachment, reply preview)
+ * Images and voice messages are downloaded for inline display.
+ */
+const contentToView = async (plaintext) => {
+    const content = decodeContent(plaintext);
+    const view = await envelopeToView(content);
+    if (content.reply) {
+        view.replyPreview = { senderId: content.reply.senderId, content: content.reply.text };
+    }
+    return view;
+};
+
+/**
+ * Chat view fields for the type, text and attachment of a content envelope
+ */
+const envelopeToView = async (content) => {
+    if (!content.file) {
+        return { messageType: 'text', content: content.text ?? '' };
+    }
+
+    const view = attachmentView(content.type, content.file);
+    if (content.type === 'voice') {
+        view.voiceDuration = content.voice?.duration ?? null;
+        view.voiceWaveform = content.voice?.waveform ?? [];
+    }
+
+    // View-once attachments are only fetched when opened
+    if (content.viewOnce) {
+        view.viewOnce = true;
+        view.content = { voice: '🎤 Voice message', image: '📷 Photo' }[content.type] || '📎 File';
+        return view;
+    }
+
+    if (content.type === 'voice' || content.type === 'image') {
+        try {
+            const data = await loadAttachmentData(view.fileAttachment);
+            const url = URL.createObjectURL(new Blob([data], { type: content.file.mimeType }));
+            if (content.type === 'voice') {
+                view.audioUrl = url;
+            } else {
+                view.previewUrl = url;
+            }
+        } catch (error) {
+            console.error('Failed to load attachment:', error);
+            view.content = content.type === 'voice' ? '⚠️ Voice Message Failed' : '⚠️ Image Failed';
+        }
+    }
+
+    return view;
+};
+
+// Contents shown for messages that could not be decrypted or downloaded
+// (not cached or indexed, so they are retried)
+const UNREADABLE_CONTENT = new Set([
+    REJECTED_CONTENT,
+    '[No encryption data]',
+    '[Unable to decrypt]',
+    '🔒 Unreadable',
+    '🔑 Waiting for sender key',
+    '⚠️ Voice Message Failed',
+    '⚠️ Image Failed'
+]);
+
+// Server fields that change after a message is sent (taken over cached views)
+// Reactions change too, but are decrypted on every sync.
+const MESSAGE_STATE_FIELDS = ['updatedAt', 'delivered', 'deliveredAt', 'read', 'readAt', 'editedAt', 'editHistory', 'consumedAt', 'expiresAt'];
+
+// Changes fetched per delta sync request
+const SYNC_PAGE_SIZE = 100;
+
+// Messages per history page
+const HISTORY_PAGE_SIZE = 50;
+
+// How long a send waits for the server's acknowledgment
+const SEND_ACK_TIMEOUT_MS = 10000;
+
+/**
+ * Chat view of a message in the outbox (shown until the server stores it)
+ *
+ * @param {Object} queued - Outbox record (see utils/messageQueue.js)
+ * @param {string} userId - Our user id
+ * @param {Object} localView - Chat view fields for the content
+ */
+const outboxView = (queued, userId, localView) => ({
+    _id: queued.clientMessageId,
+    clientMessageId: queued.clientMessageId,
+    senderId: userId,
+    recipientId: queued.recipientId,
+    createdAt: queued.createdAt,
+    sendStatus: queued.status,
+    replyTo: queued.content.reply?._id ?? null,
+    replyPreview: queued.content.reply
+        ? { senderId: queued.content.reply.senderId, content: queued.content.reply.content }
+        : null,
+    ...localView
+});
+
+/**
+ * Whether a failed send may succeed later (no answer, or a server / rate limit error)
+ */
+const isTransientSendError = (error) => error.code !== 'SESSION_DOWNGRADE' &&
+    (!error.response || error.response.status >= 500 || error.response.status === 429);
+
+/**
+ * The other user of a direct message
+ */
+const directConversationId = (message, userId) =>
+    message.peerId || (message.senderId === userId ? message.recipientId : message.senderId);
+
+/**
+ * Whether a chat view may be written to the local message cache
+ * (readable direct messages that do not disappear and were sent)
+ */
+const isCacheable = (message) =>
+    !!message._id &&
+    !message.sendStatus &&
+    !message.groupId &&
+    !(message.timerSeconds > 0) &&
+    !(message.sealed && !message.peerId) &&
+    !UNREADABLE_CONTENT.has(message.content);
+
+/**
+ * Messages with a friend created or changed after a sync cursor (oldest change first)
+ *
+ * @param {string} friendId
+ * @param {{ updatedAt: string, id: string }} cursor
+ * @returns {Promise<Object[]>} Messages, and { _id, hidden: true } for ones we deleted for ourselves
+ */
+const fetchMessageChanges = async (friendId, cursor) => {
+    const changes = [];
+    let { updatedAt, id } = cursor;
+
+    for (;;) {
+        const response = await api.get(`/messages/${friendId}`, {
+            params: { since: updatedAt, sinceId: id, limit: SYNC_PAGE_SIZE }
+        });
+        changes.push(...response.data);
+        if (response.data.length < SYNC_PAGE_SIZE) return changes;
+
+        const last = response.data[response.data.length - 1];
+        ({ updatedAt, id } = { updatedAt: last.updatedAt, id: last._id });
+    }
+};
+
+/**
+ * Newest change among messages, as a delta sync cursor
+ *
+ * @param {Object[]} messages
+ * @param {{ updatedAt: string, id: string } | null} cursor - Current cursor
+ */
+const latestChange = (messages, cursor) => messages.reduce((latest, m) => {
+    if (!m.updatedAt) return latest;
+    const isNewer = !latest ||
+        m.updatedAt > latest.updatedAt ||
+        (m.updatedAt === latest.updatedAt && m._id > latest.id);
+    return isNewer ? { updatedAt: m.updatedAt, id: m._id } : latest;
+}, cursor);
+
+/**
+ * History order of messages (creation time, then id - as the server pages them)
+ */
+const byHistoryOrder = (a, b) =>
+    (new Date(a.createdAt) - new Date(b.createdAt)) || (a._id < b._id ? -1 : a._id > b._id ? 1 : 0);
+
+/**
+ * Apply synced changes to the shown messages: replace changed ones, add
+ * new ones (unless older than everything shown) and drop removed ones
+ */
+const mergeMessages = (shown, updates, removedIds) => {
+    const byId = new Map(shown.filter(m => !removedIds.has(m._id)).map(m => [m._id, m]));
+    const oldest = shown[0]?.createdAt;
+
+    updates.forEach(view => {
+        if (byId.has(view._id) || !oldest || new Date(view.createdAt) >= new Date(oldest)) {
+            byId.set(view._id, view);
+        }
+    });
+
+    return [...byId.values()].sort(byHistoryOrder);
+};
+
+/**
+ * Add a page of history to the shown messages (ones already shown are kept)
+ */
+const insertPage = (shown, page) => {
+    const byId = new Map(shown.map(m => [m._id, m]));
+    page.forEach(view => {
+        if (!byId.has(view._id)) byId.set(view._id, view);
+    });
+
+    return [...byId.values()].sort(byHistoryOrder);
+};
+
+/**
+ * Sealed messages sent between the first and last of the loaded messages
+ * (the server does not page them), or since the first if `toLatest`
+ */
+const sealedWithin = (sealedMessages, loaded, toLatest) => {
+    if (loaded.length === 0) return toLatest ? sealedMessages : [];
+
+    const first = new Date(loaded[0].createdAt);
+    const last = new Date(loaded[loaded.length - 1].createdAt);
+    return sealedMessages.filter(m => {
+        const sentAt = new Date(m.createdAt);
+        return sentAt >= first && (toLatest || sentAt <= last);
+    });
+};
+
+/**
+ * Whether there is history before / after the loaded messages once a page is in
+ *
+ * @param {{ hasOlder: boolean, hasNewer: boolean }} bounds - Before the page
+ * @param {{ before?, after?, around?, at? }} [page] - History cursor (none: latest page)
+ * @param {boolean} isFullPage - The server returned HISTORY_PAGE_SIZE messages
+ */
+const boundsAfterPage = (bounds, page, isFullPage) => {
+    if (!page) return { hasOlder: isFullPage, hasNewer: false };
+    if (page.before) return { ...bounds, hasOlder: isFullPage };
+
+    // Pages only come back short at the latest message (there may be more before around / at pages)
+    return { hasOlder: page.after ? bounds.hasOlder : true, hasNewer: isFullPage };
+};
+
+/**
+ * Search index entry for a decrypted message, or null if it is not indexed
+ * (attachments, unreadable, deleted, disappearing, view-once and unsent messages)
+ *
+ * @param {Object} message - Chat view of the message
+ * @param {string} userId - Our user id
+ */
+const toSearchEntry = (message, userId) => {
+    if (!message._id || message.sendStatus || (message.messageType && message.messageType !== 'text')) return null;
+    if (message.deletedAt || message.systemEvent || message.viewOnce || message.timerSeconds > 0) return null;
+    if (typeof message.content !== 'string' || UNREADABLE_CONTENT.has(message.content)) return null;
+    if (message.content === '📎 Attachment') return null;
+    if (message.signatureStatus === 'invalid') return null;
+    // The sender's view of a sealed message carries the recipient's copy id - our own copy is indexed instead
+    if (message.sealed && !message.peerId) return null;
+
+    const conversationId = message.groupId ? `group:${message.groupId}` : directConversationId(message, userId);
+
+    return {
+        messageId: message._id,
+        conversationId,
+        senderId: message.senderId,
+        createdAt: message.createdAt,
+        text: message.content
+    };
+};
+
+/**
+ * Fetch a friend's prekey bundle for starting a ratchet session
+ */
+const fetchPreKeyBundle = async (friendId) => {
+    const response = await api.get(`/keys/${friendId}/bundle`);
+    return response.data;
+};
+
 export default function Chat() {
-    const { user, logout } = useAuth();
+    const { user, logout, clearAllData } = useAuth();
     const navigate = useNavigate();
 
     // State
@@ -28,6 +524,14 @@ export default function Chat() {
     const [selectedFriend, setSelectedFriend] = useState(null);
     const [messages, setMessages] = useState([]);
     const [friendPublicKeys, setFriendPublicKeys] = useState({});
+    const [friendTrust, setFriendTrust] = useState({});
+    const [keyLogStatus, setKeyLogStatus] = useState({});
+    // Friends messages to whom are not (or were not allowed to be) ratchet encrypted
+    const [encryptionWarnings, setEncryptionWarnings] = useState({});
+    // Open view-once attachment { url, mimeType, name }
+    const [viewOnceMedia, setViewOnceMedia] = useState(null);
+    // friendId -> { seconds, proposal } (disappearing message timer)
+    const [messageTimers, setMessageTimers] = useState({});
     const [onlineUsers, setOnlineUsers] = useState(new Set());
     const [typingUsers, setTypingUsers] = useState(new Set());
     const [showSearch, setShowSearch] = useState(false);
@@ -35,14 +539,118 @@ export default function Chat() {
     const [pendingRequestsCount, setPendingRequestsCount] = useState(0);
     const [isMobileView, setIsMobileView] = useState(window.innerWidth < 768);
     const [replyingTo, setReplyingTo] = useState(null);
+    const [groups, setGroups] = useState([]);
+    const [selectedGroup, setSelectedGroup] = useState(null);
+    const [showCreateGroup, setShowCreateGroup] = useState(false);
+    const [showGroupSettings, setShowGroupSettings] = useState(false);
+    // Message search modal { conversationId } (null: closed)
+    const [messageSearch, setMessageSearch] = useState(null);
+    // Search result being paged into view { conversationId, messageId, createdAt }
+    const [pendingJump, setPendingJump] = useState(null);
+    const [focusMessageId, setFocusMessageId] = useState(null);
+    // Conversation the loaded messages belong to (friend id or 'group:<id>')
+    const [loadedConversation, setLoadedConversation] = useState(null);
+    // Whether the server has history before / after the loaded messages
+    const [historyBounds, setHistoryBounds] = useState({ hasOlder: false, hasNewer: false });
+
+    // Signing keys of friends / group members (one per device), by user id
+    const signingKeysRef = useRef({});
+
+    // Opened sealed sender messages by id (they are sorted into conversations after decryption)
+    const sealedMessagesRef = useRef(new Map());
+
+    // Message id -> text added to the search index (null: removed)
+    const indexedTextRef = useRef(new Map());
+
+    // Search result whose history page was requested
+    const jumpRequestRef = useRef(null);
+
+    // Message views already in the local cache (changed views are new objects)
+    const cachedViewsRef = useRef(new WeakSet());
+
+    // Counts loads that replace the shown history (pages of an older load are dropped)
+    const historyRequestRef = useRef(0);
+
+    // History bounds for socket handlers (new messages are not added while history further back is shown)
+    const historyBoundsRef = useRef({ hasOlder: false, hasNewer: false });
+
+    // Outbox: client message id -> chat view fields of the content
+    const outboxViewsRef = useRef(new Map());
+    // Outbox flush in progress (rerun: flush again after it), and the timer of the next automatic retry
+    const flushStateRef = useRef({ running: false, rerun: null });
+    const retryTimerRef = useRef(null);
+    // Latest flushOutbox (for socket and timer callbacks)
+    const flushOutboxRef = useRef(null);
+
+    const { isOnline } = useOnlineStatus();
+
+    const selectedGroupId = selectedGroup?.id;
+
+    // Get a friend's signing key for checking message signatures
+    // (their devices' keys too; without a device list, the account key alone)
+    const getSigningKey = useCallback(async (userId) => {
+        if (!(userId in signingKeysRef.current)) {
+            try {
+                const [response, devices] = await Promise.all([
+                    api.get(`/users/${userId}/public-key`),
+                    getUserDevices(userId).catch((error) => {
+                        console.warn('Failed to get devices:', error);
+                        return [];
+                    })
+                ]);
+                signingKeysRef.current[userId] = [response.data.signingKey, ...devices.map(d => d.signingKey)]
+                    .filter(Boolean);
+            } catch (error) {
+                console.error('Failed to get signing key:', error);
+                return null;
+            }
+        }
+        return signingKeysRef.current[userId];
+    }, []);
+
+    // Cache the signing keys of all members of a group (of devices they signed)
+    const fetchGroupSigningKeys = useCallback(async (groupId) => {
+        try {
+            const response = await api.get(`/groups/${groupId}/public-keys`);
+            for (const member of response.data.members) {
+                const devices = await certifiedDevices(member.userId, member.devices, member.signingKey);
+                signingKeysRef.current[member.userId] = [member.signingKey, ...devices.map(d => d.signingKey)]
+                    .filter(Boolean);
+            }
+        } catch (error) {
+            console.error('Failed to fetch group signing keys:', error);
+        }
+    }, []);
 
     // Fetch friends list
     const fetchFriends = useCallback(async () => {
+        let friendList;
         try {
-            const response = await api.get('/friends');
-            setFriends(response.data);
+            friendList = (await api.get('/friends')).data;
+            cacheFriends(friendList).catch(error => console.warn('Failed to cache friends:', error));
         } catch (error) {
             console.error('Failed to fetch friends:', error);
+            // Offline: the cached list still opens cached history
+            if (error.code !== 'ERR_NETWORK') return;
+            friendList = await loadCachedFriends().catch(() => null);
+            if (!friendList) return;
+        }
+
+        setFriends(friendList);
+        setMessageTimers(Object.fromEntries(friendList.map(f => [f.id, f.messageTimer])));
+    }, []);
+
+    // Fetch groups list
+    const fetchGroups = useCallback(async () => {
+        try {
+            const response = await api.get('/groups');
+            setGroups(response.data);
+            // Keep the open group in sync (name, members, key epoch)
+            setSelectedGroup(prev => prev
+                ? response.data.find(g => g.id === prev.id) || null
+                : prev);
+        } catch (error) {
+            console.error('Failed to fetch groups:', error);
         }
     }, []);
 
@@ -56,15 +664,129 @@ export default function Chat() {
         }
     }, []);
 
-    // Fetch messages for selected friend
-    const fetchMessages = useCallback(async (friendId) => {
+    // Fetch and open sealed messages we have not opened yet
+    const loadSealedMessages = useCallback(async () => {
+        try {
+            const sealed = await fetchSealedMessages();
+            for (const msg of sealed) {
+                if (sealedMessagesRef.current.has(msg._id)) continue;
+                try {
+                    const opened = await openSealedMessage(msg, user.id, getSigningKey);
+                    // Receipt tokens are only used for messages that arrive live, and are not kept
+                    sealedMessagesRef.current.set(msg._id, { ...opened, receiptToken: null });
+                } catch (error) {
+                    console.warn('Skipping unreadable sealed message:', error);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to fetch sealed messages:', error);
+        }
+        return [...sealedMessagesRef.current.values()];
+    }, [user.id, getSigningKey]);
+
+    /**
+     * Add decrypted messages to the local search index (edited ones are
+     * re-indexed) and drop deleted ones from it
+     */
+    const indexForSearch = useCallback((list) => {
+        const entries = list
+            .map(m => toSearchEntry(m, user.id))
+            .filter(entry => entry && indexedTextRef.current.get(entry.messageId) !== entry.text);
+        const removedIds = list
+            .filter(m => m.deletedAt && indexedTextRef.current.get(m._id) !== null)
+            .map(m => m._id);
+
+        entries.forEach(entry => indexedTextRef.current.set(entry.messageId, entry.text));
+        removedIds.forEach(id => indexedTextRef.current.set(id, null));
+
+        indexMessages(entries).catch(error => console.error('Failed to index messages:', error));
+        removeFromIndex(removedIds).catch(error => console.error('Failed to update search index:', error));
+    }, [user.id]);
+
+    // Write new and changed direct message views to the local cache
+    const cacheForOffline = useCallback((list) => {
+        const changed = list.filter(m => !cachedViewsRef.current.has(m));
+        changed.forEach(m => cachedViewsRef.current.add(m));
+
+        const entries = changed
+            .filter(isCacheable)
+            .map(message => ({ conversationId: directConversationId(message, user.id), message }));
+        cacheMessages(entries).catch(error => console.warn('Failed to cache messages:', error));
+    }, [user.id]);
+
+    // Chat views of the outbox messages to a friend
+    const loadOutboxViews = useCallback(async (friendId) => {
+        const queued = await getPendingMessagesFor(friendId);
+        return Promise.all(queued.map(async (message) => {
+            let localView = outboxViewsRef.current.get(message.clientMessageId);
+            if (!localView) {
+                localView = await contentToView(encodeContent(message.content.messageContent));
+                outboxViewsRef.current.set(message.clientMessageId, localView);
+            }
+            return outboxView(message, user.id, localView);
+        }));
+    }, [user.id]);
+
+    /**
+     * Fetch and decrypt messages with a friend
+     * Without `page` the latest messages replace the conversation: the
+     * cached history is shown at once and only what changed since the last
+     * sync is fetched (the latest page if nothing was synced yet); messages
+     * still in the outbox follow them. A
+     * `before` / `after` page is added to the loaded messages, an `around` /
+     * `at` page replaces them.
+     *
+     * @param {string} friendId
+     * @param {{ before?: string, after?: string, around?: string, at?: string }} [page] - History cursor
+     * @returns {Promise<number | undefined>} Messages fetched
+     */
+    const fetchMessages = useCallback(async (friendId, page) => {
+        const replaces = !page || !!(page.around || page.at);
+        const request = replaces ? ++historyRequestRef.current : historyRequestRef.current;
+        let shown = [];
+        let cursor = null;
+        // Messages to the friend still in the outbox (shown after the latest messages)
+        let outbox = [];
+
+        if (!page) {
+            try {
+                shown = await Promise.all((await loadCachedMessages(friendId, HISTORY_PAGE_SIZE)).map(withAttachmentUrls));
+                cursor = shown.length > 0 ? await getSyncCursor(friendId) : null;
+            } catch (error) {
+                console.warn('Failed to read message cache:', error);
+            }
+            outbox = await loadOutboxViews(friendId);
+
+            if ((shown.length > 0 || outbox.length > 0) && historyRequestRef.current === request) {
+                shown.forEach(m => cachedViewsRef.current.add(m));
+                setMessages(insertPage(shown, outbox));
+                setLoadedConversation(friendId);
+                setHistoryBounds({ hasOlder: shown.length > 0, hasNewer: false });
+            }
+        }
+
         try {
-            const response = await api.get(`/messages/${friendId}`);
+            const serverMessages = cursor
+                ? await fetchMessageChanges(friendId, cursor)
+                : (await api.get(`/messages/${friendId}`, { params: { ...page, limit: HISTORY_PAGE_SIZE } })).data;
+
+            const hiddenIds = new Set(serverMessages.filter(m => m.hidden).map(m => m._id));
+            const changed = serverMessages.filter(m => !m.hidden);
+            const cachedViews = await getCachedMessages(changed.map(m => m._id)).catch(() => new Map());
+            const shownById = new Map(shown.map(m => [m._id, m]));
+
+            // Friend's signatures are made out to our identity key
+            const ourPublicKey = await getStoredPublicKeyJwk();
+            const audience = ourPublicKey ? keyAudience(ourPublicKey) : null;
+            const signerKey = await getSigningKey(friendId);
 
             // Decrypt all messages
             // Optimized decryption with voice support
-            const decryptedMessages = await Promise.all(response.data.map(async (msg) => {
+            const decryptForView = async (msg) => {
                 try {
+                    if (msg.systemEvent?.type) return systemView(msg);
+                    if (msg.deletedAt) return deletedView(msg);
+
                     const isMine = msg.senderId !== friendId;
                     let encryptedData;
 
@@ -76,12 +798,16 @@ export default function Chat() {
                         encryptedData = msg.encrypted;
                     }
 
-                    if (!encryptedData || !encryptedData.ephemeralPublicKey) {
+                    if (!msg.encryptedForDevice &&
+                        (!encryptedData || (!encryptedData.ephemeralPublicKey && !isSessionPayload(encryptedData) && !isOwnCopyPayload(encryptedData)))) {
                         return { ...msg, content: '[No encryption data]' };
                     }
 
                     let decryptedContent = '';
                     let audioUrl = null;
+                    let signatureStatus;
+                    // Type and attachment details from the encrypted content
+                    let contentView = {};
 
                     const ciphertext = encryptedData?.ciphertext;
                     const isPlaceholder = ciphertext === 'FILE' || ciphertext === 'VOICE' || ciphertext === '' || (ciphertext && ciphertext.length < 24);
@@ -89,18 +815,12 @@ export default function Chat() {
                     if (msg.messageType === 'voice' && msg.fileAttachment) {
                         // Auto-fetch audio data for voice messages
                         try {
-                            const fileResponse = await api.get(`/files/${msg.fileAttachment.fileId}`, {
-                                responseType: 'arraybuffer'
+                            const decryptedAudio = await loadAttachmentData(msg.fileAttachment, async (data) => {
+                                if (!isMine) {
+                                    signatureStatus = await verifyFile(data, msg.fileAttachment.encryptedMetadata, audience, signerKey);
+                                }
                             });
 
-                            // Decrypt audio
-                            const iv = Uint8Array.from(atob(msg.fileAttachment.encryptedMetadata.iv), c => c.charCodeAt(0));
-                            const decryptedAudio = await decryptFile(
-                                fileResponse.data,
-                                msg.fileAttachment.encryptedMetadata.ephemeralPublicKey,
-                                iv
-                            );
-
                             const blob = new Blob([decryptedAudio], { type: 'audio/webm' });
                             audioUrl = URL.createObjectURL(blob);
                             decryptedContent = '🎤 Voice Message';
@@ -111,18 +831,12 @@ export default function Chat() {
                     } else if (msg.messageType === 'image' && msg.fileAttachment) {
                         // Auto-fetch image data
                         try {
-                            const fileResponse = await api.get(`/files/${msg.fileAttachment.fileId}`, {
-                                responseType: 'arraybuffer'
+                            const decryptedImage = await loadAttachmentData(msg.fileAttachment, async (data) => {
+                                if (!isMine) {
+                                    signatureStatus = await verifyFile(data, msg.fileAttachment.encryptedMetadata, audience, signerKey);
+                                }
                             });
 
-                            // Decrypt image
-                            const iv = Uint8Array.from(atob(msg.fileAttachment.encryptedMetadata.iv), c => c.charCodeAt(0));
-                            const decryptedImage = await decryptFile(
-                                fileResponse.data,
-                                msg.fileAttachment.encryptedMetadata.ephemeralPublicKey,
-                                iv
-                            );
-
                             const blob = new Blob([decryptedImage], { type: msg.fileAttachment.mimeType });
                             // Reuse audioUrl variable for the blob URL to avoid adding new field, or better add generic 'mediaUrl'
                             // But existing code used audioUrl. Let's add previewUrl.
@@ -136,15 +850,22 @@ export default function Chat() {
                         if (isPlaceholder) {
                             decryptedContent = '📎 Attachment';
                         } else {
-                            decryptedContent = await decryptMessage(encryptedData);
+                            const { content, payload } = await decryptDirectMessage(encryptedData, msg, friendId);
+                            contentView = await contentToView(content);
+                            decryptedContent = contentView.content;
+                            if (!isMine) signatureStatus = await verifyPayload(payload, audience, signerKey);
                         }
                     } else if (msg.messageType === 'text') {
-                        decryptedContent = await decryptMessage(encryptedData);
+                        const { content, payload } = await decryptDirectMessage(encryptedData, msg, friendId);
+                        contentView = await contentToView(content);
+                        decryptedContent = contentView.content;
+                        if (!isMine) signatureStatus = await verifyPayload(payload, audience, signerKey);
                     } else {
                         decryptedContent = msg.messageType === 'image' ? '📷 Image' : '📎 File';
                     }
 
-                    return { ...msg, content: decryptedContent, audioUrl };
+                    const view = { ...msg, content: decryptedContent, audioUrl, signatureStatus, ...contentView };
+                    return signatureStatus === 'invalid' ? rejectedView(view) : view;
                 } catch (error) {
                     if (error.name === 'OperationError' || error.name === 'InvalidCharacterError') {
                         return { ...msg, content: '🔒 Unreadable' };
@@ -152,16 +873,194 @@ export default function Chat() {
                     console.error('Failed to decrypt message:', error);
                     return { ...msg, content: '[Unable to decrypt]' };
                 }
-            }));
+            };
 
+            const toView = msg => {
+                const cachedView = cachedViews.get(msg._id);
+                if (!cachedView || msg.deletedAt || (cachedView.editedAt ?? null) !== (msg.editedAt ?? null)) {
+                    return decryptForView(msg);
+                }
 
-            setMessages(decryptedMessages);
+                // Content unchanged: reuse the cached decryption with the server's state
+                const view = {
+                    ...cachedView,
+                    ...Object.fromEntries(MESSAGE_STATE_FIELDS.filter(f => f in msg).map(f => [f, msg[f]]))
+                };
+                const shownView = shownById.get(msg._id);
+                return shownView
+                    ? { ...view, audioUrl: shownView.audioUrl, previewUrl: shownView.previewUrl }
+                    : withAttachmentUrls(view);
+            };
+
+            const decryptedMessages = await Promise.all(changed.map(async msg => ({
+                ...await toView(msg),
+                reactions: await decryptReactions(msg.reactions, { messageId: msg._id, userId: user.id, audience, signerKey })
+            })));
+
+            uncacheMessages([...hiddenIds]).catch(error => console.warn('Failed to update message cache:', error));
+
+            // Sealed sender messages of this conversation
+            const sealedMessages = (await loadSealedMessages()).filter(m => m.peerId === friendId);
+            if (historyRequestRef.current !== request) return serverMessages.length;
+
+            if (page) {
+                const isFullPage = serverMessages.length === HISTORY_PAGE_SIZE;
+                const toLatest = !page.before && !isFullPage;
+                setMessages(prev => {
+                    const loaded = insertPage(replaces ? [] : prev, decryptedMessages);
+                    return insertPage(loaded, sealedWithin(sealedMessages, loaded, toLatest));
+                });
+                setHistoryBounds(prev => boundsAfterPage(prev, page, isFullPage));
+                setLoadedConversation(friendId);
+                return serverMessages.length;
+            }
+
+            // Outbox messages the server stored (their acknowledgment was lost) are shown as sent
+            const storedIds = new Set(serverMessages.map(m => m.clientMessageId).filter(Boolean));
+            const updates = [...decryptedMessages, ...sealedMessages];
+            if (cursor) {
+                setMessages(prev => mergeMessages(prev, updates, new Set([...hiddenIds, ...storedIds])));
+            } else {
+                setMessages(insertPage(updates, outbox.filter(m => !storedIds.has(m._id))));
+                setHistoryBounds({ hasOlder: serverMessages.length === HISTORY_PAGE_SIZE, hasNewer: false });
+            }
+            setLoadedConversation(friendId);
+
+            const synced = latestChange(serverMessages, cursor);
+            if (synced) {
+                setSyncCursor(friendId, synced).catch(error => console.warn('Failed to save sync cursor:', error));
+            }
 
             // Mark as read
             api.put(`/messages/read/${friendId}`).catch(console.error);
+            return serverMessages.length;
         } catch (error) {
+            // Offline: the cached history stays
             console.error('Failed to fetch messages:', error);
         }
+    }, [getSigningKey, loadSealedMessages, loadOutboxViews, user.id]);
+
+    // Import any sender keys other members distributed to us
+    const syncSenderKeys = useCallback(async (groupId) => {
+        try {
+            const response = await api.get(`/groups/${groupId}/sender-keys`);
+            for (const distribution of response.data) {
+                try {
+                    await importSenderKeyDistribution(distribution);
+                } catch (error) {
+                    console.warn('Skipping unreadable sender key:', error);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to sync sender keys:', error);
+        }
+    }, []);
+
+    /**
+     * Fetch and decrypt group messages
+     * Without `page` the latest page replaces the conversation; otherwise
+     * as for fetchMessages.
+     *
+     * @param {string} groupId
+     * @param {{ before?: string, after?: string, around?: string, at?: string }} [page] - History cursor
+     * @returns {Promise<number | undefined>} Messages fetched
+     */
+    const fetchGroupMessages = useCallback(async (groupId, page) => {
+        const replaces = !page || !!(page.around || page.at);
+        const request = replaces ? ++historyRequestRef.current : historyRequestRef.current;
+        try {
+            if (!page) {
+                await Promise.all([syncSenderKeys(groupId), fetchGroupSigningKeys(groupId)]);
+            }
+            const response = await api.get(`/groups/${groupId}/messages`, { params: { ...page, limit: HISTORY_PAGE_SIZE } });
+            const decryptedMessages = await Promise.all(response.data.map(msg => decryptGroupForView(
+                msg,
+                msg.senderId === user.id ? undefined : signingKeysRef.current[msg.senderId] ?? null
+            )));
+            if (historyRequestRef.current !== request) return response.data.length;
+
+            setMessages(prev => insertPage(replaces ? [] : prev, decryptedMessages));
+            setHistoryBounds(prev => boundsAfterPage(prev, page, response.data.length === HISTORY_PAGE_SIZE));
+            setLoadedConversation(`group:${groupId}`);
+            return response.data.length;
+        } catch (error) {
+            console.error('Failed to fetch group messages:', error);
+        }
+    }, [syncSenderKeys, fetchGroupSigningKeys, user.id]);
+
+    // Get (or create and distribute) our sender key for the group's current epoch
+    const ensureOwnSenderKey = async (groupId, epoch) => {
+        let senderKey = await getOwnSenderKey(groupId, user.id, epoch);
+        if (senderKey) return senderKey;
+
+        senderKey = await createSenderKey(groupId, user.id, epoch);
+
+        const response = await api.get(`/groups/${groupId}/public-keys`);
+        const recipients = response.data.members.filter(m => m.userId !== user.id);
+        const distributions = await buildSenderKeyDistributions(senderKey, recipients);
+
+        await api.post(`/groups/${groupId}/sender-keys`, {
+            epoch,
+            keyId: senderKey.keyId,
+            distributions
+        });
+
+        return senderKey;
+    };
+
+    // Send a group message (encrypted once with our sender key)
+    const sendGroupMessage = async (content, epoch = selectedGroup.keyEpoch, isRetry = false) => {
+        const socket = getSocket();
+        if (!socket) return;
+
+        const groupId = selectedGroup.id;
+
+        try {
+            const senderKey = await ensureOwnSenderKey(groupId, epoch);
+            const encryptedForGroup = await encryptGroupMessage(encodeContent({ type: 'text', text: content }), senderKey);
+
+            socket.emit('send_group_message', {
+                groupId,
+                epoch,
+                encryptedForGroup,
+                replyTo: replyingTo?._id || null
+            }, (response) => {
+                if (response.error) {
+                    // Membership changed - rotate our sender key and retry once
+                    if (response.code === 'STALE_EPOCH' && !isRetry) {
+                        fetchGroups();
+                        sendGroupMessage(content, response.epoch, true);
+                        return;
+                    }
+                    console.error('Send failed:', response.error);
+                    return;
+                }
+
+                setMessages(prev => [...prev, { ...response.message, content }]);
+                setReplyingTo(null);
+            });
+        } catch (error) {
+            if (error.response?.data?.code === 'STALE_EPOCH' && !isRetry) {
+                fetchGroups();
+                return sendGroupMessage(content, error.response.data.epoch, true);
+            }
+            console.error('Failed to send group message:', error);
+        }
+    };
+
+    // Compare a friend's identity key with the one we saw / verified before
+    const checkIdentityKey = useCallback(async (friendId, publicKey) => {
+        const trust = await recordIdentityKey(friendId, publicKey);
+        setFriendTrust(prev => ({ ...prev, [friendId]: trust }));
+        return trust;
+    }, []);
+
+    // Compare a friend's devices with the ones we encrypted for before
+    const checkDevices = useCallback(async (friendId) => {
+        const trust = await recordDeviceKeys(friendId, await getUserDevices(friendId));
+        if (trust) {
+            setFriendTrust(prev => ({ ...prev, [friendId]: trust }));
+        }
     }, []);
 
     // Get friend's public key
@@ -174,79 +1073,399 @@ export default function Chat() {
             const response = await api.get(`/users/${friendId}/public-key`);
             const publicKey = response.data.publicKey;
             setFriendPublicKeys(prev => ({ ...prev, [friendId]: publicKey }));
+            await checkIdentityKey(friendId, publicKey);
             return publicKey;
         } catch (error) {
             console.error('Failed to get public key:', error);
             throw error;
         }
-    }, [friendPublicKeys]);
+    }, [friendPublicKeys, checkIdentityKey]);
+
+    /**
+     * Encrypt a content envelope for a friend, ourselves and both sides' devices
+     * Type, text, attachment details and reply preview are all encrypted
+     * (padded to a size bucket).
+     *
+     * @returns {Promise<{ encryptedForRecipient: Object, encryptedForSender: Object, deviceEnvelopes: Array }>}
+     */
+    const encryptDirectContent = async (messageContent, friendId, recipientPublicKey) => {
+        const content = encodeContent(messageContent);
+
+        // Encrypt for recipient with our ratchet session (so they can read it).
+        // Friends who have not published prekeys yet get a v1 message, and a
+        // warning is shown. Friends we have (or had) a session with never do:
+        // a missing bundle then means the server is trying to downgrade the
+        // conversation.
+        let encryptedForRecipient;
+        try {
+            encryptedForRecipient = await encryptForPeer(friendId, content, fetchPreKeyBundle);
+        } catch (error) {
+            if (error.response?.status !== 404) throw error;
+            const sentUsRatchetMessages = messages.some(m =>
+                m.senderId === friendId && isSessionPayload(m.encryptedForRecipient));
+            if (sentUsRatchetMessages || await hasSession(friendId)) {
+                setEncryptionWarnings(prev => ({ ...prev, [friendId]: 'downgrade-refused' }));
+                const downgrade = new Error('Refusing to send without a ratchet session');
+                downgrade.code = 'SESSION_DOWNGRADE';
+                throw downgrade;
+            }
+            setEncryptionWarnings(prev => ({ ...prev, [friendId]: 'no-prekeys' }));
+            encryptedForRecipient = await encryptMessage(content, recipientPublicKey);
+        }
+
+        // Encrypt for self (so we can read our own sent messages later)
+        const encryptedForSender = await encryptOwnCopy(content);
+
+        // Copies for the friend's devices and our other devices
+        let deviceEnvelopes = [];
+        await checkDevices(friendId).catch(error => console.warn('Failed to check devices:', error));
+        try {
+            deviceEnvelopes = await buildDeviceEnvelopes(content, friendId, user.id);
+        } catch (error) {
+            console.warn('Sending without device copies:', error);
+        }
+
+        return { encryptedForRecipient, encryptedForSender, deviceEnvelopes };
+    };
+
+    /**
+     * Send the selected friend a content envelope
+     * The message goes to the outbox and is shown as pending until the
+     * server stores it (see flushOutbox).
+     *
+     * @param {Object} messageContent - { type, text?, file?, voice? } (see crypto/messageContent.js)
+     * @param {Object} localView - Chat view fields for our own copy
+     * @param {Object} [replyTo] - Message replied to
+     */
+    const sendDirectContent = async (messageContent, localView, replyTo = replyingTo) => {
+        if (!selectedFriend) return;
+        setReplyingTo(null);
+
+        const reply = replyTo
+            ? { _id: replyTo._id, senderId: replyTo.senderId, content: replyTo.content.substring(0, 50) }
+            : null;
+
+        try {
+            // Sealed sender: the server is not told who sends the message (text only).
+            // Sealed messages are sent at once - the server cannot recognize retries of them.
+            if (isSealedSenderEnabled() && messageContent.type === 'text') {
+                const replyData = reply ? {
+                    replyTo: reply._id,
+                    replyPreview: { senderId: reply.senderId, content: reply.content }
+                } : {};
+
+                const sent = await sendSealedMessage({ content: messageContent.text, ...replyData }, {
+                    recipientId: selectedFriend.id,
+                    recipientPublicKey: await getFriendPublicKey(selectedFriend.id),
+                    ownUserId: user.id,
+                    ownPublicKey: await getStoredPublicKeyJwk()
+                });
+
+                // Our own sealed copy may already have arrived over the socket
+                setMessages(prev => prev.some(m => m.sealedId === sent.sealedId) ? prev : [...prev, sent]);
+                return;
+            }
+
+            const queued = await queueMessage(selectedFriend.id, { messageContent, reply });
+            outboxViewsRef.current.set(queued.clientMessageId, localView);
+            setMessages(prev => [...prev, outboxView(queued, user.id, localView)]);
+            flushOutbox();
+        } catch (error) {
+            console.error('Failed to send message:', error);
+        }
+    };
+
+    // Set the send state shown on an outbox message
+    const setSendStatus = (clientMessageId, sendStatus) => {
+        setMessages(prev => prev.map(m => m._id === clientMessageId ? { ...m, sendStatus } : m));
+    };
+
+    /**
+     * Encrypt and send one outbox message, waiting for the server's acknowledgment
+     *
+     * @returns {Promise<'sent' | 'failed' | 'retry'>} 'retry': no answer, an automatic retry is scheduled
+     */
+    const sendQueued = async (socket, queued) => {
+        const { clientMessageId, recipientId, content: { messageContent, reply } } = queued;
+
+        try {
+            const recipientPublicKey = await getFriendPublicKey(recipientId);
+            // The reply preview travels inside the encrypted content
+            const content = reply
+                ? { ...messageContent, reply: { senderId: reply.senderId, text: reply.content } }
+                : messageContent;
+            const { encryptedForRecipient, encryptedForSender, deviceEnvelopes } =
+                await encryptDirectContent(content, recipientId, recipientPublicKey);
+
+            const replyData = reply ? { replyTo: reply._id } : {};
+
+            const response = await socket.timeout(SEND_ACK_TIMEOUT_MS).emitWithAck('send_message', {
+                recipientId,
+                clientMessageId,
+                encryptedForRecipient,
+                encryptedForSender,
+                deviceEnvelopes,
+                // The server deletes view-once files after they are opened
+                viewOnce: !!messageContent.viewOnce,
+                // ...and every attachment when the message expires or is deleted
+                fileIds: messageContent.file?.fileId ? [messageContent.file.fileId] : [],
+                ...replyData
+            });
+
+            // Over the send budget: wait as long as the server asks
+            if (response.code === 'RATE_LIMITED') {
+                console.warn('Sending too fast, retrying later:', response.error);
+                await updateMessageStatus(clientMessageId, 'pending', {
+                    nextAttemptAt: Date.now() + response.retryAfter * 1000
+                });
+                return 'retry';
+            }
+
+            if (response.error) {
+                console.error('Send failed:', response.error);
+                await updateMessageStatus(clientMessageId, 'failed');
+                setSendStatus(clientMessageId, 'failed');
+                return 'failed';
+            }
+
+            await removeFromQueue(clientMessageId);
+            const localView = outboxViewsRef.current.get(clientMessageId);
+            outboxViewsRef.current.delete(clientMessageId);
+
+            // The stored message takes the place of the pending one (unless a history load already added it)
+            setMessages(prev => prev.some(m => m._id === response.message._id)
+                ? prev.filter(m => m._id !== clientMessageId)
+                : prev.map(m => m._id === clientMessageId
+                    ? { ...response.message, replyPreview: m.replyPreview, ...localView }
+                    : m));
+            return 'sent';
+        } catch (error) {
+            const attempts = queued.attempts + 1;
+            if (!isTransientSendError(error) || attempts >= MAX_SEND_ATTEMPTS) {
+                console.error('Failed to send message:', error);
+                await updateMessageStatus(clientMessageId, 'failed', { attempts });
+                setSendStatus(clientMessageId, 'failed');
+                return 'failed';
+            }
+
+            console.warn(`Send attempt ${attempts} failed, retrying:`, error.message);
+            await updateMessageStatus(clientMessageId, 'pending', {
+                attempts,
+                nextAttemptAt: Date.now() + retryDelay(attempts)
+            });
+            return 'retry';
+        }
+    };
+
+    /**
+     * Send the outbox, oldest first
+     * A message that got no answer is retried with exponential backoff;
+     * the ones after it wait, so messages arrive in the order they were
+     * written. Only one flush runs at a time.
+     *
+     * @param {boolean} [now] - Retry waiting messages at once (e.g. the connection is back)
+     */
+    const flushOutbox = async (now = false) => {
+        const flush = flushStateRef.current;
+        if (flush.running) {
+            flush.rerun = flush.rerun || now;
+            return;
+        }
+
+        const socket = getSocket();
+        if (!socket?.connected) return;
+
+        flush.running = true;
+        clearTimeout(retryTimerRef.current);
+        try {
+            for (const queued of await getPendingMessages()) {
+                if (queued.status !== 'pending') continue;
+                if (!now && queued.nextAttemptAt > Date.now()) break;
+                if (await sendQueued(socket, queued) === 'retry') break;
+            }
+
+            // Schedule the next automatic retry
+            const waiting = (await getPendingMessages()).filter(m => m.status === 'pending' && m.nextAttemptAt > 0);
+            if (waiting.length > 0) {
+                const nextAttemptAt = Math.min(...waiting.map(m => m.nextAttemptAt));
+                retryTimerRef.current = setTimeout(
+                    () => flushOutboxRef.current?.(),
+                    Math.max(nextAttemptAt - Date.now(), 0)
+                );
+            }
+        } catch (error) {
+            console.error('Failed to send outbox:', error);
+        } finally {
+            flush.running = false;
+        }
+
+        if (flush.rerun !== null) {
+            const rerunNow = flush.rerun;
+            flush.rerun = null;
+            flushOutbox(rerunNow);
+        }
+    };
+
+    // Send a message that could not be sent again
+    const retrySend = async (message) => {
+        await updateMessageStatus(message.clientMessageId, 'pending', { attempts: 0, nextAttemptAt: 0 });
+        setSendStatus(message.clientMessageId, 'pending');
+        flushOutbox(true);
+    };
+
+    // Drop a message that could not be sent
+    const cancelSend = async (message) => {
+        await removeFromQueue(message.clientMessageId);
+        outboxViewsRef.current.delete(message.clientMessageId);
+        [message.audioUrl, message.previewUrl].filter(Boolean).forEach(url => URL.revokeObjectURL(url));
+        setMessages(prev => prev.filter(m => m._id !== message.clientMessageId));
+    };
+
+    // Send message
+    const sendMessage = async (content, replyTo = replyingTo) => {
+        if (selectedGroup && content.trim()) {
+            return sendGroupMessage(content);
+        }
+        if (!selectedFriend || !content.trim()) return;
+
+        await sendDirectContent({ type: 'text', text: content }, { content }, replyTo);
+    };
+
+    /**
+     * Replace the text of one of our direct messages
+     * Uses the socket when connected, the REST endpoint otherwise.
+     */
+    const editMessage = async (message, text) => {
+        if (!selectedFriend || !text.trim() || text === message.content) return;
+
+        try {
+            const recipientPublicKey = await getFriendPublicKey(selectedFriend.id);
+            // Keep the reply preview in the new version
+            const reply = message.replyPreview?.content !== undefined
+                ? { senderId: message.replyPreview.senderId, text: message.replyPreview.content }
+                : undefined;
+            const edit = {
+                messageId: message._id,
+                ...await encryptDirectContent({ type: 'text', text, reply }, selectedFriend.id, recipientPublicKey)
+            };
+
+            const socket = getSocket();
+            const result = socket?.connected
+                ? await new Promise(resolve => socket.emit('edit_message', edit, resolve))
+                : await api.put(`/messages/${message._id}`, edit)
+                    .then(response => ({ message: response.data }))
+                    .catch(error => ({ error: error.response?.data?.error || error.message }));
+
+            if (result.error) {
+                alert(`Could not edit message: ${result.error}`);
+                return;
+            }
+
+            setMessages(prev => prev.map(msg =>
+                msg._id === message._id
+                    ? { ...msg, content: text, editedAt: result.message.editedAt }
+                    : msg
+            ));
+        } catch (error) {
+            console.error('Failed to edit message:', error);
+        }
+    };
 
-    // Send message
-    const sendMessage = async (content) => {
-        if (!selectedFriend || !content.trim()) return;
+    /**
+     * Decrypt the earlier versions of an edited message (oldest first)
+     *
+     * @returns {Promise<Array<{ content: string, replacedAt: string }>>}
+     */
+    const loadEditHistory = async (message) => {
+        const isMine = message.senderId === user.id;
+        const peerId = isMine ? message.recipientId : message.senderId;
 
-        const socket = getSocket();
-        if (!socket) return;
+        return Promise.all((message.editHistory || []).map(async (version) => {
+            try {
+                const { content } = await decryptMessageVersion(version, isMine, peerId, message._id);
+                return { content: decodeContent(content).text ?? '📎 Attachment', replacedAt: version.replacedAt };
+            } catch {
+                return { content: '🔒 Unreadable', replacedAt: version.replacedAt };
+            }
+        }));
+    };
 
-        try {
-            // Get both public keys
-            const recipientPublicKey = await getFriendPublicKey(selectedFriend.id);
-            const myPublicKey = await getStoredPublicKeyJwk();
+    /**
+     * Update local state for a deleted message
+     * 'me' removes it, 'everyone' turns it into a tombstone
+     */
+    const applyMessageDeletion = useCallback(({ messageId, scope, deletedAt }) => {
+        if (scope === 'me') {
+            sealedMessagesRef.current.delete(messageId);
+            indexedTextRef.current.set(messageId, null);
+            removeFromIndex([messageId]).catch(error => console.error('Failed to update search index:', error));
+            uncacheMessages([messageId]).catch(error => console.warn('Failed to update message cache:', error));
+            setMessages(prev => prev.filter(msg => msg._id !== messageId));
+            return;
+        }
+        setMessages(prev => prev.map(msg =>
+            msg._id === messageId ? deletedView({ ...msg, deletedAt }) : msg
+        ));
+    }, []);
 
-            // Encrypt for recipient (so they can read it)
-            const encryptedForRecipient = await encryptMessage(content, recipientPublicKey);
+    /**
+     * Delete a direct message for ourselves or (our own, recent ones) for everyone
+     *
+     * @param {Object} message
+     * @param {'me' | 'everyone'} scope
+     */
+    const deleteMessage = async (message, scope) => {
+        const socket = getSocket();
+        if (!socket) return;
 
-            // Encrypt for self (so we can read our own sent messages later)
-            const encryptedForSender = myPublicKey
-                ? await encryptMessage(content, myPublicKey)
-                : null;
+        // The server cannot see which file a message points to
+        const fileIds = message.fileAttachment?.fileId ? [message.fileAttachment.fileId] : [];
 
-            // Handle Reply
-            let replyData = {};
-            if (replyingTo) {
-                const previewContent = replyingTo.content.substring(0, 50);
+        socket.emit('delete_message', { messageId: message._id, scope, fileIds }, (response) => {
+            if (response.error) {
+                alert(`Could not delete message: ${response.error}`);
+                return;
+            }
+            applyMessageDeletion({ messageId: message._id, ...response.message });
+        });
+    };
 
-                // Encrypt preview for recipient
-                const encryptedPreview = await encryptMessage(previewContent, recipientPublicKey);
+    /**
+     * Propose a disappearing message timer for the open conversation
+     * It takes effect once the friend accepts.
+     */
+    const setMessageTimer = (seconds) => {
+        const socket = getSocket();
+        if (!socket || !selectedFriend) return;
 
-                replyData = {
-                    replyTo: replyingTo._id,
-                    replyPreview: {
-                        senderId: replyingTo.senderId,
-                        encryptedPreview
-                    }
-                };
+        socket.emit('set_message_timer', { friendId: selectedFriend.id, seconds }, (response) => {
+            if (response.error) {
+                alert(`Could not change the timer: ${response.error}`);
             }
+        });
+    };
 
-            socket.emit('send_message', {
-                recipientId: selectedFriend.id,
-                encryptedForRecipient,
-                encryptedForSender,
-                ...replyData
-            }, (response) => {
-                if (response.error) {
-                    console.error('Send failed:', response.error);
-                    return;
-                }
-
-                // Add message to local state
-                setMessages(prev => [...prev, {
-                    ...response.message,
-                    content
-                }]);
+    // Accept or decline the friend's timer proposal
+    const respondToMessageTimer = (accept) => {
+        const socket = getSocket();
+        if (!socket || !selectedFriend) return;
 
-                // Clear reply state
-                setReplyingTo(null);
-            });
-        } catch (error) {
-            console.error('Failed to send message:', error);
-        }
+        socket.emit('respond_message_timer', { friendId: selectedFriend.id, accept }, (response) => {
+            if (response.error) {
+                alert(`Could not update the timer: ${response.error}`);
+            }
+        });
     };
 
     // Handle typing indicator
     const handleTyping = (isTyping) => {
         const socket = getSocket();
-        if (socket && selectedFriend) {
+        if (socket && selectedGroup) {
+            socket.emit('typing', {
+                groupId: selectedGroup.id,
+                isTyping
+            });
+        } else if (socket && selectedFriend) {
             socket.emit('typing', {
                 recipientId: selectedFriend.id,
                 isTyping
@@ -254,92 +1473,81 @@ export default function Chat() {
         }
     };
 
-    // Handle emoji reaction
-    const handleReact = (messageId, emoji) => {
+    /**
+     * Toggle one of our reactions to a message
+     * Our whole set of emojis on it is encrypted for the friend and for
+     * us; the server only stores and relays it.
+     */
+    const handleReact = async (message, emoji) => {
         const socket = getSocket();
-        if (socket && selectedFriend) {
-            socket.emit('add_reaction', {
-                messageId,
-                emoji,
-                recipientId: selectedFriend.id
+        if (!socket || !selectedFriend) return;
+
+        const emojis = toggleReaction(message.reactions, user.id, emoji);
+        try {
+            const encrypted = emojis.length > 0
+                ? await encryptReaction(
+                    { messageId: message._id, userId: user.id, emojis },
+                    await getFriendPublicKey(selectedFriend.id)
+                )
+                : {};
+            // The server does not know who sent a sealed message: a token names them
+            const sealedTarget = message.sealed
+                ? { reactionToken: await takeDeliveryToken(selectedFriend.id, 'reaction') }
+                : {};
+            socket.emit('set_reaction', {
+                messageId: message._id,
+                ...sealedTarget,
+                ...encrypted
+            }, (response) => {
+                if (response?.error) {
+                    alert(`Could not react: ${response.error}`);
+                }
             });
+        } catch (error) {
+            console.error('Failed to encrypt reaction:', error);
         }
     };
 
-    // Handle file upload and send
-    const handleSendFile = async (file) => {
-        console.log('Starting file send:', file.name, file.type, file.size);
-        if (!selectedFriend) {
-            console.error('No friend selected');
-            return;
-        }
-        const socket = getSocket();
-        if (!socket) {
-            console.error('Socket not connected');
-            return;
-        }
-
-        try {
-            // Get keys
-            console.log('Fetching public keys...');
-            const recipientPublicKey = await getFriendPublicKey(selectedFriend.id);
-            const myPublicKey = await getStoredPublicKeyJwk();
-
-            if (!recipientPublicKey) {
-                console.error('Recipient public key not found');
-                return;
+    /**
+     * Encrypt an attachment with a fresh key and upload the ciphertext
+     * The server only sees an opaque, padded blob.
+     *
+     * @returns {Promise<Object>} Attachment details for the content envelope
+     */
+    const uploadAttachment = async (file, name, mimeType) => {
+        const { encryptedData, key, iv, digest } = await encryptAttachment(file);
+
+        const formData = new FormData();
+        formData.append('file', new Blob([encryptedData]), 'encrypted');
+
+        const response = await api.post('/files/upload', formData, {
+            headers: {
+                'x-recipient-id': selectedFriend.id
             }
+        });
 
-            // Encrypt file
-            console.log('Encrypting file...');
-            const encryptedData = await encryptFile(file, recipientPublicKey, myPublicKey);
-            console.log('File encrypted successfully');
-
-            // Upload to server
-            // Create FormData
-            const formData = new FormData();
-            // Create blob from encrypted data
-            const encryptedBlob = new Blob([encryptedData.encryptedData]);
-            formData.append('file', encryptedBlob, 'encrypted');
+        return { fileId: response.data.fileId, name, mimeType, size: file.size, key, iv, digest };
+    };
 
-            console.log('Uploading file to server...');
-            // Add headers for friend verification
-            const response = await api.post('/files/upload', formData, {
-                headers: {
-                    'x-recipient-id': selectedFriend.id
-                }
-            });
-            console.log('File uploaded, ID:', response.data.fileId);
-
-            // Send message with file attachment metadata
-            // Prepare encryption metadata
-            const encryptionMetadata = {
-                ephemeralPublicKey: encryptedData.ephemeralPublicKey,
-                iv: btoa(String.fromCharCode(...encryptedData.iv)),
-                ciphertext: 'FILE' // Placeholder to satisfy server validation
-            };
+    // Handle file upload and send
+    const handleSendFile = async (file, { viewOnce = false } = {}) => {
+        if (!selectedFriend) return;
 
-            socket.emit('send_message', {
-                recipientId: selectedFriend.id,
-                messageType: file.type.startsWith('image/') ? 'image' : 'file',
-                encryptedForRecipient: encryptionMetadata,
-                encryptedForSender: encryptionMetadata, // Simulating sender copy for structure
-                fileAttachment: {
-                    fileId: response.data.fileId,
-                    fileName: file.name,
-                    fileSize: file.size,
-                    mimeType: file.type,
-                    encryptedMetadata: encryptionMetadata
-                }
-            }, (response) => {
-                if (response.error) {
-                    console.error('Send file failed:', response.error);
-                    return;
-                }
-                console.log('Message sent successfully:', response.message);
-                setMessages(prev => [...prev, response.message]);
-            });
+        try {
+            const mimeType = file.type || 'application/octet-stream';
+            const type = mimeType.startsWith('image/') ? 'image' : 'file';
+            const attachment = await uploadAttachment(file, file.name, mimeType);
+            const messageContent = { type, file: attachment, viewOnce };
+
+            // Our copy of a view-once attachment is not shown either
+            const localView = viewOnce
+                ? await contentToView(encodeContent(messageContent))
+                : attachmentView(type, attachment);
+            if (type === 'image' && !viewOnce) {
+                localView.previewUrl = URL.createObjectURL(file);
+            }
 
+            await sendDirectContent(messageContent, localView);
         } catch (error) {
             console.error('Failed to send file:', error);
             alert(`File upload failed: ${error.message || 'Unknown error'}`);
@@ -349,74 +1557,91 @@ export default function Chat() {
     // Handle voice message
     const handleSendVoice = async (voiceData) => {
         if (!selectedFriend) return;
-        const socket = getSocket();
-        if (!socket) return;
 
         try {
-            const { blob, duration, waveformData } = voiceData;
-
-            // Get keys
-            const recipientPublicKey = await getFriendPublicKey(selectedFriend.id);
-            const myPublicKey = await getStoredPublicKeyJwk();
-
-            // Encrypt audio blob
-            const encryptedData = await encryptFile(blob, recipientPublicKey, myPublicKey);
-
-            // Upload
-            const formData = new FormData();
-            const encryptedBlob = new Blob([encryptedData.encryptedData]);
-            formData.append('file', encryptedBlob, 'voice.webm');
-
-            const response = await api.post('/files/upload', formData, {
-                headers: {
-                    'x-recipient-id': selectedFriend.id
+            const { blob, duration, waveformData, viewOnce = false } = voiceData;
+            const attachment = await uploadAttachment(blob, 'Voice Message', 'audio/webm');
+            const messageContent = { type: 'voice', file: attachment, voice: { duration, waveform: waveformData }, viewOnce };
+
+            await sendDirectContent(
+                messageContent,
+                viewOnce ? await contentToView(encodeContent(messageContent)) : {
+                    ...attachmentView('voice', attachment),
+                    voiceDuration: duration,
+                    voiceWaveform: waveformData,
+                    audioUrl: URL.createObjectURL(blob)
                 }
-            });
+            );
+        } catch (error) {
+            console.error('Failed to send voice message:', error);
+        }
+    };
 
-            // Send message
-            const encryptionMetadata = {
-                ephemeralPublicKey: encryptedData.ephemeralPublicKey,
-                iv: btoa(String.fromCharCode(...encryptedData.iv)),
-                ciphertext: 'VOICE' // Placeholder
-            };
+    /**
+     * Open a view-once attachment sent to us
+     * The server deletes the file as soon as we report the view.
+     */
+    const openViewOnce = async (message) => {
+        const { fileId, encryptedContent, mimeType, fileName } = message.fileAttachment;
 
-            socket.emit('send_message', {
-                recipientId: selectedFriend.id,
-                messageType: 'voice',
-                voiceDuration: duration,
-                waveformData: waveformData,
-                encryptedForRecipient: encryptionMetadata,
-                encryptedForSender: encryptionMetadata,
-                fileAttachment: {
-                    fileId: response.data.fileId,
-                    fileName: 'Voice Message',
-                    fileSize: blob.size,
-                    mimeType: 'audio/webm',
-                    encryptedMetadata: encryptionMetadata
-                }
-            }, (response) => {
-                if (response.error) {
-                    console.error('Send voice failed:', response.error);
-                    return;
-                }
-                setMessages(prev => [...prev, response.message]);
+        try {
+            const response = await api.get(`/files/${fileId}`, { responseType: 'arraybuffer' });
+            const data = await decryptAttachment(response.data, encryptedContent);
+            setViewOnceMedia({
+                url: URL.createObjectURL(new Blob([data], { type: mimeType })),
+                mimeType,
+                name: fileName
             });
-
         } catch (error) {
-            console.error('Failed to send voice message:', error);
+            console.error('Failed to open view-once attachment:', error);
+            alert('This attachment is no longer available.');
         }
+
+        // Opened (or gone) either way - never offer it again
+        setMessages(prev => prev.map(msg =>
+            msg._id === message._id ? { ...msg, consumedAt: new Date().toISOString() } : msg
+        ));
+        getSocket()?.emit('media_viewed', { messageId: message._id, fileId });
+    };
+
+    // Close the view-once viewer and drop the decrypted copy
+    const closeViewOnce = () => {
+        if (viewOnceMedia) URL.revokeObjectURL(viewOnceMedia.url);
+        setViewOnceMedia(null);
     };
 
     // Handle file download
-    const handleDownloadFile = async (fileAttachment) => {
+    const handleDownloadFile = async (fileAttachment, senderId) => {
         try {
-            const { fileId, encryptedMetadata, mimeType, fileName } = fileAttachment;
+            const { fileId, encryptedContent, encryptedMetadata, mimeType, fileName } = fileAttachment;
 
             // Download encrypted blob
             const response = await api.get(`/files/${fileId}`, {
                 responseType: 'arraybuffer'
             });
 
+            // Key and digest came in the signed message content
+            if (encryptedContent) {
+                const decryptedData = await decryptAttachment(response.data, encryptedContent);
+                downloadFile(createDownloadBlob(decryptedData, mimeType), fileName);
+                return;
+            }
+
+            // Legacy attachment: signed and encrypted to the recipient key
+            if (senderId && senderId !== user.id) {
+                const ourPublicKey = await getStoredPublicKeyJwk();
+                const status = await verifyFile(
+                    response.data,
+                    encryptedMetadata,
+                    keyAudience(ourPublicKey),
+                    await getSigningKey(senderId)
+                );
+                if (status === 'invalid') {
+                    alert('This file has an invalid signature and was not opened.');
+                    return;
+                }
+            }
+
             // Decrypt
             const iv = Uint8Array.from(atob(encryptedMetadata.iv), c => c.charCodeAt(0));
 
@@ -442,10 +1667,55 @@ export default function Chat() {
 
         // New message received
         const handleNewMessage = async (message) => {
+            if (message.sealed) {
+                try {
+                    const { receiptToken, ...opened } = await openSealedMessage(message, user.id, getSigningKey);
+                    sealedMessagesRef.current.set(opened._id, opened);
+                    indexForSearch([opened]);
+                    cacheForOffline([opened]);
+
+                    setMessages(prev => {
+                        if (!selectedFriend || opened.peerId !== selectedFriend.id) return prev;
+                        if (historyBoundsRef.current.hasNewer) return prev;
+                        // Skip our own copy of a message this tab just sent
+                        if (prev.some(m => m.sealedId === opened.sealedId)) return prev;
+                        return [...prev, opened];
+                    });
+
+                    // The conversation is open: read receipt, with the token the sender put in the message
+                    if (opened.senderId !== user.id && selectedFriend?.id === opened.peerId &&
+                        opened.signatureStatus === 'verified' && receiptToken) {
+                        socket.emit('mark_read', { messageIds: [opened._id], receiptToken });
+                    }
+
+                    fetchFriends();
+                } catch (error) {
+                    console.warn('Skipping unreadable sealed message:', error);
+                }
+                return;
+            }
+
+            if (message.systemEvent?.type) {
+                const peerId = message.senderId === user.id ? message.recipientId : message.senderId;
+                if (selectedFriend && peerId === selectedFriend.id && !historyBoundsRef.current.hasNewer) {
+                    setMessages(prev => [...prev, systemView(message)]);
+                }
+                return;
+            }
+
             try {
                 let decryptedContent = '';
                 let audioUrl = null;
 
+                // Our own messages (from another tab / device) are not checked
+                const isMine = message.senderId === user.id;
+                const peerId = isMine ? message.recipientId : message.senderId;
+                const ourPublicKey = await getStoredPublicKeyJwk();
+                const audience = ourPublicKey ? keyAudience(ourPublicKey) : null;
+                const signerKey = isMine ? null : await getSigningKey(message.senderId);
+                let signatureStatus;
+                let contentView = {};
+
                 // Check for legacy placeholder messages
                 const ciphertext = message.encryptedForRecipient?.ciphertext || message.encrypted?.ciphertext;
                 const isPlaceholder = ciphertext === 'FILE' || ciphertext === 'VOICE' || ciphertext === '' || (ciphertext && ciphertext.length < 24);
@@ -453,18 +1723,12 @@ export default function Chat() {
                 if (message.messageType === 'voice' && message.fileAttachment) {
                     // Auto-fetch audio data for voice messages
                     try {
-                        const fileResponse = await api.get(`/files/${message.fileAttachment.fileId}`, {
-                            responseType: 'arraybuffer'
+                        const decryptedAudio = await loadAttachmentData(message.fileAttachment, async (data) => {
+                            if (!isMine) {
+                                signatureStatus = await verifyFile(data, message.fileAttachment.encryptedMetadata, audience, signerKey);
+                            }
                         });
 
-                        // Decrypt audio
-                        const iv = Uint8Array.from(atob(message.fileAttachment.encryptedMetadata.iv), c => c.charCodeAt(0));
-                        const decryptedAudio = await decryptFile(
-                            fileResponse.data,
-                            message.fileAttachment.encryptedMetadata.ephemeralPublicKey,
-                            iv
-                        );
-
                         const blob = new Blob([decryptedAudio], { type: 'audio/webm' });
                         audioUrl = URL.createObjectURL(blob);
                         decryptedContent = '🎤 Voice Message';
@@ -475,18 +1739,12 @@ export default function Chat() {
                 } else if (message.messageType === 'image' && message.fileAttachment) {
                     // Auto-fetch image data
                     try {
-                        const fileResponse = await api.get(`/files/${message.fileAttachment.fileId}`, {
-                            responseType: 'arraybuffer'
+                        const decryptedImage = await loadAttachmentData(message.fileAttachment, async (data) => {
+                            if (!isMine) {
+                                signatureStatus = await verifyFile(data, message.fileAttachment.encryptedMetadata, audience, signerKey);
+                            }
                         });
 
-                        // Decrypt image
-                        const iv = Uint8Array.from(atob(message.fileAttachment.encryptedMetadata.iv), c => c.charCodeAt(0));
-                        const decryptedImage = await decryptFile(
-                            fileResponse.data,
-                            message.fileAttachment.encryptedMetadata.ephemeralPublicKey,
-                            iv
-                        );
-
                         const blob = new Blob([decryptedImage], { type: message.fileAttachment.mimeType });
                         message.previewUrl = URL.createObjectURL(blob);
                         decryptedContent = '📷 Image';
@@ -498,22 +1756,37 @@ export default function Chat() {
                     if (isPlaceholder) {
                         decryptedContent = '📎 Attachment';
                     } else {
-                        const encryptedData = message.encryptedForRecipient || message.encrypted;
-                        decryptedContent = await decryptMessage(encryptedData);
+                        const encryptedData = isMine
+                            ? message.encryptedForSender
+                            : message.encryptedForRecipient || message.encrypted;
+                        const { content, payload } = await decryptDirectMessage(encryptedData, message, peerId);
+                        contentView = await contentToView(content);
+                        decryptedContent = contentView.content;
+                        if (!isMine) signatureStatus = await verifyPayload(payload, audience, signerKey);
                     }
                 } else if (message.messageType === 'text') {
-                    const encryptedData = message.encryptedForRecipient || message.encrypted;
-                    decryptedContent = await decryptMessage(encryptedData);
+                    const encryptedData = isMine
+                        ? message.encryptedForSender
+                        : message.encryptedForRecipient || message.encrypted;
+                    const { content, payload } = await decryptDirectMessage(encryptedData, message, peerId);
+                    contentView = await contentToView(content);
+                    decryptedContent = contentView.content;
+                    if (!isMine) signatureStatus = await verifyPayload(payload, audience, signerKey);
                 } else {
                     // For files/voice, content is just a label/placeholder
                     decryptedContent = message.messageType === 'image' ? '📷 Image' : '📎 File';
                 }
 
-                const decryptedMessage = { ...message, content: decryptedContent, audioUrl };
+                const view = { ...message, content: decryptedContent, audioUrl, signatureStatus, ...contentView };
+                const decryptedMessage = signatureStatus === 'invalid' ? rejectedView(view) : view;
+                // Searchable and cached even if the conversation is not open
+                indexForSearch([decryptedMessage]);
+                cacheForOffline([decryptedMessage]);
 
                 setMessages(prev => {
-                    // Only add if this is for current conversation
+                    // Only add if this is for current conversation (and its latest messages are shown)
                     if (
+                        !historyBoundsRef.current.hasNewer &&
                         selectedFriend &&
                         (message.senderId === selectedFriend.id ||
                             message.recipientId === selectedFriend.id)
@@ -523,6 +1796,11 @@ export default function Chat() {
                     return prev;
                 });
 
+                // The conversation is open: the message is read (starts its timer, if any)
+                if (!isMine && selectedFriend?.id === peerId) {
+                    socket.emit('mark_read', { messageIds: [message._id] });
+                }
+
                 // Update friends list to show last message indicator
                 fetchFriends();
             } catch (error) {
@@ -548,14 +1826,15 @@ export default function Chat() {
             });
         };
 
-        // Typing indicator
-        const handleUserTyping = ({ userId, isTyping }) => {
+        // Typing indicator (group typing is tracked per group)
+        const handleUserTyping = ({ userId, groupId, isTyping }) => {
+            const typingKey = groupId ? `group:${groupId}` : userId;
             setTypingUsers(prev => {
                 const newSet = new Set(prev);
                 if (isTyping) {
-                    newSet.add(userId);
+                    newSet.add(typingKey);
                 } else {
-                    newSet.delete(userId);
+                    newSet.delete(typingKey);
                 }
                 return newSet;
             });
@@ -566,51 +1845,404 @@ export default function Chat() {
             fetchFriends();
         };
 
-        // Reaction updated - update message reactions
-        const handleReactionUpdated = ({ messageId, reactions }) => {
+        // Reaction updated - decrypt and update message reactions
+        const handleReactionUpdated = async ({ messageId, reactions }) => {
+            if (!selectedFriend) return;
+            const ourPublicKey = await getStoredPublicKeyJwk();
+            const decrypted = await decryptReactions(reactions, {
+                messageId,
+                userId: user.id,
+                audience: ourPublicKey ? keyAudience(ourPublicKey) : null,
+                signerKey: await getSigningKey(selectedFriend.id)
+            });
+            setMessages(prev => prev.map(msg =>
+                msg._id === messageId ? { ...msg, reactions: decrypted } : msg
+            ));
+        };
+
+        // A message in the open conversation was edited
+        const handleMessageEdited = async (message) => {
+            const isMine = message.senderId === user.id;
+            const peerId = isMine ? message.recipientId : message.senderId;
+            if (!selectedFriend || peerId !== selectedFriend.id) return;
+
+            try {
+                const { content, payload } = await decryptMessageVersion(message, isMine, peerId, message._id);
+                const contentView = await contentToView(content);
+
+                let signatureStatus;
+                if (!isMine) {
+                    const ourPublicKey = await getStoredPublicKeyJwk();
+                    signatureStatus = await verifyPayload(payload, keyAudience(ourPublicKey), await getSigningKey(peerId));
+                }
+
+                const edited = (msg) => signatureStatus === 'invalid' ? rejectedView(msg) : {
+                    ...msg,
+                    ...contentView,
+                    signatureStatus,
+                    editedAt: message.editedAt,
+                    editHistory: message.editHistory
+                };
+                setMessages(prev => prev.map(msg => msg._id === message._id ? edited(msg) : msg));
+            } catch (error) {
+                console.error('Failed to decrypt edited message:', error);
+            }
+        };
+
+        // Disappearing message timer proposed / accepted / declined
+        const handleMessageTimerUpdated = ({ friendId, seconds, proposal }) => {
+            setMessageTimers(prev => ({ ...prev, [friendId]: { seconds, proposal } }));
+        };
+
+        // Read timed messages started counting down
+        const handleMessageTimersStarted = ({ messages: started }) => {
+            const expiresAt = new Map(started.map(m => [m._id, m.expiresAt]));
+            setMessages(prev => prev.map(msg =>
+                expiresAt.has(msg._id) ? { ...msg, expiresAt: expiresAt.get(msg._id) } : msg
+            ));
+        };
+
+        // The server deleted expired messages - purge them now, in every
+        // conversation (loaded ones are also dropped from the view)
+        const handleMessagesExpired = ({ messageIds }) => {
+            forgetMessagePlaintexts(messageIds).catch(console.error);
+            messageIds.forEach(id => indexedTextRef.current.set(id, null));
+            removeFromIndex(messageIds).catch(error => console.error('Failed to update search index:', error));
+            uncacheMessages(messageIds).catch(error => console.warn('Failed to update message cache:', error));
+
+            const now = new Date().toISOString();
+            setMessages(prev => prev.map(msg =>
+                messageIds.includes(msg._id) ? { ...msg, expiresAt: now } : msg
+            ));
+        };
+
+        // A view-once attachment was opened (by the recipient, on any device)
+        const handleMediaViewed = ({ messageId, consumedAt }) => {
             setMessages(prev => prev.map(msg =>
-                msg._id === messageId ? { ...msg, reactions } : msg
+                msg._id === messageId ? { ...msg, consumedAt } : msg
             ));
         };
 
         // Messages read - update read status on sender's messages
-        const handleMessagesRead = ({ messageIds }) => {
+        const handleMessagesRead = ({ messageIds, readAt }) => {
+            setMessages(prev => prev.map(msg =>
+                messageIds.includes(msg._id) ? { ...msg, read: true, readAt } : msg
+            ));
+        };
+
+        // Our messages reached the friend (sent while they were offline, or fetched by them)
+        const handleMessagesDelivered = ({ messageIds, deliveredAt }) => {
             setMessages(prev => prev.map(msg =>
-                messageIds.includes(msg._id) ? { ...msg, read: true } : msg
+                messageIds.includes(msg._id) ? { ...msg, delivered: true, deliveredAt } : msg
             ));
         };
 
+        // New group message received
+        const handleNewGroupMessage = async (message) => {
+            if (message.groupId !== selectedGroup?.id) return;
+            if (message.senderId !== user.id && !(message.senderId in signingKeysRef.current)) {
+                await fetchGroupSigningKeys(message.groupId);
+            }
+            const decryptedMessage = await decryptGroupForView(
+                message,
+                message.senderId === user.id ? undefined : signingKeysRef.current[message.senderId] ?? null
+            );
+            if (historyBoundsRef.current.hasNewer) return;
+            setMessages(prev => [...prev, decryptedMessage]);
+        };
+
+        // Another member shared their sender key with us
+        const handleSenderKey = async (distribution) => {
+            try {
+                const isNew = await importSenderKeyDistribution(distribution);
+                if (isNew && distribution.groupId === selectedGroup?.id) {
+                    fetchGroupMessages(distribution.groupId);
+                }
+            } catch (error) {
+                console.warn('Skipping unreadable sender key:', error);
+            }
+        };
+
+        // This device was revoked from another device - wipe local keys
+        const handleDeviceRevoked = async () => {
+            await clearAllData();
+            navigate('/login');
+        };
+
+        // Group renamed or membership changed
+        const handleGroupUpdated = () => {
+            fetchGroups();
+        };
+
+        // We were removed from a group (or it was deleted)
+        const handleGroupRemoved = ({ groupId }) => {
+            setSelectedGroup(prev => (prev?.id === groupId ? null : prev));
+            fetchGroups();
+        };
+
         socket.on('new_message', handleNewMessage);
+        socket.on('new_group_message', handleNewGroupMessage);
+        socket.on('sender_key', handleSenderKey);
+        socket.on('group_updated', handleGroupUpdated);
+        socket.on('group_removed', handleGroupRemoved);
+        socket.on('device_revoked', handleDeviceRevoked);
         socket.on('friend_status', handleFriendStatus);
         socket.on('user_typing', handleUserTyping);
         socket.on('friend_request_accepted', handleFriendRequestAccepted);
         socket.on('reaction_updated', handleReactionUpdated);
         socket.on('messages_read', handleMessagesRead);
+        socket.on('messages_delivered', handleMessagesDelivered);
+        socket.on('message_edited', handleMessageEdited);
+        socket.on('message_deleted', applyMessageDeletion);
+        socket.on('message_timer_updated', handleMessageTimerUpdated);
+        socket.on('message_timers_started', handleMessageTimersStarted);
+        socket.on('messages_expired', handleMessagesExpired);
+        socket.on('media_viewed', handleMediaViewed);
+        // Server is running out of our one-time prekeys
+        socket.on('prekeys_low', replenishPreKeys);
 
         return () => {
             socket.off('new_message', handleNewMessage);
+            socket.off('new_group_message', handleNewGroupMessage);
+            socket.off('sender_key', handleSenderKey);
+            socket.off('group_updated', handleGroupUpdated);
+            socket.off('group_removed', handleGroupRemoved);
+            socket.off('device_revoked', handleDeviceRevoked);
             socket.off('friend_status', handleFriendStatus);
             socket.off('user_typing', handleUserTyping);
             socket.off('friend_request_accepted', handleFriendRequestAccepted);
             socket.off('reaction_updated', handleReactionUpdated);
             socket.off('messages_read', handleMessagesRead);
+            socket.off('messages_delivered', handleMessagesDelivered);
+            socket.off('message_edited', handleMessageEdited);
+            socket.off('message_deleted', applyMessageDeletion);
+            socket.off('message_timer_updated', handleMessageTimerUpdated);
+            socket.off('message_timers_started', handleMessageTimersStarted);
+            socket.off('messages_expired', handleMessagesExpired);
+            socket.off('media_viewed', handleMediaViewed);
+            socket.off('prekeys_low', replenishPreKeys);
         };
-    }, [selectedFriend, fetchFriends]);
+    }, [selectedFriend, selectedGroup, fetchFriends, fetchGroups, fetchGroupMessages, fetchGroupSigningKeys, getSigningKey, applyMessageDeletion, indexForSearch, cacheForOffline, user.id, clearAllData, navigate]);
+
+    useEffect(() => {
+        flushOutboxRef.current = flushOutbox;
+    });
+
+    // Send the outbox when the socket (re)connects or the browser is back online
+    useEffect(() => {
+        const socket = getSocket();
+        const flushNow = () => flushOutboxRef.current(true);
+
+        socket?.on('connect', flushNow);
+        if (isOnline) flushNow();
+
+        return () => socket?.off('connect', flushNow);
+    }, [isOnline]);
+
+    useEffect(() => () => clearTimeout(retryTimerRef.current), []);
 
     // Initial data fetch
     useEffect(() => {
         fetchFriends();
+        fetchGroups();
         fetchPendingRequests();
-    }, [fetchFriends, fetchPendingRequests]);
+    }, [fetchFriends, fetchGroups, fetchPendingRequests]);
 
     // Fetch messages when friend selected
     useEffect(() => {
         if (selectedFriend) {
             fetchMessages(selectedFriend.id);
-        } else {
+        } else if (!selectedGroupId) {
             setMessages([]);
         }
-    }, [selectedFriend, fetchMessages]);
+    }, [selectedFriend, selectedGroupId, fetchMessages]);
+
+    // Purge disappearing messages when their countdown ends: drop the
+    // decrypted copy, the cached plaintext and any blob URLs
+    useEffect(() => {
+        const expiryTimes = messages.filter(m => m.expiresAt).map(m => new Date(m.expiresAt).getTime());
+        if (expiryTimes.length === 0) return;
+
+        const delay = Math.min(Math.max(Math.min(...expiryTimes) - Date.now(), 0), MAX_TIMEOUT_MS);
+        const timer = setTimeout(() => {
+            const now = Date.now();
+            const expired = messages.filter(m => m.expiresAt && new Date(m.expiresAt).getTime() <= now);
+            if (expired.length === 0) return;
+
+            expired.forEach(msg => {
+                if (msg.audioUrl) URL.revokeObjectURL(msg.audioUrl);
+                if (msg.previewUrl) URL.revokeObjectURL(msg.previewUrl);
+
+                const peerId = msg.senderId === user.id ? msg.recipientId : msg.senderId;
+                [msg.encryptedForRecipient, msg.encryptedForDevice].forEach(payload => {
+                    forgetPlaintext(peerId, payload).catch(console.error);
+                });
+            });
+
+            const expiredIds = new Set(expired.map(m => m._id));
+            forgetMessagePlaintexts([...expiredIds]).catch(console.error);
+            expiredIds.forEach(id => indexedTextRef.current.set(id, null));
+            removeFromIndex([...expiredIds]).catch(error => console.error('Failed to update search index:', error));
+            uncacheMessages([...expiredIds]).catch(error => console.warn('Failed to update message cache:', error));
+            setMessages(prev => prev.filter(m => !expiredIds.has(m._id)));
+        }, delay);
+
+        return () => clearTimeout(timer);
+    }, [messages, user.id]);
+
+    // Keep the search index and message cache in step with loaded, sent, edited and deleted messages
+    useEffect(() => {
+        indexForSearch(messages);
+        cacheForOffline(messages);
+    }, [messages, indexForSearch, cacheForOffline]);
+
+    // Socket handlers read the bounds when new messages arrive
+    useEffect(() => {
+        historyBoundsRef.current = historyBounds;
+    }, [historyBounds]);
+
+    // Load the history around the search result to jump to
+    useEffect(() => {
+        if (!pendingJump || loadedConversation !== pendingJump.conversationId) return;
+
+        if (messages.some(m => m._id === pendingJump.messageId)) {
+            setFocusMessageId(pendingJump.messageId);
+            setPendingJump(null);
+            return;
+        }
+
+        if (jumpRequestRef.current === pendingJump) return;
+        jumpRequestRef.current = pendingJump;
+
+        const { conversationId, messageId } = pendingJump;
+        const page = conversationId.startsWith('group:')
+            ? fetchGroupMessages(conversationId.slice('group:'.length), { around: messageId })
+            : fetchMessages(conversationId, { around: messageId });
+
+        // No longer on the server (deleted or expired)
+        page.then(count => {
+            if (!count) setPendingJump(null);
+        });
+    }, [messages, pendingJump, loadedConversation, fetchMessages, fetchGroupMessages]);
+
+    // Check the friend's identity key, key log and devices whenever their chat is opened
+    useEffect(() => {
+        if (!selectedFriend) return;
+        const friendId = selectedFriend.id;
+
+        Promise.all([
+            api.get(`/users/${friendId}/public-key`),
+            api.get(`/users/${friendId}/key-history`)
+        ])
+            .then(async ([keyResponse, historyResponse]) => {
+                await checkIdentityKey(friendId, keyResponse.data.publicKey);
+                const result = await checkKeyLog(friendId, historyResponse.data, keyResponse.data.publicKey);
+                if (result.status !== 'ok') {
+                    console.warn('Key log check for', friendId, result);
+                }
+                setKeyLogStatus(prev => ({ ...prev, [friendId]: result }));
+                await checkDevices(friendId);
+            })
+            .catch(error => console.error('Failed to check identity key:', error));
+    }, [selectedFriend, checkIdentityKey, checkDevices]);
+
+    // Fetch messages when group selected
+    useEffect(() => {
+        if (selectedGroupId) {
+            fetchGroupMessages(selectedGroupId);
+        }
+    }, [selectedGroupId, fetchGroupMessages]);
+
+    // Only one conversation can be open at a time
+    const handleSelectFriend = (friend) => {
+        setSelectedGroup(null);
+        setSelectedFriend(friend);
+        setFocusMessageId(null);
+    };
+
+    const handleSelectGroup = (group) => {
+        setSelectedFriend(null);
+        setSelectedGroup(group);
+        setFocusMessageId(null);
+    };
+
+    // Open a search result's conversation and page its message into view
+    const openSearchResult = (result) => {
+        const { conversationId } = result;
+        if (conversationId.startsWith('group:')) {
+            const group = groups.find(g => g.id === conversationId.slice('group:'.length));
+            if (!group) return;
+            if (selectedGroup?.id !== group.id) handleSelectGroup(group);
+        } else {
+            const friend = friends.find(f => f.id === conversationId);
+            if (!friend) return;
+            if (selectedFriend?.id !== friend.id) handleSelectFriend(friend);
+        }
+
+        setMessageSearch(null);
+        setFocusMessageId(null);
+        setPendingJump(result);
+    };
+
+    /**
+     * Load a page of the open conversation's history (none: the latest messages)
+     *
+     * @param {{ before?: string, after?: string, around?: string, at?: string }} [page]
+     */
+    const loadHistory = (page) => {
+        if (selectedGroup) return fetchGroupMessages(selectedGroup.id, page);
+        if (selectedFriend) return fetchMessages(selectedFriend.id, page);
+    };
+
+    // Sealed messages are not paged - cursors are the oldest / newest regular message
+    const loadOlderMessages = () => {
+        const oldest = messages.find(m => !m.sealed && !m.sendStatus);
+        return oldest && loadHistory({ before: oldest._id });
+    };
+
+    const loadNewerMessages = () => {
+        const newest = messages.findLast(m => !m.sealed && !m.sendStatus);
+        return newest && loadHistory({ after: newest._id });
+    };
+
+    // Conversations that can be searched (ids as used by the search index)
+    const searchConversations = [
+        ...friends.map(f => ({ id: f.id, name: f.username })),
+        ...groups.map(g => ({ id: `group:${g.id}`, name: g.name, members: g.members }))
+    ];
+
+    // Hide the key change warning without verifying the new key
+    const handleDismissKeyWarning = async () => {
+        const friendId = selectedFriend.id;
+        const trust = await acknowledgeKeyChange(friendId);
+        if (trust) {
+            setFriendTrust(prev => ({ ...prev, [friendId]: trust }));
+        }
+
+        if (keyLogStatus[friendId]?.status === 'replaced') {
+            await acknowledgeKeyLogAlert(friendId);
+            setKeyLogStatus(prev => ({ ...prev, [friendId]: { status: 'ok' } }));
+        }
+    };
+
+    // Hide the notice about a friend's new devices
+    const handleDismissDeviceChange = async () => {
+        const friendId = selectedFriend.id;
+        const trust = await acknowledgeDeviceChange(friendId);
+        if (trust) {
+            setFriendTrust(prev => ({ ...prev, [friendId]: trust }));
+        }
+    };
+
+    // Group shown through the same chat window as a friend
+    const groupChat = selectedGroup ? {
+        id: selectedGroup.id,
+        username: selectedGroup.name,
+        avatar: null,
+        isGroup: true,
+        members: selectedGroup.members
+    } : null;
+    const activeChat = selectedFriend || groupChat;
 
     // Handle window resize
     useEffect(() => {
@@ -630,13 +2262,20 @@ export default function Chat() {
     return (
         <div className="chat-container">
             {/* Sidebar */}
-            <aside className={`chat-sidebar ${selectedFriend && isMobileView ? 'hidden' : ''}`}>
+            <aside className={`chat-sidebar ${activeChat && isMobileView ? 'hidden' : ''}`}>
                 <header className="sidebar-header">
                     <div className="user-info">
                         <div className="user-avatar">{user?.username?.[0]?.toUpperCase()}</div>
                         <span className="user-name">{user?.username}</span>
                     </div>
                     <div className="header-actions">
+                        <button
+                            className="icon-button"
+                            onClick={() => setMessageSearch({ conversationId: '' })}
+                            title="Search messages"
+                        >
+                            🔍
+                        </button>
                         <button
                             className="icon-button"
                             onClick={() => setShowSearch(true)}
@@ -644,6 +2283,13 @@ export default function Chat() {
                         >
                             ➕
                         </button>
+                        <button
+                            className="icon-button"
+                            onClick={() => setShowCreateGroup(true)}
+                            title="New group"
+                        >
+                            👪
+                        </button>
                         <button
                             className={`icon-button ${pendingRequestsCount > 0 ? 'has-badge' : ''}`}
                             onClick={() => setShowRequests(true)}
@@ -664,16 +2310,19 @@ export default function Chat() {
                 <ChatList
                     friends={friends}
                     selectedFriend={selectedFriend}
-                    onSelectFriend={setSelectedFriend}
+                    onSelectFriend={handleSelectFriend}
                     onlineUsers={onlineUsers}
+                    groups={groups}
+                    selectedGroup={selectedGroup}
+                    onSelectGroup={handleSelectGroup}
                 />
             </aside>
 
             {/* Chat Area */}
-            <main className={`chat-main ${!selectedFriend && isMobileView ? 'hidden' : ''}`}>
-                {selectedFriend ? (
+            <main className={`chat-main ${!activeChat && isMobileView ? 'hidden' : ''}`}>
+                {activeChat ? (
                     <ChatWindow
-                        friend={selectedFriend}
+                        friend={activeChat}
                         messages={messages}
                         onSendMessage={sendMessage}
                         onSendFile={handleSendFile}
@@ -681,14 +2330,40 @@ export default function Chat() {
                         onDownloadFile={handleDownloadFile}
                         socket={getSocket()}
                         onTyping={handleTyping}
-                        isTyping={typingUsers.has(selectedFriend.id)}
-                        isOnline={onlineUsers.has(selectedFriend.id)}
-                        onBack={() => setSelectedFriend(null)}
+                        isTyping={typingUsers.has(selectedGroup ? `group:${selectedGroup.id}` : activeChat.id)}
+                        isOnline={onlineUsers.has(activeChat.id)}
+                        onBack={() => { setSelectedFriend(null); setSelectedGroup(null); }}
                         showBackButton={isMobileView}
                         onReact={handleReact}
+                        onEditMessage={selectedFriend ? editMessage : undefined}
+                        onLoadEditHistory={loadEditHistory}
+                        onDeleteMessage={selectedFriend ? deleteMessage : undefined}
+                        messageTimer={selectedFriend ? messageTimers[selectedFriend.id] : null}
+                        onSetMessageTimer={setMessageTimer}
+                        onRespondToMessageTimer={respondToMessageTimer}
+                        onOpenViewOnce={openViewOnce}
+                        onOpenSearch={() => setMessageSearch({
+                            conversationId: selectedGroup ? `group:${selectedGroup.id}` : activeChat.id
+                        })}
+                        focusMessageId={focusMessageId}
+                        hasOlderMessages={historyBounds.hasOlder}
+                        hasNewerMessages={historyBounds.hasNewer}
+                        onLoadOlder={loadOlderMessages}
+                        onLoadNewer={loadNewerMessages}
+                        onJumpToDate={(date) => loadHistory({ at: date.toISOString() })}
+                        onJumpToLatest={() => loadHistory()}
+                        onRetrySend={retrySend}
+                        onCancelSend={cancelSend}
                         currentUserId={user?.id}
                         replyingTo={replyingTo}
                         setReplyingTo={setReplyingTo}
+                        onOpenGroupSettings={() => setShowGroupSettings(true)}
+                        trust={selectedFriend ? friendTrust[selectedFriend.id] : null}
+                        keyLog={selectedFriend ? keyLogStatus[selectedFriend.id] : null}
+                        encryptionWarning={selectedFriend ? encryptionWarnings[selectedFriend.id] : null}
+                        onVerifyKey={() => navigate(`/safety/${selectedFriend.id}`)}
+                        onDismissKeyWarning={handleDismissKeyWarning}
+                        onDismissDeviceChange={handleDismissDeviceChange}
                     />
                 ) : (
                     <div className="no-chat-selected">
@@ -711,6 +2386,45 @@ export default function Chat() {
                 />
             )}
 
+            {showCreateGroup && (
+                <GroupCreate
+                    friends={friends}
+                    onClose={() => setShowCreateGroup(false)}
+                    onCreated={(group) => {
+                        fetchGroups();
+                        handleSelectGroup(group);
+                    }}
+                />
+            )}
+
+            {messageSearch && (
+                <MessageSearch
+                    conversations={searchConversations}
+                    initialConversationId={messageSearch.conversationId}
+                    currentUserId={user?.id}
+                    onSearch={searchMessages}
+                    onOpenResult={openSearchResult}
+                    onClose={() => setMessageSearch(null)}
+                />
+            )}
+
+            {viewOnceMedia && (
+                <ViewOnceViewer media={viewOnceMedia} onClose={closeViewOnce} />
+            )}
+
+            {showGroupSettings && selectedGroup && (
+                <GroupSettings
+                    group={selectedGroup}
+                    friends={friends}
+                    currentUserId={user?.id}
+                    onClose={() => setShowGroupSettings(false)}
+                    onLeft={() => {
+                        setSelectedGroup(null);
+                        fetchGroups();
+                    }}
+                />
+            )}
+
             {showRequests && (
                 <FriendRequests
                     onClose={() => setShowRequests(false)}
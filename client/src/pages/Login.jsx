@@ -15,7 +15,10 @@ export default function Login() {
     const [loading, setLoading] = useState(false);
     const [resending, setResending] = useState(false);
     const [showResend, setShowResend] = useState(false);
-    const { login } = useAuth();
+    // Fresh device with a key vault backup: ask for the recovery passphrase
+    const [restoring, setRestoring] = useState(false);
+    const [recoveryPassphrase, setRecoveryPassphrase] = useState('');
+    const { login, restoreKeyBackup, skipKeyRestore } = useAuth();
     const navigate = useNavigate();
 
     const handleSubmit = async (e) => {
@@ -24,7 +27,11 @@ export default function Login() {
         setLoading(true);
 
         try {
-            await login(email, password);
+            const result = await login(email, password);
+            if (result.keyBackupAvailable) {
+                setRestoring(true);
+                return;
+            }
             navigate('/');
         } catch (err) {
             const errorData = err.response?.data;
@@ -38,6 +45,43 @@ export default function Login() {
         }
     };
 
+    const handleRestore = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            await restoreKeyBackup(recoveryPassphrase);
+            navigate('/');
+        } catch (err) {
+            const errorData = err.response?.data;
+            if (errorData?.code === 'BACKUP_LOCKED') {
+                setError(`Too many wrong attempts. Try again after ${new Date(errorData.lockedUntil).toLocaleString()}.`);
+            } else if (errorData?.code === 'WRONG_PASSPHRASE') {
+                setError(`Wrong recovery passphrase (${errorData.attemptsRemaining} attempts left)`);
+            } else {
+                setError(errorData?.error || err.message || 'Failed to restore keys');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSkipRestore = async () => {
+        if (!confirm('Continue with new keys? Messages sent to your old keys will not be readable on this device.')) return;
+
+        setError('');
+        setLoading(true);
+        try {
+            await skipKeyRestore();
+            navigate('/');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Login failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const handleResend = async () => {
         setResending(true);
         try {
@@ -62,49 +106,85 @@ export default function Login() {
                     <p>End-to-end encrypted messaging</p>
                 </div>
 
-                <form onSubmit={handleSubmit} className="auth-form">
-                    {error && <div className="auth-error">{error}</div>}
+                {restoring ? (
+                    <form onSubmit={handleRestore} className="auth-form">
+                        {error && <div className="auth-error">{error}</div>}
 
-                    {showResend && (
+                        <p className="auth-hint">
+                            This device has no keys yet. Enter your recovery passphrase or recovery key
+                            to restore them from your encrypted key backup.
+                        </p>
+
+                        <div className="form-group">
+                            <label htmlFor="recoveryPassphrase">Recovery passphrase</label>
+                            <input
+                                id="recoveryPassphrase"
+                                type="password"
+                                value={recoveryPassphrase}
+                                onChange={(e) => setRecoveryPassphrase(e.target.value)}
+                                placeholder="Passphrase or XXXX-XXXX-..."
+                                required
+                                autoFocus
+                            />
+                        </div>
+
+                        <button type="submit" className="auth-button" disabled={loading || !recoveryPassphrase}>
+                            {loading ? 'Restoring keys...' : 'Restore Keys'}
+                        </button>
                         <button
                             type="button"
-                            className="resend-verification-btn"
-                            onClick={handleResend}
-                            disabled={resending}
+                            className="auth-secondary-button"
+                            onClick={handleSkipRestore}
+                            disabled={loading}
                         >
-                            {resending ? 'Sending email...' : 'Resend Verification Email'}
+                            Skip and use new keys
                         </button>
-                    )}
-
-                    <div className="form-group">
-                        <label htmlFor="email">Email</label>
-                        <input
-                            id="email"
-                            type="email"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            placeholder="you@example.com"
-                            required
-                            autoFocus
-                        />
-                    </div>
+                    </form>
+                ) : (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        {error && <div className="auth-error">{error}</div>}
 
-                    <div className="form-group">
-                        <label htmlFor="password">Password</label>
-                        <input
-                            id="password"
-                            type="password"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            placeholder="••••••••"
-                            required
-                        />
-                    </div>
+                        {showResend && (
+                            <button
+                                type="button"
+                                className="resend-verification-btn"
+                                onClick={handleResend}
+                                disabled={resending}
+                            >
+                                {resending ? 'Sending email...' : 'Resend Verification Email'}
+                            </button>
+                        )}
+
+                        <div className="form-group">
+                            <label htmlFor="email">Email</label>
+                            <input
+                                id="email"
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="you@example.com"
+                                required
+                                autoFocus
+                            />
+                        </div>
 
-                    <button type="submit" className="auth-button" disabled={loading}>
-                        {loading ? 'Signing in...' : 'Sign In'}
-                    </button>
-                </form>
+                        <div className="form-group">
+                            <label htmlFor="password">Password</label>
+                            <input
+                                id="password"
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                placeholder="••••••••"
+                                required
+                            />
+                        </div>
+
+                        <button type="submit" className="auth-button" disabled={loading}>
+                            {loading ? 'Signing in...' : 'Sign In'}
+                        </button>
+                    </form>
+                )}
 
                 <p className="auth-footer">
                     Don't have an account? <Link to="/register">Create one</Link>
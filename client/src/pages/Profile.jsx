@@ -2,16 +2,60 @@
  * Profile Page
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import api from '../api/client';
 import { getAvatar, saveAvatar, processAvatar, deleteAvatar } from '../crypto/avatarManager';
-import { exportKeyBackup, importKeyBackup } from '../crypto/keyManager';
+import { exportKeyBackup, importKeyBackup, getKeyFingerprint } from '../crypto/keyManager';
+import { exportVerifiedContacts, importVerifiedContacts } from '../crypto/trustStore';
+import { getAllWallpapers, importWallpapers } from '../utils/wallpaperManager';
+import { listDevices, revokeDevice, approveDevice } from '../api/devices';
+import { getKeyBackupStatus, uploadKeyBackup, deleteKeyBackup } from '../api/keyBackup';
+import { generateRecoveryKey } from '../crypto/keyVault';
+import { isSealedSenderEnabled, setSealedSenderEnabled } from '../api/sealed';
 import BlockedUsers from '../components/BlockedUsers';
+import DeviceLink from '../components/DeviceLink';
 import './Profile.css';
 
+// Messages for importKeyBackup error codes
+const BACKUP_IMPORT_ERRORS = {
+    BACKUP_INVALID: 'This is not a valid Secreta backup file',
+    BACKUP_UNSUPPORTED_VERSION: 'This backup was made by a newer version of Secreta',
+    BACKUP_ACCOUNT_MISMATCH: 'This backup belongs to a different account',
+    BACKUP_WRONG_PASSWORD: 'Wrong password or damaged backup',
+    BACKUP_CORRUPTED: 'This backup is damaged'
+};
+
+// Presence and activity signals with an audience setting (everyone / friends / nobody)
+const PRIVACY_SIGNALS = [
+    { key: 'lastSeen', label: 'Last Seen', description: 'When you were last online' },
+    { key: 'onlineStatus', label: 'Online Status', description: 'Whether you are online right now' },
+    { key: 'typingIndicators', label: 'Typing Indicators', description: 'When you are typing a message' },
+    { key: 'readReceipts', label: 'Read Receipts', description: 'When you have read a message' }
+];
+
+/**
+ * Optional data stored in key backups besides the keys
+ */
+async function collectBackupExtras() {
+    return {
+        avatar: await getAvatar(),
+        wallpapers: await getAllWallpapers(),
+        verifiedContacts: await exportVerifiedContacts()
+    };
+}
+
+/**
+ * Restore optional data from an imported key backup
+ */
+async function applyBackupExtras(extras) {
+    if (extras.avatar) await saveAvatar(extras.avatar);
+    if (extras.wallpapers) await importWallpapers(extras.wallpapers);
+    if (extras.verifiedContacts) await importVerifiedContacts(extras.verifiedContacts);
+}
+
 export default function Profile() {
     const { user, logout, clearAllData } = useAuth();
     const { theme, toggleTheme } = useTheme();
@@ -26,17 +70,55 @@ export default function Profile() {
     const [editingStatus, setEditingStatus] = useState(false);
     const [editingBio, setEditingBio] = useState(false);
     const [showBlockedUsers, setShowBlockedUsers] = useState(false);
+    const [devices, setDevices] = useState([]);
+    // This device holds the identity signing key and can approve others
+    const [canApproveDevices, setCanApproveDevices] = useState(false);
+    const [showDeviceLink, setShowDeviceLink] = useState(false);
+    const [keyBackup, setKeyBackup] = useState(null);
+    const [sealedSender, setSealedSender] = useState(isSealedSenderEnabled);
+    // Who sees our presence and activity (null until loaded)
+    const [privacy, setPrivacy] = useState(null);
+    // Generated recovery key, shown once until dismissed
+    const [recoveryKey, setRecoveryKey] = useState(null);
 
     useEffect(() => {
         loadAvatar();
         loadProfile();
+        loadKeyBackup();
     }, []);
 
+    const loadKeyBackup = async () => {
+        try {
+            setKeyBackup(await getKeyBackupStatus());
+        } catch (error) {
+            console.error('Failed to load key backup status:', error);
+        }
+    };
+
+    const loadDevices = useCallback(async () => {
+        try {
+            const { devices: list, canApprove } = await listDevices(user.id);
+            // Short key fingerprint to compare with the one shown on the device itself
+            setDevices(await Promise.all(list.map(async (device) => ({
+                ...device,
+                fingerprint: (await getKeyFingerprint(device.publicKey)).slice(0, 16).match(/.{4}/g).join(' ')
+            }))));
+            setCanApproveDevices(canApprove);
+        } catch (error) {
+            console.error('Failed to load devices:', error);
+        }
+    }, [user.id]);
+
+    useEffect(() => {
+        loadDevices();
+    }, [loadDevices]);
+
     const loadProfile = async () => {
         try {
             const res = await api.get('/users/profile');
             setStatus(res.data.status || { text: '', emoji: '' });
             setBio(res.data.bio || '');
+            setPrivacy(res.data.privacySettings);
         } catch (error) {
             console.error('Failed to load profile:', error);
         }
@@ -102,9 +184,14 @@ export default function Profile() {
         const password = prompt('Enter a password to protect your backup:');
         if (!password) return;
 
+        const includeExtras = confirm('Also include your avatar, chat wallpapers and verified contacts?');
+
         try {
             setLoading(true);
-            const backup = await exportKeyBackup(password);
+            const backup = await exportKeyBackup(password, {
+                accountId: user.id,
+                extras: includeExtras ? await collectBackupExtras() : {}
+            });
 
             // Download as file
             const blob = new Blob([backup], { type: 'application/json' });
@@ -138,11 +225,16 @@ export default function Profile() {
             setLoading(true);
             try {
                 const text = await file.text();
-                await importKeyBackup(text, password);
+                const { data: account } = await api.get('/auth/me');
+                const { extras } = await importKeyBackup(text, password, {
+                    accountId: user.id,
+                    publishedKey: account.publicKey
+                });
+                await applyBackupExtras(extras);
                 setMessage('Keys restored! Please refresh the page.');
             } catch (error) {
                 console.error('Import error:', error);
-                setMessage('Failed to import backup. Wrong password?');
+                setMessage(BACKUP_IMPORT_ERRORS[error.code] || 'Failed to import backup');
             } finally {
                 setLoading(false);
             }
@@ -150,6 +242,111 @@ export default function Profile() {
         input.click();
     };
 
+    const saveKeyBackup = async (passphrase) => {
+        setLoading(true);
+        try {
+            await uploadKeyBackup(passphrase);
+            await loadKeyBackup();
+            setMessage('Key backup saved');
+            return true;
+        } catch (error) {
+            console.error('Key backup error:', error);
+            setMessage(error.response?.data?.error || 'Failed to save key backup');
+            return false;
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleBackupWithPassphrase = async () => {
+        const passphrase = prompt('Choose a recovery passphrase (at least 12 characters):');
+        if (!passphrase) return;
+
+        if (passphrase.trim().length < 12) {
+            setMessage('Recovery passphrase must be at least 12 characters');
+            return;
+        }
+        if (prompt('Repeat the recovery passphrase:') !== passphrase) {
+            setMessage('Passphrases do not match');
+            return;
+        }
+
+        await saveKeyBackup(passphrase);
+    };
+
+    const handleBackupWithRecoveryKey = async () => {
+        const key = generateRecoveryKey();
+        if (await saveKeyBackup(key)) {
+            setRecoveryKey(key);
+        }
+    };
+
+    const handleDeleteKeyBackup = async () => {
+        if (!confirm('Delete your key backup? New devices will not be able to restore your keys.')) return;
+
+        try {
+            await deleteKeyBackup();
+            setKeyBackup({ exists: false });
+            setRecoveryKey(null);
+            setMessage('Key backup deleted');
+        } catch (error) {
+            console.error('Failed to delete key backup:', error);
+            setMessage('Failed to delete key backup');
+        }
+    };
+
+    const handleToggleSealedSender = () => {
+        setSealedSenderEnabled(!sealedSender);
+        setSealedSender(!sealedSender);
+    };
+
+    const handleChangePrivacy = async (signal, audience) => {
+        const previous = privacy;
+        setPrivacy({ ...privacy, [signal]: audience });
+
+        try {
+            const res = await api.put('/users/privacy', { [signal]: audience });
+            setPrivacy(res.data.privacySettings);
+            setMessage('Privacy settings updated!');
+        } catch (error) {
+            console.error('Failed to save privacy settings:', error);
+            setPrivacy(previous);
+            setMessage('Failed to update privacy settings');
+        }
+    };
+
+    const handleRevokeDevice = async (device) => {
+        if (!confirm(`Revoke "${device.name}"? It will be signed out and its keys deleted.`)) return;
+
+        try {
+            await revokeDevice(device.deviceId);
+            setDevices(prev => prev.filter(d => d.deviceId !== device.deviceId));
+            setMessage('Device revoked');
+        } catch (error) {
+            console.error('Failed to revoke device:', error);
+            setMessage('Failed to revoke device');
+        }
+    };
+
+    const handleApproveDevice = async (device) => {
+        if (!confirm(`Approve "${device.name}"? Check that it shows the fingerprint ${device.fingerprint}.`)) return;
+
+        try {
+            await approveDevice(user.id, device);
+            setDevices(prev => prev.map(d => (d.deviceId === device.deviceId ? { ...d, approved: true } : d)));
+            setMessage('Device approved');
+        } catch (error) {
+            console.error('Failed to approve device:', error);
+            setMessage('Failed to approve device');
+        }
+    };
+
+    // Keys were replaced by a linked device - reload so they are registered and used
+    const handleDeviceLinked = useCallback(() => {
+        setMessage('Device linked! Reloading...');
+        setTimeout(() => window.location.reload(), 1500);
+    }, []);
+
     const handleSaveStatus = async () => {
         try {
             await api.put('/users/status', { text: status.text, emoji: status.emoji });
@@ -309,6 +506,40 @@ export default function Profile() {
                         </div>
                         <span className="privacy-arrow">→</span>
                     </div>
+                    <div className="theme-toggle-row">
+                        <div className="privacy-info">
+                            <strong>Sealed Sender</strong>
+                            <p>Hide who sends your text messages from the server</p>
+                        </div>
+                        <button
+                            className={`theme-toggle ${sealedSender ? 'active' : ''}`}
+                            onClick={handleToggleSealedSender}
+                        >
+                            <span className="toggle-slider" />
+                        </button>
+                    </div>
+                    {privacy && PRIVACY_SIGNALS.map(({ key, label, description }) => (
+                        <div className="theme-toggle-row" key={key}>
+                            <div className="privacy-info">
+                                <strong>{label}</strong>
+                                <p>{description}</p>
+                            </div>
+                            <select
+                                className="privacy-select"
+                                value={privacy[key]}
+                                onChange={(e) => handleChangePrivacy(key, e.target.value)}
+                            >
+                                <option value="everyone">Everyone</option>
+                                <option value="friends">Friends</option>
+                                <option value="nobody">Nobody</option>
+                            </select>
+                        </div>
+                    ))}
+                    {privacy && (
+                        <p className="privacy-note">
+                            What you hide from others you can't see from them either.
+                        </p>
+                    )}
                 </div>
 
                 <div className="profile-section">
@@ -340,6 +571,82 @@ export default function Profile() {
                     </div>
                 </div>
 
+                <div className="profile-section">
+                    <h2>Key Backup</h2>
+                    <div className="security-item">
+                        <span className="security-icon">🗄️</span>
+                        <div>
+                            <strong>{keyBackup?.exists ? 'Backup enabled' : 'Backup disabled'}</strong>
+                            <p>
+                                {keyBackup?.exists
+                                    ? `Last updated ${new Date(keyBackup.updatedAt).toLocaleString()}`
+                                    : 'Store your keys on the server, encrypted with a recovery passphrase only you know'}
+                            </p>
+                        </div>
+                    </div>
+
+                    {recoveryKey && (
+                        <div className="recovery-key">
+                            <p>Write down your recovery key. It is shown only once and is needed to restore your keys:</p>
+                            <code>{recoveryKey}</code>
+                            <button className="backup-btn" onClick={() => setRecoveryKey(null)}>
+                                I saved it
+                            </button>
+                        </div>
+                    )}
+
+                    <div className="key-backup-actions">
+                        <button className="backup-btn" onClick={handleBackupWithPassphrase} disabled={loading}>
+                            🔒 {keyBackup?.exists ? 'New Passphrase' : 'Use Passphrase'}
+                        </button>
+                        <button className="backup-btn" onClick={handleBackupWithRecoveryKey} disabled={loading}>
+                            🎲 Generate Recovery Key
+                        </button>
+                        {keyBackup?.exists && (
+                            <button className="backup-btn" onClick={handleDeleteKeyBackup}>
+                                🗑️ Delete
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                <div className="profile-section">
+                    <h2>Devices</h2>
+                    <ul className="device-list">
+                        {devices.map(device => (
+                            <li key={device.deviceId} className="device-item">
+                                <span className="security-icon">💻</span>
+                                <div className="device-info">
+                                    <strong>
+                                        {device.name}
+                                        {device.current && <span className="device-current"> (this device)</span>}
+                                    </strong>
+                                    <p>Last active {new Date(device.lastActiveAt).toLocaleString()}</p>
+                                    <p>
+                                        Key {device.fingerprint}
+                                        {device.approved ? ' · approved' : ' · not approved - receives no messages'}
+                                    </p>
+                                </div>
+                                {!device.approved && canApproveDevices && (
+                                    <button className="backup-btn" onClick={() => handleApproveDevice(device)}>
+                                        Approve
+                                    </button>
+                                )}
+                                {!device.current && (
+                                    <button className="device-revoke-btn" onClick={() => handleRevokeDevice(device)}>
+                                        Revoke
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="key-backup-actions">
+                        <button className="backup-btn" onClick={() => setShowDeviceLink(true)}>
+                            🔗 Link Device
+                        </button>
+                    </div>
+                </div>
+
                 <div className="profile-actions">
                     <button className="logout-btn" onClick={handleLogout}>
                         Sign Out
@@ -354,6 +661,14 @@ export default function Profile() {
             {showBlockedUsers && (
                 <BlockedUsers onClose={() => setShowBlockedUsers(false)} />
             )}
+
+            {/* Device Link Modal */}
+            {showDeviceLink && (
+                <DeviceLink
+                    onClose={() => setShowDeviceLink(false)}
+                    onLinked={handleDeviceLinked}
+                />
+            )}
         </div>
     );
 }
@@ -0,0 +1,146 @@
+/**
+ * Safety Number Page
+ *
+ * Lets two friends confirm they see each other's real identity keys
+ * by comparing a numeric code or scanning a QR code.
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import QRCode from 'qrcode';
+import { useAuth } from '../context/AuthContext';
+import api from '../api/client';
+import { getStoredPublicKeyJwk } from '../crypto/keyManager';
+import {
+    computeSafetyNumber,
+    formatSafetyNumber,
+    safetyNumberQrPayload,
+    matchesSafetyNumber
+} from '../crypto/safetyNumber';
+import { recordIdentityKey, setVerified } from '../crypto/trustStore';
+import './Profile.css';
+import './SafetyNumber.css';
+
+export default function SafetyNumber() {
+    const { friendId } = useParams();
+    const { user } = useAuth();
+    const navigate = useNavigate();
+
+    const [friend, setFriend] = useState(null);
+    const [safetyNumber, setSafetyNumber] = useState('');
+    const [qrDataUrl, setQrDataUrl] = useState(null);
+    const [trust, setTrust] = useState(null);
+    const [compareInput, setCompareInput] = useState('');
+    const [compareResult, setCompareResult] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const load = async () => {
+            try {
+                const response = await api.get(`/users/${friendId}/public-key`);
+                const ourKey = await getStoredPublicKeyJwk();
+                if (!ourKey) {
+                    setError('Your encryption keys are missing. Please log in again.');
+                    return;
+                }
+
+                const number = await computeSafetyNumber(user.id, ourKey, friendId, response.data.publicKey);
+
+                setFriend(response.data);
+                setSafetyNumber(number);
+                setTrust(await recordIdentityKey(friendId, response.data.publicKey));
+                setQrDataUrl(await QRCode.toDataURL(safetyNumberQrPayload(number), { margin: 1, width: 220 }));
+            } catch (err) {
+                console.error('Failed to load safety number:', err);
+                setError(err.response?.data?.error || 'Failed to load safety number');
+            }
+        };
+
+        load();
+    }, [friendId, user.id]);
+
+    const handleCompare = () => {
+        if (!compareInput.trim()) return;
+        setCompareResult(matchesSafetyNumber(safetyNumber, compareInput));
+    };
+
+    const handleToggleVerified = async () => {
+        const updated = await setVerified(friendId, friend.publicKey, !trust?.verified);
+        setTrust(updated);
+    };
+
+    return (
+        <div className="profile-page">
+            <div className="profile-card glass-card-light safety-card">
+                <button className="back-button" onClick={() => navigate('/')}>
+                    ← Back
+                </button>
+
+                <div className="profile-header">
+                    <h1 className="profile-username">Verify Safety Number</h1>
+                    {friend && (
+                        <p className="profile-email">
+                            {trust?.verified ? '✅ Verified' : 'Not verified'} · {friend.username}
+                        </p>
+                    )}
+                </div>
+
+                {error && <p className="profile-message">{error}</p>}
+
+                {safetyNumber && (
+                    <>
+                        <div className="profile-section">
+                            <p className="safety-hint">
+                                Compare these numbers with {friend.username} in person or over a call,
+                                or scan each other&apos;s code. If they match, no one is intercepting your messages.
+                            </p>
+
+                            {qrDataUrl && (
+                                <div className="safety-qr">
+                                    <img src={qrDataUrl} alt="Safety number QR code" />
+                                </div>
+                            )}
+
+                            <div className="safety-digits">
+                                {formatSafetyNumber(safetyNumber).map((group, i) => (
+                                    <span key={i}>{group}</span>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="profile-section">
+                            <h2>Compare</h2>
+                            <div className="safety-compare">
+                                <input
+                                    type="text"
+                                    value={compareInput}
+                                    onChange={(e) => { setCompareInput(e.target.value); setCompareResult(null); }}
+                                    placeholder="Paste the scanned code or type their digits"
+                                />
+                                <button className="backup-btn" onClick={handleCompare}>
+                                    Check
+                                </button>
+                            </div>
+                            {compareResult !== null && (
+                                <p className={`safety-result ${compareResult ? 'match' : 'mismatch'}`}>
+                                    {compareResult
+                                        ? '✅ Safety numbers match'
+                                        : '⚠️ Safety numbers do not match - do not mark as verified'}
+                                </p>
+                            )}
+                        </div>
+
+                        <div className="profile-actions">
+                            <button
+                                className={trust?.verified ? 'danger-btn' : 'logout-btn'}
+                                onClick={handleToggleVerified}
+                            >
+                                {trust?.verified ? 'Clear Verification' : 'Mark as Verified'}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,39 @@
+/**
+ * Emoji helpers for reactions
+ *
+ * A reaction is one emoji as the user sees it: a single grapheme,
+ * which may be a sequence (skin tones, families, flags, keycaps).
+ */
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3)/u;
+
+// Longest emoji sequence we accept (UTF-16 code units)
+const MAX_EMOJI_LENGTH = 32;
+
+/**
+ * Whether a string is exactly one emoji
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isEmoji(text) {
+    if (typeof text !== 'string' || text.length === 0 || text.length > MAX_EMOJI_LENGTH) return false;
+
+    const [first, second] = graphemes.segment(text);
+    return !second && EMOJI_PATTERN.test(first.segment);
+}
+
+/**
+ * First emoji in some typed or pasted text
+ *
+ * @param {string} text
+ * @returns {string | null}
+ */
+export function firstEmoji(text) {
+    for (const { segment } of graphemes.segment(text || '')) {
+        if (isEmoji(segment)) return segment;
+    }
+    return null;
+}
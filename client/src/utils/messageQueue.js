@@ -1,13 +1,32 @@
 /**
  * Message Queue Manager
- * 
- * Stores messages locally when offline and syncs when connection is restored.
+ *
+ * Outbox for direct messages: every message is stored here until the
+ * server acknowledges it, so messages written offline (or whose send
+ * failed) are sent when the connection is restored.
  * Uses IndexedDB for persistent storage.
+ *
+ * Each message has a client-generated id that the server uses as an
+ * idempotency key, so a retry of a message that did arrive is not
+ * stored twice. The content is AES-GCM encrypted with a key derived
+ * from the identity key; it is encrypted for the recipient when sent.
  */
 
+import { deriveLocalKey } from '../crypto/keyManager';
+import { stringToArrayBuffer, arrayBufferToString, generateIV } from '../crypto/utils';
+
 const DB_NAME = 'secreta_queue';
 const STORE_NAME = 'pending_messages';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
+
+const KDF_INFO = 'secreta-queue-v1 encryption';
+
+// Automatic send attempts before a message is marked failed
+export const MAX_SEND_ATTEMPTS = 8;
+
+// Retry delays: doubling from RETRY_BASE_MS up to RETRY_MAX_MS
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
 
 let db = null;
 
@@ -31,9 +50,13 @@ function openDB() {
 
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
+            // Version 1 stored plaintext messages by temporary id
+            if (database.objectStoreNames.contains(STORE_NAME) && event.oldVersion < 2) {
+                database.deleteObjectStore(STORE_NAME);
+            }
             if (!database.objectStoreNames.contains(STORE_NAME)) {
                 const store = database.createObjectStore(STORE_NAME, {
-                    keyPath: 'tempId',
+                    keyPath: 'clientMessageId',
                     autoIncrement: false
                 });
                 store.createIndex('recipientId', 'recipientId', { unique: false });
@@ -44,32 +67,80 @@ function openDB() {
 }
 
 /**
- * Generate a temporary ID for queued messages
+ * Key for queued content
  */
-function generateTempId() {
-    return `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function getQueueKey() {
+    return deriveLocalKey(KDF_INFO, { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']);
 }
 
 /**
- * Add a message to the offline queue
+ * Decrypt the content of queued records (unreadable ones - queued
+ * under another identity key - are removed)
  */
-export async function queueMessage(message) {
+async function openRecords(records) {
+    if (records.length === 0) return [];
+    const key = await getQueueKey();
+
+    const opened = await Promise.all(records.map(async ({ iv, ciphertext, ...record }) => {
+        try {
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+            return { ...record, content: JSON.parse(arrayBufferToString(plaintext)) };
+        } catch {
+            await removeFromQueue(record.clientMessageId);
+            return null;
+        }
+    }));
+
+    return opened
+        .filter(Boolean)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Delay before the next automatic attempt (with jitter)
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Add a message to the outbox
+ *
+ * @param {string} recipientId
+ * @param {Object} content - What to send, e.g. { messageContent, reply }
+ * @returns {Promise<Object>} Queued message { clientMessageId, recipientId, createdAt, status, attempts, content }
+ */
+export async function queueMessage(recipientId, content) {
     try {
+        const key = await getQueueKey();
+        const iv = generateIV();
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            stringToArrayBuffer(JSON.stringify(content))
+        );
+
         const database = await openDB();
         return new Promise((resolve, reject) => {
             const tx = database.transaction(STORE_NAME, 'readwrite');
             const store = tx.objectStore(STORE_NAME);
 
             const queuedMessage = {
-                tempId: generateTempId(),
-                ...message,
+                clientMessageId: crypto.randomUUID(),
+                recipientId,
                 createdAt: new Date().toISOString(),
-                status: 'pending'
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: 0
             };
 
-            const request = store.add(queuedMessage);
+            const request = store.add({ ...queuedMessage, iv, ciphertext });
 
-            request.onsuccess = () => resolve(queuedMessage);
+            request.onsuccess = () => resolve({ ...queuedMessage, content });
             request.onerror = () => reject(request.error);
         });
     } catch (error) {
@@ -79,12 +150,12 @@ export async function queueMessage(message) {
 }
 
 /**
- * Get all pending messages
+ * Get all queued messages (oldest first, content decrypted)
  */
 export async function getPendingMessages() {
     try {
         const database = await openDB();
-        return new Promise((resolve) => {
+        const records = await new Promise((resolve) => {
             const tx = database.transaction(STORE_NAME, 'readonly');
             const store = tx.objectStore(STORE_NAME);
             const request = store.getAll();
@@ -92,18 +163,19 @@ export async function getPendingMessages() {
             request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => resolve([]);
         });
+        return await openRecords(records);
     } catch {
         return [];
     }
 }
 
 /**
- * Get pending messages for a specific recipient
+ * Get queued messages for a specific recipient
  */
 export async function getPendingMessagesFor(recipientId) {
     try {
         const database = await openDB();
-        return new Promise((resolve) => {
+        const records = await new Promise((resolve) => {
             const tx = database.transaction(STORE_NAME, 'readonly');
             const store = tx.objectStore(STORE_NAME);
             const index = store.index('recipientId');
@@ -112,21 +184,22 @@ export async function getPendingMessagesFor(recipientId) {
             request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => resolve([]);
         });
+        return await openRecords(records);
     } catch {
         return [];
     }
 }
 
 /**
- * Remove a message from the queue (after successful send)
+ * Remove a message from the queue (after successful send, or cancelled)
  */
-export async function removeFromQueue(tempId) {
+export async function removeFromQueue(clientMessageId) {
     try {
         const database = await openDB();
         return new Promise((resolve) => {
             const tx = database.transaction(STORE_NAME, 'readwrite');
             const store = tx.objectStore(STORE_NAME);
-            const request = store.delete(tempId);
+            const request = store.delete(clientMessageId);
 
             request.onsuccess = () => resolve(true);
             request.onerror = () => resolve(false);
@@ -138,20 +211,23 @@ export async function removeFromQueue(tempId) {
 
 /**
  * Update message status in queue
+ *
+ * @param {string} clientMessageId
+ * @param {'pending' | 'failed'} status
+ * @param {{ attempts?: number, nextAttemptAt?: number }} [retry] - Retry schedule
  */
-export async function updateMessageStatus(tempId, status) {
+export async function updateMessageStatus(clientMessageId, status, retry = {}) {
     try {
         const database = await openDB();
         return new Promise((resolve) => {
             const tx = database.transaction(STORE_NAME, 'readwrite');
             const store = tx.objectStore(STORE_NAME);
-            const getRequest = store.get(tempId);
+            const getRequest = store.get(clientMessageId);
 
             getRequest.onsuccess = () => {
                 const message = getRequest.result;
                 if (message) {
-                    message.status = status;
-                    const putRequest = store.put(message);
+                    const putRequest = store.put({ ...message, ...retry, status });
                     putRequest.onsuccess = () => resolve(true);
                     putRequest.onerror = () => resolve(false);
                 } else {
@@ -211,5 +287,6 @@ export default {
     removeFromQueue,
     updateMessageStatus,
     clearQueue,
-    getQueueCount
+    getQueueCount,
+    retryDelay
 };
@@ -0,0 +1,23 @@
+/**
+ * Disappearing message timer options
+ *
+ * Must match TIMER_OPTIONS on the server (services/messageTimers.js).
+ */
+
+export const MESSAGE_TIMER_OPTIONS = [
+    { seconds: 0, label: 'Off' },
+    { seconds: 30, label: '30 seconds' },
+    { seconds: 5 * 60, label: '5 minutes' },
+    { seconds: 60 * 60, label: '1 hour' },
+    { seconds: 24 * 60 * 60, label: '1 day' },
+    { seconds: 7 * 24 * 60 * 60, label: '1 week' }
+];
+
+/**
+ * Human readable timer
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimer(seconds) {
+    return MESSAGE_TIMER_OPTIONS.find(o => o.seconds === seconds)?.label || `${seconds} seconds`;
+}
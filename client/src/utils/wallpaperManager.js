@@ -121,6 +121,35 @@ export async function removeWallpaper(chatId) {
     }
 }
 
+/**
+ * Get all custom wallpapers (for key backups)
+ * @returns {Promise<Array<{ chatId: string, wallpaper: Object }>>}
+ */
+export async function getAllWallpapers() {
+    try {
+        const database = await openDB();
+        return new Promise((resolve) => {
+            const tx = database.transaction(STORE_NAME, 'readonly');
+            const request = tx.objectStore(STORE_NAME).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve([]);
+        });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Restore wallpapers from a key backup
+ * @param {Array<{ chatId: string, wallpaper: Object }>} entries
+ */
+export async function importWallpapers(entries) {
+    for (const { chatId, wallpaper } of entries) {
+        await setWallpaper(chatId, wallpaper);
+    }
+}
+
 /**
  * Get global default wallpaper
  */
@@ -154,5 +183,7 @@ export default {
     removeWallpaper,
     getGlobalWallpaper,
     setGlobalWallpaper,
+    getAllWallpapers,
+    importWallpapers,
     imageToDataURL
 };
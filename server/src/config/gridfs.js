@@ -42,14 +42,20 @@ export const upload = multer({
     }
 });
 
+// Stored file name - real names and types live in the encrypted message
+const STORED_FILENAME = 'encrypted';
+
 /**
  * Upload a file buffer to GridFS
+ * 
+ * Only access control metadata (sender / recipient ids) is stored
+ * next to the encrypted blob.
  */
-export async function uploadToGridFS(buffer, filename, metadata = {}) {
+export async function uploadToGridFS(buffer, metadata = {}) {
     const bucket = getBucket();
 
     return new Promise((resolve, reject) => {
-        const uploadStream = bucket.openUploadStream(filename, {
+        const uploadStream = bucket.openUploadStream(STORED_FILENAME, {
             metadata: {
                 ...metadata,
                 uploadedAt: new Date()
@@ -63,7 +69,6 @@ export async function uploadToGridFS(buffer, filename, metadata = {}) {
             .on('finish', () => {
                 resolve({
                     fileId: uploadStream.id,
-                    filename: filename,
                     length: buffer.length
                 });
             });
@@ -9,6 +9,7 @@ import { initGridFS } from './config/gridfs.js';
 import { authenticateSocket } from './middleware/auth.js';
 import { setupSocketHandlers } from './socket/handlers.js';
 import { startMessageCleanup } from './jobs/messageCleanup.js';
+import { backfillKeyLogs } from './services/keyTransparency.js';
 
 // Routes
 import authRoutes from './routes/auth.js';
@@ -17,6 +18,10 @@ import friendsRoutes from './routes/friends.js';
 import messagesRoutes from './routes/messages.js';
 import avatarRoutes from './routes/avatar.js';
 import filesRoutes from './routes/files.js';
+import groupsRoutes from './routes/groups.js';
+import keysRoutes from './routes/keys.js';
+import devicesRoutes from './routes/devices.js';
+import sealedRoutes from './routes/sealed.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -40,6 +45,13 @@ const io = new Server(httpServer, {
     }
 });
 
+// Behind a reverse proxy, req.ip (used for rate limits) comes from X-Forwarded-For
+// TRUST_PROXY: number of proxy hops or Express trust proxy addresses
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
     origin: allowedOrigins,
@@ -54,6 +66,10 @@ app.use('/api/friends', friendsRoutes);
 app.use('/api/messages', messagesRoutes);
 app.use('/api/avatar', avatarRoutes);
 app.use('/api/files', filesRoutes);
+app.use('/api/groups', groupsRoutes);
+app.use('/api/keys', keysRoutes);
+app.use('/api/devices', devicesRoutes);
+app.use('/api/sealed', sealedRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -66,9 +82,6 @@ io.use(authenticateSocket);
 // Socket.IO handlers
 setupSocketHandlers(io);
 
-// Start message cleanup job
-startMessageCleanup();
-
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Server error:', err);
@@ -81,6 +94,8 @@ const PORT = process.env.PORT || 3001;
 const startServer = async () => {
     await connectDB();
     initGridFS();
+    startMessageCleanup(io);
+    backfillKeyLogs().catch(error => console.error('Key log backfill error:', error));
 
     httpServer.listen(PORT, () => {
         console.log(`
@@ -95,7 +110,10 @@ const startServer = async () => {
     });
 };
 
-startServer().catch(console.error);
+// Tests import the app without starting the server
+if (process.env.NODE_ENV !== 'test') {
+    startServer().catch(console.error);
+}
 
 // Export io for use in routes (e.g., friend request notifications)
-export { io };
+export { app, io };
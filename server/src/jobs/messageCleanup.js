@@ -1,44 +1,47 @@
 /**
  * Message Cleanup Job
  * 
- * Periodically deletes expired ephemeral messages.
- * Runs every 15 minutes to clean up messages past their expiration time.
+ * Deletes disappearing messages whose countdown has ended.
+ * The expiry scheduler deletes them on time; this job also sweeps
+ * every 15 minutes as a fallback.
  */
 
-import Message from '../models/Message.js';
+import { onMessagesExpired, sweepExpiredMessages } from '../services/expiryScheduler.js';
+import { emitToUser } from '../socket/handlers.js';
 
-// Run cleanup every 15 minutes
+// Fallback sweep every 15 minutes
 const CLEANUP_INTERVAL = 15 * 60 * 1000;
 
 /**
- * Delete all expired messages
+ * Tell both participants which of their messages are gone
  */
-async function cleanupExpiredMessages() {
-    try {
-        const now = new Date();
-        const result = await Message.deleteMany({
-            isEphemeral: true,
-            expiresAt: { $lte: now }
+function notifyExpired(io, messages) {
+    const byUser = new Map();
+    messages.forEach(m => {
+        [m.senderId, m.recipientId].filter(Boolean).forEach(userId => {
+            const key = userId.toString();
+            if (!byUser.has(key)) byUser.set(key, []);
+            byUser.get(key).push(m._id.toString());
         });
+    });
 
-        if (result.deletedCount > 0) {
-            console.log(`✓ Cleaned up ${result.deletedCount} expired messages`);
-        }
-    } catch (error) {
-        console.error('Message cleanup error:', error);
-    }
+    byUser.forEach((messageIds, userId) => {
+        emitToUser(io, userId, 'messages_expired', { messageIds });
+    });
 }
 
 /**
  * Start the cleanup scheduler
  */
-export function startMessageCleanup() {
-    // Run immediately on startup
-    cleanupExpiredMessages();
+export function startMessageCleanup(io) {
+    onMessagesExpired(messages => notifyExpired(io, messages));
 
-    // Schedule periodic cleanup
-    setInterval(cleanupExpiredMessages, CLEANUP_INTERVAL);
-    console.log('✓ Message cleanup job started (every 15 minutes)');
+    // Run immediately on startup (also arms the expiry timer)
+    sweepExpiredMessages();
+
+    // Fallback sweep
+    setInterval(sweepExpiredMessages, CLEANUP_INTERVAL);
+    console.log('✓ Message cleanup job started (expiry timer + every 15 minutes)');
 }
 
 export default { startMessageCleanup };
@@ -1,12 +1,14 @@
 import jwt from 'jsonwebtoken';
+import { isDeviceRevoked } from '../services/devices.js';
 
 /**
  * JWT Authentication Middleware
  * 
  * Verifies the JWT token from the Authorization header
  * and attaches the decoded user info to req.user
+ * ({ userId, deviceId? }). Tokens of revoked devices are refused.
  */
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -14,22 +16,34 @@ export const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({ error: 'Token expired' });
         }
         return res.status(403).json({ error: 'Invalid token' });
     }
+
+    try {
+        if (decoded.deviceId && await isDeviceRevoked(decoded.userId, decoded.deviceId)) {
+            return res.status(403).json({ error: 'This device has been revoked', code: 'DEVICE_REVOKED' });
+        }
+    } catch (error) {
+        console.error('Device check error:', error);
+        return res.status(500).json({ error: 'Failed to check device' });
+    }
+
+    req.user = decoded;
+    next();
 };
 
 /**
  * Socket.IO Authentication Middleware
  * 
  * Verifies JWT token for WebSocket connections
+ * (sockets of revoked devices are told so on connection, socket/handlers.js)
  */
 export const authenticateSocket = (socket, next) => {
     const token = socket.handshake.auth.token;
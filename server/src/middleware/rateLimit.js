@@ -0,0 +1,37 @@
+import { getRateLimitError } from '../services/rateLimiter.js';
+
+/**
+ * Rate Limit Middleware
+ *
+ * Refuses requests over the budgets of an action (see RATE_LIMITS in
+ * services/rateLimiter.js) with 429 and Retry-After. Requests are
+ * counted per IP address, and per user when placed after
+ * authenticateToken.
+ *
+ * @param {string} action - Key of RATE_LIMITS
+ */
+export const rateLimit = (action) => async (req, res, next) => {
+    try {
+        const limitError = await getRateLimitError(action, { ip: req.ip, userId: req.user?.userId });
+        if (limitError) {
+            return sendRateLimitError(res, limitError);
+        }
+    } catch (error) {
+        // The API stays up if the store is unreachable
+        console.error('Rate limit error:', error);
+    }
+    next();
+};
+
+/**
+ * Send a 429 for a refused request
+ *
+ * @param {Object} res - Express response
+ * @param {{ status: number, error: string, code: string, retryAfter: number }} limitError
+ */
+export const sendRateLimitError = (res, { status, error, code, retryAfter }) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(status).json({ error, code, retryAfter });
+};
+
+export default { rateLimit, sendRateLimitError };
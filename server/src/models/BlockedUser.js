@@ -4,7 +4,8 @@ import mongoose from 'mongoose';
  * BlockedUser Schema
  * 
  * Manages blocked users for privacy and security.
- * Blocked users cannot send messages or see online status.
+ * Blocked users cannot send messages or see online status
+ * (enforced by services/blockPolicy.js).
  */
 const blockedUserSchema = new mongoose.Schema({
     blockerId: {
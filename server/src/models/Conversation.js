@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * Conversation Schema
+ * 
+ * Group conversations with multiple members and admins.
+ * 
+ * SECURITY NOTES:
+ * - Group messages are encrypted ONCE with the sender's sender key
+ * - Sender keys are distributed to each member individually (ECDH)
+ * - keyEpoch is bumped on every membership change so senders rotate
+ *   their sender keys and removed members cannot read new messages
+ */
+const conversationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 1,
+        maxlength: 50
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    admins: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // When each member joined (userId -> Date), used to hide older history
+    memberSince: {
+        type: Map,
+        of: Date,
+        default: {}
+    },
+    // Incremented whenever membership changes (forces sender key rotation)
+    keyEpoch: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+conversationSchema.index({ members: 1, updatedAt: -1 });
+
+conversationSchema.methods.isMember = function (userId) {
+    return this.members.some(m => m.toString() === userId.toString());
+};
+
+conversationSchema.methods.isAdmin = function (userId) {
+    return this.admins.some(a => a.toString() === userId.toString());
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
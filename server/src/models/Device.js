@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * Device Schema
+ * 
+ * Every browser a user signs in from is a device with its own
+ * key pair. Direct messages are additionally encrypted for each
+ * active device so all of them can read the conversation.
+ * 
+ * SECURITY NOTES:
+ * - Only public keys are stored; private keys never leave the device
+ * - A device's keys are only used once the owner signed them with the
+ *   identity signing key; changing them drops the signature
+ * - Revoked devices are kept (revokedAt set) so their id cannot re-register
+ */
+const deviceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Client-generated random id, sent as the x-device-id header
+    deviceId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        maxlength: 60,
+        default: 'Unknown device'
+    },
+    // ECDH public key of the device (JWK format)
+    publicKey: {
+        type: Object,
+        required: true
+    },
+    // ECDSA public key that verifies signatures made on this device
+    signingKey: {
+        type: Object,
+        default: null
+    },
+    // The owner's identity signing key over userId, deviceId and both keys
+    // (services/devices.js); other clients ignore devices without a valid one
+    signature: {
+        type: String,
+        default: null
+    },
+    lastActiveAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+const Device = mongoose.model('Device', deviceSchema);
+
+export default Device;
@@ -21,6 +21,25 @@ const friendshipSchema = new mongoose.Schema({
         type: String,
         enum: ['pending', 'accepted', 'rejected'],
         default: 'pending'
+    },
+    /**
+     * Disappearing message timer for the conversation (seconds, 0 = off)
+     * Changes are proposed by one friend and take effect once the
+     * other accepts (see services/messageTimers.js)
+     */
+    messageTimer: {
+        seconds: {
+            type: Number,
+            default: 0
+        },
+        proposal: {
+            seconds: Number,
+            proposedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            proposedAt: Date
+        }
     }
 }, {
     timestamps: true
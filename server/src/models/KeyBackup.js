@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * KeyBackup Schema
+ * 
+ * Opt-in server-side key vault. The client encrypts its keys with a
+ * key stretched from a recovery passphrase; the server stores the
+ * opaque blob and only releases it to a client that proves knowledge
+ * of the passphrase (authToken), with a lockout after failed attempts.
+ * 
+ * SECURITY NOTES:
+ * - The server never sees the passphrase or the encryption key
+ * - authToken is derived separately from the encryption key and stored bcrypt-hashed
+ */
+const keyBackupSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    // KDF parameters the client needs to re-derive its keys
+    kdf: {
+        name: { type: String, required: true },
+        hash: { type: String, required: true },
+        iterations: { type: Number, required: true },
+        salt: { type: String, required: true }
+    },
+    // bcrypt hash of the client's authToken
+    authHash: {
+        type: String,
+        required: true
+    },
+    // Encrypted key bundle (Base64)
+    iv: {
+        type: String,
+        required: true
+    },
+    ciphertext: {
+        type: String,
+        required: true
+    },
+    // Restore attempt limiting
+    failedAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const KeyBackup = mongoose.model('KeyBackup', keyBackupSchema);
+
+export default KeyBackup;
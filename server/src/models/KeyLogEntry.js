@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+/**
+ * KeyLogEntry Schema
+ * 
+ * Append-only, hash-chained history of a user's public keys
+ * (key transparency). Entries are never updated or deleted.
+ * 
+ * entryHash = SHA-256 over [prevHash, seq, userId, keyType, keyHash, createdAt]
+ * so rewriting any past entry changes every later hash, which clients
+ * that pinned an earlier head will detect.
+ */
+const keyLogEntrySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Position in the user's log, starting at 0
+    seq: {
+        type: Number,
+        required: true
+    },
+    // 'identity' (ECDH) or 'signing' (ECDSA)
+    keyType: {
+        type: String,
+        enum: ['identity', 'signing'],
+        required: true
+    },
+    // Public key in JWK format
+    publicKey: {
+        type: Object,
+        required: true
+    },
+    // SHA-256 of the canonical public key (hex)
+    keyHash: {
+        type: String,
+        required: true
+    },
+    // entryHash of the previous entry ('' for the first)
+    prevHash: {
+        type: String,
+        default: ''
+    },
+    entryHash: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        required: true
+    }
+});
+
+keyLogEntrySchema.index({ userId: 1, seq: 1 }, { unique: true });
+
+const KeyLogEntry = mongoose.model('KeyLogEntry', keyLogEntrySchema);
+
+export default KeyLogEntry;
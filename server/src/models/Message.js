@@ -11,37 +11,132 @@ import mongoose from 'mongoose';
  */
 
 // Sub-schema for encrypted payload
+// Unversioned payloads are static-key ECDH ('secreta-e2ee-v1');
+// versioned payloads belong to a Double Ratchet session
 const encryptedPayloadSchema = new mongoose.Schema({
-    // Ephemeral public key (JWK format) for this message
+    // Wire format version (e.g. 'secreta-dr-v1'), absent for v1
+    version: {
+        type: String,
+        default: undefined
+    },
+    // Ratchet header: { dh, pn, n } (session payloads)
+    header: {
+        type: Object,
+        default: undefined
+    },
+    // X3DH handshake sent until the recipient replies (session payloads)
+    prekey: {
+        type: Object,
+        default: undefined
+    },
+    // Ephemeral public key (JWK format) for this message (v1)
     ephemeralPublicKey: {
         type: Object,
+        required: function () {
+            return !this.version;
+        }
+    },
+    // Initialization vector (Base64 encoded, v1)
+    iv: {
+        type: String,
+        required: function () {
+            return !this.version;
+        }
+    },
+    // Encrypted message content (Base64 encoded)
+    ciphertext: {
+        type: String,
+        required: true
+    },
+    // Sender's ECDSA signature over the payload (Base64 encoded)
+    signature: {
+        type: String,
+        default: undefined
+    }
+}, { _id: false });
+
+// Sub-schema for group payloads (encrypted once with the sender's sender key)
+const groupPayloadSchema = new mongoose.Schema({
+    // Identifier of the sender key used (distributed separately)
+    senderKeyId: {
+        type: String,
+        required: true
+    },
+    // Per-message HKDF salt (Base64 encoded)
+    salt: {
+        type: String,
         required: true
     },
-    // Initialization vector (Base64 encoded)
     iv: {
         type: String,
         required: true
     },
-    // Encrypted message content (Base64 encoded)
     ciphertext: {
         type: String,
         required: true
+    },
+    // Sender's ECDSA signature over the payload (Base64 encoded)
+    signature: {
+        type: String,
+        default: undefined
+    }
+}, { _id: false });
+
+// Sub-schema for a copy of a direct message encrypted for one device
+const deviceEnvelopeSchema = new mongoose.Schema({
+    // Owner of the device (sender or recipient)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: encryptedPayloadSchema,
+        required: true
     }
 }, { _id: false });
 
 const messageSchema = new mongoose.Schema({
+    // Not stored for sealed sender messages (see sealed)
     senderId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        required: function () {
+            return !this.sealed;
+        },
         index: true
     },
+    // Not set for group messages (see groupId)
     recipientId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        required: function () {
+            return !this.groupId;
+        },
         index: true
     },
+    // Group conversation this message belongs to (null for direct messages)
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        default: null
+    },
+    /**
+     * Encrypted once for all group members (group messages only)
+     */
+    encryptedForGroup: {
+        type: groupPayloadSchema,
+        default: undefined
+    },
+    // Sender key epoch the message was encrypted under
+    keyEpoch: {
+        type: Number,
+        default: null
+    },
     /**
      * Encrypted for recipient (using recipient's public key)
      * Only the recipient can decrypt this
@@ -52,6 +147,40 @@ const messageSchema = new mongoose.Schema({
      * Only the sender can decrypt this
      */
     encryptedForSender: encryptedPayloadSchema,
+    /**
+     * Extra copies for each other device of the sender and recipient
+     * Each client only receives the envelope for its own device
+     */
+    deviceEnvelopes: {
+        type: [deviceEnvelopeSchema],
+        default: undefined
+    },
+    /**
+     * Earlier versions of an edited direct message, oldest first
+     * Each keeps the ciphertexts it was sent with (see services/messageEdits.js)
+     */
+    editHistory: {
+        type: [{
+            encryptedForRecipient: encryptedPayloadSchema,
+            encryptedForSender: encryptedPayloadSchema,
+            deviceEnvelopes: {
+                type: [deviceEnvelopeSchema],
+                default: undefined
+            },
+            // When this version was replaced
+            replacedAt: {
+                type: Date,
+                required: true
+            },
+            _id: false
+        }],
+        default: undefined
+    },
+    // Last edit (null if never edited)
+    editedAt: {
+        type: Date,
+        default: null
+    },
     /**
      * Legacy field for backwards compatibility
      * @deprecated Use encryptedForRecipient/encryptedForSender instead
@@ -61,20 +190,64 @@ const messageSchema = new mongoose.Schema({
         iv: String,
         ciphertext: String
     },
-    // Message delivery status
+    /**
+     * Sealed sender: the sender is only named inside the encrypted
+     * payload, the server stores nothing but the recipient
+     */
+    sealed: {
+        type: Boolean,
+        default: false
+    },
+    // Sealed: hash of the receipt token the sender put inside the message
+    // (services/sealedSender.js); only that token reports it read
+    receiptTokenHash: {
+        type: String,
+        default: undefined
+    },
+    // Users who deleted the message for themselves only
+    hiddenFor: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: undefined
+    },
+    /**
+     * Deleted for everyone: the ciphertexts are removed and the
+     * message stays as a tombstone so both sides show it was deleted
+     */
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Message delivery status (see services/messageReceipts.js)
     delivered: {
         type: Boolean,
         default: false
     },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
     read: {
         type: Boolean,
         default: false
     },
-    // Emoji reactions: array of { emoji: string, userId: ObjectId }
+    readAt: {
+        type: Date,
+        default: null
+    },
+    // Reactions: one encrypted event per reacting user, opaque to the server
+    // (older reactions have a plaintext `emoji` instead)
     reactions: [{
-        emoji: { type: String, required: true },
-        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        encryptedForSelf: { type: Object, default: undefined },
+        encryptedForPeer: { type: Object, default: undefined },
+        emoji: { type: String, default: undefined },
+        updatedAt: { type: Date, default: Date.now }
     }],
+    // Sender-generated id: retries of send_message with it store the message once
+    clientMessageId: {
+        type: String,
+        default: null
+    },
     // Reply to another message
     replyTo: {
         type: mongoose.Schema.Types.ObjectId,
@@ -91,9 +264,17 @@ const messageSchema = new mongoose.Schema({
         encryptedPreview: {
             ephemeralPublicKey: Object,
             iv: String,
-            ciphertext: String
+            ciphertext: String,
+            signature: String
         }
     },
+    /**
+     * Legacy plaintext metadata (older clients only)
+     * Current clients put the message type, file details and voice data
+     * inside the encrypted payload (see client crypto/messageContent.js).
+     * send_message refuses these fields with ratchet (versioned) payloads,
+     * so only v1 messages can carry anything but the defaults below.
+     */
     // File attachment support
     fileAttachment: {
         fileId: String,          // GridFS file ID
@@ -104,7 +285,8 @@ const messageSchema = new mongoose.Schema({
         encryptedMetadata: {
             ephemeralPublicKey: Object,
             iv: String,
-            ciphertext: String
+            ciphertext: String,
+            signature: String
         }
     },
     // Message type: 'text', 'file', 'voice', 'image'
@@ -122,22 +304,68 @@ const messageSchema = new mongoose.Schema({
         type: [Number],
         default: []
     },
-    // Disappearing messages support
+    /**
+     * GridFS ids of the attachments named in the encrypted content, given
+     * by the sender so the files can be removed with the message (expiry,
+     * delete for everyone, view-once)
+     */
+    fileIds: {
+        type: [String],
+        default: undefined
+    },
+    /**
+     * View-once attachment: the recipient can open it a single time,
+     * then the file is deleted and consumedAt is set
+     */
+    viewOnce: {
+        type: Boolean,
+        default: false
+    },
+    consumedAt: {
+        type: Date,
+        default: null
+    },
+    /**
+     * Disappearing messages: the conversation timer when the message was
+     * sent (seconds). The countdown starts when the recipient reads it.
+     */
+    timerSeconds: {
+        type: Number,
+        default: 0
+    },
     isEphemeral: {
         type: Boolean,
         default: false
     },
+    // Set once the countdown starts (see services/expiryScheduler.js)
     expiresAt: {
         type: Date,
         default: null,
         index: true // Index for efficient cleanup queries
+    },
+    /**
+     * Server-generated conversation event (no encrypted content),
+     * e.g. { type: 'timer_changed', timerSeconds: 300 } - senderId made the change
+     */
+    systemEvent: {
+        type: {
+            type: String,
+            enum: ['timer_changed']
+        },
+        timerSeconds: Number
     }
 }, {
     timestamps: true
 });
 
-// Compound index for efficient conversation queries
-messageSchema.index({ senderId: 1, recipientId: 1, createdAt: -1 });
+// Compound index for efficient conversation queries (history pages sort by createdAt, _id)
+messageSchema.index({ senderId: 1, recipientId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ groupId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ recipientId: 1, sealed: 1, createdAt: -1 });
+messageSchema.index(
+    { senderId: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * OneTimePreKey Schema
+ * 
+ * One-time prekeys for X3DH session setup.
+ * Each key is handed out to exactly one session initiator and
+ * deleted from the server when claimed.
+ * 
+ * SECURITY NOTES:
+ * - Only the public half is stored; the private half never leaves the client
+ */
+const oneTimePreKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Client-chosen id, echoed back in the X3DH handshake
+    keyId: {
+        type: Number,
+        required: true
+    },
+    // ECDH public key (JWK format)
+    publicKey: {
+        type: Object,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One key id per user, claimed oldest first
+oneTimePreKeySchema.index({ userId: 1, keyId: 1 }, { unique: true });
+oneTimePreKeySchema.index({ userId: 1, createdAt: 1 });
+
+const OneTimePreKey = mongoose.model('OneTimePreKey', oneTimePreKeySchema);
+
+export default OneTimePreKey;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * SenderKeyDistribution Schema
+ * 
+ * A group member's sender key, encrypted for one other member
+ * with the regular ECDH message encryption.
+ * 
+ * SECURITY NOTES:
+ * - The server only stores the encrypted key blob
+ * - Kept so members who were offline can fetch keys later
+ */
+const senderKeyDistributionSchema = new mongoose.Schema({
+    groupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recipientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    epoch: {
+        type: Number,
+        required: true
+    },
+    // Random identifier chosen by the sender for this sender key
+    keyId: {
+        type: String,
+        required: true
+    },
+    // Sender key encrypted for recipient (same format as message payloads)
+    encryptedKey: {
+        ephemeralPublicKey: Object,
+        iv: String,
+        ciphertext: String
+    }
+}, {
+    timestamps: true
+});
+
+senderKeyDistributionSchema.index({ groupId: 1, recipientId: 1 });
+senderKeyDistributionSchema.index({ groupId: 1, senderId: 1, recipientId: 1, keyId: 1 }, { unique: true });
+
+const SenderKeyDistribution = mongoose.model('SenderKeyDistribution', senderKeyDistributionSchema);
+
+export default SenderKeyDistribution;
@@ -6,6 +6,7 @@ import mongoose from 'mongoose';
  * SECURITY NOTES:
  * - passwordHash: Stored using bcrypt (cost factor 12)
  * - publicKey: JWK format ECDH public key for E2EE
+ * - signingKey / signedPreKey: public session keys (X3DH)
  * - Private keys are NEVER stored on the server
  */
 const userSchema = new mongoose.Schema({
@@ -39,6 +40,24 @@ const userSchema = new mongoose.Schema({
         type: Object,
         default: null
     },
+    /**
+     * Identity signing public key in JWK format (ECDSA P-256)
+     * Used to verify signatures made by this account (e.g. signed prekeys)
+     */
+    signingKey: {
+        type: Object,
+        default: null
+    },
+    /**
+     * Signed prekey for starting Double Ratchet sessions (X3DH)
+     * signature: ECDSA signature of the prekey by signingKey
+     */
+    signedPreKey: {
+        keyId: Number,
+        publicKey: Object,
+        signature: String,
+        createdAt: Date
+    },
     refreshToken: {
         type: String,
         default: null
@@ -88,6 +107,19 @@ const userSchema = new mongoose.Schema({
         type: String,
         maxlength: 150,
         default: ''
+    },
+    // Who gets presence and activity signals (see services/privacy.js)
+    privacySettings: {
+        readReceipts: { type: String, enum: ['everyone', 'friends', 'nobody'], default: 'everyone' },
+        typingIndicators: { type: String, enum: ['everyone', 'friends', 'nobody'], default: 'everyone' },
+        lastSeen: { type: String, enum: ['everyone', 'friends', 'nobody'], default: 'everyone' },
+        onlineStatus: { type: String, enum: ['everyone', 'friends', 'nobody'], default: 'everyone' }
+    },
+    // Sealed sender delivery tokens for this user name the epoch they were
+    // issued in; bumping it (on block / unfriend) voids all outstanding ones
+    sealedTokenEpoch: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
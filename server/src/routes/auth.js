@@ -4,7 +4,12 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit, sendRateLimitError } from '../middleware/rateLimit.js';
 import { sendVerificationEmail } from '../config/emailService.js';
+import { appendKey } from '../services/keyTransparency.js';
+import { privacySettings } from '../services/privacy.js';
+import { getLoginLockError, getLoginDelayMs, recordLoginFailure, clearLoginFailures } from '../services/rateLimiter.js';
+import { isValidDeviceId, isDeviceRevoked } from '../services/devices.js';
 
 const router = express.Router();
 
@@ -18,16 +23,19 @@ const VERIFICATION_TOKEN_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 
 /**
  * Generate JWT tokens
+ * Tokens issued to a device (x-device-id) stop working when it is revoked.
  */
-const generateTokens = (userId) => {
+const generateTokens = (userId, deviceId) => {
+    const claims = deviceId ? { userId, deviceId } : { userId };
+
     const accessToken = jwt.sign(
-        { userId },
+        claims,
         process.env.JWT_SECRET,
         { expiresIn: ACCESS_TOKEN_EXPIRY }
     );
 
     const refreshToken = jwt.sign(
-        { userId },
+        claims,
         process.env.JWT_REFRESH_SECRET,
         { expiresIn: REFRESH_TOKEN_EXPIRY }
     );
@@ -35,6 +43,16 @@ const generateTokens = (userId) => {
     return { accessToken, refreshToken };
 };
 
+/**
+ * Device a request comes from (x-device-id header), if valid
+ */
+const requestDeviceId = (req) => {
+    const deviceId = req.headers['x-device-id'];
+    return isValidDeviceId(deviceId) ? deviceId : null;
+};
+
+const DEVICE_REVOKED = { error: 'This device has been revoked', code: 'DEVICE_REVOKED' };
+
 /**
  * Generate email verification token
  */
@@ -48,7 +66,7 @@ const generateVerificationToken = () => {
  * Register a new user with email, username, and password.
  * Sends verification email before allowing login.
  */
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), async (req, res) => {
     try {
         const { email, username, password, publicKey } = req.body;
 
@@ -95,6 +113,10 @@ router.post('/register', async (req, res) => {
 
         await user.save();
 
+        if (user.publicKey) {
+            await appendKey(user._id, 'identity', user.publicKey);
+        }
+
         // Send verification email
         const emailSent = await sendVerificationEmail(email, username, verificationToken);
 
@@ -157,7 +179,7 @@ router.get('/verify/:token', async (req, res) => {
  * 
  * Resend verification email
  */
-router.post('/resend-verification', async (req, res) => {
+router.post('/resend-verification', rateLimit('resendVerification'), async (req, res) => {
     try {
         const { email } = req.body;
 
@@ -197,9 +219,13 @@ router.post('/resend-verification', async (req, res) => {
  * POST /api/auth/login
  * 
  * Authenticate user with email and password
- * Only allows verified users to log in
+ * Only allows verified users to log in. Repeated failures lock logins
+ * to the account from the same address, for longer each time; many
+ * failures from anywhere delay every login to it (without locking out
+ * the owner). Tokens are issued to the device named by x-device-id,
+ * unless it was revoked.
  */
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login'), async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -207,18 +233,29 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: 'Email and password are required' });
         }
 
-        // Find user by email
-        const user = await User.findOne({ email: email.toLowerCase() });
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const account = email.toLowerCase();
+        const lockError = await getLoginLockError(account, req.ip);
+        if (lockError) {
+            return sendRateLimitError(res, lockError);
+        }
+
+        // Many failures from all addresses slow down every login to the account
+        const delayMs = await getLoginDelayMs(account);
+        if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
         }
 
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+        // Find user by email
+        const user = await User.findOne({ email: account });
+        // Unknown accounts count as failures too, so they look the same
+        const isValidPassword = !!user && await bcrypt.compare(password, user.passwordHash);
         if (!isValidPassword) {
+            await recordLoginFailure(account, req.ip);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        await clearLoginFailures(account, req.ip);
+
         // Check if email is verified
         if (!user.isVerified) {
             return res.status(403).json({
@@ -228,12 +265,20 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        // A revoked browser has to wipe its data and log in as a new device
+        const deviceId = requestDeviceId(req);
+        if (deviceId && await isDeviceRevoked(user._id, deviceId)) {
+            return res.status(403).json(DEVICE_REVOKED);
+        }
+
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user._id);
+        const { accessToken, refreshToken } = generateTokens(user._id, deviceId);
 
         // Update refresh token and last seen
         user.refreshToken = refreshToken;
-        user.lastSeen = new Date();
+        if (privacySettings(user).lastSeen !== 'nobody') {
+            user.lastSeen = new Date();
+        }
         await user.save();
 
         res.json({
@@ -258,6 +303,8 @@ router.post('/login', async (req, res) => {
  * POST /api/auth/refresh
  * 
  * Refresh access token using refresh token
+ * Refused for revoked devices. Tokens from before device binding are
+ * bound to the device asking (x-device-id).
  */
 router.post('/refresh', async (req, res) => {
     try {
@@ -276,8 +323,13 @@ router.post('/refresh', async (req, res) => {
             return res.status(403).json({ error: 'Invalid refresh token' });
         }
 
+        const deviceId = decoded.deviceId || requestDeviceId(req);
+        if (deviceId && await isDeviceRevoked(user._id, deviceId)) {
+            return res.status(403).json(DEVICE_REVOKED);
+        }
+
         // Generate new tokens
-        const tokens = generateTokens(user._id);
+        const tokens = generateTokens(user._id, deviceId);
 
         // Update stored refresh token
         user.refreshToken = tokens.refreshToken;
@@ -348,6 +400,9 @@ router.put('/public-key', authenticateToken, async (req, res) => {
 
         await User.findByIdAndUpdate(req.user.userId, { publicKey });
 
+        // Every key change is recorded in the user's public key log
+        await appendKey(req.user.userId, 'identity', publicKey);
+
         res.json({ message: 'Public key updated successfully' });
     } catch (error) {
         res.status(500).json({ error: 'Failed to update public key' });
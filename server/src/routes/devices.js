@@ -0,0 +1,233 @@
+import express from 'express';
+import Device from '../models/Device.js';
+import Friendship from '../models/Friendship.js';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { io } from '../index.js';
+import { getDeviceSockets } from '../socket/handlers.js';
+import { isPublicJwk } from '../services/prekeys.js';
+import {
+    isValidDeviceId,
+    getActiveDevices,
+    isDeviceRevoked,
+    verifyDeviceSignature,
+    deviceKeysChanged,
+    MAX_DEVICES_PER_USER
+} from '../services/devices.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Public view of a device
+ */
+function toDeviceJSON(device, currentDeviceId) {
+    return {
+        deviceId: device.deviceId,
+        name: device.name,
+        publicKey: device.publicKey,
+        signingKey: device.signingKey,
+        signature: device.signature,
+        lastActiveAt: device.lastActiveAt,
+        createdAt: device.createdAt,
+        current: device.deviceId === currentDeviceId
+    };
+}
+
+/**
+ * GET /api/devices
+ * 
+ * List our active devices
+ */
+router.get('/', async (req, res) => {
+    try {
+        const devices = await getActiveDevices(req.user.userId);
+        const currentDeviceId = req.headers['x-device-id'];
+
+        res.json(devices
+            .sort((a, b) => b.lastActiveAt - a.lastActiveAt)
+            .map(d => toDeviceJSON(d, currentDeviceId)));
+    } catch (error) {
+        console.error('List devices error:', error);
+        res.status(500).json({ error: 'Failed to list devices' });
+    }
+});
+
+/**
+ * PUT /api/devices/current
+ * 
+ * Register (or refresh) the calling device
+ * Device id comes from the x-device-id header and must be the one the
+ * access token was issued to. New or changed keys are unsigned until
+ * the owner signs them (PUT /:deviceId/signature).
+ * Body: { name, publicKey, signingKey }
+ */
+router.put('/current', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const deviceId = req.headers['x-device-id'];
+        const { name, publicKey, signingKey } = req.body;
+
+        if (!isValidDeviceId(deviceId)) {
+            return res.status(400).json({ error: 'Valid x-device-id header required' });
+        }
+        if (req.user.deviceId && req.user.deviceId !== deviceId) {
+            return res.status(403).json({ error: 'Access token was issued to another device' });
+        }
+
+        if (!isPublicJwk(publicKey) || (signingKey && !isPublicJwk(signingKey))) {
+            return res.status(400).json({ error: 'Valid JWK public keys required' });
+        }
+
+        if (await isDeviceRevoked(userId, deviceId)) {
+            return res.status(403).json({ error: 'This device has been revoked', code: 'DEVICE_REVOKED' });
+        }
+
+        const devices = await getActiveDevices(userId);
+        const existing = devices.find(d => d.deviceId === deviceId);
+        const isNew = !existing;
+
+        if (isNew && devices.length >= MAX_DEVICES_PER_USER) {
+            return res.status(400).json({ error: `Maximum ${MAX_DEVICES_PER_USER} devices allowed` });
+        }
+
+        const device = await Device.findOneAndUpdate(
+            { userId, deviceId },
+            {
+                name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 60) : 'Unknown device',
+                publicKey,
+                signingKey: signingKey || null,
+                lastActiveAt: new Date(),
+                // A signature only vouches for the keys it was made over
+                ...((isNew || deviceKeysChanged(existing, { publicKey, signingKey })) && { signature: null })
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        res.json({
+            device: toDeviceJSON(device, deviceId),
+            otherDevices: devices.filter(d => d.deviceId !== deviceId).length
+        });
+    } catch (error) {
+        console.error('Register device error:', error);
+        res.status(500).json({ error: 'Failed to register device' });
+    }
+});
+
+/**
+ * PUT /api/devices/:deviceId/signature
+ * 
+ * Approve one of our devices: store the signature of its keys made
+ * with our identity signing key (client crypto/deviceKeys.js)
+ * Body: { signature }
+ */
+router.put('/:deviceId/signature', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { deviceId } = req.params;
+        const { signature } = req.body;
+
+        const [device, user] = await Promise.all([
+            Device.findOne({ userId, deviceId, revokedAt: null }),
+            User.findById(userId).select('signingKey')
+        ]);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        if (!(await verifyDeviceSignature(userId, device, signature, user?.signingKey))) {
+            return res.status(400).json({ error: 'Invalid device signature' });
+        }
+
+        await Device.updateOne({ _id: device._id }, { signature });
+
+        res.json({ message: 'Device approved' });
+    } catch (error) {
+        console.error('Sign device error:', error);
+        res.status(500).json({ error: 'Failed to approve device' });
+    }
+});
+
+/**
+ * DELETE /api/devices/:deviceId
+ * 
+ * Revoke one of our devices
+ * Its sockets are told to wipe local keys and are disconnected, its
+ * access and refresh tokens stop working (middleware/auth.js), and it
+ * no longer receives copies of new messages.
+ */
+router.delete('/:deviceId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { deviceId } = req.params;
+
+        const device = await Device.findOneAndUpdate(
+            { userId, deviceId, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        getDeviceSockets(io, userId, deviceId).forEach(deviceSocket => {
+            deviceSocket.emit('device_revoked', { deviceId });
+            deviceSocket.disconnect(true);
+        });
+
+        res.json({ message: 'Device revoked' });
+    } catch (error) {
+        console.error('Revoke device error:', error);
+        res.status(500).json({ error: 'Failed to revoke device' });
+    }
+});
+
+/**
+ * GET /api/devices/user/:userId
+ * 
+ * Public keys of a friend's (or our own) active devices, for message
+ * fan-out, with the identity signing key that must have signed them
+ * Response: { signingKey, devices: [{ deviceId, publicKey, signingKey, signature }] }
+ */
+router.get('/user/:userId', async (req, res) => {
+    try {
+        const currentUserId = req.user.userId;
+        const { userId } = req.params;
+
+        if (userId !== currentUserId) {
+            const friendship = await Friendship.findOne({
+                $or: [
+                    { requester: currentUserId, recipient: userId, status: 'accepted' },
+                    { requester: userId, recipient: currentUserId, status: 'accepted' }
+                ]
+            });
+
+            if (!friendship) {
+                return res.status(403).json({ error: 'Not friends with this user' });
+            }
+        }
+
+        const [user, devices] = await Promise.all([
+            User.findById(userId).select('signingKey'),
+            getActiveDevices(userId)
+        ]);
+
+        res.json({
+            signingKey: user?.signingKey || null,
+            devices: devices.map(d => ({
+                deviceId: d.deviceId,
+                publicKey: d.publicKey,
+                signingKey: d.signingKey,
+                signature: d.signature
+            }))
+        });
+    } catch (error) {
+        console.error('Get user devices error:', error);
+        res.status(500).json({ error: 'Failed to get devices' });
+    }
+});
+
+export default router;
@@ -21,6 +21,9 @@ router.use(authenticateToken);
  * Upload an encrypted file
  * Request body: multipart/form-data with 'file' field
  * Headers: x-recipient-id (for verification)
+ * 
+ * The upload's name and type are ignored - file name, type and real
+ * size are part of the encrypted message, the blob is padded.
  */
 router.post('/upload', upload.single('file'), async (req, res) => {
     try {
@@ -45,17 +48,14 @@ router.post('/upload', upload.single('file'), async (req, res) => {
             }
         }
 
-        const result = await uploadToGridFS(req.file.buffer, req.file.originalname, {
+        const result = await uploadToGridFS(req.file.buffer, {
             senderId: userId,
             recipientId: recipientId || null,
-            mimeType: req.file.mimetype,
-            originalName: req.file.originalname,
             encrypted: true // Flag indicating client-side encryption
         });
 
         res.json({
             fileId: result.fileId.toString(),
-            filename: result.filename,
             size: result.length
         });
     } catch (error) {
@@ -89,9 +89,9 @@ router.get('/:fileId', async (req, res) => {
         const buffer = await downloadFromGridFS(fileId);
 
         res.set({
-            'Content-Type': fileInfo.metadata?.mimeType || 'application/octet-stream',
+            'Content-Type': 'application/octet-stream',
             'Content-Length': buffer.length,
-            'Content-Disposition': `attachment; filename="${fileInfo.filename}"`
+            'Content-Disposition': 'attachment'
         });
 
         res.send(buffer);
@@ -123,9 +123,7 @@ router.get('/:fileId/info', async (req, res) => {
 
         res.json({
             fileId: fileInfo._id.toString(),
-            filename: fileInfo.filename,
             size: fileInfo.length,
-            mimeType: fileInfo.metadata?.mimeType,
             uploadedAt: fileInfo.metadata?.uploadedAt
         });
     } catch (error) {
@@ -3,8 +3,13 @@ import Friendship from '../models/Friendship.js';
 import BlockedUser from '../models/BlockedUser.js';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import { io } from '../index.js';
-import { userSockets } from '../socket/handlers.js';
+import { userSockets, emitToUser } from '../socket/handlers.js';
+import { timerState } from '../services/messageTimers.js';
+import { privacySettings, canShare } from '../services/privacy.js';
+import { getBlockError } from '../services/blockPolicy.js';
+import { revokeDeliveryTokens } from '../services/sealedSender.js';
 
 const router = express.Router();
 
@@ -25,7 +30,10 @@ router.get('/', async (req, res) => {
                 { requester: userId, status: 'accepted' },
                 { recipient: userId, status: 'accepted' }
             ]
-        }).populate('requester recipient', '_id username publicKey lastSeen avatar status bio');
+        }).populate('requester recipient', '_id username publicKey lastSeen avatar status bio privacySettings');
+
+        const me = await User.findById(userId).select('privacySettings').lean();
+        const mySettings = privacySettings(me);
 
         const friends = friendships.map(f => {
             const friend = f.requester._id.toString() === userId
@@ -36,10 +44,11 @@ router.get('/', async (req, res) => {
                 id: friend._id,
                 username: friend.username,
                 hasPublicKey: !!friend.publicKey,
-                lastSeen: friend.lastSeen,
+                lastSeen: canShare(privacySettings(friend), mySettings, 'lastSeen', true) ? friend.lastSeen : null,
                 avatar: friend.avatar || null,
                 status: friend.status || { text: '', emoji: '' },
-                bio: friend.bio || ''
+                bio: friend.bio || '',
+                messageTimer: timerState(f)
             };
         });
 
@@ -85,7 +94,7 @@ router.get('/requests', async (req, res) => {
  * 
  * Send a friend request to another user
  */
-router.post('/request/:userId', async (req, res) => {
+router.post('/request/:userId', rateLimit('friendRequest'), async (req, res) => {
     try {
         const requesterId = req.user.userId;
         const recipientId = req.params.userId;
@@ -100,6 +109,11 @@ router.post('/request/:userId', async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        const blockError = await getBlockError(requesterId, recipientId);
+        if (blockError) {
+            return res.status(blockError.status).json({ error: blockError.error });
+        }
+
         // Check for existing friendship
         const existing = await Friendship.findOne({
             $or: [
@@ -242,6 +256,9 @@ router.delete('/:friendId', async (req, res) => {
             return res.status(404).json({ error: 'Friendship not found' });
         }
 
+        // Sealed sender tokens they already hold stop working
+        await revokeDeliveryTokens([userId, friendId]);
+
         res.json({ message: 'Friend removed' });
     } catch (error) {
         console.error('Remove friend error:', error);
@@ -281,6 +298,12 @@ router.post('/block/:userId', async (req, res) => {
             ]
         });
 
+        // Sealed sender tokens either of them holds stop working
+        await revokeDeliveryTokens([blockerId, blockedId]);
+
+        // The blocked user stops seeing us online
+        emitToUser(io, blockedId, 'friend_status', { userId: blockerId, status: 'offline' });
+
         res.json({ message: 'User blocked' });
     } catch (error) {
         console.error('Block user error:', error);
@@ -0,0 +1,544 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import SenderKeyDistribution from '../models/SenderKeyDistribution.js';
+import Message from '../models/Message.js';
+import Friendship from '../models/Friendship.js';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { io } from '../index.js';
+import { emitToUser } from '../socket/handlers.js';
+import { getActiveDevices } from '../services/devices.js';
+import { getHistoryCursorError, findHistoryPage } from '../services/messageHistory.js';
+import { getGroupBlockError, blockedUserIds } from '../services/blockPolicy.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Malformed group ids would otherwise fail as a CastError (500)
+router.param('groupId', (req, res, next, groupId) => {
+    if (!mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: 'Invalid group id' });
+    }
+    next();
+});
+
+// Max members per group (each sender key is distributed to every member)
+const MAX_GROUP_MEMBERS = 50;
+
+/**
+ * Format a group for API responses
+ */
+const formatGroup = (group) => ({
+    id: group._id,
+    name: group.name,
+    createdBy: group.createdBy,
+    members: group.members.map(m => ({
+        id: m._id,
+        username: m.username,
+        avatar: m.avatar || null
+    })),
+    admins: group.admins,
+    keyEpoch: group.keyEpoch,
+    updatedAt: group.updatedAt
+});
+
+/**
+ * Load a group the current user belongs to, with populated members
+ */
+const findGroupForMember = async (groupId, userId) => {
+    const group = await Conversation.findById(groupId)
+        .populate('members', '_id username avatar');
+
+    if (!group || !group.members.some(m => m._id.toString() === userId)) {
+        return null;
+    }
+
+    return group;
+};
+
+/**
+ * Return the subset of userIds that are accepted friends of userId
+ */
+const filterFriends = async (userId, userIds) => {
+    const friendships = await Friendship.find({
+        $or: [
+            { requester: userId, recipient: { $in: userIds }, status: 'accepted' },
+            { recipient: userId, requester: { $in: userIds }, status: 'accepted' }
+        ]
+    });
+
+    const friendIds = new Set(friendships.map(f =>
+        f.requester.toString() === userId ? f.recipient.toString() : f.requester.toString()
+    ));
+
+    return userIds.filter(id => friendIds.has(id));
+};
+
+/**
+ * Whether a request body field is a list of user ids
+ */
+const isUserIdList = (ids) => Array.isArray(ids) &&
+    ids.every(id => typeof id === 'string' && mongoose.isValidObjectId(id));
+
+/**
+ * Drop sender keys nobody should still fetch: those made out to people
+ * who left, and those from before the previous key epoch (members had
+ * the whole previous epoch to fetch them)
+ */
+const pruneSenderKeys = (group) => SenderKeyDistribution.deleteMany({
+    groupId: group._id,
+    $or: [
+        { recipientId: { $nin: group.members } },
+        { epoch: { $lt: group.keyEpoch - 1 } }
+    ]
+});
+
+/**
+ * Notify all members (and optionally former members) that a group changed
+ */
+const notifyGroupUpdated = (group, extraUserIds = []) => {
+    const payload = { groupId: group._id, keyEpoch: group.keyEpoch };
+    group.members.forEach(m => emitToUser(io, m._id || m, 'group_updated', payload));
+    extraUserIds.forEach(id => emitToUser(io, id, 'group_removed', { groupId: group._id }));
+};
+
+/**
+ * GET /api/groups
+ *
+ * Get all groups the current user is a member of
+ */
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const groups = await Conversation.find({ members: userId })
+            .populate('members', '_id username avatar')
+            .sort({ updatedAt: -1 });
+
+        res.json(groups.map(formatGroup));
+    } catch (error) {
+        console.error('Get groups error:', error);
+        res.status(500).json({ error: 'Failed to get groups' });
+    }
+});
+
+/**
+ * POST /api/groups
+ *
+ * Create a group with some of the current user's friends
+ * (none of whom blocked / were blocked by another member)
+ * Body: { name: string, memberIds: string[] }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, memberIds = [] } = req.body;
+
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+            return res.status(400).json({ error: 'Group name must be 1-50 characters' });
+        }
+        if (!isUserIdList(memberIds)) {
+            return res.status(400).json({ error: 'memberIds must be a list of user ids' });
+        }
+
+        const requested = [...new Set(memberIds)].filter(id => id !== userId);
+        if (requested.length === 0) {
+            return res.status(400).json({ error: 'Add at least one member' });
+        }
+        if (requested.length + 1 > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ error: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+        }
+
+        // Only friends can be added
+        const friendIds = await filterFriends(userId, requested);
+        if (friendIds.length !== requested.length) {
+            return res.status(403).json({ error: 'You can only add friends to a group' });
+        }
+
+        const members = [userId, ...friendIds];
+        const blockError = await getGroupBlockError(members);
+        if (blockError) {
+            return res.status(blockError.status).json({ error: blockError.error });
+        }
+
+        const now = new Date();
+        const group = new Conversation({
+            name: name.trim(),
+            createdBy: userId,
+            members,
+            admins: [userId],
+            memberSince: Object.fromEntries(members.map(id => [id, now]))
+        });
+
+        await group.save();
+        await group.populate('members', '_id username avatar');
+
+        notifyGroupUpdated(group);
+
+        res.status(201).json(formatGroup(group));
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({ error: 'Failed to create group' });
+    }
+});
+
+/**
+ * GET /api/groups/:groupId
+ *
+ * Get a single group
+ */
+router.get('/:groupId', async (req, res) => {
+    try {
+        const group = await findGroupForMember(req.params.groupId, req.user.userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        res.json(formatGroup(group));
+    } catch (error) {
+        console.error('Get group error:', error);
+        res.status(500).json({ error: 'Failed to get group' });
+    }
+});
+
+/**
+ * PUT /api/groups/:groupId
+ *
+ * Rename a group (admins only)
+ */
+router.put('/:groupId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name } = req.body;
+
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+            return res.status(400).json({ error: 'Group name must be 1-50 characters' });
+        }
+
+        const group = await findGroupForMember(req.params.groupId, userId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        if (!group.isAdmin(userId)) {
+            return res.status(403).json({ error: 'Only admins can rename the group' });
+        }
+
+        group.name = name.trim();
+        await group.save();
+
+        notifyGroupUpdated(group);
+
+        res.json(formatGroup(group));
+    } catch (error) {
+        console.error('Rename group error:', error);
+        res.status(500).json({ error: 'Failed to rename group' });
+    }
+});
+
+/**
+ * POST /api/groups/:groupId/members
+ *
+ * Add members (admins only, must be the admin's friends, and must not
+ * have blocked / been blocked by a member)
+ * Body: { userIds: string[] }
+ */
+router.post('/:groupId/members', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { userIds = [] } = req.body;
+
+        if (!isUserIdList(userIds)) {
+            return res.status(400).json({ error: 'userIds must be a list of user ids' });
+        }
+
+        const group = await Conversation.findById(req.params.groupId);
+        if (!group || !group.isMember(userId)) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        if (!group.isAdmin(userId)) {
+            return res.status(403).json({ error: 'Only admins can add members' });
+        }
+
+        const requested = [...new Set(userIds)].filter(id => !group.isMember(id));
+        if (requested.length === 0) {
+            return res.status(400).json({ error: 'No new members to add' });
+        }
+        if (group.members.length + requested.length > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ error: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+        }
+
+        const friendIds = await filterFriends(userId, requested);
+        if (friendIds.length !== requested.length) {
+            return res.status(403).json({ error: 'You can only add friends to a group' });
+        }
+
+        const blockError = await getGroupBlockError([...group.members.map(m => m.toString()), ...friendIds]);
+        if (blockError) {
+            return res.status(blockError.status).json({ error: blockError.error });
+        }
+
+        const now = new Date();
+        friendIds.forEach(id => {
+            group.members.push(id);
+            group.memberSince.set(id, now);
+        });
+        // New members must not receive sender keys used for earlier messages
+        group.keyEpoch += 1;
+
+        await group.save();
+        await pruneSenderKeys(group);
+        await group.populate('members', '_id username avatar');
+
+        notifyGroupUpdated(group);
+
+        res.json(formatGroup(group));
+    } catch (error) {
+        console.error('Add group members error:', error);
+        res.status(500).json({ error: 'Failed to add members' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:groupId/members/:userId
+ *
+ * Remove a member (admins only) or leave the group (self)
+ * Bumps the key epoch so remaining members rotate their sender keys.
+ */
+router.delete('/:groupId/members/:userId', async (req, res) => {
+    try {
+        const currentUserId = req.user.userId;
+        const targetId = req.params.userId;
+
+        const group = await Conversation.findById(req.params.groupId);
+        if (!group || !group.isMember(currentUserId)) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        if (targetId !== currentUserId && !group.isAdmin(currentUserId)) {
+            return res.status(403).json({ error: 'Only admins can remove members' });
+        }
+        if (!group.isMember(targetId)) {
+            return res.status(404).json({ error: 'User is not a member' });
+        }
+
+        group.members = group.members.filter(m => m.toString() !== targetId);
+        group.admins = group.admins.filter(a => a.toString() !== targetId);
+        group.memberSince.delete(targetId);
+
+        // Last member left - remove the group entirely
+        if (group.members.length === 0) {
+            await Promise.all([
+                Message.deleteMany({ groupId: group._id }),
+                SenderKeyDistribution.deleteMany({ groupId: group._id }),
+                group.deleteOne()
+            ]);
+            emitToUser(io, targetId, 'group_removed', { groupId: group._id });
+            return res.json({ message: 'Group deleted' });
+        }
+
+        // Promote the longest-standing member if no admins remain
+        if (group.admins.length === 0) {
+            group.admins.push(group.members[0]);
+        }
+
+        // Rekey: remaining members must stop using keys the removed member holds
+        group.keyEpoch += 1;
+        await group.save();
+
+        await pruneSenderKeys(group);
+
+        notifyGroupUpdated(group, [targetId]);
+
+        res.json({ message: targetId === currentUserId ? 'Left group' : 'Member removed' });
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+/**
+ * GET /api/groups/:groupId/public-keys
+ *
+ * Get the public keys of all members (for sender key distribution)
+ */
+router.get('/:groupId/public-keys', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const group = await Conversation.findById(req.params.groupId);
+        if (!group || !group.isMember(userId)) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const users = await User.find({ _id: { $in: group.members } }).select('_id publicKey signingKey');
+        const devices = await getActiveDevices(group.members);
+
+        res.json({
+            keyEpoch: group.keyEpoch,
+            members: users.map(u => ({
+                userId: u._id,
+                publicKey: u.publicKey,
+                signingKey: u.signingKey,
+                // The member's devices (clients only trust their signing keys
+                // when the member's signingKey signed them)
+                devices: devices
+                    .filter(d => d.userId.equals(u._id))
+                    .map(d => ({ deviceId: d.deviceId, publicKey: d.publicKey, signingKey: d.signingKey, signature: d.signature }))
+            }))
+        });
+    } catch (error) {
+        console.error('Get group public keys error:', error);
+        res.status(500).json({ error: 'Failed to get public keys' });
+    }
+});
+
+/**
+ * POST /api/groups/:groupId/sender-keys
+ *
+ * Distribute the current user's sender key to other members
+ * Members blocked by / blocking the user do not get it.
+ * Body: {
+ *   epoch: number,
+ *   keyId: string,
+ *   distributions: [{ recipientId, encryptedKey: { ephemeralPublicKey, iv, ciphertext } }]
+ * }
+ */
+router.post('/:groupId/sender-keys', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { epoch, keyId, distributions = [] } = req.body;
+
+        if (!keyId || !Array.isArray(distributions)) {
+            return res.status(400).json({ error: 'Invalid sender key distribution' });
+        }
+
+        const group = await Conversation.findById(req.params.groupId);
+        if (!group || !group.isMember(userId)) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        if (epoch !== group.keyEpoch) {
+            return res.status(409).json({
+                error: 'Sender key is out of date',
+                code: 'STALE_EPOCH',
+                epoch: group.keyEpoch
+            });
+        }
+
+        const blocked = await blockedUserIds(userId);
+        const valid = distributions.filter(d =>
+            d.recipientId && d.recipientId !== userId && group.isMember(d.recipientId) && !blocked.has(d.recipientId) &&
+            d.encryptedKey?.ephemeralPublicKey && d.encryptedKey.iv && d.encryptedKey.ciphertext
+        );
+
+        await Promise.all(valid.map(d => SenderKeyDistribution.findOneAndUpdate(
+            { groupId: group._id, senderId: userId, recipientId: d.recipientId, keyId },
+            {
+                epoch,
+                encryptedKey: {
+                    ephemeralPublicKey: d.encryptedKey.ephemeralPublicKey,
+                    iv: d.encryptedKey.iv,
+                    ciphertext: d.encryptedKey.ciphertext
+                }
+            },
+            { upsert: true, new: true }
+        )));
+
+        // Push to online recipients so they can decrypt immediately
+        valid.forEach(d => {
+            emitToUser(io, d.recipientId, 'sender_key', {
+                groupId: group._id,
+                senderId: userId,
+                keyId,
+                epoch,
+                encryptedKey: d.encryptedKey
+            });
+        });
+
+        res.status(201).json({ distributed: valid.length });
+    } catch (error) {
+        console.error('Distribute sender key error:', error);
+        res.status(500).json({ error: 'Failed to distribute sender key' });
+    }
+});
+
+/**
+ * GET /api/groups/:groupId/sender-keys
+ *
+ * Get all sender keys other members distributed to the current user
+ * (not those of members blocked by / blocking the user)
+ */
+router.get('/:groupId/sender-keys', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const group = await Conversation.findById(req.params.groupId);
+        if (!group || !group.isMember(userId)) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const blocked = await blockedUserIds(userId);
+        const keys = await SenderKeyDistribution.find({
+            groupId: group._id,
+            recipientId: userId,
+            senderId: { $nin: [...blocked] }
+        })
+            .select('senderId keyId epoch encryptedKey')
+            .lean();
+
+        res.json(keys.map(k => ({
+            groupId: group._id,
+            senderId: k.senderId,
+            keyId: k.keyId,
+            epoch: k.epoch,
+            encryptedKey: k.encryptedKey
+        })));
+    } catch (error) {
+        console.error('Get sender keys error:', error);
+        res.status(500).json({ error: 'Failed to get sender keys' });
+    }
+});
+
+/**
+ * GET /api/groups/:groupId/messages
+ *
+ * Get group message history since the current user joined, without
+ * messages of members blocked by / blocking the user
+ * Returns encrypted messages - decryption happens client-side
+ * Query: limit?, one of before? / after? / around? (message id) or at? (date)
+ */
+router.get('/:groupId/messages', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const cursorError = getHistoryCursorError(req.query);
+        if (cursorError) {
+            return res.status(cursorError.status).json({ error: cursorError.error });
+        }
+
+        const group = await Conversation.findById(req.params.groupId);
+        if (!group || !group.isMember(userId)) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const query = { groupId: group._id, senderId: { $nin: [...await blockedUserIds(userId)] } };
+        const joinedAt = group.memberSince.get(userId);
+
+        if (joinedAt) {
+            query.createdAt = { $gte: joinedAt };
+        }
+
+        const messages = await findHistoryPage(query, req.query);
+        if (!messages) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        res.json(messages);
+    } catch (error) {
+        console.error('Get group messages error:', error);
+        res.status(500).json({ error: 'Failed to get messages' });
+    }
+});
+
+export default router;
@@ -0,0 +1,345 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import Friendship from '../models/Friendship.js';
+import OneTimePreKey from '../models/OneTimePreKey.js';
+import KeyBackup from '../models/KeyBackup.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { io } from '../index.js';
+import { emitToUser } from '../socket/handlers.js';
+import {
+    isPublicJwk,
+    verifySignedPreKey,
+    claimOneTimePreKey,
+    ONE_TIME_PREKEY_LOW_WATERMARK,
+    MAX_ONE_TIME_PREKEYS
+} from '../services/prekeys.js';
+import { appendKey } from '../services/keyTransparency.js';
+import {
+    isLocked,
+    attemptsRemaining,
+    claimRestoreAttempt,
+    clearRestoreAttempts,
+    MIN_KDF_ITERATIONS,
+    MAX_BACKUP_SIZE
+} from '../services/keyBackup.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/keys/status
+ * 
+ * Which session keys the server currently holds for us
+ */
+router.get('/status', async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('signingKey signedPreKey');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const oneTimePreKeyCount = await OneTimePreKey.countDocuments({ userId: req.user.userId });
+
+        res.json({
+            hasSigningKey: !!user.signingKey,
+            signedPreKeyId: user.signedPreKey?.keyId ?? null,
+            signedPreKeyCreatedAt: user.signedPreKey?.createdAt ?? null,
+            oneTimePreKeyCount,
+            lowWatermark: ONE_TIME_PREKEY_LOW_WATERMARK,
+            maxOneTimePreKeys: MAX_ONE_TIME_PREKEYS
+        });
+    } catch (error) {
+        console.error('Get key status error:', error);
+        res.status(500).json({ error: 'Failed to get key status' });
+    }
+});
+
+/**
+ * PUT /api/keys/signed-prekey
+ * 
+ * Publish (or rotate) our signing key and signed prekey
+ * The signature is checked so a broken client cannot publish a
+ * bundle every initiator would reject.
+ * Body: { signingKey, signedPreKey: { keyId, publicKey, signature } }
+ */
+router.put('/signed-prekey', async (req, res) => {
+    try {
+        const { signingKey, signedPreKey } = req.body;
+
+        if (!isPublicJwk(signingKey)) {
+            return res.status(400).json({ error: 'Valid JWK signing key required' });
+        }
+
+        if (!signedPreKey || !Number.isInteger(signedPreKey.keyId) ||
+            !isPublicJwk(signedPreKey.publicKey) || !signedPreKey.signature) {
+            return res.status(400).json({ error: 'Valid signed prekey required' });
+        }
+
+        if (!(await verifySignedPreKey(signingKey, signedPreKey))) {
+            return res.status(400).json({ error: 'Invalid signed prekey signature' });
+        }
+
+        await User.findByIdAndUpdate(req.user.userId, {
+            signingKey,
+            signedPreKey: {
+                keyId: signedPreKey.keyId,
+                publicKey: signedPreKey.publicKey,
+                signature: signedPreKey.signature,
+                createdAt: new Date()
+            }
+        });
+
+        await appendKey(req.user.userId, 'signing', signingKey);
+
+        res.json({ message: 'Signed prekey updated successfully' });
+    } catch (error) {
+        console.error('Update signed prekey error:', error);
+        res.status(500).json({ error: 'Failed to update signed prekey' });
+    }
+});
+
+/**
+ * POST /api/keys/one-time-prekeys
+ * 
+ * Upload a batch of one-time prekeys
+ * Body: { preKeys: [{ keyId, publicKey }] }
+ */
+router.post('/one-time-prekeys', async (req, res) => {
+    try {
+        const { preKeys } = req.body;
+        const userId = req.user.userId;
+
+        if (!Array.isArray(preKeys) || preKeys.length === 0) {
+            return res.status(400).json({ error: 'preKeys array required' });
+        }
+
+        if (preKeys.some(k => !k || !Number.isInteger(k.keyId) || !isPublicJwk(k.publicKey))) {
+            return res.status(400).json({ error: 'Invalid one-time prekey' });
+        }
+
+        const existing = await OneTimePreKey.countDocuments({ userId });
+        if (existing + preKeys.length > MAX_ONE_TIME_PREKEYS) {
+            return res.status(400).json({
+                error: `At most ${MAX_ONE_TIME_PREKEYS} one-time prekeys can be stored`
+            });
+        }
+
+        try {
+            await OneTimePreKey.insertMany(
+                preKeys.map(k => ({ userId, keyId: k.keyId, publicKey: k.publicKey })),
+                { ordered: false }
+            );
+        } catch (error) {
+            // Duplicate key ids are ignored, everything else is a real failure
+            if (error.code !== 11000 && !error.writeErrors?.every(e => e.code === 11000)) {
+                throw error;
+            }
+        }
+
+        const count = await OneTimePreKey.countDocuments({ userId });
+
+        res.json({ message: 'One-time prekeys uploaded', count });
+    } catch (error) {
+        console.error('Upload one-time prekeys error:', error);
+        res.status(500).json({ error: 'Failed to upload one-time prekeys' });
+    }
+});
+
+/**
+ * GET /api/keys/backup
+ * 
+ * Whether we have a key vault backup, and the KDF parameters
+ * needed to derive its keys (the blob itself is not returned)
+ */
+router.get('/backup', async (req, res) => {
+    try {
+        const backup = await KeyBackup.findOne({ userId: req.user.userId }).select('-ciphertext -authHash');
+
+        if (!backup) {
+            return res.json({ exists: false });
+        }
+
+        res.json({
+            exists: true,
+            kdf: backup.kdf,
+            updatedAt: backup.updatedAt,
+            lockedUntil: isLocked(backup) ? backup.lockedUntil : null,
+            attemptsRemaining: attemptsRemaining(backup)
+        });
+    } catch (error) {
+        console.error('Get key backup error:', error);
+        res.status(500).json({ error: 'Failed to get key backup' });
+    }
+});
+
+/**
+ * PUT /api/keys/backup
+ * 
+ * Create or replace our key vault backup
+ * Body: { kdf: { name, hash, iterations, salt }, authToken, iv, ciphertext }
+ */
+router.put('/backup', async (req, res) => {
+    try {
+        const { kdf, authToken, iv, ciphertext } = req.body;
+
+        if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+            !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_KDF_ITERATIONS || !kdf.salt) {
+            return res.status(400).json({ error: `PBKDF2-SHA-256 with at least ${MIN_KDF_ITERATIONS} iterations required` });
+        }
+
+        if (typeof authToken !== 'string' || authToken.length < 32 ||
+            typeof iv !== 'string' || typeof ciphertext !== 'string') {
+            return res.status(400).json({ error: 'Invalid key backup' });
+        }
+
+        if (ciphertext.length > MAX_BACKUP_SIZE) {
+            return res.status(413).json({ error: 'Key backup too large' });
+        }
+
+        await KeyBackup.findOneAndUpdate(
+            { userId: req.user.userId },
+            {
+                kdf: { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt },
+                authHash: await bcrypt.hash(authToken, 12),
+                iv,
+                ciphertext,
+                failedAttempts: 0,
+                lockedUntil: null
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        res.json({ message: 'Key backup saved' });
+    } catch (error) {
+        console.error('Save key backup error:', error);
+        res.status(500).json({ error: 'Failed to save key backup' });
+    }
+});
+
+/**
+ * POST /api/keys/backup/restore
+ * 
+ * Get the encrypted backup by proving knowledge of the passphrase
+ * Failed attempts are counted; too many lock restores for a while.
+ * Body: { authToken }
+ */
+router.post('/backup/restore', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const exists = await KeyBackup.exists({ userId });
+        if (!exists) {
+            return res.status(404).json({ error: 'No key backup found' });
+        }
+
+        // Counted before checking, so concurrent guesses cannot skip the lockout
+        const backup = await claimRestoreAttempt(userId);
+        if (!backup) {
+            const { lockedUntil } = await KeyBackup.findOne({ userId }).select('lockedUntil').lean() || {};
+            if (!lockedUntil) {
+                return res.status(404).json({ error: 'No key backup found' });
+            }
+            res.set('Retry-After', String(Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 1)));
+            return res.status(429).json({
+                error: 'Too many failed attempts. Try again later.',
+                code: 'BACKUP_LOCKED',
+                lockedUntil
+            });
+        }
+
+        const { authToken } = req.body;
+        const valid = typeof authToken === 'string' && await bcrypt.compare(authToken, backup.authHash);
+
+        if (!valid) {
+            return res.status(403).json({
+                error: 'Wrong recovery passphrase',
+                code: isLocked(backup) ? 'BACKUP_LOCKED' : 'WRONG_PASSPHRASE',
+                attemptsRemaining: isLocked(backup) ? 0 : attemptsRemaining(backup),
+                lockedUntil: isLocked(backup) ? backup.lockedUntil : null
+            });
+        }
+
+        await clearRestoreAttempts(userId);
+
+        res.json({ kdf: backup.kdf, iv: backup.iv, ciphertext: backup.ciphertext });
+    } catch (error) {
+        console.error('Restore key backup error:', error);
+        res.status(500).json({ error: 'Failed to restore key backup' });
+    }
+});
+
+/**
+ * DELETE /api/keys/backup
+ * 
+ * Delete our key vault backup
+ */
+router.delete('/backup', async (req, res) => {
+    try {
+        await KeyBackup.deleteOne({ userId: req.user.userId });
+        res.json({ message: 'Key backup deleted' });
+    } catch (error) {
+        console.error('Delete key backup error:', error);
+        res.status(500).json({ error: 'Failed to delete key backup' });
+    }
+});
+
+/**
+ * GET /api/keys/:userId/bundle
+ * 
+ * Get a user's prekey bundle for starting a session
+ * Hands out (and deletes) one one-time prekey per fetch, and tells
+ * the owner to replenish when running low.
+ * Only allowed for friends
+ */
+router.get('/:userId/bundle', async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const currentUserId = req.user.userId;
+
+        // Verify friendship exists
+        const friendship = await Friendship.findOne({
+            $or: [
+                { requester: currentUserId, recipient: userId, status: 'accepted' },
+                { requester: userId, recipient: currentUserId, status: 'accepted' }
+            ]
+        });
+
+        if (!friendship) {
+            return res.status(403).json({ error: 'Not friends with this user' });
+        }
+
+        const user = await User.findById(userId).select('publicKey signingKey signedPreKey');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.publicKey || !user.signingKey || !user.signedPreKey?.publicKey) {
+            return res.status(404).json({ error: 'User has not published prekeys' });
+        }
+
+        const { preKey, remaining } = await claimOneTimePreKey(userId);
+
+        if (remaining < ONE_TIME_PREKEY_LOW_WATERMARK) {
+            emitToUser(io, userId, 'prekeys_low', { remaining });
+        }
+
+        res.json({
+            userId: user._id,
+            identityKey: user.publicKey,
+            signingKey: user.signingKey,
+            signedPreKey: {
+                keyId: user.signedPreKey.keyId,
+                publicKey: user.signedPreKey.publicKey,
+                signature: user.signedPreKey.signature
+            },
+            oneTimePreKey: preKey
+        });
+    } catch (error) {
+        console.error('Get prekey bundle error:', error);
+        res.status(500).json({ error: 'Failed to get prekey bundle' });
+    }
+});
+
+export default router;
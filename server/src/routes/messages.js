@@ -2,6 +2,13 @@ import express from 'express';
 import Message from '../models/Message.js';
 import Friendship from '../models/Friendship.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { forDevice } from '../services/devices.js';
+import { getHistoryCursorError, getDeltaCursorError, findHistoryPage, pageSize } from '../services/messageHistory.js';
+import { io } from '../index.js';
+import { editMessage, notifyTimersStarted, notifyReceipts } from '../socket/handlers.js';
+import { startReadTimers } from '../services/messageTimers.js';
+import { recordDelivery, recordRead } from '../services/messageReceipts.js';
+import { isSharedWith, withoutReadState } from '../services/privacy.js';
 
 const router = express.Router();
 
@@ -12,12 +19,22 @@ router.use(authenticateToken);
  * 
  * Get message history with a friend
  * Returns encrypted messages - decryption happens client-side
+ * Query: limit?, one of before? / after? / around? (message id) or at? (date)
+ * (pages, see services/messageHistory.js), or since? + sinceId? (delta sync:
+ * messages created or changed after this change, oldest change first;
+ * ones we deleted for ourselves come back as { _id, updatedAt, hidden: true })
+ * Optional header: x-device-id (selects this device's envelope)
  */
 router.get('/:friendId', async (req, res) => {
     try {
         const userId = req.user.userId;
         const { friendId } = req.params;
-        const { limit = 50, before } = req.query;
+        const { limit, since, sinceId } = req.query;
+
+        const cursorError = since !== undefined ? getDeltaCursorError(req.query) : getHistoryCursorError(req.query);
+        if (cursorError) {
+            return res.status(cursorError.status).json({ error: cursorError.error });
+        }
 
         // Verify friendship
         const friendship = await Friendship.findOne({
@@ -31,36 +48,56 @@ router.get('/:friendId', async (req, res) => {
             return res.status(403).json({ error: 'Not friends with this user' });
         }
 
-        // Build query
-        const query = {
+        const conversation = {
             $or: [
                 { senderId: userId, recipientId: friendId },
                 { senderId: friendId, recipientId: userId }
             ]
         };
 
-        if (before) {
-            query.createdAt = { $lt: new Date(before) };
-        }
+        let messages;
+        if (since !== undefined) {
+            // Bulk updates give many messages the same updatedAt, so ties go by id
+            const sinceTime = new Date(since);
+            const after = sinceId
+                ? { $or: [{ updatedAt: { $gt: sinceTime } }, { updatedAt: sinceTime, _id: { $gt: sinceId } }] }
+                : { updatedAt: { $gt: sinceTime } };
+
+            const changed = await Message.find({ $and: [conversation, after] })
+                .sort({ updatedAt: 1, _id: 1 })
+                .limit(pageSize(limit))
+                .lean();
 
-        const messages = await Message.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .lean();
+            // Only tell the client which messages it hid, not what the friend hid
+            messages = changed.map(({ hiddenFor = [], ...m }) => hiddenFor.some(id => id.toString() === userId)
+                ? { _id: m._id, updatedAt: m.updatedAt, hidden: true }
+                : m);
+        } else {
+            // Skipping messages we deleted for ourselves
+            messages = await findHistoryPage({ ...conversation, hiddenFor: { $ne: userId } }, req.query, '-hiddenFor');
+            if (!messages) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+        }
 
         // Mark messages as delivered
         const undeliveredIds = messages
-            .filter(m => m.recipientId.toString() === userId && !m.delivered)
+            .filter(m => !m.hidden && m.recipientId.toString() === userId && !m.delivered)
             .map(m => m._id);
 
         if (undeliveredIds.length > 0) {
-            await Message.updateMany(
-                { _id: { $in: undeliveredIds } },
-                { delivered: true }
-            );
+            notifyReceipts(io, userId, {
+                delivered: await recordDelivery(userId, { _id: { $in: undeliveredIds } })
+            });
         }
 
-        res.json(messages.reverse());
+        // Whether our messages were read is only shown if the friend shares read receipts with us
+        const showsReads = await isSharedWith(friendId, userId, 'readReceipts');
+        const withReadState = m => !showsReads && m.senderId?.toString() === userId ? withoutReadState(m) : m;
+
+        // Only hand out the device envelope for the requesting device
+        const deviceId = req.headers['x-device-id'];
+        res.json(messages.map(m => m.hidden ? m : forDevice(withReadState(m), userId, deviceId)));
     } catch (error) {
         console.error('Get messages error:', error);
         res.status(500).json({ error: 'Failed to get messages' });
@@ -71,16 +108,18 @@ router.get('/:friendId', async (req, res) => {
  * PUT /api/messages/read/:friendId
  * 
  * Mark all messages from a friend as read
+ * The friend gets `messages_read` (and `messages_delivered` for
+ * messages not delivered before).
  */
 router.put('/read/:friendId', async (req, res) => {
     try {
         const userId = req.user.userId;
         const { friendId } = req.params;
 
-        await Message.updateMany(
-            { senderId: friendId, recipientId: userId, read: false },
-            { read: true }
-        );
+        notifyReceipts(io, userId, await recordRead(userId, { senderId: friendId }));
+
+        // Disappearing messages start counting down once read
+        notifyTimersStarted(io, userId, await startReadTimers(userId, { senderId: friendId }));
 
         res.json({ message: 'Messages marked as read' });
     } catch (error) {
@@ -89,4 +128,23 @@ router.put('/read/:friendId', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/messages/:messageId
+ * 
+ * Edit a sent direct message (fallback for the `edit_message` socket event)
+ * Body: { encryptedForRecipient, encryptedForSender?, deviceEnvelopes? }
+ */
+router.put('/:messageId', async (req, res) => {
+    try {
+        const result = await editMessage(io, req.user.userId, req.params.messageId, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        res.json(result.message);
+    } catch (error) {
+        console.error('Edit message error:', error);
+        res.status(500).json({ error: 'Failed to edit message' });
+    }
+});
+
 export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Friendship from '../models/Friendship.js';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { io } from '../index.js';
+import { userSockets, isValidPayload, pickPayload, pickDeviceEnvelopes } from '../socket/handlers.js';
+import { forDevice } from '../services/devices.js';
+import { issueDeliveryToken, redeemDeliveryToken, DELIVERY_TOKEN_SCOPES } from '../services/sealedSender.js';
+import { blockedUserIds } from '../services/blockPolicy.js';
+import { getRateLimitError } from '../services/rateLimiter.js';
+import { rateLimit, sendRateLimitError } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Recipients per token request, and tokens per recipient
+const MAX_TOKENS_PER_REQUEST = 50;
+const MAX_TOKENS_PER_RECIPIENT = 10;
+
+// Sealed messages returned per inbox fetch
+const SEALED_INBOX_LIMIT = 200;
+
+// deliveryTokenHash() output
+const TOKEN_HASH_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * POST /api/sealed/tokens
+ *
+ * Get delivery tokens for sending sealed messages (scope 'message') or
+ * for sending a sealed message's sender a receipt or reaction
+ * Tokens are only issued for friends (and ourselves, for our own copy),
+ * never for users blocked by / blocking us. Each token works once.
+ * Body: { recipientIds: string[], scope?: string, count?: number }
+ * Response: { tokens: { [recipientId]: [{ token, expiresAt }] } }
+ */
+router.post('/tokens', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const recipientIds = Array.isArray(req.body.recipientIds)
+            ? req.body.recipientIds.filter(id => mongoose.isValidObjectId(id))
+            : [];
+
+        const { scope = 'message', count = 1 } = req.body;
+
+        if (recipientIds.length === 0 || recipientIds.length > MAX_TOKENS_PER_REQUEST) {
+            return res.status(400).json({ error: `Between 1 and ${MAX_TOKENS_PER_REQUEST} recipients required` });
+        }
+        if (!DELIVERY_TOKEN_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: 'Invalid token scope' });
+        }
+        if (!Number.isInteger(count) || count < 1 || count > MAX_TOKENS_PER_RECIPIENT) {
+            return res.status(400).json({ error: `Between 1 and ${MAX_TOKENS_PER_RECIPIENT} tokens per recipient` });
+        }
+
+        const friendships = await Friendship.find({
+            status: 'accepted',
+            $or: [
+                { requester: userId, recipient: { $in: recipientIds } },
+                { recipient: userId, requester: { $in: recipientIds } }
+            ]
+        }).select('requester recipient');
+
+        const blocked = await blockedUserIds(userId);
+        const allowed = new Set([userId]);
+        friendships.forEach(f => {
+            allowed.add(f.requester.toString());
+            allowed.add(f.recipient.toString());
+        });
+        blocked.forEach(id => allowed.delete(id));
+
+        const recipients = await User.find({ _id: { $in: recipientIds.filter(id => allowed.has(id)) } })
+            .select('sealedTokenEpoch')
+            .lean();
+
+        const tokens = {};
+        for (const recipient of recipients) {
+            tokens[recipient._id] = Array.from({ length: count }, () =>
+                issueDeliveryToken(recipient._id, scope, recipient.sealedTokenEpoch ?? 0));
+        }
+
+        res.json({ tokens });
+    } catch (error) {
+        console.error('Issue delivery tokens error:', error);
+        res.status(500).json({ error: 'Failed to issue delivery tokens' });
+    }
+});
+
+/**
+ * POST /api/sealed/messages
+ *
+ * Deliver a sealed message. Not authenticated with a JWT - the
+ * delivery token (scope 'message', spent here) is the only credential,
+ * so the server never learns (or stores) who sent it. Deliveries are
+ * budgeted per address and per recipient (services/rateLimiter.js).
+ * Body: { deliveryToken, encryptedForRecipient, deviceEnvelopes?, receiptTokenHash? }
+ * (receiptTokenHash: of the receipt token inside the message, see mark_read)
+ */
+router.post('/messages', rateLimit('sealedMessage'), async (req, res) => {
+    try {
+        const { deliveryToken, encryptedForRecipient, deviceEnvelopes, receiptTokenHash } = req.body;
+
+        // Sealed content is always a v1 (static-key) payload - session headers would link messages
+        if (!isValidPayload(encryptedForRecipient) || encryptedForRecipient.version) {
+            return res.status(400).json({ error: 'Invalid message payload' });
+        }
+
+        const recipientId = await redeemDeliveryToken(deliveryToken, 'message');
+        if (!recipientId) {
+            return res.status(401).json({ error: 'Invalid or expired delivery token', code: 'INVALID_DELIVERY_TOKEN' });
+        }
+
+        // Nobody can flood one mailbox, whatever addresses and tokens they use
+        const limitError = await getRateLimitError('sealedDelivery', { recipientId });
+        if (limitError) {
+            return sendRateLimitError(res, limitError);
+        }
+
+        const message = new Message({
+            recipientId,
+            sealed: true,
+            receiptTokenHash: TOKEN_HASH_PATTERN.test(receiptTokenHash || '') ? receiptTokenHash : undefined,
+            encryptedForRecipient: pickPayload(encryptedForRecipient),
+            deviceEnvelopes: await pickDeviceEnvelopes(deviceEnvelopes, recipientId)
+        });
+        await message.save();
+
+        const payload = message.toObject();
+
+        // Send to recipient if online (each device gets its own envelope)
+        const recipientSockets = userSockets.get(recipientId);
+        if (recipientSockets && recipientSockets.size > 0) {
+            recipientSockets.forEach(socketId => {
+                const deviceId = io.sockets.sockets.get(socketId)?.deviceId;
+                io.to(socketId).emit('new_message', forDevice(payload, recipientId, deviceId));
+            });
+
+            message.delivered = true;
+            message.deliveredAt = new Date();
+            await message.save();
+        }
+
+        res.status(201).json({ _id: message._id, createdAt: message.createdAt, delivered: message.delivered });
+    } catch (error) {
+        console.error('Deliver sealed message error:', error);
+        res.status(500).json({ error: 'Failed to deliver message' });
+    }
+});
+
+/**
+ * GET /api/sealed/messages
+ *
+ * Sealed messages addressed to us (newest first, up to SEALED_INBOX_LIMIT)
+ * The client decrypts them to learn the sender and conversation.
+ * Optional header: x-device-id (selects this device's envelope)
+ */
+router.get('/messages', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const messages = await Message.find({ recipientId: userId, sealed: true, hiddenFor: { $ne: userId } })
+            .sort({ createdAt: -1 })
+            .limit(SEALED_INBOX_LIMIT)
+            .select('-hiddenFor')
+            .lean();
+
+        const undeliveredIds = messages.filter(m => !m.delivered).map(m => m._id);
+        if (undeliveredIds.length > 0) {
+            await Message.updateMany({ _id: { $in: undeliveredIds } }, { delivered: true, deliveredAt: new Date() });
+        }
+
+        const deviceId = req.headers['x-device-id'];
+        res.json(messages.map(m => forDevice(m, userId, deviceId)));
+    } catch (error) {
+        console.error('Get sealed messages error:', error);
+        res.status(500).json({ error: 'Failed to get sealed messages' });
+    }
+});
+
+export default router;
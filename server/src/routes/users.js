@@ -2,6 +2,12 @@ import express from 'express';
 import User from '../models/User.js';
 import Friendship from '../models/Friendship.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { getKeyHistory } from '../services/keyTransparency.js';
+import { privacySettings, getPrivacySettingsError } from '../services/privacy.js';
+import { blockedUserIds } from '../services/blockPolicy.js';
+import { io } from '../index.js';
+import { userSockets, notifyFriendsOfStatus } from '../socket/handlers.js';
 
 const router = express.Router();
 
@@ -12,9 +18,9 @@ router.use(authenticateToken);
  * GET /api/users/search?q=username
  * 
  * Search for users by username (for adding friends)
- * Returns users that are not already friends
+ * Returns users that are not already friends (blocked users are never found)
  */
-router.get('/search', async (req, res) => {
+router.get('/search', rateLimit('search'), async (req, res) => {
     try {
         const { q } = req.query;
         const currentUserId = req.user.userId;
@@ -23,9 +29,10 @@ router.get('/search', async (req, res) => {
             return res.status(400).json({ error: 'Search query must be at least 2 characters' });
         }
 
-        // Find users matching search query (case-insensitive)
+        // Find users matching search query (case-insensitive), without blocked users
+        const blocked = await blockedUserIds(currentUserId);
         const users = await User.find({
-            _id: { $ne: currentUserId },
+            _id: { $ne: currentUserId, $nin: [...blocked] },
             username: { $regex: q, $options: 'i' }
         })
             .select('_id username publicKey')
@@ -84,7 +91,7 @@ router.get('/:userId/public-key', async (req, res) => {
             return res.status(403).json({ error: 'Not friends with this user' });
         }
 
-        const user = await User.findById(userId).select('publicKey username');
+        const user = await User.findById(userId).select('publicKey signingKey username');
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
@@ -96,7 +103,9 @@ router.get('/:userId/public-key', async (req, res) => {
         res.json({
             userId: user._id,
             username: user.username,
-            publicKey: user.publicKey
+            publicKey: user.publicKey,
+            // ECDSA key that verifies this user's message signatures
+            signingKey: user.signingKey
         });
     } catch (error) {
         console.error('Get public key error:', error);
@@ -104,6 +113,44 @@ router.get('/:userId/public-key', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/users/:userId/key-history
+ * 
+ * Get a user's append-only key log with Merkle inclusion proofs,
+ * anchored to a tree head signed by the server (logKey)
+ * Allowed for the user themselves and their friends
+ */
+router.get('/:userId/key-history', async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const currentUserId = req.user.userId;
+
+        if (userId !== currentUserId) {
+            const friendship = await Friendship.findOne({
+                $or: [
+                    { requester: currentUserId, recipient: userId, status: 'accepted' },
+                    { requester: userId, recipient: currentUserId, status: 'accepted' }
+                ]
+            });
+
+            if (!friendship) {
+                return res.status(403).json({ error: 'Not friends with this user' });
+            }
+        }
+
+        if (!(await User.exists({ _id: userId }))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const history = await getKeyHistory(userId);
+
+        res.json({ userId, ...history });
+    } catch (error) {
+        console.error('Get key history error:', error);
+        res.status(500).json({ error: 'Failed to get key history' });
+    }
+});
+
 /**
  * PUT /api/users/status
  * 
@@ -169,21 +216,63 @@ router.put('/bio', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/users/privacy
+ * 
+ * Update who gets the user's presence and activity signals
+ * Body: { readReceipts?, typingIndicators?, lastSeen?, onlineStatus? }
+ * (each everyone / friends / nobody, see services/privacy.js)
+ */
+router.put('/privacy', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const settingsError = getPrivacySettingsError(req.body);
+        if (settingsError) {
+            return res.status(settingsError.status).json({ error: settingsError.error });
+        }
+
+        const updateData = Object.fromEntries(
+            Object.entries(req.body).map(([signal, audience]) => [`privacySettings.${signal}`, audience])
+        );
+        // Last seen is not kept while it is shown to nobody
+        if (req.body.lastSeen === 'nobody') {
+            updateData.lastSeen = null;
+        }
+
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { $set: updateData },
+            { new: true }
+        ).select('privacySettings');
+
+        // Friends who may no longer see (or may now see) that we are online
+        if (req.body.onlineStatus && userSockets.has(userId)) {
+            notifyFriendsOfStatus(io, userId, 'online');
+        }
+
+        res.json({ privacySettings: privacySettings(user) });
+    } catch (error) {
+        console.error('Update privacy settings error:', error);
+        res.status(500).json({ error: 'Failed to update privacy settings' });
+    }
+});
+
 /**
  * GET /api/users/profile
  * 
- * Get current user's profile including status and bio
+ * Get current user's profile including status, bio and privacy settings
  */
 router.get('/profile', async (req, res) => {
     try {
         const userId = req.user.userId;
-        const user = await User.findById(userId).select('username email avatar status bio');
+        const user = await User.findById(userId).select('username email avatar status bio privacySettings');
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        res.json(user);
+        res.json({ ...user.toJSON(), privacySettings: privacySettings(user) });
     } catch (error) {
         console.error('Get profile error:', error);
         res.status(500).json({ error: 'Failed to get profile' });
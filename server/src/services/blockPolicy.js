@@ -0,0 +1,77 @@
+import BlockedUser from '../models/BlockedUser.js';
+
+/**
+ * Block Policy Service
+ *
+ * A block separates two users both ways: neither can find, request,
+ * message, call or react to the other, see the other's presence, or
+ * be put in a group with the other. Blocking also ends their
+ * friendship, so routes that require a friendship are covered as
+ * well. Only the blocker can unblock.
+ */
+
+/**
+ * Whether either of two users blocked the other
+ *
+ * @param {string} userId
+ * @param {string} otherId
+ * @returns {Promise<boolean>}
+ */
+export async function isBlockedBetween(userId, otherId) {
+    const block = await BlockedUser.exists({
+        $or: [
+            { blockerId: userId, blockedId: otherId },
+            { blockerId: otherId, blockedId: userId }
+        ]
+    });
+    return !!block;
+}
+
+/**
+ * Why a user cannot contact another
+ * The blocked user is not told that they were blocked.
+ *
+ * @param {string} userId - User acting
+ * @param {string} otherId - User they want to reach
+ * @returns {Promise<{ status: number, error: string } | null>} null if allowed
+ */
+export async function getBlockError(userId, otherId) {
+    if (await isBlockedBetween(userId, otherId)) {
+        return { status: 403, error: 'You cannot contact this user' };
+    }
+    return null;
+}
+
+/**
+ * Users a user blocked or was blocked by
+ *
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+export async function blockedUserIds(userId) {
+    const blocks = await BlockedUser.find({
+        $or: [{ blockerId: userId }, { blockedId: userId }]
+    }).select('blockerId blockedId').lean();
+
+    return new Set(blocks.map(b => (
+        b.blockerId.toString() === userId.toString() ? b.blockedId : b.blockerId
+    ).toString()));
+}
+
+/**
+ * Why a set of users cannot be in one group
+ * Nobody is told which of them blocked whom.
+ *
+ * @param {string[]} memberIds - All members the group would have
+ * @returns {Promise<{ status: number, error: string } | null>} null if allowed
+ */
+export async function getGroupBlockError(memberIds) {
+    const block = await BlockedUser.exists({
+        blockerId: { $in: memberIds },
+        blockedId: { $in: memberIds }
+    });
+    if (block) {
+        return { status: 403, error: 'These users cannot be in a group together' };
+    }
+    return null;
+}
@@ -0,0 +1,113 @@
+import Device from '../models/Device.js';
+import { canonicalPublicKey, verifyClientSignature } from './prekeys.js';
+
+/**
+ * Device Service
+ * 
+ * Shared logic for multi-device support:
+ * - device id validation
+ * - device key signatures (by the owner's identity signing key)
+ * - active device lookup (for message fan-out)
+ * - last-active bookkeeping
+ */
+
+// Active devices allowed per user
+export const MAX_DEVICES_PER_USER = 10;
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Mirrors DEVICE_KEYS_VERSION in client/src/crypto/deviceKeys.js
+const DEVICE_KEYS_VERSION = 'secreta-device-v1';
+
+/**
+ * Check a client-supplied device id
+ */
+export function isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+/**
+ * Whether a device's keys carry a valid signature by its owner's
+ * identity signing key (signed data mirrors the client's deviceKeys.js)
+ * 
+ * @param {string} userId - Owner
+ * @param {Object} device - { deviceId, publicKey, signingKey }
+ * @param {string} signature - Base64
+ * @param {Object} identitySigningKey - Owner's signing key (User.signingKey)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDeviceSignature(userId, device, signature, identitySigningKey) {
+    if (typeof signature !== 'string' || !identitySigningKey) return false;
+
+    const data = JSON.stringify([
+        DEVICE_KEYS_VERSION,
+        userId.toString(),
+        device.deviceId,
+        canonicalPublicKey(device.publicKey),
+        device.signingKey ? canonicalPublicKey(device.signingKey) : null
+    ]);
+    return verifyClientSignature(identitySigningKey, data, signature);
+}
+
+/**
+ * Whether a device's keys differ from the ones it registered before
+ */
+export function deviceKeysChanged(device, { publicKey, signingKey }) {
+    const keyOf = (jwk) => (jwk ? canonicalPublicKey(jwk) : null);
+    return keyOf(device.publicKey) !== keyOf(publicKey) || keyOf(device.signingKey) !== keyOf(signingKey);
+}
+
+/**
+ * Active (not revoked) devices of one or more users
+ * 
+ * @param {string | string[]} userIds
+ * @returns {Promise<Array>}
+ */
+export function getActiveDevices(userIds) {
+    return Device.find({
+        userId: { $in: [].concat(userIds) },
+        revokedAt: null
+    }).lean();
+}
+
+/**
+ * Record activity on a device
+ * 
+ * @returns {Promise<Object | null>} The device, or null if unknown / revoked
+ */
+export function touchDevice(userId, deviceId) {
+    return Device.findOneAndUpdate(
+        { userId, deviceId, revokedAt: null },
+        { lastActiveAt: new Date() },
+        { new: true }
+    );
+}
+
+/**
+ * Whether a device id was revoked by its owner
+ */
+export async function isDeviceRevoked(userId, deviceId) {
+    return !!(await Device.exists({ userId, deviceId, revokedAt: { $ne: null } }));
+}
+
+/**
+ * Strip a message's device envelopes down to the one for a device
+ * 
+ * @param {Object} message - Plain message object
+ * @param {string} userId - User the message is delivered to
+ * @param {string | null} deviceId - Their device
+ * @returns {Object} Message with `encryptedForDevice` (if any) instead of `deviceEnvelopes`,
+ *   also for each version in `editHistory`
+ */
+export function forDevice(message, userId, deviceId) {
+    const { deviceEnvelopes, ...rest } = message;
+    const envelope = deviceId && deviceEnvelopes?.find(e =>
+        e.userId.toString() === userId.toString() && e.deviceId === deviceId);
+
+    const result = envelope ? { ...rest, encryptedForDevice: envelope.payload } : rest;
+    // Earlier versions of edited messages carry their own envelopes
+    if (rest.editHistory) {
+        result.editHistory = rest.editHistory.map(version => forDevice(version, userId, deviceId));
+    }
+    return result;
+}
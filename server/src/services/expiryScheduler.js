@@ -0,0 +1,86 @@
+import Message from '../models/Message.js';
+import { deleteFromGridFS } from '../config/gridfs.js';
+import { deleteMessageFiles } from './messageDeletion.js';
+
+/**
+ * Expiry Scheduler
+ * 
+ * Deletes disappearing messages when their countdown ends. A single
+ * timer is armed for the earliest `expiresAt`; after each sweep the
+ * next one is looked up. jobs/messageCleanup.js also sweeps
+ * periodically in case a timer was lost (restart, other instances).
+ */
+
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+let timer = null;
+let nextRunAt = null;
+let expiredHandler = null;
+
+/**
+ * Register the callback told about deleted messages
+ * 
+ * @param {(messages: Array<{ _id, senderId, recipientId }>) => void} handler
+ */
+export function onMessagesExpired(handler) {
+    expiredHandler = handler;
+}
+
+/**
+ * Make sure a sweep runs no later than the given time
+ * 
+ * @param {Date} at
+ */
+export function scheduleExpiry(at) {
+    const runAt = new Date(at).getTime();
+    if (nextRunAt !== null && nextRunAt <= runAt) return;
+
+    clearTimeout(timer);
+    nextRunAt = runAt;
+    timer = setTimeout(() => {
+        timer = null;
+        nextRunAt = null;
+        sweepExpiredMessages();
+    }, Math.min(Math.max(runAt - Date.now(), 0), MAX_TIMEOUT_MS));
+}
+
+/**
+ * Delete every message whose countdown has ended, then arm the timer
+ * for the next one
+ */
+export async function sweepExpiredMessages() {
+    try {
+        const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+            .select('_id senderId recipientId fileAttachment.fileId fileIds')
+            .lean();
+
+        if (expired.length > 0) {
+            await Message.deleteMany({ _id: { $in: expired.map(m => m._id) } });
+
+            for (const message of expired) {
+                // Attachments of encrypted content, named by the sender at send time
+                if (message.fileIds?.length > 0 && message.senderId && message.recipientId) {
+                    await deleteMessageFiles(message.fileIds, message);
+                }
+                // Legacy plaintext attachments
+                if (message.fileAttachment?.fileId) {
+                    await deleteFromGridFS(message.fileAttachment.fileId).catch(() => { });
+                }
+            }
+
+            console.log(`✓ Deleted ${expired.length} expired messages`);
+            expiredHandler?.(expired);
+        }
+
+        const next = await Message.findOne({ expiresAt: { $ne: null } })
+            .sort({ expiresAt: 1 })
+            .select('expiresAt')
+            .lean();
+        if (next) {
+            scheduleExpiry(next.expiresAt);
+        }
+    } catch (error) {
+        console.error('Message expiry error:', error);
+    }
+}
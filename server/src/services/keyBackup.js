@@ -0,0 +1,77 @@
+import KeyBackup from '../models/KeyBackup.js';
+
+/**
+ * Key Backup Service
+ * 
+ * Restore attempt limiting for the key vault:
+ * every MAX_RESTORE_ATTEMPTS consecutive failures lock restores,
+ * and each further lockout lasts twice as long.
+ *
+ * An attempt is counted (atomically, lock included) before the
+ * passphrase is checked and forgotten if it was right, so concurrent
+ * guesses cannot get past the lockout.
+ */
+
+export const MAX_RESTORE_ATTEMPTS = 5;
+
+// First lockout duration
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Longest lockout
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Minimum PBKDF2 iterations accepted for uploads
+export const MIN_KDF_ITERATIONS = 100000;
+
+// Largest accepted encrypted bundle (Base64 characters)
+export const MAX_BACKUP_SIZE = 64 * 1024;
+
+/**
+ * Whether restores are currently locked
+ */
+export function isLocked(backup) {
+    return !!backup.lockedUntil && backup.lockedUntil > new Date();
+}
+
+/**
+ * Attempts left before the next lockout
+ */
+export function attemptsRemaining(backup) {
+    return MAX_RESTORE_ATTEMPTS - (backup.failedAttempts % MAX_RESTORE_ATTEMPTS);
+}
+
+/**
+ * Count a restore attempt, locking the backup when it is the last one
+ * allowed (one atomic update)
+ * 
+ * @param {string} userId
+ * @returns {Promise<Document | null>} The backup after counting, null if restores are locked
+ */
+export async function claimRestoreAttempt(userId) {
+    const now = new Date();
+    const attempts = { $add: ['$failedAttempts', 1] };
+    const lockouts = { $divide: [attempts, MAX_RESTORE_ATTEMPTS] };
+    const duration = { $min: [{ $multiply: [BASE_LOCKOUT_MS, { $pow: [2, { $subtract: [lockouts, 1] }] }] }, MAX_LOCKOUT_MS] };
+
+    return KeyBackup.findOneAndUpdate(
+        { userId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        [{
+            $set: {
+                lockedUntil: {
+                    $cond: [{ $eq: [{ $mod: [attempts, MAX_RESTORE_ATTEMPTS] }, 0] }, { $add: [now, duration] }, '$lockedUntil']
+                },
+                failedAttempts: attempts
+            }
+        }],
+        { new: true }
+    );
+}
+
+/**
+ * Forget the attempts of a successful restore
+ * 
+ * @param {string} userId
+ */
+export async function clearRestoreAttempts(userId) {
+    await KeyBackup.updateOne({ userId }, { failedAttempts: 0, lockedUntil: null });
+}
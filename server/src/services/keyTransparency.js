@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import KeyLogEntry from '../models/KeyLogEntry.js';
+import User from '../models/User.js';
+
+/**
+ * Key Transparency Service
+ * 
+ * Maintains each user's append-only, hash-chained key log and builds
+ * Merkle inclusion proofs over it, anchored to a tree head the server
+ * signs. The hashing rules here are mirrored by
+ * client/src/crypto/keyTransparency.js - keep them in sync.
+ * 
+ * - keyHash   = SHA-256(canonical JWK)
+ * - entryHash = SHA-256(JSON [prevHash, seq, userId, keyType, keyHash, createdAt])
+ * - leaf      = SHA-256("leaf:" + entryHash)
+ * - node      = SHA-256("node:" + left + ":" + right), odd nodes are promoted
+ * - tree head = ECDSA P-256 / SHA-256 (r || s) over
+ *               JSON [TREE_HEAD_VERSION, userId, treeSize, rootHash, signedAt]
+ * 
+ * A signed head commits the server to one log per user: two heads of
+ * the same size with different roots prove it showed different logs.
+ */
+
+const MAX_APPEND_RETRIES = 3;
+
+const TREE_HEAD_VERSION = 'secreta-tree-head-v1';
+
+// Tree heads are signed with a key derived from this secret, so every
+// instance (and restart) signs with the same key
+const getLogSecret = () => process.env.KEY_LOG_SECRET || process.env.JWT_SECRET;
+
+let logKeys = null;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * The server's tree head signing key pair
+ * 
+ * @returns {{ publicKey: Object, privateKey: crypto.KeyObject }} publicKey as JWK
+ */
+function getLogKeys() {
+    if (!logKeys) {
+        const d = crypto.createHmac('sha256', getLogSecret()).update('secreta-key-log').digest();
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.setPrivateKey(d);
+        // Uncompressed point: 0x04 || x || y
+        const point = ecdh.getPublicKey();
+        const publicKey = {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33).toString('base64url')
+        };
+        logKeys = {
+            publicKey,
+            privateKey: crypto.createPrivateKey({ key: { ...publicKey, d: d.toString('base64url') }, format: 'jwk' })
+        };
+    }
+    return logKeys;
+}
+
+/**
+ * Public key clients check tree heads with (JWK)
+ */
+export function getLogPublicKey() {
+    return getLogKeys().publicKey;
+}
+
+/**
+ * Hash of a public key (JWK), independent of JSON field order
+ */
+export function hashPublicKey(jwk) {
+    return sha256(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }));
+}
+
+/**
+ * Hash of a log entry
+ */
+function hashEntry({ prevHash, seq, userId, keyType, keyHash, createdAt }) {
+    return sha256(JSON.stringify([prevHash, seq, userId.toString(), keyType, keyHash, createdAt.toISOString()]));
+}
+
+/**
+ * Append a key to a user's log (no-op if it is already the current key of that type)
+ * 
+ * @param {string} userId
+ * @param {'identity' | 'signing'} keyType
+ * @param {Object} publicKey - JWK
+ * @returns {Promise<Object | null>} The new entry, or null if unchanged
+ */
+export async function appendKey(userId, keyType, publicKey) {
+    const keyHash = hashPublicKey(publicKey);
+
+    for (let attempt = 0; attempt < MAX_APPEND_RETRIES; attempt++) {
+        const [currentOfType, head] = await Promise.all([
+            KeyLogEntry.findOne({ userId, keyType }).sort({ seq: -1 }),
+            KeyLogEntry.findOne({ userId }).sort({ seq: -1 })
+        ]);
+
+        if (currentOfType && currentOfType.keyHash === keyHash) {
+            return null;
+        }
+
+        const entry = {
+            userId,
+            seq: head ? head.seq + 1 : 0,
+            keyType,
+            publicKey,
+            keyHash,
+            prevHash: head ? head.entryHash : '',
+            createdAt: new Date()
+        };
+        entry.entryHash = hashEntry(entry);
+
+        try {
+            return await KeyLogEntry.create(entry);
+        } catch (error) {
+            // Another append won the race for this seq - retry on the new head
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    throw new Error('Failed to append key log entry');
+}
+
+/**
+ * Log the current keys of accounts created before the key log existed
+ * Runs once at startup.
+ */
+export async function backfillKeyLogs() {
+    const users = User.find({ $or: [{ publicKey: { $ne: null } }, { signingKey: { $ne: null } }] })
+        .select('publicKey signingKey')
+        .cursor();
+
+    let appended = 0;
+    for await (const user of users) {
+        for (const [keyType, publicKey] of [['identity', user.publicKey], ['signing', user.signingKey]]) {
+            if (publicKey && await appendKey(user._id, keyType, publicKey)) appended++;
+        }
+    }
+
+    if (appended > 0) {
+        console.log(`✓ Logged ${appended} keys of accounts from before the key log`);
+    }
+}
+
+/**
+ * Build the levels of a Merkle tree over entry hashes
+ */
+function buildTree(entryHashes) {
+    const levels = [entryHashes.map(h => sha256(`leaf:${h}`))];
+
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? sha256(`node:${level[i]}:${level[i + 1]}`) : level[i]);
+        }
+        levels.push(next);
+    }
+
+    return levels;
+}
+
+/**
+ * Inclusion proof for leaf `index`: sibling hashes from leaf to root
+ */
+function inclusionProof(levels, index) {
+    const proof = [];
+
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+        const level = levels[depth];
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+
+        if (sibling < level.length) {
+            proof.push({ hash: level[sibling], position: index % 2 === 0 ? 'right' : 'left' });
+        }
+        index = Math.floor(index / 2);
+    }
+
+    return proof;
+}
+
+/**
+ * Sign the head of a user's tree
+ * 
+ * @param {string} userId
+ * @param {number} treeSize
+ * @param {string | null} rootHash - null for an empty log
+ * @returns {{ treeSize: number, rootHash: string | null, signedAt: string, signature: string }}
+ */
+export function signTreeHead(userId, treeSize, rootHash) {
+    const signedAt = new Date().toISOString();
+    const data = Buffer.from(JSON.stringify([TREE_HEAD_VERSION, userId.toString(), treeSize, rootHash, signedAt]));
+    const signature = crypto.sign('sha256', data, { key: getLogKeys().privateKey, dsaEncoding: 'ieee-p1363' });
+
+    return { treeSize, rootHash, signedAt, signature: signature.toString('base64') };
+}
+
+/**
+ * Get a user's key log with per-entry inclusion proofs and a signed tree head
+ * 
+ * @param {string} userId
+ * @returns {Promise<{ entries: Object[], treeHead: Object, logKey: Object }>}
+ */
+export async function getKeyHistory(userId) {
+    const entries = await KeyLogEntry.find({ userId }).sort({ seq: 1 }).lean();
+    const levels = entries.length ? buildTree(entries.map(e => e.entryHash)) : null;
+
+    return {
+        entries: entries.map((e, i) => ({
+            seq: e.seq,
+            keyType: e.keyType,
+            publicKey: e.publicKey,
+            keyHash: e.keyHash,
+            prevHash: e.prevHash,
+            entryHash: e.entryHash,
+            createdAt: e.createdAt,
+            proof: inclusionProof(levels, i)
+        })),
+        treeHead: signTreeHead(userId, entries.length, levels ? levels[levels.length - 1][0] : null),
+        logKey: getLogPublicKey()
+    };
+}
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { getFileInfo, deleteFromGridFS } from '../config/gridfs.js';
+
+/**
+ * Message Deletion Service
+ * 
+ * Two scopes for direct (and sealed) messages:
+ * - 'me':       the message is hidden for the requesting user only
+ * - 'everyone': the sender replaces it with a tombstone within
+ *               DELETE_FOR_EVERYONE_WINDOW_MS of sending; its
+ *               ciphertexts and attachments are removed
+ */
+
+export const DELETE_SCOPES = ['me', 'everyone'];
+
+// How long after sending a message can be deleted for everyone
+export const DELETE_FOR_EVERYONE_WINDOW_MS = 60 * 60 * 1000;
+
+// Attachment ids accepted per message or delete request
+const MAX_FILES_PER_MESSAGE = 10;
+
+/**
+ * Attachment ids a sender named for a message, cleaned up for storing
+ * 
+ * @param {unknown} fileIds - From the client
+ * @returns {string[] | undefined} undefined if there are none
+ */
+export function pickFileIds(fileIds) {
+    if (!Array.isArray(fileIds)) return undefined;
+    const valid = [...new Set(fileIds.filter(id => typeof id === 'string' && mongoose.isValidObjectId(id)))]
+        .slice(0, MAX_FILES_PER_MESSAGE);
+    return valid.length > 0 ? valid : undefined;
+}
+
+/**
+ * Why a user may not delete a message with the given scope
+ * 
+ * @param {Object} message - Message document
+ * @param {string} userId
+ * @param {'me' | 'everyone'} scope
+ * @returns {{ status: number, error: string, code?: string } | null} null if allowed
+ */
+export function getDeleteError(message, userId, scope) {
+    const isParticipant = message && !message.groupId &&
+        (message.senderId?.toString() === userId || message.recipientId?.toString() === userId);
+    if (!isParticipant) {
+        return { status: 404, error: 'Message not found' };
+    }
+    if (scope === 'me') return null;
+
+    if (message.sealed || message.senderId?.toString() !== userId) {
+        return { status: 403, error: 'Only the sender can delete a message for everyone', code: 'NOT_SENDER' };
+    }
+    if (message.deletedAt) {
+        return { status: 409, error: 'Message already deleted', code: 'ALREADY_DELETED' };
+    }
+    if (Date.now() - message.createdAt.getTime() > DELETE_FOR_EVERYONE_WINDOW_MS) {
+        return { status: 403, error: 'Message can no longer be deleted for everyone', code: 'DELETE_WINDOW_EXPIRED' };
+    }
+    return null;
+}
+
+/**
+ * Replace a message with a tombstone
+ * 
+ * @param {Object} message - Message document (not saved)
+ * @returns {string[]} Ids of the attachments to delete (legacy and stored with the message)
+ */
+export function applyTombstone(message) {
+    const fileIds = [
+        ...(message.fileAttachment?.fileId ? [message.fileAttachment.fileId] : []),
+        ...(message.fileIds || [])
+    ];
+
+    message.encryptedForRecipient = undefined;
+    message.encryptedForSender = undefined;
+    message.deviceEnvelopes = undefined;
+    message.encrypted = undefined;
+    message.editHistory = undefined;
+    message.replyPreview = undefined;
+    message.fileAttachment = undefined;
+    message.fileIds = undefined;
+    message.voiceWaveform = [];
+    message.voiceDuration = null;
+    message.reactions = [];
+    message.deletedAt = new Date();
+
+    return fileIds;
+}
+
+/**
+ * Delete a message's attachments from GridFS
+ * Attachment ids come from the sender (they are inside the encrypted
+ * content), so only files that sender uploaded for this recipient are removed.
+ * 
+ * @param {string[]} fileIds
+ * @param {Object} message - Message the files belong to
+ */
+export async function deleteMessageFiles(fileIds, message) {
+    const senderId = message.senderId.toString();
+    const recipientId = message.recipientId.toString();
+    const uniqueIds = [...new Set(fileIds)]
+        .filter(id => mongoose.isValidObjectId(id))
+        .slice(0, MAX_FILES_PER_MESSAGE);
+
+    for (const fileId of uniqueIds) {
+        try {
+            const fileInfo = await getFileInfo(fileId);
+            const { senderId: uploadedBy, recipientId: uploadedFor } = fileInfo?.metadata || {};
+            if (uploadedBy === senderId && uploadedFor === recipientId) {
+                await deleteFromGridFS(fileId);
+            }
+        } catch (error) {
+            console.error('Delete message file error:', error);
+        }
+    }
+}
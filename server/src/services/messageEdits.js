@@ -0,0 +1,61 @@
+/**
+ * Message Edit Service
+ * 
+ * Edit policy for direct messages:
+ * - only the sender can edit, and only within EDIT_WINDOW_MS of sending
+ * - sealed and group messages cannot be edited
+ * - a message keeps at most MAX_EDITS earlier versions
+ * 
+ * Edits replace the ciphertexts; the replaced ones move to `editHistory`
+ * so both parties can still decrypt earlier versions.
+ */
+
+// How long after sending a message can be edited
+export const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Earlier versions kept per message
+export const MAX_EDITS = 20;
+
+/**
+ * Why a user may not edit a message
+ * 
+ * @param {Object} message - Message document
+ * @param {string} userId - User trying to edit it
+ * @returns {{ status: number, error: string, code?: string } | null} null if the edit is allowed
+ */
+export function getEditError(message, userId) {
+    if (!message || message.sealed || message.groupId || message.deletedAt || message.senderId?.toString() !== userId) {
+        return { status: 404, error: 'Message not found' };
+    }
+    if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MS) {
+        return { status: 403, error: 'Message can no longer be edited', code: 'EDIT_WINDOW_EXPIRED' };
+    }
+    if ((message.editHistory?.length || 0) >= MAX_EDITS) {
+        return { status: 403, error: 'Message has been edited too often', code: 'EDIT_LIMIT_REACHED' };
+    }
+    return null;
+}
+
+/**
+ * Replace a message's ciphertexts, keeping the current ones as history
+ * 
+ * @param {Object} message - Message document (not saved)
+ * @param {Object} edit - Validated { encryptedForRecipient, encryptedForSender, deviceEnvelopes }
+ */
+export function applyEdit(message, { encryptedForRecipient, encryptedForSender, deviceEnvelopes }) {
+    const editedAt = new Date();
+
+    message.editHistory = [...(message.editHistory || []), {
+        encryptedForRecipient: message.encryptedForRecipient,
+        encryptedForSender: message.encryptedForSender,
+        deviceEnvelopes: message.deviceEnvelopes,
+        replacedAt: editedAt
+    }];
+
+    message.encryptedForRecipient = encryptedForRecipient;
+    message.encryptedForSender = encryptedForSender;
+    message.deviceEnvelopes = deviceEnvelopes;
+    // The legacy copy would still hold the original text
+    message.encrypted = undefined;
+    message.editedAt = editedAt;
+}
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+
+/**
+ * Message History Service
+ *
+ * Cursor pagination of conversation history. Messages are ordered by
+ * createdAt and then _id, so messages sent in the same millisecond are
+ * never skipped or repeated at a page boundary. Cursors (at most one):
+ * - before / after: a message id, the page next to it (not included)
+ * - around:         a message id, the page centred on it (included)
+ * - at:             a date, the page centred on that point in time
+ * Without a cursor the latest page is returned.
+ */
+
+export const HISTORY_CURSORS = ['before', 'after', 'around', 'at'];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Sorts before every real id (for positions that are only a date)
+const MIN_OBJECT_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+/**
+ * Why a history query's cursor is unusable
+ *
+ * @param {Object} query - Request query
+ * @returns {{ status: number, error: string } | null} null if usable
+ */
+export function getHistoryCursorError(query) {
+    const cursors = HISTORY_CURSORS.filter(name => query[name] !== undefined);
+
+    if (cursors.length > 1) {
+        return { status: 400, error: 'Only one of before, after, around or at can be used' };
+    }
+    if (cursors[0] === 'at' && isNaN(new Date(query.at))) {
+        return { status: 400, error: 'Invalid date' };
+    }
+    if (cursors.length === 1 && cursors[0] !== 'at' && !mongoose.isValidObjectId(query[cursors[0]])) {
+        return { status: 400, error: 'Invalid message id' };
+    }
+    return null;
+}
+
+/**
+ * Why a delta sync query (since, sinceId) is unusable
+ *
+ * @param {Object} query - Request query
+ * @returns {{ status: number, error: string } | null} null if usable
+ */
+export function getDeltaCursorError(query) {
+    if (typeof query.since !== 'string' || isNaN(new Date(query.since))) {
+        return { status: 400, error: 'Invalid date' };
+    }
+    if (query.sinceId !== undefined && !mongoose.isValidObjectId(query.sinceId)) {
+        return { status: 400, error: 'Invalid message id' };
+    }
+    return null;
+}
+
+/**
+ * Page size for a requested limit
+ */
+export function pageSize(limit) {
+    const size = parseInt(limit);
+    return size > 0 ? Math.min(size, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+}
+
+/**
+ * Up to `limit` messages next to a position, oldest first
+ *
+ * @param {Object} filter - The conversation's messages
+ * @param {'before' | 'after'} side
+ * @param {{ createdAt: Date, _id } | null} position - null: from the newest message
+ * @param {number} limit
+ * @param {string} [select]
+ */
+async function findSide(filter, side, position, limit, select) {
+    if (limit <= 0) return [];
+
+    const order = side === 'before' ? -1 : 1;
+    const op = side === 'before' ? '$lt' : '$gt';
+    const query = position
+        ? {
+            $and: [filter, {
+                $or: [
+                    { createdAt: { [op]: position.createdAt } },
+                    { createdAt: position.createdAt, _id: { [op]: position._id } }
+                ]
+            }]
+        }
+        : filter;
+
+    const messages = await Message.find(query)
+        .sort({ createdAt: order, _id: order })
+        .limit(limit)
+        .select(select)
+        .lean();
+
+    return side === 'before' ? messages.reverse() : messages;
+}
+
+/**
+ * Page of a conversation's history, oldest first
+ * Check the cursor with getHistoryCursorError() first.
+ *
+ * @param {Object} filter - The conversation's messages visible to the user
+ * @param {{ limit?, before?, after?, around?, at? }} query - Request query
+ * @param {string} [select] - Projection
+ * @returns {Promise<Object[] | null>} null if the cursor message is not in the conversation
+ */
+export async function findHistoryPage(filter, query, select) {
+    const size = pageSize(query.limit);
+
+    if (query.at !== undefined) {
+        const position = { createdAt: new Date(query.at), _id: MIN_OBJECT_ID };
+        const older = await findSide(filter, 'before', position, Math.floor(size / 2), select);
+        const newer = await findSide(filter, 'after', position, size - older.length, select);
+        return [...older, ...newer];
+    }
+
+    const cursorId = query.before ?? query.after ?? query.around;
+    if (cursorId === undefined) {
+        return findSide(filter, 'before', null, size, select);
+    }
+
+    const cursor = await Message.findOne({ $and: [filter, { _id: cursorId }] }).select(select).lean();
+    if (!cursor) return null;
+
+    if (query.before !== undefined) return findSide(filter, 'before', cursor, size, select);
+    if (query.after !== undefined) return findSide(filter, 'after', cursor, size, select);
+
+    const older = await findSide(filter, 'before', cursor, Math.floor((size - 1) / 2), select);
+    const newer = await findSide(filter, 'after', cursor, size - 1 - older.length, select);
+    return [...older, cursor, ...newer];
+}
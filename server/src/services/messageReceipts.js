@@ -0,0 +1,65 @@
+import Message from '../models/Message.js';
+
+/**
+ * Message Receipt Service
+ *
+ * Delivery and read receipts of direct messages. Each is recorded once,
+ * with its time, whichever path records it (socket delivery, reconnect,
+ * history fetch, read receipt); the caller tells the senders. Reading a
+ * message also delivers it. Sealed sender messages have no sender on
+ * record: they only get read receipts, sent to whoever the reader names.
+ */
+
+/**
+ * Record that messages reached their recipient
+ *
+ * @param {string} recipientId
+ * @param {Object} filter - Which of their messages arrived
+ * @returns {Promise<Array<{ _id, senderId, deliveredAt }>>} Messages that were not delivered before
+ */
+export async function recordDelivery(recipientId, filter) {
+    return recordReceipt(recipientId, filter, 'delivered', 'deliveredAt');
+}
+
+/**
+ * Record that the recipient read messages
+ *
+ * @param {string} readerId
+ * @param {Object} filter - Which of their messages were read
+ * @returns {Promise<{ delivered: Array<{ _id, senderId, deliveredAt }>, read: Array<{ _id, senderId, readAt }> }>}
+ *   Messages that were not delivered / read before
+ */
+export async function recordRead(readerId, filter) {
+    const delivered = await recordDelivery(readerId, filter);
+    const read = await recordReceipt(readerId, filter, 'read', 'readAt');
+    return { delivered, read };
+}
+
+/**
+ * Record that the recipient read sealed sender messages
+ *
+ * @param {string} readerId
+ * @param {Object} filter - Which of their messages were read
+ * @returns {Promise<Array<{ _id, readAt }>>} Messages that were not read before
+ */
+export async function recordSealedRead(readerId, filter) {
+    return recordReceipt(readerId, { ...filter, sealed: true }, 'read', 'readAt');
+}
+
+/**
+ * Set a receipt flag and its time on the messages that do not have it yet
+ */
+async function recordReceipt(recipientId, filter, flag, timeField) {
+    const query = { sealed: { $ne: true }, ...filter, recipientId, [flag]: false };
+    const messages = await Message.find(query).select('_id senderId').lean();
+    if (messages.length === 0) return [];
+
+    const at = new Date();
+    await Message.updateMany(
+        { _id: { $in: messages.map(m => m._id) }, [flag]: false },
+        { [flag]: true, [timeField]: at }
+    );
+
+    return messages.map(m => ({ _id: m._id, senderId: m.senderId, [timeField]: at }));
+}
+
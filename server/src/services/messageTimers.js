@@ -0,0 +1,71 @@
+import Message from '../models/Message.js';
+import { scheduleExpiry } from './expiryScheduler.js';
+
+/**
+ * Message Timer Service
+ * 
+ * Per-conversation disappearing message timers:
+ * - either friend proposes a new timer, the other accepts or declines
+ * - messages take the timer that was active when they were sent
+ * - a message's countdown starts when the recipient reads it
+ */
+
+// Allowed timers in seconds (0 = off): off, 30s, 5m, 1h, 1d, 1w
+export const TIMER_OPTIONS = [0, 30, 5 * 60, 60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
+
+/**
+ * Check a requested timer
+ */
+export function isValidTimer(seconds) {
+    return TIMER_OPTIONS.includes(seconds);
+}
+
+/**
+ * Timer state of a friendship as sent to clients
+ * 
+ * @param {Object} friendship
+ * @returns {{ seconds: number, proposal: { seconds: number, proposedBy: string, proposedAt: Date } | null }}
+ */
+export function timerState(friendship) {
+    const { seconds = 0, proposal } = friendship.messageTimer || {};
+    return {
+        seconds,
+        proposal: proposal?.proposedBy ? {
+            seconds: proposal.seconds,
+            proposedBy: proposal.proposedBy.toString(),
+            proposedAt: proposal.proposedAt
+        } : null
+    };
+}
+
+/**
+ * Start the countdown of timed messages the user has just read
+ * 
+ * @param {string} userId - Reader (the messages' recipient)
+ * @param {Object} filter - Which of their messages were read
+ * @returns {Promise<Array<{ _id, senderId, expiresAt }>>} Messages whose countdown started
+ */
+export async function startReadTimers(userId, filter) {
+    const messages = await Message.find({
+        ...filter,
+        recipientId: userId,
+        timerSeconds: { $gt: 0 },
+        expiresAt: null
+    }).select('_id senderId timerSeconds').lean();
+
+    if (messages.length === 0) return [];
+
+    const now = Date.now();
+    const started = messages.map(m => ({
+        _id: m._id,
+        senderId: m.senderId,
+        expiresAt: new Date(now + m.timerSeconds * 1000)
+    }));
+
+    await Message.bulkWrite(started.map(m => ({
+        updateOne: { filter: { _id: m._id }, update: { expiresAt: m.expiresAt } }
+    })));
+
+    scheduleExpiry(new Date(Math.min(...started.map(m => m.expiresAt.getTime()))));
+    return started;
+}
@@ -0,0 +1,93 @@
+import { webcrypto } from 'crypto';
+import OneTimePreKey from '../models/OneTimePreKey.js';
+
+/**
+ * Prekey Service
+ * 
+ * Shared logic for the X3DH prekey subsystem:
+ * - signature verification (signed prekeys, device keys)
+ * - atomic one-time prekey hand-out with low-watermark detection
+ */
+
+// Clients are asked to replenish when fewer keys than this remain
+export const ONE_TIME_PREKEY_LOW_WATERMARK = 10;
+
+// Maximum one-time prekeys stored per user
+export const MAX_ONE_TIME_PREKEYS = 100;
+
+/**
+ * Check that a value looks like an EC public key JWK
+ */
+export function isPublicJwk(jwk) {
+    return !!jwk && jwk.kty === 'EC' && jwk.crv === 'P-256' && !!jwk.x && !!jwk.y && !jwk.d;
+}
+
+/**
+ * Canonical string form of an EC public key (must match the client's
+ * canonicalPublicKey in crypto/utils.js - it is what gets signed)
+ */
+export function canonicalPublicKey(jwk) {
+    return JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+}
+
+/**
+ * Verify an ECDSA P-256 / SHA-256 signature made by a client
+ * 
+ * @param {Object} signingKey - Signer's public key (JWK)
+ * @param {string} data - Signed string
+ * @param {string} signature - Base64
+ * @returns {Promise<boolean>}
+ */
+export async function verifyClientSignature(signingKey, data, signature) {
+    try {
+        const key = await webcrypto.subtle.importKey(
+            'jwk',
+            { kty: signingKey.kty, crv: signingKey.crv, x: signingKey.x, y: signingKey.y },
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['verify']
+        );
+
+        return await webcrypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            key,
+            Buffer.from(signature, 'base64'),
+            Buffer.from(data)
+        );
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Verify a signed prekey against the owner's signing key
+ * 
+ * @param {Object} signingKey - ECDSA P-256 public key (JWK)
+ * @param {Object} signedPreKey - { publicKey, signature (base64) }
+ * @returns {Promise<boolean>}
+ */
+export function verifySignedPreKey(signingKey, signedPreKey) {
+    return verifyClientSignature(signingKey, canonicalPublicKey(signedPreKey.publicKey), signedPreKey.signature);
+}
+
+/**
+ * Atomically claim one of a user's one-time prekeys
+ * 
+ * findOneAndDelete guarantees a key is never handed to two initiators.
+ * 
+ * @param {string} userId
+ * @returns {Promise<{ preKey: Object | null, remaining: number }>}
+ */
+export async function claimOneTimePreKey(userId) {
+    const preKey = await OneTimePreKey.findOneAndDelete(
+        { userId },
+        { sort: { createdAt: 1 } }
+    );
+
+    const remaining = await OneTimePreKey.countDocuments({ userId });
+
+    return {
+        preKey: preKey ? { keyId: preKey.keyId, publicKey: preKey.publicKey } : null,
+        remaining
+    };
+}
@@ -0,0 +1,139 @@
+import User from '../models/User.js';
+import Friendship from '../models/Friendship.js';
+
+/**
+ * Privacy Service
+ *
+ * Who gets a user's presence and activity signals. Each signal has an
+ * audience: everyone, friends or nobody. Settings are reciprocal: a
+ * signal is only shared between two users if both would share it with
+ * each other, so hiding your read receipts also hides everyone else's
+ * from you.
+ */
+
+export const PRIVACY_SIGNALS = ['readReceipts', 'typingIndicators', 'lastSeen', 'onlineStatus'];
+export const PRIVACY_AUDIENCES = ['everyone', 'friends', 'nobody'];
+
+const DEFAULT_AUDIENCE = 'everyone';
+
+/**
+ * A user's settings with defaults filled in
+ *
+ * @param {Object} user - With privacySettings
+ * @returns {{ readReceipts: string, typingIndicators: string, lastSeen: string, onlineStatus: string }}
+ */
+export function privacySettings(user) {
+    return Object.fromEntries(PRIVACY_SIGNALS.map(signal => [
+        signal,
+        user?.privacySettings?.[signal] || DEFAULT_AUDIENCE
+    ]));
+}
+
+/**
+ * Why a settings update is invalid
+ *
+ * @param {Object} update - { [signal]: audience }
+ * @returns {{ status: number, error: string } | null} null if valid
+ */
+export function getPrivacySettingsError(update) {
+    const entries = Object.entries(update || {});
+
+    if (entries.length === 0) {
+        return { status: 400, error: 'No privacy settings given' };
+    }
+    if (entries.some(([signal]) => !PRIVACY_SIGNALS.includes(signal))) {
+        return { status: 400, error: 'Unknown privacy setting' };
+    }
+    if (entries.some(([, audience]) => !PRIVACY_AUDIENCES.includes(audience))) {
+        return { status: 400, error: 'Privacy settings must be everyone, friends or nobody' };
+    }
+    return null;
+}
+
+function allows(audience, isFriend) {
+    return audience === 'everyone' || (audience === 'friends' && isFriend);
+}
+
+/**
+ * Whether one user's signal is shared with another
+ *
+ * @param {Object} ownerSettings - privacySettings() of the user the signal is about
+ * @param {Object} viewerSettings - privacySettings() of the user who would get it
+ * @param {string} signal - One of PRIVACY_SIGNALS
+ * @param {boolean} isFriend - The two are friends
+ */
+export function canShare(ownerSettings, viewerSettings, signal, isFriend) {
+    return allows(ownerSettings[signal], isFriend) && allows(viewerSettings[signal], isFriend);
+}
+
+/**
+ * Settings of several users
+ *
+ * @param {Array<string>} userIds
+ * @returns {Promise<Map<string, Object>>} User id -> privacySettings()
+ */
+export async function loadPrivacySettings(userIds) {
+    const users = await User.find({ _id: { $in: userIds } }).select('privacySettings').lean();
+    const settings = new Map(users.map(u => [u._id.toString(), privacySettings(u)]));
+
+    // Deleted users share nothing
+    const sharesNothing = Object.fromEntries(PRIVACY_SIGNALS.map(signal => [signal, 'nobody']));
+    userIds.forEach(id => {
+        const key = id.toString();
+        if (!settings.has(key)) settings.set(key, sharesNothing);
+    });
+    return settings;
+}
+
+/**
+ * Friends of a user among some users
+ *
+ * @param {string} userId
+ * @param {Array<string>} otherIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function friendsAmong(userId, otherIds) {
+    const friendships = await Friendship.find({
+        status: 'accepted',
+        $or: [
+            { requester: userId, recipient: { $in: otherIds } },
+            { recipient: userId, requester: { $in: otherIds } }
+        ]
+    }).select('requester recipient').lean();
+
+    return new Set(friendships.map(f => (
+        f.requester.toString() === userId.toString() ? f.recipient : f.requester
+    ).toString()));
+}
+
+/**
+ * Whether a signal is shared from one user to another (loads both settings)
+ *
+ * @param {string} ownerId
+ * @param {string} viewerId
+ * @param {string} signal
+ */
+export async function isSharedWith(ownerId, viewerId, signal) {
+    const [settings, friends] = await Promise.all([
+        loadPrivacySettings([ownerId, viewerId]),
+        friendsAmong(ownerId, [viewerId])
+    ]);
+    return canShare(settings.get(ownerId.toString()), settings.get(viewerId.toString()), signal, friends.has(viewerId.toString()));
+}
+
+/**
+ * Update a user's last seen time (not kept for users who show it to nobody)
+ */
+export async function recordLastSeen(userId) {
+    await User.updateOne(
+        { _id: userId, 'privacySettings.lastSeen': { $ne: 'nobody' } },
+        { lastSeen: new Date() }
+    );
+}
+
+/**
+ * A message as shown to a sender who may not see whether it was read
+ */
+export function withoutReadState(message) {
+    return { ...message, read: false, readAt: null };
+}
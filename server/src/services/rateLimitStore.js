@@ -0,0 +1,84 @@
+/**
+ * Rate Limit Store
+ *
+ * Counters with an expiry, used by services/rateLimiter.js. The
+ * default store keeps them in memory, so limits are per process; to
+ * share them between instances, pass a store with the same three
+ * methods to setRateLimitStore() (each maps to Redis commands: INCR +
+ * PEXPIRE NX, GET + PTTL, DEL).
+ *
+ * @typedef {Object} RateLimitStore
+ * @property {(key: string, windowMs: number) => Promise<{ count: number, resetAt: number }>} increment
+ *   Count a hit; a new key expires windowMs after its first hit
+ * @property {(key: string) => Promise<{ count: number, resetAt: number } | null>} get
+ *   Current count of a key, null if it expired
+ * @property {(key: string) => Promise<void>} reset - Forget a key
+ */
+
+// How often the memory store drops expired keys
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory store (single process)
+ *
+ * @returns {RateLimitStore}
+ */
+export function createMemoryStore() {
+    const counters = new Map();
+    let nextSweepAt = 0;
+
+    // Expired keys are dropped lazily, at most once a minute
+    const sweep = (now) => {
+        if (now < nextSweepAt) return;
+        nextSweepAt = now + SWEEP_INTERVAL_MS;
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    };
+
+    const live = (key, now) => {
+        const counter = counters.get(key);
+        return counter && counter.resetAt > now ? counter : null;
+    };
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            sweep(now);
+
+            const counter = live(key, now) || { count: 0, resetAt: now + windowMs };
+            counter.count += 1;
+            counters.set(key, counter);
+            return { ...counter };
+        },
+
+        async get(key) {
+            const counter = live(key, Date.now());
+            return counter ? { ...counter } : null;
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Use another store (e.g. one backed by Redis) for all limits
+ *
+ * @param {RateLimitStore} newStore
+ */
+export function setRateLimitStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * The store in use
+ *
+ * @returns {RateLimitStore}
+ */
+export function getRateLimitStore() {
+    return store;
+}
@@ -0,0 +1,193 @@
+import { getRateLimitStore } from './rateLimitStore.js';
+
+/**
+ * Rate Limiter Service
+ *
+ * Fixed-window budgets, counted in the rate limit store
+ * (services/rateLimitStore.js):
+ * - HTTP actions, per IP address and per user (middleware/rateLimit.js),
+ *   and sealed deliveries per recipient
+ * - failed logins: a lockout per address that doubles each time, and a
+ *   delay for the whole account (a lock would let anyone lock out the owner)
+ * - socket events, per user; sockets that keep sending after being
+ *   refused are disconnected
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Budgets of HTTP actions: per IP address, per user and / or per recipient
+export const RATE_LIMITS = {
+    login: { ip: { limit: 30, windowMs: 15 * MINUTE } },
+    register: { ip: { limit: 5, windowMs: HOUR } },
+    resendVerification: { ip: { limit: 5, windowMs: HOUR } },
+    search: {
+        ip: { limit: 120, windowMs: MINUTE },
+        user: { limit: 30, windowMs: MINUTE }
+    },
+    friendRequest: {
+        ip: { limit: 60, windowMs: HOUR },
+        user: { limit: 20, windowMs: HOUR }
+    },
+    // Sealed messages carry no user: counted per address, and per recipient once the token is redeemed
+    sealedMessage: { ip: { limit: 120, windowMs: MINUTE } },
+    sealedDelivery: { recipient: { limit: 60, windowMs: MINUTE } }
+};
+
+// Failed logins from one address before a lockout, and how long lockouts last
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_BASE_LOCKOUT_MS = MINUTE;
+const LOGIN_MAX_LOCKOUT_MS = HOUR;
+// Failed logins from all addresses together before every login to the
+// account is delayed; the delay doubles every as many failures again
+const LOGIN_ACCOUNT_DELAY_AFTER = 20;
+const LOGIN_BASE_DELAY_MS = SECOND;
+const LOGIN_MAX_DELAY_MS = 10 * SECOND;
+// Failures are forgotten this long after the first one (or on success)
+const LOGIN_FAILURE_WINDOW_MS = 24 * HOUR;
+
+// Budgets of socket events per user (events not listed get the default)
+export const SOCKET_EVENT_LIMITS = {
+    send_message: { limit: 30, windowMs: 10 * SECOND },
+    send_group_message: { limit: 30, windowMs: 10 * SECOND },
+    call_offer: { limit: 5, windowMs: MINUTE },
+    // Sent on every keystroke / in bursts while a call connects
+    typing: { limit: 100, windowMs: 10 * SECOND },
+    ice_candidate: { limit: 100, windowMs: 10 * SECOND },
+    // All other events together
+    default: { limit: 100, windowMs: 10 * SECOND }
+};
+
+// A socket is disconnected once it sends this many times its budget in one window
+const SOCKET_ABUSE_FACTOR = 2;
+
+/**
+ * Error for a refused request
+ *
+ * @param {number} resetAt - When it is allowed again (ms timestamp)
+ * @returns {{ status: 429, error: string, code: string, retryAfter: number }} retryAfter in seconds
+ */
+function limitError(resetAt) {
+    const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / SECOND), 1);
+    const [amount, unit] = retryAfter < 60 ? [retryAfter, 'second'] : [Math.ceil(retryAfter / 60), 'minute'];
+    const wait = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+
+    return {
+        status: 429,
+        error: `Too many requests. Try again in ${wait}.`,
+        code: 'RATE_LIMITED',
+        retryAfter
+    };
+}
+
+/**
+ * Count a request against the budgets of an action
+ *
+ * @param {string} action - Key of RATE_LIMITS
+ * @param {{ ip?: string, userId?: string, recipientId?: string }} subjects - Who is asking (or is addressed)
+ * @returns {Promise<{ status: number, error: string, code: string, retryAfter: number } | null>} null if allowed
+ */
+export async function getRateLimitError(action, { ip, userId, recipientId }) {
+    const store = getRateLimitStore();
+    const ids = { ip, user: userId, recipient: recipientId };
+    const buckets = Object.entries(RATE_LIMITS[action])
+        .map(([subject, budget]) => ({ ...budget, id: ids[subject] && String(ids[subject]) }))
+        .filter(bucket => bucket.id);
+
+    const counters = await Promise.all(buckets.map(bucket =>
+        store.increment(`${action}:${bucket.id}`, bucket.windowMs)
+            .then(counter => ({ ...counter, limit: bucket.limit }))));
+
+    const exceeded = counters.filter(c => c.count > c.limit);
+    if (exceeded.length === 0) return null;
+    return limitError(Math.max(...exceeded.map(c => c.resetAt)));
+}
+
+/**
+ * Login failure counters: per account and IP address (locks quickly,
+ * and only that address), and per account (slows down guessing one
+ * password from many addresses)
+ */
+const addressFailuresKey = (account, ip) => `login-failures:${account}:${ip}`;
+const addressLockKey = (account, ip) => `login-lock:${account}:${ip}`;
+const accountFailuresKey = (account) => `login-failures:${account}`;
+
+/**
+ * Whether logins to an account from an address are locked
+ *
+ * @param {string} account - Normalized email
+ * @param {string} ip
+ * @returns {Promise<{ status: number, error: string, code: string, retryAfter: number } | null>} null if not locked
+ */
+export async function getLoginLockError(account, ip) {
+    const lock = await getRateLimitStore().get(addressLockKey(account, ip));
+    return lock ? limitError(lock.resetAt) : null;
+}
+
+/**
+ * How long to hold a login to an account before checking its password
+ * (0 until the account collected LOGIN_ACCOUNT_DELAY_AFTER failures)
+ * Unlike a lock, the correct password still gets in.
+ *
+ * @param {string} account - Normalized email
+ * @returns {Promise<number>} ms
+ */
+export async function getLoginDelayMs(account) {
+    const failures = await getRateLimitStore().get(accountFailuresKey(account));
+    if (!failures || failures.count < LOGIN_ACCOUNT_DELAY_AFTER) return 0;
+
+    const doublings = Math.floor((failures.count - LOGIN_ACCOUNT_DELAY_AFTER) / LOGIN_ACCOUNT_DELAY_AFTER);
+    return Math.min(LOGIN_BASE_DELAY_MS * 2 ** doublings, LOGIN_MAX_DELAY_MS);
+}
+
+/**
+ * Record a failed login; every LOGIN_MAX_FAILURES failures from an
+ * address lock it out, each lockout twice as long as the one before
+ *
+ * @param {string} account - Normalized email
+ * @param {string} ip
+ */
+export async function recordLoginFailure(account, ip) {
+    const store = getRateLimitStore();
+
+    const [{ count }] = await Promise.all([
+        store.increment(addressFailuresKey(account, ip), LOGIN_FAILURE_WINDOW_MS),
+        store.increment(accountFailuresKey(account), LOGIN_FAILURE_WINDOW_MS)
+    ]);
+    if (count % LOGIN_MAX_FAILURES === 0) {
+        const lockouts = count / LOGIN_MAX_FAILURES;
+        const duration = Math.min(LOGIN_BASE_LOCKOUT_MS * 2 ** (lockouts - 1), LOGIN_MAX_LOCKOUT_MS);
+        await store.increment(addressLockKey(account, ip), duration);
+    }
+}
+
+/**
+ * Forget failed logins from an address after a successful one
+ * (the account-wide count keeps running, so a user logging in
+ * between an attacker's guesses does not reset it)
+ *
+ * @param {string} account - Normalized email
+ * @param {string} ip
+ */
+export async function clearLoginFailures(account, ip) {
+    const store = getRateLimitStore();
+    await Promise.all([store.reset(addressFailuresKey(account, ip)), store.reset(addressLockKey(account, ip))]);
+}
+
+/**
+ * Count a socket event against the user's budget for it
+ *
+ * @param {string} userId
+ * @param {string} event
+ * @returns {Promise<{ status: number, error: string, code: string, retryAfter: number, abusive: boolean } | null>}
+ *   null if allowed; abusive: the socket should be disconnected
+ */
+export async function getSocketEventLimitError(userId, event) {
+    const name = Object.hasOwn(SOCKET_EVENT_LIMITS, event) ? event : 'default';
+    const budget = SOCKET_EVENT_LIMITS[name];
+    const { count, resetAt } = await getRateLimitStore().increment(`socket:${name}:${userId}`, budget.windowMs);
+
+    if (count <= budget.limit) return null;
+    return { ...limitError(resetAt), abusive: count >= budget.limit * SOCKET_ABUSE_FACTOR };
+}
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { getRateLimitStore } from './rateLimitStore.js';
+
+/**
+ * Sealed Sender Service
+ * 
+ * Delivery tokens let a client send a sealed message without
+ * identifying itself: a token only names the recipient, a scope, the
+ * recipient's token epoch and an expiry, and is HMAC-signed by the
+ * server. Tokens are issued to friends of the recipient and are not
+ * stored, so a delivery cannot be tied back to the token request by
+ * the message record.
+ * 
+ * - Each token works once, for its scope only (its nonce is spent in
+ *   the rate limit store, so this holds across instances sharing it)
+ * - Blocking or unfriending bumps both users' epochs, which voids every
+ *   outstanding token for them - the server cannot check blocks against
+ *   a sender it does not know
+ * - A sender puts a receipt token for itself inside each sealed message
+ *   and gives the server only its hash, so a read receipt can only be
+ *   sent for the message the token came with
+ */
+
+// How long a delivery token stays valid
+export const DELIVERY_TOKEN_TTL = 15 * 60 * 1000;
+// Receipt tokens wait inside a message until it is read
+const RECEIPT_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// What a token can be used for
+export const DELIVERY_TOKEN_SCOPES = ['message', 'receipt', 'reaction'];
+
+const getSecret = () => process.env.DELIVERY_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sign = (body) => crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+
+/**
+ * Issue a delivery token for a recipient
+ * 
+ * @param {string} recipientId
+ * @param {string} scope - One of DELIVERY_TOKEN_SCOPES
+ * @param {number} epoch - Recipient's sealedTokenEpoch
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export function issueDeliveryToken(recipientId, scope, epoch) {
+    const expiresAt = new Date(Date.now() + (scope === 'receipt' ? RECEIPT_TOKEN_TTL : DELIVERY_TOKEN_TTL));
+    const body = Buffer.from(JSON.stringify({
+        r: recipientId.toString(),
+        s: scope,
+        e: epoch,
+        exp: expiresAt.getTime(),
+        n: crypto.randomBytes(16).toString('base64url')
+    })).toString('base64url');
+
+    return { token: `${body}.${sign(body)}`, expiresAt };
+}
+
+/**
+ * Hash a message is bound to its receipt token by (base64url SHA-256,
+ * as computed by the client)
+ */
+export function deliveryTokenHash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('base64url');
+}
+
+/**
+ * Read a token's claims if its signature is valid
+ */
+function readToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check and spend a delivery token
+ * 
+ * @param {string} token
+ * @param {string} scope - What it is being used for
+ * @returns {Promise<string | null>} Recipient id, or null if the token is invalid, expired,
+ *   for another scope, revoked or already used
+ */
+export async function redeemDeliveryToken(token, scope) {
+    const claims = readToken(token);
+    const now = Date.now();
+    if (!claims || typeof claims.r !== 'string' || claims.s !== scope ||
+        typeof claims.n !== 'string' || !(claims.exp > now)) {
+        return null;
+    }
+
+    const recipient = await User.findById(claims.r).select('sealedTokenEpoch').lean();
+    if (!recipient || claims.e !== (recipient.sealedTokenEpoch ?? 0)) return null;
+
+    const { count } = await getRateLimitStore().increment(`delivery-token:${claims.n}`, claims.exp - now);
+    return count === 1 ? claims.r : null;
+}
+
+/**
+ * Void all outstanding delivery tokens for some users
+ * 
+ * @param {string[]} userIds
+ */
+export async function revokeDeliveryTokens(userIds) {
+    await User.updateMany({ _id: { $in: userIds } }, { $inc: { sealedTokenEpoch: 1 } });
+}
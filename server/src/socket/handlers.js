@@ -1,14 +1,314 @@
+import mongoose from 'mongoose';
 import Message from '../models/Message.js';
 import Friendship from '../models/Friendship.js';
-import User from '../models/User.js';
+import Conversation from '../models/Conversation.js';
+import {
+    isValidDeviceId,
+    getActiveDevices,
+    touchDevice,
+    isDeviceRevoked,
+    forDevice
+} from '../services/devices.js';
+import { getEditError, applyEdit } from '../services/messageEdits.js';
+import { DELETE_SCOPES, getDeleteError, applyTombstone, deleteMessageFiles, pickFileIds } from '../services/messageDeletion.js';
+import { isValidTimer, timerState, startReadTimers } from '../services/messageTimers.js';
+import { recordDelivery, recordRead, recordSealedRead } from '../services/messageReceipts.js';
+import {
+    canShare,
+    loadPrivacySettings,
+    friendsAmong,
+    isSharedWith,
+    recordLastSeen,
+    withoutReadState
+} from '../services/privacy.js';
+import { getBlockError, isBlockedBetween, blockedUserIds } from '../services/blockPolicy.js';
+import { redeemDeliveryToken, deliveryTokenHash } from '../services/sealedSender.js';
+import { getSocketEventLimitError } from '../services/rateLimiter.js';
 
 // Map of userId -> Set of socket IDs (for multiple tabs/devices)
 // Exported for use in routes (e.g., friend request notifications)
 export const userSockets = new Map();
 
+// Plaintext message metadata fields only older (v1) clients send
+// (newer clients put the reply preview inside the encrypted content too)
+const LEGACY_METADATA_FIELDS = ['messageType', 'fileAttachment', 'voiceDuration', 'waveformData', 'replyPreview'];
+
+// Device link relay channels: `${userId}:${channel}` -> { newSocketId, publicKey, existingSocketId, expiresAt }
+// Only ciphertext passes through; entries expire after LINK_CHANNEL_TTL
+const linkChannels = new Map();
+const LINK_CHANNEL_TTL = 2 * 60 * 1000;
+const LINK_CHANNEL_PATTERN = /^[A-Z2-9]{4}$/;
+
 /**
- * Socket.IO Event Handlers
+ * Emit an event to every connected socket of a user
+ */
+export function emitToUser(io, userId, event, payload) {
+    const sockets = userSockets.get(userId.toString());
+    if (sockets) {
+        sockets.forEach(socketId => {
+            io.to(socketId).emit(event, payload);
+        });
+    }
+}
+
+/**
+ * Connected sockets of one of a user's devices
+ */
+export function getDeviceSockets(io, userId, deviceId) {
+    const sockets = userSockets.get(userId.toString());
+    if (!sockets) return [];
+
+    return [...sockets]
+        .map(socketId => io.sockets.sockets.get(socketId))
+        .filter(s => s && s.deviceId === deviceId);
+}
+
+// Wire format of the sender's own copy (client crypto/ownCopy.js)
+const OWN_COPY_VERSION = 'secreta-own-v1';
+
+/**
+ * Check an encrypted payload has the fields its wire format needs
+ * - v1 (unversioned): ephemeralPublicKey + iv + ciphertext
+ * - own copy: iv + ciphertext
+ * - session (versioned): header + ciphertext
+ */
+export function isValidPayload(payload) {
+    if (!payload || !payload.ciphertext) return false;
+    if (payload.version === OWN_COPY_VERSION) return typeof payload.iv === 'string';
+    if (payload.version) return !!payload.header;
+    return !!payload.ephemeralPublicKey && !!payload.iv;
+}
+
+/**
+ * Copy only the known fields of an encrypted payload
+ */
+export function pickPayload(payload) {
+    const { version, header, prekey, ephemeralPublicKey, iv, ciphertext, signature } = payload;
+    return { version, header, prekey, ephemeralPublicKey, iv, ciphertext, signature };
+}
+
+/**
+ * Keep the well-formed device envelopes addressed to an active device
+ * of the given users (sender and recipient, or only the recipient)
+ */
+export async function pickDeviceEnvelopes(envelopes, ...userIds) {
+    if (!Array.isArray(envelopes) || envelopes.length === 0) return undefined;
+
+    const activeDevices = await getActiveDevices(userIds);
+    const isActive = (userId, deviceId) => activeDevices.some(d =>
+        d.userId.toString() === userId && d.deviceId === deviceId);
+
+    const picked = envelopes
+        .filter(e => e && typeof e.userId === 'string' && isActive(e.userId, e.deviceId) &&
+            isValidPayload(e.payload))
+        .map(e => ({ userId: e.userId, deviceId: e.deviceId, payload: pickPayload(e.payload) }));
+
+    return picked.length > 0 ? picked : undefined;
+}
+
+/**
+ * Edit a direct message and notify both participants
+ * Shared by the `edit_message` socket event and PUT /api/messages/:messageId.
+ * Messages cannot be edited once either participant blocked the other.
  * 
+ * @param {Object} data - { encryptedForRecipient, encryptedForSender?, deviceEnvelopes? }
+ * @returns {Promise<{ message: Object } | { status: number, error: string, code?: string }>}
+ */
+export async function editMessage(io, userId, messageId, data) {
+    if (!mongoose.isValidObjectId(messageId) || !isValidPayload(data?.encryptedForRecipient)) {
+        return { status: 400, error: 'Invalid message payload' };
+    }
+
+    const message = await Message.findById(messageId);
+    const editError = getEditError(message, userId);
+    if (editError) return editError;
+
+    const recipientId = message.recipientId.toString();
+    const blockError = await getBlockError(userId, recipientId);
+    if (blockError) return blockError;
+
+    applyEdit(message, {
+        encryptedForRecipient: pickPayload(data.encryptedForRecipient),
+        encryptedForSender: isValidPayload(data.encryptedForSender) ? pickPayload(data.encryptedForSender) : null,
+        deviceEnvelopes: await pickDeviceEnvelopes(data.deviceEnvelopes, userId, recipientId)
+    });
+    await message.save();
+
+    const { _id, senderId, encryptedForRecipient, encryptedForSender, deviceEnvelopes, editHistory, editedAt } =
+        message.toObject();
+    const payload = { _id, senderId, recipientId, encryptedForRecipient, encryptedForSender, deviceEnvelopes, editHistory, editedAt };
+
+    // Each socket gets the envelopes for its own device
+    [userId, recipientId].forEach(participantId => {
+        userSockets.get(participantId)?.forEach(socketId => {
+            const deviceId = io.sockets.sockets.get(socketId)?.deviceId;
+            io.to(socketId).emit('message_edited', forDevice(payload, participantId, deviceId));
+        });
+    });
+
+    return { message: { _id, editedAt } };
+}
+
+/**
+ * Delete a direct message for ourselves or for everyone
+ * 
+ * 'me' hides it for the user and tells their other sockets;
+ * 'everyone' leaves a tombstone and tells both participants.
+ * 
+ * @param {Object} data - { scope: 'me' | 'everyone', fileIds?: string[] } (attachment ids from the encrypted content)
+ * @returns {Promise<{ message: Object } | { status: number, error: string, code?: string }>}
+ */
+export async function deleteMessage(io, userId, messageId, data) {
+    const scope = data?.scope;
+    if (!mongoose.isValidObjectId(messageId) || !DELETE_SCOPES.includes(scope)) {
+        return { status: 400, error: 'Invalid delete request' };
+    }
+
+    const message = await Message.findById(messageId);
+    const deleteError = getDeleteError(message, userId, scope);
+    if (deleteError) return deleteError;
+
+    if (scope === 'me') {
+        await Message.updateOne({ _id: message._id }, { $addToSet: { hiddenFor: userId } });
+        emitToUser(io, userId, 'message_deleted', { messageId, scope });
+        return { message: { _id: message._id, scope } };
+    }
+
+    const storedFileIds = applyTombstone(message);
+    await message.save();
+
+    const fileIds = Array.isArray(data.fileIds) ? data.fileIds.filter(id => typeof id === 'string') : [];
+    await deleteMessageFiles([...storedFileIds, ...fileIds], message);
+
+    const payload = { messageId, scope, deletedAt: message.deletedAt };
+    emitToUser(io, userId, 'message_deleted', payload);
+    emitToUser(io, message.recipientId, 'message_deleted', payload);
+
+    return { message: { _id: message._id, scope, deletedAt: message.deletedAt } };
+}
+
+/**
+ * Tell the reader and the senders when read messages will disappear
+ * 
+ * @param {string} readerId
+ * @param {Array<{ _id, senderId, expiresAt }>} started - From startReadTimers()
+ */
+export function notifyTimersStarted(io, readerId, started) {
+    if (started.length === 0) return;
+
+    const toPayload = messages => ({ messages: messages.map(m => ({ _id: m._id, expiresAt: m.expiresAt })) });
+    emitToUser(io, readerId, 'message_timers_started', toPayload(started));
+
+    new Set(started.map(m => m.senderId.toString())).forEach(senderId => {
+        emitToUser(io, senderId, 'message_timers_started', toPayload(started.filter(m => m.senderId.toString() === senderId)));
+    });
+}
+
+/**
+ * Tell senders that the recipient received / read their messages
+ * (`messages_delivered` / `messages_read`)
+ * Read receipts only go to senders the reader shares them with.
+ * 
+ * @param {string} recipientId
+ * @param {{ delivered?: Array<{ _id, senderId, deliveredAt }>, read?: Array<{ _id, senderId, readAt }> }} receipts
+ *   From recordDelivery() / recordRead()
+ */
+export async function notifyReceipts(io, recipientId, { delivered = [], read = [] }) {
+    const bySender = receipts => receipts.reduce((groups, m) => {
+        const senderId = m.senderId.toString();
+        groups.set(senderId, [...(groups.get(senderId) || []), m]);
+        return groups;
+    }, new Map());
+
+    bySender(delivered).forEach((messages, senderId) => {
+        emitToUser(io, senderId, 'messages_delivered', {
+            messageIds: messages.map(m => m._id),
+            deliveredTo: recipientId,
+            deliveredAt: messages[0].deliveredAt
+        });
+    });
+
+    const readBySender = bySender(read);
+    if (readBySender.size === 0) return;
+
+    try {
+        const senderIds = [...readBySender.keys()];
+        const [settings, friends] = await Promise.all([
+            loadPrivacySettings([recipientId, ...senderIds]),
+            friendsAmong(recipientId, senderIds)
+        ]);
+        const readerSettings = settings.get(recipientId.toString());
+
+        readBySender.forEach((messages, senderId) => {
+            if (!canShare(readerSettings, settings.get(senderId), 'readReceipts', friends.has(senderId))) return;
+            emitToUser(io, senderId, 'messages_read', {
+                messageIds: messages.map(m => m._id),
+                readBy: recipientId,
+                readAt: messages[0].readAt
+            });
+        });
+    } catch (error) {
+        console.error('Notify read receipts error:', error);
+    }
+}
+
+// Client-generated message ids (idempotency keys of send_message)
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * A stored direct message as sent to its sender and recipient
+ */
+function sentMessagePayload(message) {
+    return {
+        _id: message._id,
+        clientMessageId: message.clientMessageId,
+        senderId: message.senderId.toString(),
+        recipientId: message.recipientId.toString(),
+        encryptedForRecipient: message.encryptedForRecipient,
+        encryptedForSender: message.encryptedForSender,
+        encrypted: message.encryptedForRecipient, // Legacy support
+        replyTo: message.replyTo,
+        replyPreview: message.replyPreview,
+        fileAttachment: message.fileAttachment,
+        messageType: message.messageType,
+        voiceDuration: message.voiceDuration,
+        voiceWaveform: message.voiceWaveform,
+        timerSeconds: message.timerSeconds,
+        viewOnce: message.viewOnce,
+        createdAt: message.createdAt,
+        delivered: message.delivered,
+        deliveredAt: message.deliveredAt,
+        read: message.read,
+        readAt: message.readAt
+    };
+}
+
+/**
+ * A stored message as confirmed again to its sender (on a retried send)
+ */
+async function duplicatePayload(message) {
+    const payload = sentMessagePayload(message);
+    if (payload.read && !(await isSharedWith(payload.recipientId, payload.senderId, 'readReceipts'))) {
+        return withoutReadState(payload);
+    }
+    return payload;
+}
+
+/**
+ * Send both friends the timer state of their conversation
+ */
+function emitTimerUpdate(io, friendship) {
+    const state = timerState(friendship);
+    const requesterId = friendship.requester.toString();
+    const recipientId = friendship.recipient.toString();
+
+    emitToUser(io, requesterId, 'message_timer_updated', { friendId: recipientId, ...state });
+    emitToUser(io, recipientId, 'message_timer_updated', { friendId: requesterId, ...state });
+}
+
+/**
+ * Socket.IO Event Handlers
+ *
  * SECURITY NOTES:
  * - All messages are pre-encrypted by the client
  * - Server only relays encrypted blobs
@@ -17,6 +317,10 @@ export const userSockets = new Map();
 export const setupSocketHandlers = (io) => {
     io.on('connection', (socket) => {
         const userId = socket.user.userId;
+        // Device the socket belongs to (selects its message envelopes):
+        // the one its token was issued to
+        const deviceId = socket.user.deviceId || socket.handshake.auth.deviceId;
+        socket.deviceId = isValidDeviceId(deviceId) ? deviceId : null;
         console.log(`✓ User connected: ${userId}`);
 
         // Track socket connection
@@ -25,12 +329,52 @@ export const setupSocketHandlers = (io) => {
         }
         userSockets.get(userId).add(socket.id);
 
+        // Events over the user's budget are refused (acknowledged with the
+        // error when the client waits for one); sockets that keep flooding are dropped
+        socket.use(async ([event, ...args], next) => {
+            try {
+                const limitError = await getSocketEventLimitError(userId, event);
+                if (!limitError) return next();
+
+                const { error, code, retryAfter, abusive } = limitError;
+                const callback = args[args.length - 1];
+                if (typeof callback === 'function') callback({ error, code, retryAfter });
+                if (abusive) {
+                    console.warn(`Disconnecting flooding socket of user ${userId} (${event})`);
+                    socket.disconnect(true);
+                }
+            } catch (error) {
+                // The socket stays usable if the store is unreachable
+                console.error('Socket rate limit error:', error);
+                next();
+            }
+        });
+
         // Update last seen
-        User.findByIdAndUpdate(userId, { lastSeen: new Date() }).catch(console.error);
+        recordLastSeen(userId).catch(console.error);
+
+        // Revoked devices are told to wipe their keys
+        if (socket.deviceId) {
+            isDeviceRevoked(userId, socket.deviceId)
+                .then(revoked => {
+                    if (revoked) {
+                        socket.emit('device_revoked', { deviceId: socket.deviceId });
+                        socket.disconnect(true);
+                    } else {
+                        return touchDevice(userId, socket.deviceId);
+                    }
+                })
+                .catch(console.error);
+        }
 
         // Notify friends that user is online
         notifyFriendsOfStatus(io, userId, 'online');
 
+        // Messages sent while the user was offline reach them now
+        recordDelivery(userId, {})
+            .then(delivered => notifyReceipts(io, userId, { delivered }))
+            .catch(console.error);
+
         /**
          * Handle sending encrypted messages
          * 
@@ -40,28 +384,50 @@ export const setupSocketHandlers = (io) => {
          *   encryptedForRecipient: {
          *     ephemeralPublicKey: JWK,
          *     iv: string (base64),
-         *     ciphertext: string (base64)
+         *     ciphertext: string (base64),
+         *     signature?: string (base64, sender's ECDSA signature)
          *   },
          *   encryptedForSender: {
          *     ephemeralPublicKey: JWK,
          *     iv: string (base64),
          *     ciphertext: string (base64)
-         *   }
+         *   },
+         *   deviceEnvelopes?: [
+         *     { userId, deviceId, payload }  // copy for each other device
+         *   ],
+         *   fileIds?: string[]  // attachments in the encrypted content
          * }
+         *
+         * Every socket receives only the envelope for its own device
+         * (as `encryptedForDevice`). The sender's other sockets get the
+         * message too.
          */
         socket.on('send_message', async (data, callback) => {
             try {
                 const { recipientId, encryptedForRecipient, encryptedForSender, encrypted } = data;
+                const clientMessageId = data.clientMessageId ?? null;
 
                 // Support both new dual-encryption and legacy single encryption
                 const forRecipient = encryptedForRecipient || encrypted;
                 const forSender = encryptedForSender;
 
                 // Validate payload
-                if (!recipientId || !forRecipient || !forRecipient.ephemeralPublicKey ||
-                    !forRecipient.iv || !forRecipient.ciphertext) {
+                if (!recipientId || !isValidPayload(forRecipient)) {
                     return callback({ error: 'Invalid message payload' });
                 }
+                if (clientMessageId !== null && !CLIENT_MESSAGE_ID_PATTERN.test(clientMessageId)) {
+                    return callback({ error: 'Invalid client message id' });
+                }
+                // Clients that send ratchet payloads keep all metadata in the encrypted content
+                const hasPlaintextMetadata = LEGACY_METADATA_FIELDS.some(field => data[field] != null);
+                if (forRecipient.version && hasPlaintextMetadata) {
+                    return callback({ error: 'Message metadata must be inside the encrypted payload' });
+                }
+
+                const blockError = await getBlockError(userId, recipientId);
+                if (blockError) {
+                    return callback({ error: blockError.error });
+                }
 
                 // Verify friendship
                 const friendship = await Friendship.findOne({
@@ -75,34 +441,39 @@ export const setupSocketHandlers = (io) => {
                     return callback({ error: 'Not friends with this user' });
                 }
 
+                // A retry of a message that was already stored: confirm it again, without re-delivering
+                const stored = clientMessageId && await Message.findOne({ senderId: userId, clientMessageId });
+                if (stored) {
+                    return callback({ success: true, duplicate: true, message: await duplicatePayload(stored) });
+                }
+
                 // Save encrypted message with both versions
                 const messageData = {
                     senderId: userId,
                     recipientId,
-                    encryptedForRecipient: {
-                        ephemeralPublicKey: forRecipient.ephemeralPublicKey,
-                        iv: forRecipient.iv,
-                        ciphertext: forRecipient.ciphertext
-                    },
-                    encryptedForSender: forSender ? {
-                        ephemeralPublicKey: forSender.ephemeralPublicKey,
-                        iv: forSender.iv,
-                        ciphertext: forSender.ciphertext
-                    } : null,
+                    clientMessageId,
+                    encryptedForRecipient: pickPayload(forRecipient),
+                    encryptedForSender: isValidPayload(forSender) ? pickPayload(forSender) : null,
+                    deviceEnvelopes: await pickDeviceEnvelopes(data.deviceEnvelopes, userId, recipientId),
                     // Reply support
                     replyTo: data.replyTo || null,
-                    replyPreview: data.replyPreview || null,
-                    // Ephemeral (disappearing) messages - 24 hour expiration
-                    isEphemeral: !!data.isEphemeral,
-                    expiresAt: data.isEphemeral ? new Date(Date.now() + 24 * 60 * 60 * 1000) : null,
-                    // Keep legacy field for backward compatibility
-                    encrypted: {
+                    replyPreview: forRecipient.version ? null : data.replyPreview || null,
+                    // Disappearing messages: the conversation timer, counted from when it is read
+                    timerSeconds: friendship.messageTimer?.seconds || 0,
+                    isEphemeral: (friendship.messageTimer?.seconds || 0) > 0,
+                    expiresAt: null,
+                    // View-once attachment (the file is deleted once opened)
+                    viewOnce: !!data.viewOnce,
+                    // Attachments named in the encrypted content, removed with the message
+                    fileIds: pickFileIds(data.fileIds),
+                    // Keep legacy field for backward compatibility (v1 payloads only)
+                    encrypted: forRecipient.version ? undefined : {
                         ephemeralPublicKey: forRecipient.ephemeralPublicKey,
                         iv: forRecipient.iv,
                         ciphertext: forRecipient.ciphertext
                     },
 
-                    // Message metadata
+                    // Plaintext metadata of older clients (v1 payloads only)
                     messageType: data.messageType || 'text',
                     fileAttachment: data.fileAttachment || null,
                     voiceDuration: data.voiceDuration || null,
@@ -114,40 +485,49 @@ export const setupSocketHandlers = (io) => {
 
                 const message = new Message(messageData);
 
-                await message.save();
+                try {
+                    await message.save();
+                } catch (error) {
+                    // A concurrent retry of the same message was stored first
+                    if (error.code !== 11000 || !clientMessageId) throw error;
+                    const first = await Message.findOne({ senderId: userId, clientMessageId });
+                    return callback({ success: true, duplicate: true, message: await duplicatePayload(first) });
+                }
 
                 // Prepare message for delivery
-                const responsePayload = {
-                    _id: message._id,
-                    senderId: userId,
-                    recipientId,
-                    encryptedForRecipient: message.encryptedForRecipient,
-                    encryptedForSender: message.encryptedForSender,
-                    encrypted: message.encryptedForRecipient, // Legacy support
-                    replyTo: message.replyTo,
-                    replyPreview: message.replyPreview,
-                    fileAttachment: message.fileAttachment, // Added file attachment
-                    messageType: message.messageType,       // Added message type
-                    voiceDuration: message.voiceDuration,   // Added voice duration
-                    voiceWaveform: message.voiceWaveform,   // Added voice waveform
-                    createdAt: message.createdAt,
-                    delivered: false,
-                    read: false
-                };
+                const responsePayload = sentMessagePayload(message);
 
-                // Send to recipient if online
+                // Send to recipient if online (each device gets its own envelope)
                 const recipientSockets = userSockets.get(recipientId);
                 if (recipientSockets && recipientSockets.size > 0) {
                     recipientSockets.forEach(socketId => {
-                        io.to(socketId).emit('new_message', responsePayload);
+                        const deviceId = io.sockets.sockets.get(socketId)?.deviceId;
+                        io.to(socketId).emit('new_message', forDevice(
+                            { ...responsePayload, deviceEnvelopes: messageData.deviceEnvelopes },
+                            recipientId,
+                            deviceId
+                        ));
                     });
 
-                    // Mark as delivered
+                    // Mark as delivered (the sender learns it from the callback)
                     message.delivered = true;
+                    message.deliveredAt = new Date();
                     await message.save();
                     responsePayload.delivered = true;
+                    responsePayload.deliveredAt = message.deliveredAt;
                 }
 
+                // Sync to the sender's other tabs / devices
+                userSockets.get(userId)?.forEach(socketId => {
+                    if (socketId === socket.id) return;
+                    const deviceId = io.sockets.sockets.get(socketId)?.deviceId;
+                    io.to(socketId).emit('new_message', forDevice(
+                        { ...responsePayload, deviceEnvelopes: messageData.deviceEnvelopes },
+                        userId,
+                        deviceId
+                    ));
+                });
+
                 // Confirm to sender
                 callback({ success: true, message: responsePayload });
             } catch (error) {
@@ -156,162 +536,576 @@ export const setupSocketHandlers = (io) => {
             }
         });
 
+        /**
+         * Handle sending group messages
+         * 
+         * Group messages are encrypted once with the sender's sender key.
+         * The sender key must belong to the group's current key epoch,
+         * otherwise the client is told to rotate and redistribute its key.
+         * 
+         * Expected payload:
+         * {
+         *   groupId: string,
+         *   epoch: number,
+         *   encryptedForGroup: {
+         *     senderKeyId: string,
+         *     salt: string (base64),
+         *     iv: string (base64),
+         *     ciphertext: string (base64)
+         *   }
+         * }
+         */
+        socket.on('send_group_message', async (data, callback) => {
+            try {
+                const { groupId, epoch, encryptedForGroup } = data;
+
+                if (!groupId || !encryptedForGroup || !encryptedForGroup.senderKeyId ||
+                    !encryptedForGroup.salt || !encryptedForGroup.iv || !encryptedForGroup.ciphertext) {
+                    return callback({ error: 'Invalid message payload' });
+                }
+
+                const group = await Conversation.findById(groupId);
+                if (!group || !group.isMember(userId)) {
+                    return callback({ error: 'Not a member of this group' });
+                }
+
+                // Sender key must match current membership
+                if (epoch !== group.keyEpoch) {
+                    return callback({
+                        error: 'Sender key is out of date',
+                        code: 'STALE_EPOCH',
+                        epoch: group.keyEpoch
+                    });
+                }
+
+                const message = new Message({
+                    senderId: userId,
+                    groupId,
+                    keyEpoch: group.keyEpoch,
+                    encryptedForGroup: {
+                        senderKeyId: encryptedForGroup.senderKeyId,
+                        salt: encryptedForGroup.salt,
+                        iv: encryptedForGroup.iv,
+                        ciphertext: encryptedForGroup.ciphertext,
+                        signature: encryptedForGroup.signature
+                    },
+                    replyTo: data.replyTo || null,
+                    messageType: 'text'
+                });
+
+                await message.save();
+
+                const responsePayload = {
+                    _id: message._id,
+                    senderId: userId,
+                    groupId,
+                    keyEpoch: message.keyEpoch,
+                    encryptedForGroup: message.encryptedForGroup,
+                    replyTo: message.replyTo,
+                    messageType: message.messageType,
+                    createdAt: message.createdAt,
+                    delivered: false,
+                    read: false
+                };
+
+                // Fan out to every member's sockets (except this one), skipping
+                // members blocked by / blocking the sender since they joined
+                const blocked = await blockedUserIds(userId);
+                group.members.forEach(memberId => {
+                    if (blocked.has(memberId.toString())) return;
+                    const memberSockets = userSockets.get(memberId.toString());
+                    if (memberSockets) {
+                        memberSockets.forEach(socketId => {
+                            if (socketId !== socket.id) {
+                                io.to(socketId).emit('new_group_message', responsePayload);
+                            }
+                        });
+                    }
+                });
+
+                callback({ success: true, message: responsePayload });
+            } catch (error) {
+                console.error('Send group message error:', error);
+                callback({ error: 'Failed to send message' });
+            }
+        });
+
         /**
          * Handle typing indicator
-         * No message content is sent - just the fact that user is typing
+         * No message content is sent - just the fact that user is typing.
+         * Only users both sides share typing indicators with get it.
          */
         socket.on('typing', async (data) => {
-            const { recipientId, isTyping } = data;
+            const { recipientId, groupId, isTyping } = data || {};
+
+            if (groupId) {
+                try {
+                    const group = await Conversation.findById(groupId).select('members');
+                    if (!group || !group.members.some(m => m.toString() === userId)) return;
+
+                    // Members blocked by / blocking the user are not told
+                    const blocked = await blockedUserIds(userId);
+                    const memberIds = group.members
+                        .map(m => m.toString())
+                        .filter(id => id !== userId && !blocked.has(id));
+                    const [settings, friends] = await Promise.all([
+                        loadPrivacySettings([userId, ...memberIds]),
+                        friendsAmong(userId, memberIds)
+                    ]);
+
+                    memberIds
+                        .filter(memberId => canShare(
+                            settings.get(userId), settings.get(memberId), 'typingIndicators', friends.has(memberId)
+                        ))
+                        .forEach(memberId => {
+                            emitToUser(io, memberId, 'user_typing', { userId, groupId, isTyping });
+                        });
+                } catch (error) {
+                    console.error('Group typing error:', error);
+                }
+                return;
+            }
 
             const recipientSockets = userSockets.get(recipientId);
-            if (recipientSockets) {
+            if (!recipientSockets) return;
+
+            try {
+                if (await isBlockedBetween(userId, recipientId)) return;
+                if (!(await isSharedWith(userId, recipientId, 'typingIndicators'))) return;
+
                 recipientSockets.forEach(socketId => {
                     io.to(socketId).emit('user_typing', {
                         userId,
                         isTyping
                     });
                 });
+            } catch (error) {
+                console.error('Typing error:', error);
             }
         });
 
         /**
-         * Handle adding emoji reaction to a message
+         * Handle setting the user's reactions to a message
+         * Reactions are encrypted on the client (for the user and the other
+         * participant); the server replaces the user's entry, or removes it
+         * when no payloads are sent. Only the two users of a direct message
+         * can react to it (and are notified). Sealed sender messages have no
+         * sender on record: the reacting recipient sends a delivery token
+         * (scope 'reaction') for them instead.
          */
-        socket.on('add_reaction', async (data, callback) => {
-            const { messageId, emoji, recipientId } = data;
+        socket.on('set_reaction', async (data, callback) => {
+            const { messageId, encryptedForSelf, encryptedForPeer } = data || {};
 
             try {
-                const message = await Message.findById(messageId);
-                if (!message) {
+                const removes = !encryptedForSelf && !encryptedForPeer;
+                if (!mongoose.isValidObjectId(messageId) ||
+                    (!removes && !(isValidPayload(encryptedForSelf) && isValidPayload(encryptedForPeer)))) {
+                    return callback?.({ error: 'Invalid reaction' });
+                }
+
+                const message = await Message.findOne({
+                    _id: messageId,
+                    $or: [{ senderId: userId }, { recipientId: userId }]
+                });
+                const otherId = !message ? null
+                    : message.sealed ? await redeemDeliveryToken(data.reactionToken, 'reaction')
+                    : message.senderId.toString() === userId ? message.recipientId : message.senderId;
+                if (!message || message.deletedAt || !mongoose.isValidObjectId(otherId)) {
                     return callback?.({ error: 'Message not found' });
                 }
 
-                // Check if user already reacted with this emoji
-                const existingReaction = message.reactions?.find(
-                    r => r.userId.toString() === userId && r.emoji === emoji
-                );
-
-                if (existingReaction) {
-                    // Remove reaction (toggle off)
-                    message.reactions = message.reactions.filter(
-                        r => !(r.userId.toString() === userId && r.emoji === emoji)
-                    );
-                } else {
-                    // Add reaction
-                    if (!message.reactions) message.reactions = [];
-                    message.reactions.push({ emoji, userId });
+                const recipientId = otherId.toString();
+                const blockError = await getBlockError(userId, recipientId);
+                if (blockError) {
+                    return callback?.({ error: blockError.error });
+                }
+
+                // The new event replaces all of the user's reactions (including plaintext ones)
+                message.reactions = (message.reactions || []).filter(r => r.userId.toString() !== userId);
+                if (!removes) {
+                    message.reactions.push({
+                        userId,
+                        encryptedForSelf: pickPayload(encryptedForSelf),
+                        encryptedForPeer: pickPayload(encryptedForPeer),
+                        updatedAt: new Date()
+                    });
                 }
 
                 await message.save();
 
-                const reactionData = {
-                    messageId,
-                    reactions: message.reactions
-                };
+                // Notify both users (and the user's other tabs)
+                const reactionData = { messageId, reactions: message.reactions };
+                emitToUser(io, recipientId, 'reaction_updated', reactionData);
+                emitToUser(io, userId, 'reaction_updated', reactionData);
 
-                // Notify both users
-                const recipientSockets = userSockets.get(recipientId);
-                if (recipientSockets) {
-                    recipientSockets.forEach(socketId => {
-                        io.to(socketId).emit('reaction_updated', reactionData);
-                    });
+                callback?.({ success: true, reactions: message.reactions });
+            } catch (error) {
+                console.error('Set reaction error:', error);
+                callback?.({ error: 'Failed to set reaction' });
+            }
+        });
+
+        /**
+         * Handle editing a sent direct message
+         * 
+         * Expected payload:
+         * {
+         *   messageId: string,
+         *   encryptedForRecipient, encryptedForSender, deviceEnvelopes  // as in send_message
+         * }
+         * 
+         * Both participants' sockets receive `message_edited`.
+         */
+        socket.on('edit_message', async (data, callback) => {
+            try {
+                const result = await editMessage(io, userId, data?.messageId, data);
+                if (result.error) {
+                    return callback?.({ error: result.error, code: result.code });
                 }
+                callback?.({ success: true, message: result.message });
+            } catch (error) {
+                console.error('Edit message error:', error);
+                callback?.({ error: 'Failed to edit message' });
+            }
+        });
+
+        /**
+         * Handle deleting a direct message
+         * 
+         * Expected payload:
+         * {
+         *   messageId: string,
+         *   scope: 'me' | 'everyone',
+         *   fileIds?: string[]  // attachments to remove (for everyone)
+         * }
+         */
+        socket.on('delete_message', async (data, callback) => {
+            try {
+                const result = await deleteMessage(io, userId, data?.messageId, data);
+                if (result.error) {
+                    return callback?.({ error: result.error, code: result.code });
+                }
+                callback?.({ success: true, message: result.message });
+            } catch (error) {
+                console.error('Delete message error:', error);
+                callback?.({ error: 'Failed to delete message' });
+            }
+        });
 
-                // Also notify sender's other tabs
-                const senderSockets = userSockets.get(userId);
-                if (senderSockets) {
-                    senderSockets.forEach(socketId => {
-                        io.to(socketId).emit('reaction_updated', reactionData);
+        /**
+         * Propose a disappearing message timer for a conversation
+         * 
+         * Expected payload: { friendId: string, seconds: number (see TIMER_OPTIONS) }
+         * 
+         * The timer changes once the friend accepts (respond_message_timer).
+         * Both friends receive `message_timer_updated`.
+         */
+        socket.on('set_message_timer', async (data, callback) => {
+            try {
+                const { friendId, seconds } = data || {};
+                if (!mongoose.isValidObjectId(friendId) || !isValidTimer(seconds)) {
+                    return callback?.({ error: 'Invalid timer' });
+                }
+
+                const friendship = await Friendship.findOne({
+                    $or: [
+                        { requester: userId, recipient: friendId, status: 'accepted' },
+                        { requester: friendId, recipient: userId, status: 'accepted' }
+                    ]
+                });
+                if (!friendship) {
+                    return callback?.({ error: 'Not friends with this user' });
+                }
+
+                // Proposing the current timer withdraws a pending proposal
+                friendship.messageTimer.proposal = seconds === (friendship.messageTimer.seconds || 0)
+                    ? undefined
+                    : { seconds, proposedBy: userId, proposedAt: new Date() };
+                await friendship.save();
+
+                emitTimerUpdate(io, friendship);
+                callback?.({ success: true, timer: timerState(friendship) });
+            } catch (error) {
+                console.error('Set message timer error:', error);
+                callback?.({ error: 'Failed to set message timer' });
+            }
+        });
+
+        /**
+         * Accept or decline the friend's timer proposal
+         * 
+         * Expected payload: { friendId: string, accept: boolean }
+         * 
+         * Accepting changes the timer and adds a system message to the
+         * conversation (delivered to both friends as `new_message`).
+         */
+        socket.on('respond_message_timer', async (data, callback) => {
+            try {
+                const { friendId, accept } = data || {};
+                if (!mongoose.isValidObjectId(friendId)) {
+                    return callback?.({ error: 'Invalid timer response' });
+                }
+
+                const friendship = await Friendship.findOne({
+                    $or: [
+                        { requester: userId, recipient: friendId, status: 'accepted' },
+                        { requester: friendId, recipient: userId, status: 'accepted' }
+                    ]
+                });
+                const proposal = friendship?.messageTimer?.proposal;
+                if (!proposal?.proposedBy || proposal.proposedBy.toString() !== friendId) {
+                    return callback?.({ error: 'No timer proposal to respond to' });
+                }
+
+                const seconds = proposal.seconds;
+                if (accept) {
+                    friendship.messageTimer.seconds = seconds;
+                }
+                friendship.messageTimer.proposal = undefined;
+                await friendship.save();
+
+                emitTimerUpdate(io, friendship);
+
+                if (accept) {
+                    // Announce the change in the conversation (made by the proposer)
+                    const message = await Message.create({
+                        senderId: friendId,
+                        recipientId: userId,
+                        systemEvent: { type: 'timer_changed', timerSeconds: seconds },
+                        delivered: true
                     });
+                    const payload = message.toObject();
+                    emitToUser(io, userId, 'new_message', payload);
+                    emitToUser(io, friendId, 'new_message', payload);
                 }
 
-                callback?.({ success: true, reactions: message.reactions });
+                callback?.({ success: true, timer: timerState(friendship) });
             } catch (error) {
-                console.error('Add reaction error:', error);
-                callback?.({ error: 'Failed to add reaction' });
+                console.error('Respond message timer error:', error);
+                callback?.({ error: 'Failed to update message timer' });
+            }
+        });
+
+        /**
+         * Recipient opened a view-once attachment
+         * 
+         * Expected payload: { messageId: string, fileId: string }
+         * 
+         * The file id is only known from the encrypted content, so the
+         * client names it (newer senders also stored it with the message);
+         * it is deleted if the sender uploaded it for us.
+         * Both users' sockets receive `media_viewed`.
+         */
+        socket.on('media_viewed', async (data, callback) => {
+            try {
+                const { messageId, fileId } = data || {};
+                if (!mongoose.isValidObjectId(messageId)) {
+                    return callback?.({ error: 'Invalid message' });
+                }
+
+                const message = await Message.findOne({ _id: messageId, recipientId: userId, viewOnce: true });
+                if (!message) {
+                    return callback?.({ error: 'Message not found' });
+                }
+                if (message.consumedAt) {
+                    return callback?.({ error: 'Already opened', code: 'ALREADY_VIEWED' });
+                }
+
+                await deleteMessageFiles([...(message.fileIds || []), ...(typeof fileId === 'string' ? [fileId] : [])], message);
+                message.consumedAt = new Date();
+                await message.save();
+
+                const payload = { messageId, consumedAt: message.consumedAt };
+                emitToUser(io, userId, 'media_viewed', payload);
+                emitToUser(io, message.senderId, 'media_viewed', payload);
+
+                callback?.({ success: true, consumedAt: message.consumedAt });
+            } catch (error) {
+                console.error('Media viewed error:', error);
+                callback?.({ error: 'Failed to record view' });
             }
         });
 
         /**
          * Handle message read receipt
+         * 
+         * Expected payload: { messageIds: string[], receiptToken?: string }
+         * 
+         * The senders of the messages get `messages_read` (and
+         * `messages_delivered` for ones not delivered before). Sealed
+         * sender messages have no sender on record, their receipt goes
+         * to the user a delivery token (scope 'receipt') was issued for -
+         * the token the sender put inside that message (receiptTokenHash).
          */
         socket.on('mark_read', async (data) => {
-            const { messageIds, senderId } = data;
+            const messageIds = Array.isArray(data?.messageIds)
+                ? data.messageIds.filter(id => mongoose.isValidObjectId(id))
+                : [];
+            if (messageIds.length === 0) return;
 
             try {
-                await Message.updateMany(
-                    { _id: { $in: messageIds }, recipientId: userId },
-                    { read: true }
-                );
-
-                // Notify sender
-                const senderSockets = userSockets.get(senderId);
-                if (senderSockets) {
-                    senderSockets.forEach(socketId => {
-                        io.to(socketId).emit('messages_read', {
-                            messageIds,
-                            readBy: userId
-                        });
+                notifyReceipts(io, userId, await recordRead(userId, { _id: { $in: messageIds } }));
+
+                // A receipt token only reports the sealed message it came with
+                const sealedSenderId = data.receiptToken && await redeemDeliveryToken(data.receiptToken, 'receipt');
+                if (sealedSenderId && !(await isBlockedBetween(userId, sealedSenderId))) {
+                    const sealedRead = await recordSealedRead(userId, {
+                        _id: { $in: messageIds },
+                        receiptTokenHash: deliveryTokenHash(data.receiptToken)
                     });
+                    notifyReceipts(io, userId, { read: sealedRead.map(m => ({ ...m, senderId: sealedSenderId })) });
                 }
+
+                // Disappearing messages start counting down once read
+                notifyTimersStarted(io, userId, await startReadTimers(userId, { _id: { $in: messageIds } }));
             } catch (error) {
                 console.error('Mark read error:', error);
             }
         });
 
+        /**
+         * Device linking relay
+         *
+         * 1. link_open:     new device opens a channel with its ephemeral public key
+         * 2. link_join:     another device of the same user joins and gets that key
+         * 3. link_transfer: the joined device sends the sealed key bundle, which is
+         *                   forwarded once as `link_bundle` and the channel is closed
+         */
+        socket.on('link_open', (data, callback) => {
+            const { channel, publicKey } = data || {};
+
+            if (!LINK_CHANNEL_PATTERN.test(channel || '') || !publicKey?.x || !publicKey?.y) {
+                return callback?.({ error: 'Invalid link request' });
+            }
+
+            const key = `${userId}:${channel}`;
+            const existing = linkChannels.get(key);
+            if (existing && existing.expiresAt > Date.now()) {
+                return callback?.({ error: 'Link channel in use' });
+            }
+
+            const entry = {
+                newSocketId: socket.id,
+                publicKey: { kty: publicKey.kty, crv: publicKey.crv, x: publicKey.x, y: publicKey.y },
+                existingSocketId: null,
+                expiresAt: Date.now() + LINK_CHANNEL_TTL
+            };
+            linkChannels.set(key, entry);
+
+            setTimeout(() => {
+                if (linkChannels.get(key) === entry) linkChannels.delete(key);
+            }, LINK_CHANNEL_TTL);
+
+            callback?.({ success: true, expiresAt: new Date(entry.expiresAt) });
+        });
+
+        socket.on('link_join', (data, callback) => {
+            const key = `${userId}:${data?.channel}`;
+            const entry = linkChannels.get(key);
+
+            if (!entry || entry.expiresAt <= Date.now() || entry.newSocketId === socket.id) {
+                return callback?.({ error: 'Link code not found or expired' });
+            }
+
+            if (entry.existingSocketId) {
+                return callback?.({ error: 'Another device is already linking' });
+            }
+
+            entry.existingSocketId = socket.id;
+            io.to(entry.newSocketId).emit('link_joined', { channel: data.channel });
+
+            callback?.({ success: true, publicKey: entry.publicKey });
+        });
+
+        socket.on('link_transfer', (data, callback) => {
+            const { channel, sealed } = data || {};
+            const key = `${userId}:${channel}`;
+            const entry = linkChannels.get(key);
+
+            if (!entry || entry.existingSocketId !== socket.id || entry.expiresAt <= Date.now()) {
+                return callback?.({ error: 'Link channel not found or expired' });
+            }
+
+            if (!sealed?.ephemeralPublicKey || typeof sealed.iv !== 'string' || typeof sealed.ciphertext !== 'string') {
+                return callback?.({ error: 'Invalid link bundle' });
+            }
+
+            linkChannels.delete(key);
+            io.to(entry.newSocketId).emit('link_bundle', {
+                channel,
+                sealed: {
+                    ephemeralPublicKey: sealed.ephemeralPublicKey,
+                    iv: sealed.iv,
+                    ciphertext: sealed.ciphertext
+                }
+            });
+
+            callback?.({ success: true });
+        });
+
+        socket.on('link_cancel', (data) => {
+            const key = `${userId}:${data?.channel}`;
+            const entry = linkChannels.get(key);
+            if (!entry || (entry.newSocketId !== socket.id && entry.existingSocketId !== socket.id)) return;
+
+            linkChannels.delete(key);
+            const otherSocketId = entry.newSocketId === socket.id ? entry.existingSocketId : entry.newSocketId;
+            if (otherSocketId) {
+                io.to(otherSocketId).emit('link_cancelled', { channel: data.channel });
+            }
+        });
+
         /**
          * WebRTC Call Signaling
+         * Signals are only relayed between users who have not blocked each
+         * other (hanging up always goes through).
          */
+        const relayCallSignal = async (recipientId, event, payload) => {
+            try {
+                if (await isBlockedBetween(userId, recipientId)) return;
+                emitToUser(io, recipientId, event, payload);
+            } catch (error) {
+                console.error('Call signaling error:', error);
+            }
+        };
 
         // Handle call offer
         socket.on('call_offer', (data) => {
-            const { recipientId, offer, isVideo } = data;
-            const recipientSockets = userSockets.get(recipientId);
+            const { recipientId, offer, isVideo } = data || {};
+            if (!mongoose.isValidObjectId(recipientId)) return;
 
-            if (recipientSockets) {
-                recipientSockets.forEach(socketId => {
-                    io.to(socketId).emit('call_offer', {
-                        callerId: userId,
-                        offer,
-                        isVideo
-                    });
-                });
-            }
+            relayCallSignal(recipientId, 'call_offer', {
+                callerId: userId,
+                offer,
+                isVideo
+            });
         });
 
         // Handle call answer
         socket.on('call_answer', (data) => {
-            const { recipientId, answer } = data;
-            const recipientSockets = userSockets.get(recipientId);
+            const { recipientId, answer } = data || {};
+            if (!mongoose.isValidObjectId(recipientId)) return;
 
-            if (recipientSockets) {
-                recipientSockets.forEach(socketId => {
-                    io.to(socketId).emit('call_answer', {
-                        answererId: userId,
-                        answer
-                    });
-                });
-            }
+            relayCallSignal(recipientId, 'call_answer', {
+                answererId: userId,
+                answer
+            });
         });
 
         // Handle ICE candidates
         socket.on('ice_candidate', (data) => {
-            const { recipientId, candidate } = data;
-            const recipientSockets = userSockets.get(recipientId);
+            const { recipientId, candidate } = data || {};
+            if (!mongoose.isValidObjectId(recipientId)) return;
 
-            if (recipientSockets) {
-                recipientSockets.forEach(socketId => {
-                    io.to(socketId).emit('ice_candidate', {
-                        senderId: userId,
-                        candidate
-                    });
-                });
-            }
+            relayCallSignal(recipientId, 'ice_candidate', {
+                senderId: userId,
+                candidate
+            });
         });
 
         // Handle call end
         socket.on('call_end', (data) => {
-            const { recipientId } = data;
+            const { recipientId } = data || {};
             const recipientSockets = userSockets.get(recipientId);
 
             if (recipientSockets) {
@@ -327,6 +1121,11 @@ export const setupSocketHandlers = (io) => {
         socket.on('disconnect', () => {
             console.log(`✗ User disconnected: ${userId}`);
 
+            // Close link channels opened by this socket
+            linkChannels.forEach((entry, key) => {
+                if (entry.newSocketId === socket.id) linkChannels.delete(key);
+            });
+
             // Remove socket from tracking
             const sockets = userSockets.get(userId);
             if (sockets) {
@@ -334,7 +1133,7 @@ export const setupSocketHandlers = (io) => {
                 if (sockets.size === 0) {
                     userSockets.delete(userId);
                     // Notify friends that user is offline
-                    User.findByIdAndUpdate(userId, { lastSeen: new Date() }).catch(console.error);
+                    recordLastSeen(userId).catch(console.error);
                     notifyFriendsOfStatus(io, userId, 'offline');
                 }
             }
@@ -344,8 +1143,10 @@ export const setupSocketHandlers = (io) => {
 
 /**
  * Notify friends when user comes online/offline
+ * Friends the user does not share their online status with always see
+ * them offline (so changing the setting can be announced the same way).
  */
-async function notifyFriendsOfStatus(io, userId, status) {
+export async function notifyFriendsOfStatus(io, userId, status) {
     try {
         const friendships = await Friendship.find({
             $or: [
@@ -354,15 +1155,18 @@ async function notifyFriendsOfStatus(io, userId, status) {
             ]
         });
 
-        friendships.forEach(f => {
-            const friendId = f.requester.toString() === userId
-                ? f.recipient.toString()
-                : f.requester.toString();
+        const friendIds = friendships.map(f => f.requester.toString() === userId
+            ? f.recipient.toString()
+            : f.requester.toString());
+        const settings = await loadPrivacySettings([userId, ...friendIds]);
+
+        friendIds.forEach(friendId => {
+            const shared = canShare(settings.get(userId), settings.get(friendId), 'onlineStatus', true);
 
             const friendSockets = userSockets.get(friendId);
             if (friendSockets) {
                 friendSockets.forEach(socketId => {
-                    io.to(socketId).emit('friend_status', { userId, status });
+                    io.to(socketId).emit('friend_status', { userId, status: shared ? status : 'offline' });
                 });
             }
         });
@@ -371,4 +1175,4 @@ async function notifyFriendsOfStatus(io, userId, status) {
     }
 }
 
-export default { setupSocketHandlers };
+export default { setupSocketHandlers, emitToUser };
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDb, newId } from './helpers.js';
+import { isBlockedBetween, getBlockError, blockedUserIds, getGroupBlockError } from '../src/services/blockPolicy.js';
+import { issueDeliveryToken, redeemDeliveryToken } from '../src/services/sealedSender.js';
+
+describe('block policy', () => {
+    let db;
+    const alice = newId();
+    const bob = newId();
+    const carol = newId();
+
+    beforeEach(() => {
+        db = fakeDb();
+        db.seed('BlockedUser', [{ blockerId: alice, blockedId: bob }]);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('separates the two users both ways', async () => {
+        assert.equal(await isBlockedBetween(alice, bob), true);
+        assert.equal(await isBlockedBetween(bob, alice), true);
+        assert.equal(await isBlockedBetween(alice, carol), false);
+    });
+
+    it('refuses contact without saying who blocked whom', async () => {
+        const expected = { status: 403, error: 'You cannot contact this user' };
+        assert.deepEqual(await getBlockError(alice, bob), expected);
+        assert.deepEqual(await getBlockError(bob, alice), expected);
+        assert.equal(await getBlockError(bob, carol), null);
+    });
+
+    it('lists users blocked by and blocking a user', async () => {
+        db.seed('BlockedUser', [{ blockerId: carol, blockedId: alice }]);
+
+        assert.deepEqual(await blockedUserIds(alice), new Set([bob, carol]));
+        assert.deepEqual(await blockedUserIds(bob), new Set([alice]));
+    });
+
+    it('keeps blocked users out of one group', async () => {
+        assert.equal((await getGroupBlockError([carol, alice, bob]))?.status, 403);
+        assert.equal((await getGroupBlockError([bob, carol, alice]))?.status, 403);
+        assert.equal(await getGroupBlockError([alice, carol]), null);
+    });
+});
+
+describe('sealed sender delivery tokens', () => {
+    let db;
+    const alice = newId();
+
+    beforeEach(() => {
+        db = fakeDb();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('stop working once the recipient blocks or unfriends someone', async () => {
+        // Blocking bumps the recipient's token epoch (revokeDeliveryTokens)
+        db.seed('User', [{ _id: alice, sealedTokenEpoch: 1 }]);
+        const { token } = issueDeliveryToken(alice, 'message', 0);
+
+        assert.equal(await redeemDeliveryToken(token, 'message'), null);
+    });
+
+    it('work once, for their own scope', async () => {
+        db.seed('User', [{ _id: alice, sealedTokenEpoch: 1 }]);
+        const { token } = issueDeliveryToken(alice, 'receipt', 1);
+
+        assert.equal(await redeemDeliveryToken(token, 'reaction'), null);
+        assert.equal(await redeemDeliveryToken(token, 'receipt'), alice);
+        assert.equal(await redeemDeliveryToken(token, 'receipt'), null);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDb, newId, request, payload } from './helpers.js';
+import { app } from '../src/index.js';
+
+const BLOCKED = { error: 'You cannot contact this user' };
+
+describe('blocks in HTTP routes', () => {
+    let db;
+    let alice, bob, carol;
+
+    const friends = (...pairs) => db.seed('Friendship', pairs.map(([requester, recipient]) => (
+        { requester, recipient, status: 'accepted' }
+    )));
+
+    beforeEach(() => {
+        [alice, bob, carol] = [newId(), newId(), newId()];
+        db = fakeDb();
+        db.seed('User', [
+            { _id: alice, username: 'alice' },
+            { _id: bob, username: 'bob_smith' },
+            { _id: carol, username: 'carol_smith' }
+        ]);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('search never finds blocked users', async () => {
+        db.seed('BlockedUser', [{ blockerId: bob, blockedId: alice }]);
+
+        const { status, body } = await request(app, 'GET', '/api/users/search?q=smith', { userId: alice });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(u => u.username), ['carol_smith']);
+    });
+
+    it('friend requests are refused both ways', async () => {
+        db.seed('BlockedUser', [{ blockerId: alice, blockedId: bob }]);
+
+        const fromBlocker = await request(app, 'POST', `/api/friends/request/${bob}`, { userId: alice });
+        const fromBlocked = await request(app, 'POST', `/api/friends/request/${alice}`, { userId: bob });
+
+        assert.deepEqual([fromBlocker.status, fromBlocker.body], [403, BLOCKED]);
+        assert.deepEqual([fromBlocked.status, fromBlocked.body], [403, BLOCKED]);
+    });
+
+    it('no delivery tokens are issued for blocked users', async () => {
+        // A friendship left over from before the block must not count
+        friends([alice, bob], [alice, carol]);
+        db.seed('BlockedUser', [{ blockerId: bob, blockedId: alice }]);
+
+        const { status, body } = await request(app, 'POST', '/api/sealed/tokens', {
+            userId: alice,
+            body: { recipientIds: [bob, carol] }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body.tokens), [carol]);
+    });
+
+    it('groups cannot be created with members who blocked each other', async () => {
+        friends([alice, bob], [carol, alice]);
+        db.seed('BlockedUser', [{ blockerId: carol, blockedId: bob }]);
+
+        const { status, body } = await request(app, 'POST', '/api/groups', {
+            userId: alice,
+            body: { name: 'Team', memberIds: [bob, carol] }
+        });
+
+        assert.equal(status, 403);
+        assert.equal(body.error, 'These users cannot be in a group together');
+    });
+
+    it('members cannot be added to a group with someone they blocked', async () => {
+        friends([alice, carol]);
+        db.seed('BlockedUser', [{ blockerId: carol, blockedId: bob }]);
+        const groupId = newId();
+        db.seed('Conversation', [{
+            _id: groupId, name: 'Team', createdBy: alice, members: [alice, bob], admins: [alice]
+        }]);
+
+        const { status, body } = await request(app, 'POST', `/api/groups/${groupId}/members`, {
+            userId: alice,
+            body: { userIds: [carol] }
+        });
+
+        assert.equal(status, 403);
+        assert.equal(body.error, 'These users cannot be in a group together');
+    });
+
+    it('messages cannot be edited after a block', async () => {
+        db.seed('BlockedUser', [{ blockerId: bob, blockedId: alice }]);
+        const messageId = newId();
+        db.seed('Message', [{
+            _id: messageId, senderId: alice, recipientId: bob, encryptedForRecipient: payload(), createdAt: new Date()
+        }]);
+
+        const { status, body } = await request(app, 'PUT', `/api/messages/${messageId}`, {
+            userId: alice,
+            body: { encryptedForRecipient: payload() }
+        });
+
+        assert.deepEqual([status, body], [403, BLOCKED]);
+    });
+
+    describe('in a group both joined before the block', () => {
+        let groupId;
+        const encryptedKey = { ephemeralPublicKey: { kty: 'EC' }, iv: 'aXY=', ciphertext: 'Y3Q=' };
+
+        beforeEach(() => {
+            groupId = newId();
+            db.seed('Conversation', [{
+                _id: groupId, name: 'Team', createdBy: alice, members: [alice, bob, carol], admins: [alice], keyEpoch: 0
+            }]);
+            db.seed('BlockedUser', [{ blockerId: bob, blockedId: alice }]);
+        });
+
+        it('sender keys are not distributed to blocked members', async () => {
+            const { status, body } = await request(app, 'POST', `/api/groups/${groupId}/sender-keys`, {
+                userId: alice,
+                body: {
+                    epoch: 0,
+                    keyId: 'key-1',
+                    distributions: [{ recipientId: bob, encryptedKey }, { recipientId: carol, encryptedKey }]
+                }
+            });
+
+            assert.deepEqual([status, body], [201, { distributed: 1 }]);
+        });
+
+        it('sender keys from blocked members are not handed out', async () => {
+            db.seed('SenderKeyDistribution', [
+                { groupId, senderId: alice, recipientId: bob, keyId: 'alice-1', epoch: 0, encryptedKey },
+                { groupId, senderId: carol, recipientId: bob, keyId: 'carol-1', epoch: 0, encryptedKey }
+            ]);
+
+            const { status, body } = await request(app, 'GET', `/api/groups/${groupId}/sender-keys`, { userId: bob });
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.map(k => k.keyId), ['carol-1']);
+        });
+
+        it('history leaves out messages of blocked members', async () => {
+            const encryptedForGroup = { senderKeyId: 'key-1', salt: 'c2FsdA==', iv: 'aXY=', ciphertext: 'Y3Q=' };
+            db.seed('Message', [
+                { groupId, senderId: alice, encryptedForGroup, createdAt: new Date() },
+                { groupId, senderId: carol, encryptedForGroup, createdAt: new Date() }
+            ]);
+
+            const { status, body } = await request(app, 'GET', `/api/groups/${groupId}/messages`, { userId: bob });
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.map(m => m.senderId), [carol]);
+        });
+    });
+});
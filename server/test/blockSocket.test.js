@@ -0,0 +1,133 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { fakeDb, newId, fakeIo, connect, send, settle, payload } from './helpers.js';
+import { setupSocketHandlers, userSockets } from '../src/socket/handlers.js';
+import { issueDeliveryToken, deliveryTokenHash } from '../src/services/sealedSender.js';
+
+const BLOCKED = { error: 'You cannot contact this user' };
+
+describe('blocks in socket events', () => {
+    const io = fakeIo();
+    let db;
+    let alice, bob, carol;
+    let aliceSocket, bobSocket, carolSocket;
+
+    // Events a user's socket received
+    const received = (socket, event) => io.emitted.filter(e => e.socketId === socket.id && e.event === event);
+
+    before(() => setupSocketHandlers(io));
+
+    beforeEach(async () => {
+        // Keep connection logs out of the test runner's output
+        mock.method(console, 'log', () => {});
+        [alice, bob, carol] = [newId(), newId(), newId()];
+        db = fakeDb();
+        db.seed('User', [{ _id: alice }, { _id: bob }, { _id: carol }]);
+        db.seed('Friendship', [
+            { requester: alice, recipient: bob, status: 'accepted' },
+            { requester: alice, recipient: carol, status: 'accepted' }
+        ]);
+        db.seed('BlockedUser', [{ blockerId: bob, blockedId: alice }]);
+
+        [aliceSocket, bobSocket, carolSocket] = [alice, bob, carol].map(id => connect(io, id));
+        // Only what the test sends counts, not the presence updates of connecting
+        await settle();
+        io.emitted.length = 0;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        userSockets.clear();
+    });
+
+    it('messages are refused', async () => {
+        const ack = await send(aliceSocket, 'send_message', { recipientId: bob, encryptedForRecipient: payload() });
+
+        assert.deepEqual(ack, BLOCKED);
+        assert.equal(received(bobSocket, 'new_message').length, 0);
+    });
+
+    it('messages cannot be edited', async () => {
+        const messageId = newId();
+        db.seed('Message', [{
+            _id: messageId, senderId: alice, recipientId: bob, encryptedForRecipient: payload(), createdAt: new Date()
+        }]);
+
+        const ack = await send(aliceSocket, 'edit_message', { messageId, encryptedForRecipient: payload() });
+
+        assert.equal(ack.error, BLOCKED.error);
+        assert.equal(received(bobSocket, 'message_edited').length, 0);
+    });
+
+    it('reactions are refused', async () => {
+        const messageId = newId();
+        db.seed('Message', [{ _id: messageId, senderId: bob, recipientId: alice, encryptedForRecipient: payload() }]);
+
+        const ack = await send(aliceSocket, 'set_reaction', {
+            messageId, encryptedForSelf: payload(), encryptedForPeer: payload()
+        });
+
+        assert.deepEqual(ack, BLOCKED);
+        assert.equal(received(bobSocket, 'reaction_updated').length, 0);
+    });
+
+    it('typing is not relayed', async () => {
+        await send(aliceSocket, 'typing', { recipientId: bob, isTyping: true });
+        await send(aliceSocket, 'typing', { recipientId: carol, isTyping: true });
+
+        assert.equal(received(bobSocket, 'user_typing').length, 0);
+        assert.equal(received(carolSocket, 'user_typing').length, 1);
+    });
+
+    it('typing in a group is not shown to blocked members', async () => {
+        const groupId = newId();
+        db.seed('Conversation', [{ _id: groupId, name: 'Team', createdBy: alice, members: [alice, bob, carol] }]);
+
+        await send(aliceSocket, 'typing', { groupId, isTyping: true });
+
+        assert.equal(received(bobSocket, 'user_typing').length, 0);
+        assert.equal(received(carolSocket, 'user_typing').length, 1);
+    });
+
+    it('group messages are not relayed to members who blocked the sender after joining', async () => {
+        mock.method(mongoose.Model.prototype, 'save', async function () { return this; });
+        const groupId = newId();
+        db.seed('Conversation', [{
+            _id: groupId, name: 'Team', createdBy: alice, members: [alice, bob, carol], keyEpoch: 0
+        }]);
+
+        const ack = await send(aliceSocket, 'send_group_message', {
+            groupId,
+            epoch: 0,
+            encryptedForGroup: { senderKeyId: 'key-1', salt: 'c2FsdA==', iv: 'aXY=', ciphertext: 'Y3Q=' }
+        });
+
+        assert.equal(ack.success, true);
+        assert.equal(received(bobSocket, 'new_group_message').length, 0);
+        assert.equal(received(carolSocket, 'new_group_message').length, 1);
+    });
+
+    it('call signals are not relayed', async () => {
+        for (const recipientId of [bob, carol]) {
+            await send(aliceSocket, 'call_offer', { recipientId, offer: {}, isVideo: false });
+            await send(aliceSocket, 'call_answer', { recipientId, answer: {} });
+            await send(aliceSocket, 'ice_candidate', { recipientId, candidate: {} });
+        }
+
+        assert.deepEqual(io.emitted.filter(e => e.socketId === bobSocket.id), []);
+        assert.equal(io.emitted.filter(e => e.socketId === carolSocket.id).length, 3);
+    });
+
+    it('receipts of sealed messages do not reach a blocked sender', async () => {
+        const messageId = newId();
+        const { token } = issueDeliveryToken(bob, 'receipt', 0);
+        db.seed('Message', [{
+            _id: messageId, recipientId: alice, sealed: true, read: false, receiptTokenHash: deliveryTokenHash(token)
+        }]);
+
+        await send(aliceSocket, 'mark_read', { messageIds: [messageId], receiptToken: token });
+
+        assert.equal(received(bobSocket, 'messages_read').length, 0);
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { fakeDb, newId, request } from './helpers.js';
+import { app } from '../src/index.js';
+
+const REVOKED = { error: 'This device has been revoked', code: 'DEVICE_REVOKED' };
+
+/**
+ * A P-256 key pair: public JWK plus a signer over strings (as the client signs)
+ */
+async function keyPair(name) {
+    const { publicKey, privateKey } = await webcrypto.subtle.generateKey(
+        { name, namedCurve: 'P-256' }, true, name === 'ECDSA' ? ['sign', 'verify'] : ['deriveBits']
+    );
+    const sign = async (data) => Buffer.from(await webcrypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' }, privateKey, Buffer.from(data)
+    )).toString('base64');
+    return { publicKey: await webcrypto.subtle.exportKey('jwk', publicKey), sign };
+}
+
+const canonical = (jwk) => JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+
+describe('devices', () => {
+    let db;
+    let alice;
+    const laptop = 'laptop-0001';
+    const phone = 'phone-00001';
+
+    beforeEach(() => {
+        alice = newId();
+        db = fakeDb();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('revoked devices', () => {
+        beforeEach(() => {
+            db.seed('Device', [
+                { userId: alice, deviceId: laptop, revokedAt: null },
+                { userId: alice, deviceId: phone, revokedAt: new Date() }
+            ]);
+        });
+
+        it('lose their access tokens', async () => {
+            const fromPhone = await request(app, 'GET', '/api/devices', { userId: alice, deviceId: phone });
+            const fromLaptop = await request(app, 'GET', '/api/devices', { userId: alice, deviceId: laptop });
+
+            assert.deepEqual([fromPhone.status, fromPhone.body], [403, REVOKED]);
+            assert.equal(fromLaptop.status, 200);
+        });
+
+        it('cannot refresh their tokens', async () => {
+            const refreshToken = jwt.sign({ userId: alice, deviceId: phone }, process.env.JWT_REFRESH_SECRET);
+            db.seed('User', [{ _id: alice, refreshToken }]);
+
+            const { status, body } = await request(app, 'POST', '/api/auth/refresh', { body: { refreshToken } });
+
+            assert.deepEqual([status, body], [403, REVOKED]);
+        });
+    });
+
+    describe('device signatures', () => {
+        let identity, device;
+
+        beforeEach(async () => {
+            identity = await keyPair('ECDSA');
+            device = { deviceId: phone, publicKey: (await keyPair('ECDH')).publicKey, signingKey: null };
+            db.seed('User', [{ _id: alice, signingKey: identity.publicKey }]);
+            db.seed('Device', [{ userId: alice, ...device, revokedAt: null }]);
+        });
+
+        const signed = (signer, deviceId = device.deviceId) => signer.sign(JSON.stringify([
+            'secreta-device-v1', alice, deviceId, canonical(device.publicKey), null
+        ]));
+
+        it('must be made by the identity signing key', async () => {
+            const other = await keyPair('ECDSA');
+
+            const { status, body } = await request(app, 'PUT', `/api/devices/${phone}/signature`, {
+                userId: alice,
+                body: { signature: await signed(other) }
+            });
+
+            assert.deepEqual([status, body], [400, { error: 'Invalid device signature' }]);
+        });
+
+        it('must cover the device they are stored for', async () => {
+            const { status } = await request(app, 'PUT', `/api/devices/${phone}/signature`, {
+                userId: alice,
+                body: { signature: await signed(identity, laptop) }
+            });
+
+            assert.equal(status, 400);
+        });
+
+        it('approve the device', async () => {
+            const { status, body } = await request(app, 'PUT', `/api/devices/${phone}/signature`, {
+                userId: alice,
+                body: { signature: await signed(identity) }
+            });
+
+            assert.deepEqual([status, body], [200, { message: 'Device approved' }]);
+        });
+    });
+});
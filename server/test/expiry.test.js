@@ -0,0 +1,56 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { GridFSBucket } from 'mongodb';
+import { fakeDb, newId, payload } from './helpers.js';
+import { sweepExpiredMessages } from '../src/services/expiryScheduler.js';
+
+describe('expired messages', () => {
+    let db;
+    let alice, bob;
+    let files, deleted;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        // The sweep re-arms itself for the next expiry, which fakeDb never deletes
+        mock.method(globalThis, 'setTimeout', () => 0);
+        [alice, bob] = [newId(), newId()];
+        db = fakeDb();
+
+        // GridFS without a database: files are { _id, metadata } records
+        files = [];
+        deleted = [];
+        mongoose.connection.db ??= { collection: () => ({}) };
+        mock.method(GridFSBucket.prototype, 'find', function (filter) {
+            return { toArray: async () => files.filter(f => f._id.equals(filter._id)) };
+        });
+        mock.method(GridFSBucket.prototype, 'delete', async function (id) {
+            deleted.push(id.toString());
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const upload = (senderId, recipientId) => {
+        const _id = new mongoose.Types.ObjectId();
+        files.push({ _id, metadata: { senderId, recipientId } });
+        return _id.toString();
+    };
+
+    it('take their encrypted attachments with them', async () => {
+        const attachment = upload(alice, bob);
+        const otherUpload = upload(bob, alice);
+        db.seed('Message', [{
+            senderId: alice,
+            recipientId: bob,
+            encryptedForRecipient: payload(),
+            fileIds: [attachment, otherUpload],
+            expiresAt: new Date(Date.now() - 1000)
+        }]);
+
+        await sweepExpiredMessages();
+
+        // Only what the sender uploaded for this recipient
+        assert.deepEqual(deleted, [attachment]);
+    });
+});
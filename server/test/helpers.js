@@ -0,0 +1,217 @@
+/**
+ * Test helpers
+ *
+ * Routes and socket handlers run against fakeDb(), an in-memory stand-in
+ * for the queries mongoose sends, so the tests need no database.
+ * Import this module before src/index.js: it keeps the server from starting.
+ */
+
+import { mock } from 'node:test';
+import { once } from 'events';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET ||= 'test-secret';
+process.env.JWT_REFRESH_SECRET ||= 'test-refresh-secret';
+
+// Writes never reach a database: fail at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+/**
+ * A new object id (as a string)
+ */
+export const newId = () => new mongoose.Types.ObjectId().toString();
+
+/**
+ * Whether a stored value equals a filter value (arrays match any element,
+ * null matches a missing field)
+ */
+const sameValue = (stored, value) => (value === null
+    ? stored == null
+    : (Array.isArray(stored) ? stored : [stored]).some(v => String(v) === String(value)));
+
+/**
+ * Whether a document matches a query filter
+ * Supports what the code under test uses: equality, $or, $and, $in, $nin, $ne, $gt, $gte, $lt, $lte, $regex.
+ */
+function matches(doc, filter) {
+    return Object.entries(filter).every(([field, condition]) => {
+        if (field === '$or') return condition.some(f => matches(doc, f));
+        if (field === '$and') return condition.every(f => matches(doc, f));
+
+        const stored = doc[field];
+        const isOperator = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+            Object.keys(condition).some(key => key.startsWith('$'));
+        if (!isOperator) return sameValue(stored, condition);
+
+        return Object.entries(condition).every(([operator, value]) => {
+            switch (operator) {
+                case '$in': return value.some(v => sameValue(stored, v));
+                case '$nin': return !value.some(v => sameValue(stored, v));
+                case '$ne': return !sameValue(stored, value);
+                case '$gt': return stored > value;
+                case '$gte': return stored >= value;
+                case '$lt': return stored < value;
+                case '$lte': return stored <= value;
+                case '$regex': return new RegExp(value, condition.$options).test(stored);
+                case '$options': return true;
+                default: throw new Error(`fakeDb: unsupported operator ${operator}`);
+            }
+        });
+    });
+}
+
+/**
+ * Answer mongoose queries from seeded documents
+ * Reads (find, findOne, exists, countDocuments, distinct) see the seeded
+ * documents; updates and deletes change nothing. Undo with mock.restoreAll().
+ *
+ * @returns {{ seed: (modelName: string, docs: Object[]) => void }}
+ */
+export function fakeDb() {
+    const collections = new Map();
+
+    mock.method(mongoose.Query.prototype, 'exec', async function () {
+        const modelName = this.model.modelName;
+        const found = (collections.get(modelName) || []).filter(doc => matches(doc, this.getFilter()));
+        const output = (doc) => (this._mongooseOptions.lean ? { ...doc } : this.model.hydrate(doc));
+
+        switch (this.op) {
+            case 'find': return found.map(output);
+            case 'findOne': return found.length > 0 ? output(found[0]) : null;
+            case 'countDocuments': return found.length;
+            case 'distinct': return [...new Set(found.map(doc => doc[this._distinct]))];
+            default:
+                return { acknowledged: true, matchedCount: 0, modifiedCount: 0, deletedCount: 0 };
+        }
+    });
+
+    return {
+        seed(modelName, docs) {
+            const withIds = docs.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+            collections.set(modelName, [...(collections.get(modelName) || []), ...withIds]);
+        }
+    };
+}
+
+/**
+ * Access token for a user (issued to one of their devices, if given)
+ */
+export const tokenFor = (userId, deviceId) => jwt.sign(
+    deviceId ? { userId, deviceId } : { userId },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+);
+
+/**
+ * Send one HTTP request to an express app
+ *
+ * @param {import('express').Express} app
+ * @param {string} method
+ * @param {string} path
+ * @param {{ userId?: string, deviceId?: string, body?: Object }} options - userId: send that
+ *   user's access token; deviceId: send the request from that device (header and token)
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+export async function request(app, method, path, { userId, deviceId, body } = {}) {
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(userId && { Authorization: `Bearer ${tokenFor(userId, deviceId)}` }),
+                ...(deviceId && { 'x-device-id': deviceId })
+            },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+}
+
+/**
+ * A stand-in for the Socket.IO server: records everything emitted
+ *
+ * @returns {Object} io, with `emitted: Array<{ socketId, event, payload }>`
+ */
+export function fakeIo() {
+    const io = {
+        emitted: [],
+        sockets: { sockets: new Map() },
+        on(event, listener) {
+            if (event === 'connection') io.onConnection = listener;
+        },
+        to: (socketId) => ({
+            emit: (event, payload) => io.emitted.push({ socketId, event, payload })
+        })
+    };
+    return io;
+}
+
+/**
+ * Connect a socket of a user to a fakeIo()
+ *
+ * @returns {Object} socket, with `listeners: Map<event, handler>`
+ */
+export function connect(io, userId) {
+    const socket = {
+        id: `socket-${newId()}`,
+        user: { userId },
+        handshake: { auth: {} },
+        listeners: new Map(),
+        on(event, listener) {
+            socket.listeners.set(event, listener);
+        },
+        use() {},
+        emit() {},
+        join() {},
+        disconnect() {}
+    };
+    io.sockets.sockets.set(socket.id, socket);
+    io.onConnection(socket);
+    return socket;
+}
+
+/**
+ * Wait for work that handlers do not wait for (connection side effects,
+ * call signaling) - fakeDb() answers within a turn
+ */
+export const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Send an event from a socket and wait until it is handled
+ *
+ * @returns {Promise<Object | undefined>} What the handler acknowledged with
+ */
+export async function send(socket, event, data) {
+    let ack;
+    await socket.listeners.get(event)(data, (response) => { ack = response; });
+    await settle();
+    return ack;
+}
+
+/**
+ * A valid v1 message payload
+ */
+export const payload = () => ({
+    ephemeralPublicKey: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' },
+    iv: 'aXY=',
+    ciphertext: 'Y2lwaGVy'
+});
+
+/**
+ * A valid ratchet (versioned) message payload
+ */
+export const ratchetPayload = () => ({
+    version: 'secreta-dr-v1',
+    header: { dh: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' }, pn: 0, n: 0 },
+    iv: 'aXY=',
+    ciphertext: 'Y2lwaGVy',
+    signature: 'c2ln'
+});
@@ -0,0 +1,50 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { fakeDb, newId, request } from './helpers.js';
+import { app } from '../src/index.js';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Mirrors client/src/crypto/keyTransparency.js
+const rootFromProof = (entryHash, proof) => proof.reduce(
+    (hash, step) => sha256(step.position === 'left' ? `node:${step.hash}:${hash}` : `node:${hash}:${step.hash}`),
+    sha256(`leaf:${entryHash}`)
+);
+
+describe('key history', () => {
+    let db;
+    let alice;
+
+    beforeEach(() => {
+        alice = newId();
+        db = fakeDb();
+        db.seed('User', [{ _id: alice, username: 'alice' }]);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('proves every entry against a tree head signed by the server', async () => {
+        db.seed('KeyLogEntry', [0, 1, 2].map(seq => ({
+            userId: alice, seq, keyType: 'identity', entryHash: sha256(`entry ${seq}`), createdAt: new Date()
+        })));
+
+        const { status, body } = await request(app, 'GET', `/api/users/${alice}/key-history`, { userId: alice });
+
+        assert.equal(status, 200);
+        const { entries, treeHead, logKey } = body;
+        assert.equal(treeHead.treeSize, 3);
+        for (const entry of entries) {
+            assert.equal(rootFromProof(entry.entryHash, entry.proof), treeHead.rootHash, `entry ${entry.seq}`);
+        }
+
+        const signed = JSON.stringify(['secreta-tree-head-v1', alice, treeHead.treeSize, treeHead.rootHash, treeHead.signedAt]);
+        const valid = crypto.verify(
+            'sha256',
+            Buffer.from(signed),
+            { key: crypto.createPublicKey({ key: logKey, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+            Buffer.from(treeHead.signature, 'base64')
+        );
+        assert.equal(valid, true);
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import {
+    getLoginLockError,
+    getLoginDelayMs,
+    recordLoginFailure,
+    clearLoginFailures
+} from '../src/services/rateLimiter.js';
+
+describe('failed logins', () => {
+    const failFrom = async (account, ip, times) => {
+        for (let i = 0; i < times; i++) await recordLoginFailure(account, ip);
+    };
+
+    it('lock out the address they come from', async () => {
+        const account = 'alice@example.com';
+        await failFrom(account, '10.0.0.1', 5);
+
+        assert.equal((await getLoginLockError(account, '10.0.0.1'))?.status, 429);
+        assert.equal(await getLoginLockError(account, '10.0.0.2'), null);
+
+        await clearLoginFailures(account, '10.0.0.1');
+        assert.equal(await getLoginLockError(account, '10.0.0.1'), null);
+    });
+
+    it('from many addresses slow down the account without locking its owner out', async () => {
+        const account = 'bob@example.com';
+        for (let i = 0; i < 40; i++) await failFrom(account, `10.0.1.${i}`, 1);
+
+        assert.equal(await getLoginLockError(account, '10.0.2.1'), null);
+        assert.equal(await getLoginDelayMs(account), 2000);
+    });
+
+    it('do not slow down an account below the threshold', async () => {
+        const account = 'carol@example.com';
+        for (let i = 0; i < 19; i++) await failFrom(account, `10.0.3.${i}`, 1);
+
+        assert.equal(await getLoginDelayMs(account), 0);
+    });
+});
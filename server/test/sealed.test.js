@@ -0,0 +1,100 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { fakeDb, newId, request, payload, fakeIo, connect, send, settle } from './helpers.js';
+import { app } from '../src/index.js';
+import { setupSocketHandlers, userSockets } from '../src/socket/handlers.js';
+import { issueDeliveryToken, deliveryTokenHash } from '../src/services/sealedSender.js';
+import { setRateLimitStore, createMemoryStore } from '../src/services/rateLimitStore.js';
+
+describe('sealed deliveries', () => {
+    let alice;
+
+    beforeEach(() => {
+        alice = newId();
+        // Every test starts with fresh budgets (all requests come from 127.0.0.1)
+        setRateLimitStore(createMemoryStore());
+        fakeDb().seed('User', [{ _id: alice, sealedTokenEpoch: 0 }]);
+        // Stored messages go nowhere
+        mock.method(mongoose.Model.prototype, 'save', async function () {
+            return this;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const deliver = (deliveryToken) => request(app, 'POST', '/api/sealed/messages', {
+        body: { deliveryToken, encryptedForRecipient: payload() }
+    });
+
+    it('are limited per recipient, whatever tokens are used', async () => {
+        for (let i = 0; i < 60; i++) {
+            const { status } = await deliver(issueDeliveryToken(alice, 'message', 0).token);
+            assert.equal(status, 201);
+        }
+
+        const { status, body } = await deliver(issueDeliveryToken(alice, 'message', 0).token);
+
+        assert.equal(status, 429);
+        assert.equal(body.code, 'RATE_LIMITED');
+    });
+
+    it('are limited per address, even without valid tokens', async () => {
+        const statuses = [];
+        for (let i = 0; i < 121; i++) {
+            statuses.push((await deliver('forged')).status);
+        }
+
+        assert.deepEqual(new Set(statuses.slice(0, 120)), new Set([401]));
+        assert.equal(statuses[120], 429);
+    });
+});
+
+describe('sealed read receipts', () => {
+    const io = fakeIo();
+    let db;
+    let alice, bob, carol;
+    let aliceSocket, bobSocket;
+
+    before(() => setupSocketHandlers(io));
+
+    beforeEach(async () => {
+        // Keep connection logs out of the test runner's output
+        mock.method(console, 'log', () => {});
+        [alice, bob, carol] = [newId(), newId(), newId()];
+        db = fakeDb();
+        db.seed('User', [{ _id: alice }, { _id: bob }, { _id: carol }]);
+        db.seed('Friendship', [
+            { requester: alice, recipient: bob, status: 'accepted' },
+            { requester: alice, recipient: carol, status: 'accepted' }
+        ]);
+
+        [aliceSocket, bobSocket] = [alice, bob].map(id => connect(io, id));
+        connect(io, carol);
+        await settle();
+        io.emitted.length = 0;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        userSockets.clear();
+    });
+
+    it('only report the message their token came with', async () => {
+        const [fromBob, fromCarol] = [newId(), newId()];
+        const { token } = issueDeliveryToken(bob, 'receipt', 0);
+        db.seed('Message', [
+            { _id: fromBob, recipientId: alice, sealed: true, read: false, receiptTokenHash: deliveryTokenHash(token) },
+            {
+                _id: fromCarol, recipientId: alice, sealed: true, read: false,
+                receiptTokenHash: deliveryTokenHash(issueDeliveryToken(carol, 'receipt', 0).token)
+            }
+        ]);
+
+        await send(aliceSocket, 'mark_read', { messageIds: [fromBob, fromCarol], receiptToken: token });
+
+        const receipts = io.emitted.filter(e => e.socketId === bobSocket.id && e.event === 'messages_read');
+        assert.equal(receipts.length, 1);
+        assert.deepEqual(receipts[0].payload.messageIds.map(String), [fromBob]);
+    });
+});
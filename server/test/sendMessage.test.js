@@ -0,0 +1,50 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDb, newId, fakeIo, connect, send, settle, ratchetPayload } from './helpers.js';
+import { setupSocketHandlers, userSockets } from '../src/socket/handlers.js';
+
+const METADATA_REFUSED = { error: 'Message metadata must be inside the encrypted payload' };
+
+describe('send_message', () => {
+    const io = fakeIo();
+    let alice, bob;
+    let aliceSocket;
+
+    before(() => setupSocketHandlers(io));
+
+    beforeEach(async () => {
+        // Keep connection logs out of the test runner's output
+        mock.method(console, 'log', () => {});
+        [alice, bob] = [newId(), newId()];
+        const db = fakeDb();
+        db.seed('User', [{ _id: alice }, { _id: bob }]);
+        db.seed('Friendship', [{ requester: alice, recipient: bob, status: 'accepted' }]);
+
+        aliceSocket = connect(io, alice);
+        connect(io, bob);
+        await settle();
+        io.emitted.length = 0;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        userSockets.clear();
+    });
+
+    it('refuses plaintext metadata next to a ratchet payload', async () => {
+        for (const metadata of [
+            { messageType: 'image' },
+            { fileAttachment: { fileId: newId(), filename: 'photo.jpg' } },
+            { voiceDuration: 3 },
+            { waveformData: [1, 2, 3] },
+            { replyTo: newId(), replyPreview: { senderId: bob, content: 'See you at noon' } }
+        ]) {
+            const ack = await send(aliceSocket, 'send_message', {
+                recipientId: bob, encryptedForRecipient: ratchetPayload(), ...metadata
+            });
+
+            assert.deepEqual(ack, METADATA_REFUSED, Object.keys(metadata).join());
+        }
+        assert.deepEqual(io.emitted, []);
+    });
+});
@@ -0,0 +1,40 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDb, newId, request } from './helpers.js';
+import { app } from '../src/index.js';
+
+describe('malformed parameters in HTTP routes', () => {
+    let alice;
+
+    beforeEach(() => {
+        alice = newId();
+        fakeDb().seed('User', [{ _id: alice, username: 'alice' }]);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('group routes refuse malformed group ids', async () => {
+        for (const [method, path] of [
+            ['GET', '/api/groups/garbage'],
+            ['PUT', '/api/groups/garbage'],
+            ['GET', '/api/groups/garbage/public-keys'],
+            ['GET', '/api/groups/garbage/messages'],
+            ['DELETE', `/api/groups/garbage/members/${alice}`]
+        ]) {
+            const { status, body } = await request(app, method, path, { userId: alice });
+            assert.deepEqual([status, body], [400, { error: 'Invalid group id' }], `${method} ${path}`);
+        }
+    });
+
+    it('delta sync refuses a malformed since or sinceId', async () => {
+        const bob = newId();
+
+        for (const [query, error] of [
+            ['since=garbage', 'Invalid date'],
+            [`since=${new Date().toISOString()}&sinceId=garbage`, 'Invalid message id']
+        ]) {
+            const { status, body } = await request(app, 'GET', `/api/messages/${bob}?${query}`, { userId: alice });
+            assert.deepEqual([status, body], [400, { error }], query);
+        }
+    });
+});